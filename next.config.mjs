@@ -1,4 +1,9 @@
 /** @type {import('next').NextConfig} */
-const nextConfig = {};
+const nextConfig = {
+  // ffmpeg-static and the ffprobe installer resolve their binaries relative to
+  // their own package directories, so these must be loaded from node_modules
+  // rather than bundled
+  serverExternalPackages: ["ffmpeg-static", "fluent-ffmpeg", "@ffprobe-installer/ffprobe"],
+};
 
 export default nextConfig;
@@ -0,0 +1,56 @@
+/**
+ * Copies ffmpeg.wasm into `public/ffmpeg`
+ *
+ * The browser loads `@ffmpeg/ffmpeg` and `@ffmpeg/core` at runtime rather than from
+ * the bundle (see `src/lib/uploads/prepare-client.js`), so their `dist/esm` files are
+ * served by the app itself, under the same `<name>@<version>/dist/esm` layout a CDN uses.
+ * Runs before `dev` and `build`, and fails when the installed packages aren't the
+ * versions pinned in `src/lib/uploads/ffmpeg-versions.json`.
+ */
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const targetDir = path.join(root, "public", "ffmpeg");
+const pinned = JSON.parse(
+  await fs.readFile(
+    path.join(root, "src/lib/uploads/ffmpeg-versions.json"),
+    "utf8",
+  ),
+);
+
+// Check every package before copying anything
+const packages = [];
+for (const [name, version] of Object.entries(pinned)) {
+  const packageDir = path.join(root, "node_modules", name);
+  const installed = JSON.parse(
+    await fs.readFile(path.join(packageDir, "package.json"), "utf8"),
+  ).version;
+  if (installed !== version) {
+    console.error(
+      `${name} ${installed} is installed, but ffmpeg-versions.json pins ${version}: update the pinned version to match`,
+    );
+    process.exit(1);
+  }
+  packages.push({
+    source: path.join(packageDir, "dist", "esm"),
+    target: `${name.split("/")[1]}@${version}`,
+  });
+}
+
+// Versions no longer pinned are removed; pinned ones are only copied once
+const existing = await fs.readdir(targetDir).catch(() => []);
+for (const entry of existing.filter(
+  (entry) => !packages.some(({ target }) => target === entry),
+)) {
+  await fs.rm(path.join(targetDir, entry), { recursive: true, force: true });
+}
+for (const { source, target } of packages.filter(
+  ({ target }) => !existing.includes(target),
+)) {
+  await fs.cp(source, path.join(targetDir, target, "dist", "esm"), {
+    recursive: true,
+  });
+  console.log(`Copied ${target} to public/ffmpeg`);
+}
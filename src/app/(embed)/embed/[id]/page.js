@@ -0,0 +1,66 @@
+import { notFound } from "next/navigation"
+import EmbedPlayer from "../../../../components/EmbedPlayer"
+import { getCurrentUser } from "../../../../lib/auth"
+import { canWatchVideo } from "../../../../lib/videos/access"
+import { playbackUrlsFor } from "../../../../lib/videos/playback"
+import { getVideo } from "../../../../lib/videos/repository"
+import { serializeVideo } from "../../../../lib/videos/serialize"
+
+/**
+ * Whether a boolean query parameter is turned on ("1" or "true")
+ *
+ * @param {string|string[]|undefined} value - The query parameter value
+ * @returns {boolean} True when the flag is set
+ */
+function isOn(value) {
+  return value === "1" || value === "true"
+}
+
+/**
+ * Names the embed after its video
+ *
+ * @param {Object} props
+ * @param {Promise<{id: string}>} props.params - The video ID
+ * @returns {Promise<Object>} The page metadata
+ */
+export async function generateMetadata({ params }) {
+  const { id } = await params
+  const video = await getVideo(id)
+  return {
+    title: video && canWatchVideo(await getCurrentUser(), video) ? video.title || video.name : "Video not found",
+  }
+}
+
+/**
+ * Embedded Player Page
+ *
+ * A single video filling the frame, meant to be put on other sites in an `<iframe>`
+ * (see `/api/oembed` for the embed code). Public and unlisted videos can be embedded;
+ * private ones only play for their owner.
+ *
+ * Query parameters: `autoplay=1` (starts muted, as browsers require), `muted=1`,
+ * `loop=1` and `controls=0`.
+ *
+ * @param {Object} props
+ * @param {Promise<{id: string}>} props.params - The video ID
+ * @param {Promise<Object>} props.searchParams - The player options
+ * @returns {Promise<JSX.Element>} The rendered player
+ */
+export default async function EmbedVideoPage({ params, searchParams }) {
+  const { id } = await params
+  const options = await searchParams
+
+  const video = await getVideo(id)
+  if (!video || !canWatchVideo(await getCurrentUser(), video)) notFound()
+
+  const autoPlay = isOn(options.autoplay)
+  return (
+    <EmbedPlayer
+      video={{ ...serializeVideo(video), ...playbackUrlsFor(video) }}
+      autoPlay={autoPlay}
+      muted={autoPlay || isOn(options.muted)}
+      loop={isOn(options.loop)}
+      controls={options.controls !== "0" && options.controls !== "false"}
+    />
+  )
+}
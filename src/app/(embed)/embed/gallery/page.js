@@ -0,0 +1,40 @@
+import EmbedGallery from "../../../../components/EmbedGallery"
+import { queryVideos } from "../../../../lib/videos/repository"
+import { serializeVideo } from "../../../../lib/videos/serialize"
+
+const DEFAULT_LIMIT = 12
+const MAX_LIMIT = 50
+
+export const metadata = {
+  title: "Video Gallery",
+}
+
+/**
+ * Embedded Gallery Page
+ *
+ * A carousel of public videos, newest first, meant to be put on other sites in an
+ * `<iframe>`. Unlisted and private videos are never shown here.
+ *
+ * Query parameters: `owner` (a user ID) shows only that user's videos, and `limit`
+ * (1-50, default 12) caps how many are shown.
+ *
+ * @param {Object} props
+ * @param {Promise<Object>} props.searchParams - The gallery options
+ * @returns {Promise<JSX.Element>} The rendered gallery
+ */
+export default async function EmbedGalleryPage({ searchParams }) {
+  const { owner, limit } = await searchParams
+  const count = Number(limit)
+
+  const { items } = await queryVideos({
+    limit: Number.isInteger(count) && count >= 1 && count <= MAX_LIMIT ? count : DEFAULT_LIMIT,
+    ownerId: typeof owner === "string" && owner ? owner : undefined,
+    viewer: null,
+  })
+
+  return (
+    <div className="p-2">
+      <EmbedGallery videos={items.map(serializeVideo)} />
+    </div>
+  )
+}
@@ -0,0 +1,28 @@
+import "../globals.css"
+
+export const metadata = {
+  title: "Video Gallery",
+  // Embeds are meant to be seen on other sites, not found on their own
+  robots: { index: false, follow: false },
+}
+
+/**
+ * Embed Layout
+ *
+ * Root layout for the embeddable player and gallery. Unlike the site's layout it
+ * loads no web fonts and has a transparent background, so embeds blend into the
+ * page hosting them.
+ *
+ * @param {Object} props
+ * @param {JSX.Element} props.children - The embed page
+ * @returns {JSX.Element} The document
+ */
+export default function EmbedLayout({ children }) {
+  return (
+    <html lang="en">
+      <body className="m-0 overflow-hidden antialiased" style={{ background: "transparent" }}>
+        {children}
+      </body>
+    </html>
+  )
+}
@@ -0,0 +1,194 @@
+"use client"
+
+import { useCallback, useEffect, useState } from "react"
+import Link from "next/link"
+import AccountBar from "../../../components/AccountBar"
+import { fetchSession } from "../../../lib/auth/client"
+
+/**
+ * Formats a number of seconds as "m:ss" (or "h:mm:ss")
+ *
+ * @param {number} seconds - The duration
+ * @returns {string} The formatted duration
+ */
+function formatDuration(seconds) {
+  const total = Math.round(seconds)
+  const hours = Math.floor(total / 3600)
+  const minutes = Math.floor((total % 3600) / 60)
+  const rest = String(total % 60).padStart(2, "0")
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, "0")}:${rest}` : `${minutes}:${rest}`
+}
+
+/**
+ * Formats a share as a whole percentage
+ *
+ * @param {number} share - A value between 0 and 1
+ * @returns {string} The percentage, e.g. "42%"
+ */
+function formatPercent(share) {
+  return `${Math.round(share * 100)}%`
+}
+
+/**
+ * Analytics Component
+ *
+ * Dashboard of how the videos the signed-in user manages are watched: how often each
+ * was shown in the gallery and played, the average watch time, where viewers drop
+ * off (as the share of views still watching at each quarter of the video), and how
+ * often its tagged products were clicked. Admins see every video.
+ *
+ * @returns {JSX.Element} The rendered analytics page
+ */
+export default function Analytics() {
+  const [session, setSession] = useState(null) // The current session, null until loaded
+  const [analytics, setAnalytics] = useState(null) // `{ items, totals }`, null until loaded
+  const [error, setError] = useState(null) // Message from the last failed request
+
+  /**
+   * Loads the current session
+   */
+  const loadSession = useCallback(() => {
+    fetchSession()
+      .then(setSession)
+      .catch((err) => {
+        console.error("Error fetching session:", err)
+        setSession({ user: null, providers: [] })
+      })
+  }, [])
+
+  useEffect(loadSession, [loadSession])
+
+  // Load the stats once signed in
+  useEffect(() => {
+    if (!session?.user) return
+    fetch("/api/analytics")
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP Error: ${res.status}`)
+        return res.json()
+      })
+      .then(setAnalytics)
+      .catch((err) => {
+        console.error("Error fetching analytics:", err)
+        setError("Failed to load analytics")
+      })
+  }, [session])
+
+  const totals = analytics?.totals
+
+  return (
+    <div className="container mx-auto p-4 min-h-screen">
+      <AccountBar user={session?.user ?? null} onSignedOut={loadSession} />
+
+      <header className="mb-10 text-center">
+        <h1 className="text-3xl md:text-4xl font-bold text-gray-800 mb-3">Analytics</h1>
+        <p className="text-gray-600 max-w-2xl mx-auto">
+          How your videos are watched in the gallery.{" "}
+          <Link href="/" className="text-blue-600 hover:text-blue-800">
+            Back to the gallery
+          </Link>
+        </p>
+      </header>
+
+      {session && !session.user && (
+        <div className="max-w-md mx-auto text-center py-12 bg-gray-50 rounded-lg">
+          <p className="text-gray-600 mb-4">Sign in to see how your videos are watched.</p>
+          <Link
+            href="/login"
+            className="inline-block bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-medium transition-colors"
+          >
+            Sign in
+          </Link>
+        </div>
+      )}
+
+      {session?.user && (
+        <div className="max-w-5xl mx-auto">
+          {error && <p className="mb-4 text-sm text-red-500">{error}</p>}
+
+          {totals && (
+            <dl className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-8">
+              {[
+                ["Videos", totals.videos],
+                ["Impressions", totals.impressions],
+                ["Views", totals.views],
+                ["Average watch time", formatDuration(totals.averageWatchSeconds)],
+                ["Product clicks", totals.clicks],
+              ].map(([label, value]) => (
+                <div key={label} className="rounded-lg border bg-white px-4 py-3">
+                  <dt className="text-xs text-gray-500">{label}</dt>
+                  <dd className="text-2xl font-semibold text-gray-800">{value}</dd>
+                </div>
+              ))}
+            </dl>
+          )}
+
+          {analytics?.items.length === 0 && (
+            <p className="text-center py-12 bg-gray-50 rounded-lg text-gray-600">
+              You haven&apos;t uploaded any videos yet.
+            </p>
+          )}
+
+          {analytics?.items.length > 0 && (
+            <div className="overflow-x-auto rounded-lg border bg-white">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 text-left text-xs text-gray-500">
+                  <tr>
+                    <th className="px-4 py-2 font-medium">Video</th>
+                    <th className="px-4 py-2 font-medium text-right">Impressions</th>
+                    <th className="px-4 py-2 font-medium text-right">Views</th>
+                    <th className="px-4 py-2 font-medium text-right">Play rate</th>
+                    <th className="px-4 py-2 font-medium text-right">Avg. watch time</th>
+                    <th className="px-4 py-2 font-medium text-right">Completed</th>
+                    <th className="px-4 py-2 font-medium">Drop-off</th>
+                    <th className="px-4 py-2 font-medium text-right">Product clicks</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y">
+                  {analytics.items.map((item) => (
+                    <tr key={item.video.id}>
+                      <td className="px-4 py-2 max-w-xs">
+                        <Link
+                          href={`/videos/${item.video.id}`}
+                          className="block font-medium text-gray-800 hover:text-blue-700 truncate"
+                          title={item.video.title || item.video.name}
+                        >
+                          {item.video.title || item.video.name}
+                        </Link>
+                        {item.video.duration > 0 && (
+                          <span className="text-xs text-gray-500">{formatDuration(item.video.duration)} long</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-2 text-right tabular-nums">{item.impressions}</td>
+                      <td className="px-4 py-2 text-right tabular-nums">{item.views}</td>
+                      <td className="px-4 py-2 text-right tabular-nums">{formatPercent(item.playRate)}</td>
+                      <td className="px-4 py-2 text-right tabular-nums">{formatDuration(item.averageWatchSeconds)}</td>
+                      <td className="px-4 py-2 text-right tabular-nums">{formatPercent(item.completionRate)}</td>
+                      <td className="px-4 py-2">
+                        <div className="flex items-end gap-1 h-8" role="img" aria-label="Share of views still watching">
+                          {item.retention.map(({ point, share }) => (
+                            <div
+                              key={point}
+                              className="w-4 bg-blue-500 rounded-sm"
+                              style={{ height: `${Math.max(share * 100, 4)}%`, opacity: item.views > 0 ? 1 : 0.2 }}
+                              title={`${formatPercent(share)} still watching at ${point}%`}
+                            />
+                          ))}
+                        </div>
+                      </td>
+                      <td
+                        className="px-4 py-2 text-right tabular-nums"
+                        title={item.products.map((product) => `${product.title}: ${product.clicks}`).join("\n")}
+                      >
+                        {item.products.length > 0 ? item.clicks : "–"}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,86 @@
+"use client"
+
+import { Suspense, useEffect, useState } from "react"
+import Link from "next/link"
+import { useSearchParams } from "next/navigation"
+import VideoGallery from "../../../components/VideoGallery"
+import { fetchSession } from "../../../lib/auth/client"
+
+/**
+ * Feed Component
+ *
+ * Full-screen vertical feed of the gallery, one video at a time. Shows everyone's
+ * videos by default; `?view=mine` shows the user's own uploads, `?playlist=<id>`
+ * plays a playlist in order, and `?q=` and `?tags=` search the gallery as they do
+ * on the home page.
+ *
+ * @returns {JSX.Element} The rendered feed page
+ */
+export default function Feed() {
+  const [session, setSession] = useState(null) // The current session, null until loaded
+
+  // Load the current session
+  useEffect(() => {
+    fetchSession()
+      .then(setSession)
+      .catch((err) => {
+        console.error("Error fetching session:", err)
+        setSession({ user: null, providers: [] })
+      })
+  }, [])
+
+  return (
+    <div className="fixed inset-0 bg-black">
+      {session && !session.user && (
+        <div className="h-full flex items-center justify-center">
+          <div className="max-w-md text-center py-12 px-6 bg-gray-50 rounded-lg">
+            <p className="text-gray-600 mb-4">Sign in to watch the feed.</p>
+            <Link
+              href="/login"
+              className="inline-block bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-medium transition-colors"
+            >
+              Sign in
+            </Link>
+          </div>
+        </div>
+      )}
+
+      {session?.user && (
+        // useSearchParams needs a Suspense boundary so the page can still be prerendered
+        <Suspense>
+          <ScopedFeed currentUser={session.user} />
+        </Suspense>
+      )}
+    </div>
+  )
+}
+
+/**
+ * The feed for the view or playlist named in the URL, with a link back to where it came from
+ *
+ * @param {Object} props
+ * @param {Object} props.currentUser - The signed-in user
+ * @returns {JSX.Element} The rendered feed
+ */
+function ScopedFeed({ currentUser }) {
+  const searchParams = useSearchParams()
+  const playlistId = searchParams.get("playlist")
+  const scope = searchParams.get("view") === "mine" ? "mine" : "all"
+
+  let backHref = scope === "all" ? "/?view=all" : "/"
+  if (playlistId) backHref = `/playlists/${encodeURIComponent(playlistId)}`
+
+  return (
+    <>
+      <VideoGallery mode="feed" scope={scope} playlistId={playlistId ?? undefined} currentUser={currentUser} />
+      {/* Centered, clear of the product cards and the Shop button in the top corners */}
+      <Link
+        href={backHref}
+        aria-label="Close the feed"
+        className="absolute left-1/2 top-3 z-30 -translate-x-1/2 rounded-full bg-black/50 px-3 py-1 text-sm text-white hover:bg-black/70"
+      >
+        ← Back
+      </Link>
+    </>
+  )
+}
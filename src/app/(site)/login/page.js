@@ -0,0 +1,185 @@
+"use client"
+
+import { Suspense, useEffect, useState } from "react"
+import { useRouter, useSearchParams } from "next/navigation"
+import { fetchSession, oidcSignInUrl, register, signIn } from "../../../lib/auth/client"
+
+/**
+ * Messages for the `error` query parameter set by failed OIDC sign-ins
+ */
+const ERROR_MESSAGES = {
+  oidc: "Single sign-on failed. Please try again.",
+}
+
+/**
+ * Login Page
+ *
+ * Lets users sign in or create an account with an email and password, or sign in
+ * with the configured OIDC provider. Only the providers the server has enabled are shown.
+ *
+ * @returns {JSX.Element} The rendered login page
+ */
+export default function LoginPage() {
+  return (
+    <div className="container mx-auto p-4 min-h-screen">
+      <header className="mb-10 text-center">
+        <h1 className="text-3xl md:text-4xl font-bold text-gray-800 mb-3">
+          <span className="text-blue-600">Tolstoy</span> Video Gallery
+        </h1>
+      </header>
+      {/* useSearchParams needs a Suspense boundary so the page can still be prerendered */}
+      <Suspense>
+        <LoginForm />
+      </Suspense>
+    </div>
+  )
+}
+
+/**
+ * Sign-in and registration form
+ *
+ * @returns {JSX.Element} The rendered form
+ */
+function LoginForm() {
+  const router = useRouter()
+  const searchParams = useSearchParams()
+  const returnTo = searchParams.get("returnTo") || "/"
+
+  const [providers, setProviders] = useState(null) // Providers enabled on the server
+  const [mode, setMode] = useState("signin") // "signin" or "register"
+  const [email, setEmail] = useState("")
+  const [password, setPassword] = useState("")
+  const [name, setName] = useState("")
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(ERROR_MESSAGES[searchParams.get("error")] || null)
+
+  // Skip the form for users who are already signed in
+  useEffect(() => {
+    fetchSession()
+      .then((session) => {
+        if (session.user) {
+          router.replace(returnTo)
+        } else {
+          setProviders(session.providers)
+        }
+      })
+      .catch((err) => {
+        console.error("Error fetching session:", err)
+        setProviders([])
+      })
+  }, [router, returnTo])
+
+  /**
+   * Signs in or registers with the entered credentials
+   *
+   * @param {Event} event - The form submit event
+   */
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    setBusy(true)
+    setError(null)
+    try {
+      if (mode === "register") {
+        await register({ email, password, name: name || undefined })
+      } else {
+        await signIn(email, password)
+      }
+      router.replace(returnTo)
+    } catch (err) {
+      setError(err.message)
+      setBusy(false)
+    }
+  }
+
+  if (!providers) {
+    return (
+      <div className="text-center py-12">
+        <div className="inline-block h-8 w-8 animate-spin rounded-full border-4 border-solid border-blue-600 border-r-transparent"></div>
+      </div>
+    )
+  }
+
+  const credentials = providers.some((provider) => provider.id === "credentials")
+  const oidc = providers.find((provider) => provider.id === "oidc")
+
+  return (
+    <div className="max-w-sm mx-auto p-6 border rounded-lg shadow-lg bg-white">
+      <h2 className="text-xl font-semibold mb-4 text-blue-700">
+        {mode === "register" ? "Create an account" : "Sign in"}
+      </h2>
+
+      {error && <p className="mb-4 text-sm text-red-500">{error}</p>}
+
+      {credentials && (
+        <form onSubmit={handleSubmit} className="space-y-3">
+          {mode === "register" && (
+            <label className="block text-sm font-medium text-gray-700">
+              Name
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                maxLength={100}
+                className="mt-1 w-full border rounded px-2 py-1.5 text-sm font-normal"
+              />
+            </label>
+          )}
+          <label className="block text-sm font-medium text-gray-700">
+            Email
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+              autoComplete="email"
+              className="mt-1 w-full border rounded px-2 py-1.5 text-sm font-normal"
+            />
+          </label>
+          <label className="block text-sm font-medium text-gray-700">
+            Password
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+              minLength={mode === "register" ? 8 : undefined}
+              autoComplete={mode === "register" ? "new-password" : "current-password"}
+              className="mt-1 w-full border rounded px-2 py-1.5 text-sm font-normal"
+            />
+          </label>
+          <button
+            type="submit"
+            disabled={busy}
+            className="w-full bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg disabled:opacity-50 transition-colors font-medium"
+          >
+            {mode === "register" ? "Create account" : "Sign in"}
+          </button>
+          <p className="text-xs text-center text-gray-500">
+            {mode === "register" ? "Already have an account?" : "New here?"}{" "}
+            <button
+              type="button"
+              onClick={() => {
+                setMode(mode === "register" ? "signin" : "register")
+                setError(null)
+              }}
+              className="text-blue-600 hover:text-blue-800"
+            >
+              {mode === "register" ? "Sign in" : "Create an account"}
+            </button>
+          </p>
+        </form>
+      )}
+
+      {oidc && (
+        <a
+          href={oidcSignInUrl(returnTo)}
+          className={`block w-full text-center px-4 py-2 rounded-lg border font-medium text-blue-700 hover:bg-blue-50 transition-colors ${credentials ? "mt-4" : ""}`}
+        >
+          Continue with {oidc.name}
+        </a>
+      )}
+
+      {!credentials && !oidc && <p className="text-sm text-gray-600">Sign-in is currently unavailable.</p>}
+    </div>
+  )
+}
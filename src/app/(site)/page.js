@@ -0,0 +1,171 @@
+"use client"
+
+import { Suspense, useCallback, useEffect, useState } from "react"
+import Link from "next/link"
+import { useSearchParams } from "next/navigation"
+import AccountBar from "../../components/AccountBar"
+import VideoUploader from "../../components/VideoUploader"
+import VideoGallery from "../../components/VideoGallery"
+import { fetchSession } from "../../lib/auth/client"
+
+/**
+ * Gallery views offered on the home page, keyed by the `scope` the API expects
+ */
+const GALLERY_SCOPES = [
+  { id: "mine", label: "My videos" },
+  { id: "all", label: "All videos" },
+]
+
+/**
+ * Home Component
+ *
+ * Main page of the Video Gallery application that integrates
+ * the video uploader and video gallery components. Signed-out visitors
+ * are asked to sign in; signed-in users can switch between their own
+ * videos and everyone's. The chosen view is kept in the URL (`?view=all`).
+ *
+ * @returns {JSX.Element} The rendered home page
+ */
+export default function Home() {
+  // State to track when new videos are uploaded
+  const [refreshTrigger, setRefreshTrigger] = useState(0)
+  const [session, setSession] = useState(null) // The current session, null until loaded
+
+  /**
+   * Loads the current session
+   */
+  const loadSession = useCallback(() => {
+    fetchSession()
+      .then(setSession)
+      .catch((err) => {
+        console.error("Error fetching session:", err)
+        setSession({ user: null, providers: [] })
+      })
+  }, [])
+
+  useEffect(loadSession, [loadSession])
+
+  /**
+   * Handles completion of video uploads
+   * Triggers a refresh of the video gallery to show newly uploaded videos
+   */
+  const handleUploadComplete = () => {
+    setRefreshTrigger((prev) => prev + 1)
+  }
+
+  return (
+    <div className="container mx-auto p-4 min-h-screen">
+      <AccountBar user={session?.user ?? null} onSignedOut={loadSession} />
+
+      {/* Header Section */}
+      <header className="mb-10 text-center">
+        <h1 className="text-3xl md:text-4xl font-bold text-gray-800 mb-3">
+          <span className="text-blue-600">Tolstoy</span> Video Gallery
+        </h1>
+        <p className="text-gray-600 max-w-2xl mx-auto">
+          Upload your videos and watch them in a beautiful carousel gallery. Click on any thumbnail to play the video.
+        </p>
+      </header>
+
+      {/* Sign-in prompt - uploading and browsing need an account */}
+      {session && !session.user && (
+        <div className="max-w-md mx-auto text-center py-12 bg-gray-50 rounded-lg">
+          <p className="text-gray-600 mb-4">Sign in to upload videos and browse the gallery.</p>
+          <Link
+            href="/login"
+            className="inline-block bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-medium transition-colors"
+          >
+            Sign in
+          </Link>
+        </div>
+      )}
+
+      {session?.user && (
+        <>
+          {/* Upload Section */}
+          <section className="mb-12" aria-labelledby="upload-heading">
+            <h2 id="upload-heading" className="text-2xl font-bold text-center mb-6">
+              <span role="img" aria-hidden="true">
+                📤
+              </span>{" "}
+              Video Upload
+            </h2>
+            <VideoUploader onUploadComplete={handleUploadComplete} />
+          </section>
+
+          {/* Gallery Section */}
+          <section aria-labelledby="gallery-heading">
+            <h2 id="gallery-heading" className="text-2xl font-semibold text-center mb-6">
+              <span role="img" aria-hidden="true">
+                📂
+              </span>{" "}
+              Video Gallery
+            </h2>
+            {/* useSearchParams needs a Suspense boundary so the page can still be prerendered */}
+            <Suspense>
+              <ScopedGallery refreshTrigger={refreshTrigger} currentUser={session.user} />
+            </Suspense>
+          </section>
+        </>
+      )}
+
+      {/* Footer */}
+      <footer className="mt-16 text-center text-sm text-gray-500">
+        <p>Tolstoy Video Gallery</p>
+      </footer>
+    </div>
+  )
+}
+
+/**
+ * Gallery view tabs and the gallery itself
+ * The selected view is read from and written to the `view` query parameter.
+ *
+ * @param {Object} props
+ * @param {number} props.refreshTrigger - Value that changes to trigger a refresh of the gallery
+ * @param {Object} props.currentUser - The signed-in user
+ * @returns {JSX.Element} The rendered tabs and gallery
+ */
+function ScopedGallery({ refreshTrigger, currentUser }) {
+  const searchParams = useSearchParams()
+  const view = searchParams.get("view")
+  const scope = GALLERY_SCOPES.some(({ id }) => id === view) ? view : "mine"
+
+  /**
+   * Switches the gallery view, replacing the URL so the view survives a reload
+   *
+   * @param {string} id - The scope to show
+   */
+  const selectScope = (id) => {
+    window.history.replaceState(null, "", id === "mine" ? window.location.pathname : `?view=${id}`)
+  }
+
+  return (
+    <>
+      <div className="flex justify-center gap-2 mb-6" role="tablist" aria-label="Gallery view">
+        {GALLERY_SCOPES.map(({ id, label }) => (
+          <button
+            key={id}
+            type="button"
+            role="tab"
+            aria-selected={scope === id}
+            onClick={() => selectScope(id)}
+            className={`px-4 py-1.5 rounded-full text-sm font-medium transition-colors ${
+              scope === id ? "bg-blue-600 text-white" : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+        <Link
+          href={`/feed?view=${scope}`}
+          className="px-4 py-1.5 rounded-full text-sm font-medium text-blue-600 hover:text-blue-800"
+        >
+          Open feed
+        </Link>
+      </div>
+      <VideoGallery refreshTrigger={refreshTrigger} scope={scope} currentUser={currentUser} />
+    </>
+  )
+}
+
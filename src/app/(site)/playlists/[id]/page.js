@@ -0,0 +1,237 @@
+"use client"
+
+import { Suspense, useCallback, useEffect, useState } from "react"
+import Link from "next/link"
+import { useParams, useRouter } from "next/navigation"
+import AccountBar from "../../../../components/AccountBar"
+import PlaylistEditor from "../../../../components/PlaylistEditor"
+import VideoGallery from "../../../../components/VideoGallery"
+import { fetchSession } from "../../../../lib/auth/client"
+
+/**
+ * PlaylistPage Component
+ *
+ * Plays one playlist in the gallery carousel, moving on to the next video when one
+ * ends. The playlist's owner (or an admin) can also rename it, reorder and remove
+ * its videos, or delete it.
+ *
+ * @returns {JSX.Element} The rendered playlist page
+ */
+export default function PlaylistPage() {
+  const { id } = useParams()
+  const router = useRouter()
+  const [session, setSession] = useState(null) // The current session, null until loaded
+  const [playlist, setPlaylist] = useState(null) // The playlist, null until loaded
+  const [refreshTrigger, setRefreshTrigger] = useState(0) // Changes to reload the gallery after edits
+  const [editing, setEditing] = useState(false) // Whether the details form is open
+  const [name, setName] = useState("") // Name in the details form
+  const [description, setDescription] = useState("") // Description in the details form
+  const [busy, setBusy] = useState(false) // Whether a change is being saved
+  const [error, setError] = useState(null) // Message from the last failed request
+
+  /**
+   * Loads the current session
+   */
+  const loadSession = useCallback(() => {
+    fetchSession()
+      .then(setSession)
+      .catch((err) => {
+        console.error("Error fetching session:", err)
+        setSession({ user: null, providers: [] })
+      })
+  }, [])
+
+  useEffect(loadSession, [loadSession])
+
+  // Load the playlist once signed in
+  useEffect(() => {
+    if (!session?.user) return
+    fetch(`/api/playlists/${id}`)
+      .then(async (res) => {
+        const data = await res.json()
+        if (!res.ok) throw new Error(data.error || `HTTP Error: ${res.status}`)
+        setPlaylist(data)
+      })
+      .catch((err) => {
+        console.error("Error fetching playlist:", err)
+        setError(err.message)
+      })
+  }, [id, session])
+
+  const user = session?.user ?? null
+  const canManage = Boolean(user && playlist && (user.isAdmin || playlist.ownerId === user.id))
+
+  /**
+   * Opens the details form with the current name and description
+   */
+  const startEditing = () => {
+    setName(playlist.name)
+    setDescription(playlist.description)
+    setEditing(true)
+  }
+
+  /**
+   * Saves the playlist's name and description
+   *
+   * @param {Event} event - The form submit event
+   */
+  const handleSave = async (event) => {
+    event.preventDefault()
+    setBusy(true)
+    setError(null)
+    try {
+      const res = await fetch(`/api/playlists/${id}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ name, description }),
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || `HTTP Error: ${res.status}`)
+      setPlaylist(data)
+      setEditing(false)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  /**
+   * Deletes the playlist after confirmation and goes back to the list
+   */
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the playlist "${playlist.name}"? Its videos are kept.`)) return
+    setBusy(true)
+    setError(null)
+    try {
+      const res = await fetch(`/api/playlists/${id}`, { method: "DELETE" })
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}))
+        throw new Error(data.error || `HTTP Error: ${res.status}`)
+      }
+      router.push("/playlists")
+    } catch (err) {
+      setError(err.message)
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="container mx-auto p-4 min-h-screen">
+      <AccountBar user={user} onSignedOut={loadSession} />
+
+      {session && !user && (
+        <div className="max-w-md mx-auto text-center py-12 bg-gray-50 rounded-lg">
+          <p className="text-gray-600 mb-4">Sign in to watch this playlist.</p>
+          <Link
+            href="/login"
+            className="inline-block bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-medium transition-colors"
+          >
+            Sign in
+          </Link>
+        </div>
+      )}
+
+      {user && !playlist && error && (
+        <p className="text-center py-12 bg-gray-50 rounded-lg text-red-500">
+          {error}.{" "}
+          <Link href="/playlists" className="text-blue-600 hover:text-blue-800">
+            Back to the playlists
+          </Link>
+        </p>
+      )}
+
+      {user && playlist && (
+        <>
+          <header className="mb-10 text-center">
+            <p className="mb-2 text-sm">
+              <Link href="/playlists" className="text-blue-600 hover:text-blue-800">
+                ← Playlists
+              </Link>
+            </p>
+            {editing ? (
+              <form onSubmit={handleSave} className="max-w-xl mx-auto space-y-2">
+                <input
+                  type="text"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  maxLength={100}
+                  aria-label="Playlist name"
+                  className="w-full border rounded-lg px-3 py-2"
+                />
+                <textarea
+                  value={description}
+                  onChange={(e) => setDescription(e.target.value)}
+                  maxLength={1000}
+                  rows={3}
+                  placeholder="Description (optional)"
+                  aria-label="Playlist description"
+                  className="w-full border rounded-lg px-3 py-2 text-sm"
+                />
+                <div className="flex justify-center gap-3 text-sm">
+                  <button
+                    type="submit"
+                    disabled={busy || !name.trim()}
+                    className="font-medium text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                  >
+                    {busy ? "Saving..." : "Save"}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setEditing(false)}
+                    disabled={busy}
+                    className="text-gray-500 hover:text-gray-700 disabled:opacity-50"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <>
+                <h1 className="text-3xl md:text-4xl font-bold text-gray-800 mb-3">{playlist.name}</h1>
+                {playlist.description && (
+                  <p className="text-gray-600 max-w-2xl mx-auto whitespace-pre-line">{playlist.description}</p>
+                )}
+                <p className="mt-2 text-sm">
+                  <Link href={`/feed?playlist=${id}`} className="text-blue-600 hover:text-blue-800">
+                    Play as a feed
+                  </Link>
+                </p>
+                {canManage && (
+                  <div className="mt-3 flex justify-center gap-3 text-sm">
+                    <button type="button" onClick={startEditing} className="text-blue-600 hover:text-blue-800">
+                      Edit details
+                    </button>
+                    <button
+                      type="button"
+                      onClick={handleDelete}
+                      disabled={busy}
+                      className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                    >
+                      Delete playlist
+                    </button>
+                  </div>
+                )}
+              </>
+            )}
+            {error && <p className="mt-2 text-sm text-red-500">{error}</p>}
+          </header>
+
+          {/* useSearchParams needs a Suspense boundary so the page can still be prerendered */}
+          <Suspense>
+            <VideoGallery playlistId={id} currentUser={user} refreshTrigger={refreshTrigger} />
+          </Suspense>
+
+          {canManage && (
+            <section className="mt-12 max-w-2xl mx-auto" aria-labelledby="order-heading">
+              <h2 id="order-heading" className="text-xl font-semibold mb-4">
+                Videos
+              </h2>
+              <PlaylistEditor playlistId={id} onChanged={() => setRefreshTrigger((prev) => prev + 1)} />
+            </section>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,157 @@
+"use client"
+
+import { useCallback, useEffect, useState } from "react"
+import Link from "next/link"
+import AccountBar from "../../../components/AccountBar"
+import { fetchSession } from "../../../lib/auth/client"
+
+/**
+ * Playlists Component
+ *
+ * Lists every playlist with its size and owner, and lets signed-in users create
+ * new ones. Each playlist opens on its own page (`/playlists/:id`).
+ *
+ * @returns {JSX.Element} The rendered playlists page
+ */
+export default function Playlists() {
+  const [session, setSession] = useState(null) // The current session, null until loaded
+  const [playlists, setPlaylists] = useState(null) // Every playlist, null until loaded
+  const [name, setName] = useState("") // Name of the playlist being created
+  const [creating, setCreating] = useState(false) // Whether a playlist is being created
+  const [error, setError] = useState(null) // Message from the last failed request
+
+  /**
+   * Loads the current session
+   */
+  const loadSession = useCallback(() => {
+    fetchSession()
+      .then(setSession)
+      .catch((err) => {
+        console.error("Error fetching session:", err)
+        setSession({ user: null, providers: [] })
+      })
+  }, [])
+
+  useEffect(loadSession, [loadSession])
+
+  // Load the playlists once signed in
+  useEffect(() => {
+    if (!session?.user) return
+    fetch("/api/playlists")
+      .then((res) => res.json())
+      .then((data) => setPlaylists(data.items))
+      .catch((err) => {
+        console.error("Error fetching playlists:", err)
+        setError("Failed to load playlists")
+      })
+  }, [session])
+
+  /**
+   * Creates a playlist and adds it to the top of the list
+   *
+   * @param {Event} event - The form submit event
+   */
+  const handleCreate = async (event) => {
+    event.preventDefault()
+    setCreating(true)
+    setError(null)
+    try {
+      const res = await fetch("/api/playlists", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ name }),
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || `HTTP Error: ${res.status}`)
+      setPlaylists((prev) => [data, ...(prev ?? [])])
+      setName("")
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setCreating(false)
+    }
+  }
+
+  return (
+    <div className="container mx-auto p-4 min-h-screen">
+      <AccountBar user={session?.user ?? null} onSignedOut={loadSession} />
+
+      <header className="mb-10 text-center">
+        <h1 className="text-3xl md:text-4xl font-bold text-gray-800 mb-3">Playlists</h1>
+        <p className="text-gray-600 max-w-2xl mx-auto">
+          Collect videos into playlists that play one after another.{" "}
+          <Link href="/" className="text-blue-600 hover:text-blue-800">
+            Back to the gallery
+          </Link>
+        </p>
+      </header>
+
+      {session && !session.user && (
+        <div className="max-w-md mx-auto text-center py-12 bg-gray-50 rounded-lg">
+          <p className="text-gray-600 mb-4">Sign in to browse and create playlists.</p>
+          <Link
+            href="/login"
+            className="inline-block bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-medium transition-colors"
+          >
+            Sign in
+          </Link>
+        </div>
+      )}
+
+      {session?.user && (
+        <div className="max-w-2xl mx-auto">
+          <form onSubmit={handleCreate} className="flex gap-2 mb-6">
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              maxLength={100}
+              placeholder="New playlist name"
+              aria-label="New playlist name"
+              className="flex-1 min-w-0 border rounded-lg px-3 py-2 text-sm"
+            />
+            <button
+              type="submit"
+              disabled={creating || !name.trim()}
+              className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium disabled:opacity-50 transition-colors"
+            >
+              {creating ? "Creating..." : "Create"}
+            </button>
+          </form>
+
+          {error && <p className="mb-4 text-sm text-red-500">{error}</p>}
+
+          {playlists?.length === 0 && (
+            <p className="text-center py-12 bg-gray-50 rounded-lg text-gray-600">
+              No playlists yet. Create the first one!
+            </p>
+          )}
+
+          {playlists?.length > 0 && (
+            <ul className="divide-y rounded-lg border bg-white">
+              {playlists.map((playlist) => (
+                <li key={playlist.id}>
+                  <Link
+                    href={`/playlists/${playlist.id}`}
+                    className="flex items-center justify-between gap-4 px-4 py-3 hover:bg-gray-50"
+                  >
+                    <span className="min-w-0">
+                      <span className="block font-medium text-gray-800 truncate">{playlist.name}</span>
+                      {playlist.description && (
+                        <span className="block text-sm text-gray-500 truncate">{playlist.description}</span>
+                      )}
+                    </span>
+                    <span className="shrink-0 text-xs text-gray-500">
+                      {playlist.videoCount} video{playlist.videoCount !== 1 ? "s" : ""}
+                      {playlist.ownerId === session.user.id && " · yours"}
+                    </span>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,174 @@
+import { cache } from "react"
+import Link from "next/link"
+import { notFound } from "next/navigation"
+import HlsVideo from "../../../../components/HlsVideo"
+import ShareButton from "../../../../components/ShareButton"
+import { getPageOrigin } from "../../../../lib/app-url"
+import { getCurrentUser } from "../../../../lib/auth"
+import { canWatchVideo, visibilityOf } from "../../../../lib/videos/access"
+import { playbackUrlsFor } from "../../../../lib/videos/playback"
+import { getVideo } from "../../../../lib/videos/repository"
+import { serializeVideo } from "../../../../lib/videos/serialize"
+
+/**
+ * Loads a video the current visitor may watch
+ * Cached per request, so the metadata and the page share one lookup.
+ *
+ * @param {string} id - The video ID
+ * @returns {Promise<Object|null>} The video record, or null when it doesn't exist or is private to someone else
+ */
+const loadVideo = cache(async (id) => {
+  const video = await getVideo(id)
+  if (!video) return null
+  return canWatchVideo(await getCurrentUser(), video) ? video : null
+})
+
+/**
+ * Formats a duration in seconds as "m:ss" (or "h:mm:ss")
+ *
+ * @param {number} seconds - The duration
+ * @returns {string} The formatted duration
+ */
+function formatDuration(seconds) {
+  const total = Math.round(seconds)
+  const hours = Math.floor(total / 3600)
+  const minutes = Math.floor((total % 3600) / 60)
+  const secs = String(total % 60).padStart(2, "0")
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, "0")}:${secs}` : `${minutes}:${secs}`
+}
+
+const PREVIEW_DESCRIPTION_LENGTH = 200 // Link previews cut longer descriptions short
+
+/**
+ * Describes a video's length and upload date
+ *
+ * @param {Object} video - The video record
+ * @returns {string} A one-line description
+ */
+function describe(video) {
+  const uploaded = new Date(video.createdAt).toLocaleDateString("en-US", { dateStyle: "medium" })
+  return video.duration ? `${formatDuration(video.duration)} video uploaded ${uploaded}` : `Video uploaded ${uploaded}`
+}
+
+/**
+ * Builds the page title and the Open Graph and Twitter card metadata from the video
+ * Link previews use the stored thumbnail. Only public videos may be indexed.
+ *
+ * @param {Object} props
+ * @param {Promise<{id: string}>} props.params - The video ID
+ * @returns {Promise<Object>} The page metadata
+ */
+export async function generateMetadata({ params }) {
+  const { id } = await params
+  const video = await loadVideo(id)
+  if (!video) return { title: "Video not found" }
+
+  const origin = await getPageOrigin()
+  const url = `${origin}/videos/${video.id}`
+  const title = video.title || video.name
+  const description = video.description
+    ? video.description.replace(/\s+/g, " ").slice(0, PREVIEW_DESCRIPTION_LENGTH)
+    : describe(video)
+  const { thumbnailUrl, videoUrl } = playbackUrlsFor(video)
+  const isPublic = visibilityOf(video) === "public"
+  const isPrivate = visibilityOf(video) === "private"
+
+  return {
+    metadataBase: new URL(origin),
+    title: `${title} | Video Gallery`,
+    description,
+    alternates: {
+      canonical: url,
+      // Lets oEmbed consumers discover the embed code from the page link
+      types: isPrivate
+        ? undefined
+        : { "application/json+oembed": `${origin}/api/oembed?url=${encodeURIComponent(url)}` },
+    },
+    robots: isPublic ? undefined : { index: false, follow: false },
+    openGraph: {
+      type: "video.other",
+      siteName: "Tolstoy Video Gallery",
+      url,
+      title,
+      description,
+      images: thumbnailUrl ? [{ url: thumbnailUrl, alt: `Thumbnail for ${title}` }] : undefined,
+      // Signed links expire, so only videos anyone can watch advertise their file
+      videos: isPublic
+        ? [{ url: new URL(videoUrl, origin).href, type: video.contentType, width: video.width, height: video.height }]
+        : undefined,
+    },
+    twitter: {
+      card: thumbnailUrl ? "summary_large_image" : "summary",
+      title,
+      description,
+      images: thumbnailUrl ? [thumbnailUrl] : undefined,
+    },
+  }
+}
+
+/**
+ * Video Page
+ *
+ * A server-rendered page for a single video, so a video can be linked to and shared.
+ * Anyone can open public and unlisted videos; private ones only exist for their owner.
+ *
+ * @param {Object} props
+ * @param {Promise<{id: string}>} props.params - The video ID
+ * @returns {Promise<JSX.Element>} The rendered page
+ */
+export default async function VideoPage({ params }) {
+  const { id } = await params
+  const video = await loadVideo(id)
+  if (!video) notFound()
+
+  const title = video.title || video.name
+  const serialized = serializeVideo(video)
+  const playback = playbackUrlsFor(video)
+
+  return (
+    <div className="container mx-auto p-4 min-h-screen">
+      <nav className="mb-6 text-sm">
+        <Link href={`/?video=${video.id}`} className="text-blue-600 hover:text-blue-800 font-medium">
+          ← Back to the gallery
+        </Link>
+      </nav>
+
+      <main className="max-w-4xl mx-auto">
+        <HlsVideo
+          video={{ ...serialized, ...playback }}
+          controls
+          playsInline
+          poster={playback.thumbnailUrl ?? undefined}
+          className="w-full aspect-video bg-black rounded-lg shadow-lg"
+        />
+
+        <div className="mt-4 flex items-start justify-between gap-4">
+          <div className="min-w-0">
+            <h1 className="text-2xl font-bold text-gray-800 break-words">{title}</h1>
+            <p className="mt-1 text-sm text-gray-500">{describe(video)}</p>
+          </div>
+          <ShareButton video={serialized} className="shrink-0 text-sm font-medium" />
+        </div>
+
+        {serialized.tags.length > 0 && (
+          <ul className="mt-3 flex flex-wrap gap-2" aria-label="Tags">
+            {serialized.tags.map((tag) => (
+              <li key={tag}>
+                <Link
+                  href={`/?view=all&tags=${encodeURIComponent(tag)}`}
+                  className="inline-block px-2 py-0.5 rounded-full bg-gray-100 text-xs text-gray-700 hover:bg-gray-200"
+                >
+                  #{tag}
+                </Link>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {serialized.description && (
+          <p className="mt-4 text-gray-700 whitespace-pre-line break-words">{serialized.description}</p>
+        )}
+      </main>
+    </div>
+  )
+}
@@ -0,0 +1,118 @@
+/**
+ * API Route for Playback Analytics
+ *
+ * Ingests the viewing events reported by the gallery's players, and serves the
+ * analytics dashboard (see `lib/analytics/repository`). Anyone who can watch a video
+ * can report events for it, signed in or not; events for videos that don't exist or
+ * that the sender can't watch, and clicks on products the video doesn't have, are
+ * dropped. Stats are only shown to the people who manage the videos: their owners,
+ * and admins.
+ */
+import {
+  ANALYTICS_ERROR_STATUS,
+  getVideoStats,
+  recordEvents,
+  summarizeStats,
+  validateEvents,
+} from "@/lib/analytics/repository"
+import { AUTH_ERROR_STATUS, canManageVideo, getCurrentUser, requireUser } from "@/lib/auth"
+import { canWatchVideo } from "@/lib/videos/access"
+import { getVideo, listVideos } from "@/lib/videos/repository"
+import { serializeVideo } from "@/lib/videos/serialize"
+
+/**
+ * GET handler for the analytics of the videos the signed-in user manages
+ *
+ * @param {Request} req - The incoming request
+ * @returns {Response} JSON response with `{ items, totals }` or an error message. Each item is
+ *   `{ video, impressions, views, playRate, watchSeconds, averageWatchSeconds, completionRate, retention, clicks,
+ *   products }`, most viewed first, where `products` lists the video's products with their `clicks`
+ */
+export async function GET(req) {
+  try {
+    const user = await requireUser()
+    const videos = (await listVideos()).filter((video) => canManageVideo(user, video))
+    const stats = await getVideoStats(videos.map((video) => video.id))
+
+    const items = videos
+      .map((video) => {
+        const { id, title, name, thumbnailUrl, visibility, duration, createdAt, products } = serializeVideo(video)
+        const { productClicks, ...summary } = summarizeStats(stats.get(video.id))
+        return {
+          video: { id, title, name, thumbnailUrl, visibility, duration, createdAt },
+          ...summary,
+          products: products.map((product) => ({
+            id: product.id,
+            title: product.title,
+            clicks: productClicks[product.id] ?? 0,
+          })),
+        }
+      })
+      .sort((a, b) => b.views - a.views || b.impressions - a.impressions)
+
+    const views = items.reduce((total, item) => total + item.views, 0)
+    const watchSeconds = items.reduce((total, item) => total + item.watchSeconds, 0)
+    const totals = {
+      videos: items.length,
+      impressions: items.reduce((total, item) => total + item.impressions, 0),
+      views,
+      watchSeconds,
+      clicks: items.reduce((total, item) => total + item.clicks, 0),
+      averageWatchSeconds: views > 0 ? Math.round(watchSeconds / views) : 0,
+    }
+
+    return Response.json({ items, totals })
+  } catch (error) {
+    if (AUTH_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: AUTH_ERROR_STATUS[error.code] })
+    }
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to fetch analytics" }, { status: 500 })
+  }
+}
+
+/**
+ * POST handler for reporting a batch of viewing events
+ * Also accepts bodies sent with `navigator.sendBeacon`, which can't set a content type.
+ *
+ * @param {Request} req - The incoming request with a JSON body `{ events }`
+ * @returns {Response} JSON response with `{ accepted }`, the number of events kept (202), or an error message
+ */
+export async function POST(req) {
+  let body
+  try {
+    body = JSON.parse(await req.text())
+  } catch {
+    return Response.json({ error: "Request body must be JSON" }, { status: 400 })
+  }
+
+  try {
+    const events = validateEvents(body?.events)
+
+    const user = await getCurrentUser()
+    const videosById = new Map()
+    for (const videoId of new Set(events.map((event) => event.videoId))) {
+      const video = await getVideo(videoId)
+      if (video && canWatchVideo(user, video)) {
+        videosById.set(videoId, video)
+      }
+    }
+
+    const accepted = events.filter(
+      (event) =>
+        videosById.has(event.videoId) &&
+        (event.type !== "click" ||
+          (videosById.get(event.videoId).products ?? []).some((product) => product.id === event.productId)),
+    )
+    if (accepted.length > 0) {
+      recordEvents(accepted, videosById)
+    }
+    return Response.json({ accepted: accepted.length }, { status: 202 })
+  } catch (error) {
+    if (ANALYTICS_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message }, { status: ANALYTICS_ERROR_STATUS[error.code] })
+    }
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to record events" }, { status: 500 })
+  }
+}
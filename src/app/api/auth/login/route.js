@@ -0,0 +1,33 @@
+/**
+ * API Route for Password Sign-In
+ *
+ * Checks an email and password with the credentials provider and sets the session cookie.
+ */
+import { AUTH_ERROR_STATUS, authError, isProviderEnabled, startSession } from "@/lib/auth"
+import { serializeUser, verifyCredentials } from "@/lib/auth/users"
+
+/**
+ * POST handler for signing in
+ *
+ * @param {Request} req - The incoming request with a JSON body `{ email, password }`
+ * @returns {Response} JSON response with the user, or `{ error, code }`
+ */
+export async function POST(req) {
+  try {
+    if (!isProviderEnabled("credentials")) {
+      throw authError("PROVIDER_DISABLED", "Password sign-in is disabled")
+    }
+
+    const body = await req.json().catch(() => null)
+    const user = await verifyCredentials(body?.email, body?.password)
+    await startSession(user)
+
+    return Response.json(serializeUser(user))
+  } catch (error) {
+    if (AUTH_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: AUTH_ERROR_STATUS[error.code] })
+    }
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to sign in" }, { status: 500 })
+  }
+}
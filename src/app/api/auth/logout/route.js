@@ -0,0 +1,16 @@
+/**
+ * API Route for Signing Out
+ *
+ * Clears the session cookie.
+ */
+import { endSession } from "@/lib/auth"
+
+/**
+ * POST handler for signing out
+ *
+ * @returns {Response} Empty 204 response
+ */
+export async function POST() {
+  await endSession()
+  return new Response(null, { status: 204 })
+}
@@ -0,0 +1,85 @@
+/**
+ * API Route for the Mock OIDC Issuer
+ *
+ * Serves the development identity provider described in `lib/auth/mock-oidc.js`:
+ *
+ * - `GET  .well-known/openid-configuration`  discovery document
+ * - `GET  authorize`                         sign-in form
+ * - `POST authorize`                         issues a code and redirects back to the client
+ * - `POST token`                             exchanges the code for an ID token
+ */
+import { getAppOrigin } from "@/lib/app-url"
+import {
+  MOCK_ISSUER_PATH,
+  exchangeMockCode,
+  isMockOidcEnabled,
+  issueMockCode,
+  mockDiscovery,
+  renderMockSignIn,
+} from "@/lib/auth/mock-oidc"
+
+/**
+ * Responds with 404 for paths the issuer doesn't serve (or when it is disabled)
+ *
+ * @returns {Response} The 404 response
+ */
+function notFound() {
+  return Response.json({ error: "Not found" }, { status: 404 })
+}
+
+/**
+ * GET handler for discovery and the sign-in form
+ *
+ * @param {Request} req - The incoming request
+ * @param {Object} context
+ * @param {Promise<{path: string[]}>} context.params - The path below the issuer
+ * @returns {Response} The discovery document or sign-in page
+ */
+export async function GET(req, { params }) {
+  if (!isMockOidcEnabled()) return notFound()
+  const route = (await params).path.join("/")
+
+  if (route === ".well-known/openid-configuration") {
+    return Response.json(mockDiscovery(`${getAppOrigin(req)}${MOCK_ISSUER_PATH}`))
+  }
+  if (route === "authorize") {
+    return new Response(renderMockSignIn(new URL(req.url).searchParams), {
+      headers: { "Content-Type": "text/html; charset=utf-8" },
+    })
+  }
+  return notFound()
+}
+
+/**
+ * POST handler for the sign-in form and the token endpoint
+ *
+ * @param {Request} req - The incoming request with form-encoded fields
+ * @param {Object} context
+ * @param {Promise<{path: string[]}>} context.params - The path below the issuer
+ * @returns {Response} A redirect back to the client, or the token response
+ */
+export async function POST(req, { params }) {
+  if (!isMockOidcEnabled()) return notFound()
+  const route = (await params).path.join("/")
+  const form = new URLSearchParams(await req.text())
+
+  if (route === "authorize") {
+    try {
+      return Response.redirect(issueMockCode(form), 302)
+    } catch (error) {
+      return Response.json({ error: error.message }, { status: 400 })
+    }
+  }
+  if (route === "token") {
+    try {
+      const issuer = `${getAppOrigin(req)}${MOCK_ISSUER_PATH}`
+      return Response.json(exchangeMockCode(issuer, form, req.headers.get("authorization")), {
+        headers: { "Cache-Control": "no-store" },
+      })
+    } catch (error) {
+      if (!error.oauthError) throw error
+      return Response.json({ error: error.oauthError }, { status: error.oauthError === "invalid_client" ? 401 : 400 })
+    }
+  }
+  return notFound()
+}
@@ -0,0 +1,44 @@
+/**
+ * API Route for Finishing OIDC Sign-In
+ *
+ * The provider redirects here with an authorization code. The code is exchanged for an
+ * ID token, the matching user is found (or created) and the session cookie is set.
+ */
+import { cookies } from "next/headers"
+import { getAppOrigin } from "@/lib/app-url"
+import { startSession } from "@/lib/auth"
+import { FLOW_COOKIE, FLOW_COOKIE_PATH, completeOidcLogin, getOidcConfig } from "@/lib/auth/oidc"
+import { findOrCreateOidcUser } from "@/lib/auth/users"
+
+/**
+ * GET handler for the provider's redirect
+ *
+ * @param {Request} req - The incoming request
+ * @returns {Response} A redirect to the page the sign-in started from, or to the login page on failure
+ */
+export async function GET(req) {
+  const origin = getAppOrigin(req)
+  const cookieStore = await cookies()
+
+  try {
+    const config = getOidcConfig(origin)
+    if (!config) {
+      return Response.json({ error: "OIDC sign-in is disabled", code: "PROVIDER_DISABLED" }, { status: 404 })
+    }
+
+    const { identity, returnTo } = await completeOidcLogin(
+      config,
+      origin,
+      new URL(req.url).searchParams,
+      cookieStore.get(FLOW_COOKIE)?.value,
+    )
+    await startSession(await findOrCreateOidcUser(identity))
+    cookieStore.delete({ name: FLOW_COOKIE, path: FLOW_COOKIE_PATH })
+
+    return Response.redirect(`${origin}${returnTo}`, 302)
+  } catch (error) {
+    console.error("Error:", error)
+    cookieStore.delete({ name: FLOW_COOKIE, path: FLOW_COOKIE_PATH })
+    return Response.redirect(`${origin}/login?error=oidc`, 302)
+  }
+}
@@ -0,0 +1,51 @@
+/**
+ * API Route for Starting OIDC Sign-In
+ *
+ * Redirects the browser to the OIDC provider's sign-in page. The `returnTo` query
+ * parameter (a path on this site) is where the callback sends the user afterwards.
+ */
+import { cookies } from "next/headers"
+import { getAppOrigin } from "@/lib/app-url"
+import { FLOW_COOKIE, FLOW_COOKIE_PATH, FLOW_MAX_AGE, beginOidcLogin, getOidcConfig } from "@/lib/auth/oidc"
+
+/**
+ * Keeps only same-site paths, so the sign-in can't be used to redirect elsewhere
+ *
+ * @param {string|null} value - The requested path
+ * @returns {string} The path, or "/" when it isn't a plain site path
+ */
+function safeReturnTo(value) {
+  return value && value.startsWith("/") && !value.startsWith("//") && !value.startsWith("/\\") ? value : "/"
+}
+
+/**
+ * GET handler for starting a sign-in
+ *
+ * @param {Request} req - The incoming request
+ * @returns {Response} A redirect to the provider, or to the login page when OIDC is unavailable
+ */
+export async function GET(req) {
+  const origin = getAppOrigin(req)
+
+  try {
+    const config = getOidcConfig(origin)
+    if (!config) {
+      return Response.json({ error: "OIDC sign-in is disabled", code: "PROVIDER_DISABLED" }, { status: 404 })
+    }
+
+    const returnTo = safeReturnTo(new URL(req.url).searchParams.get("returnTo"))
+    const { url, flow } = await beginOidcLogin(config, origin, returnTo)
+    ;(await cookies()).set(FLOW_COOKIE, flow, {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: process.env.NODE_ENV === "production",
+      path: FLOW_COOKIE_PATH,
+      maxAge: FLOW_MAX_AGE,
+    })
+
+    return Response.redirect(url, 302)
+  } catch (error) {
+    console.error("Error:", error)
+    return Response.redirect(`${origin}/login?error=oidc`, 302)
+  }
+}
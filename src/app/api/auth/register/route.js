@@ -0,0 +1,34 @@
+/**
+ * API Route for Creating an Account
+ *
+ * Registers an email and password account with the credentials provider and signs
+ * the new user in.
+ */
+import { AUTH_ERROR_STATUS, authError, isProviderEnabled, startSession } from "@/lib/auth"
+import { createUser, serializeUser } from "@/lib/auth/users"
+
+/**
+ * POST handler for registration
+ *
+ * @param {Request} req - The incoming request with a JSON body `{ email, password, name }`
+ * @returns {Response} 201 JSON response with the user, or `{ error, code }`
+ */
+export async function POST(req) {
+  try {
+    if (!isProviderEnabled("credentials")) {
+      throw authError("PROVIDER_DISABLED", "Password sign-in is disabled")
+    }
+
+    const body = await req.json().catch(() => null)
+    const user = await createUser({ email: body?.email, password: body?.password, name: body?.name || undefined })
+    await startSession(user)
+
+    return Response.json(serializeUser(user), { status: 201 })
+  } catch (error) {
+    if (AUTH_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: AUTH_ERROR_STATUS[error.code] })
+    }
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to create account" }, { status: 500 })
+  }
+}
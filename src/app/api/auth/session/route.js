@@ -0,0 +1,34 @@
+/**
+ * API Route for the Current Session
+ *
+ * Tells the client who is signed in and which sign-in providers are available.
+ */
+import { getAppOrigin } from "@/lib/app-url"
+import { getCurrentUser, isProviderEnabled } from "@/lib/auth"
+import { getOidcConfig } from "@/lib/auth/oidc"
+import { serializeUser } from "@/lib/auth/users"
+
+/**
+ * GET handler for the session
+ *
+ * @param {Request} req - The incoming request
+ * @returns {Response} JSON response with `{ user, providers }`; `user` is null when signed out
+ */
+export async function GET(req) {
+  try {
+    const user = await getCurrentUser()
+    const oidc = getOidcConfig(getAppOrigin(req))
+
+    const providers = []
+    if (isProviderEnabled("credentials")) providers.push({ id: "credentials", name: "Email and password" })
+    if (oidc) providers.push({ id: "oidc", name: oidc.name })
+
+    return Response.json(
+      { user: user ? serializeUser(user) : null, providers },
+      { headers: { "Cache-Control": "no-store" } },
+    )
+  } catch (error) {
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to fetch session" }, { status: 500 })
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * API Route for Local Storage Files
+ *
+ * Serves blobs written by the local filesystem storage driver, with byte-range
+ * support so the browser can seek within videos. Responds with 404 when another
+ * storage driver is configured, since those serve their own URLs. Files of private
+ * videos are never served here; they are only reachable through `/api/media`.
+ */
+import { getStorage } from "@/lib/storage"
+import { serveStoredFile } from "@/lib/storage/serve"
+import { isPrivateVideo } from "@/lib/videos/access"
+import { findVideoByPathname } from "@/lib/videos/repository"
+
+/**
+ * GET handler for local storage files
+ *
+ * @param {Request} req - The incoming request
+ * @param {Object} context
+ * @param {Promise<{path: string[]}>} context.params - The pathname segments of the requested file
+ * @returns {Response} The file contents, a partial range, or an error response
+ */
+export async function GET(req, { params }) {
+  const storage = getStorage()
+  if (storage.name !== "local") {
+    return Response.json({ error: "Not found" }, { status: 404 })
+  }
+
+  const { path } = await params
+  // Next has already decoded the segments; decoding again would let "%252E%252E" turn into ".."
+  const pathname = path.join("/")
+
+  // Dot segments would make the private check and the file read see different paths
+  if (path.some((segment) => segment === "" || segment === "." || segment === "..")) {
+    return Response.json({ error: "Not found" }, { status: 404 })
+  }
+
+  try {
+    const video = await findVideoByPathname(pathname)
+    if (video && isPrivateVideo(video)) {
+      return Response.json({ error: "Not found" }, { status: 404 })
+    }
+
+    return await serveStoredFile(req, pathname, { cacheControl: "public, max-age=31536000, immutable" })
+  } catch (error) {
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to read file" }, { status: 500 })
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * API Route for Importing Videos from a URL
+ *
+ * Adds a video hosted elsewhere: the URL is checked, then an "import" job is queued
+ * that downloads the file and runs it through the same pipeline as `/api/upload`
+ * (validation, storage, thumbnails, metadata record and HLS transcoding). The URL
+ * must point straight at a video file on a public host (see `lib/videos/import`).
+ * Only signed-in users can import, and the video is recorded as theirs.
+ */
+import { AUTH_ERROR_STATUS, requireUser } from "@/lib/auth"
+import { createJob, serializeJob } from "@/lib/jobs"
+import { VISIBILITIES, defaultVisibility } from "@/lib/videos/access"
+import { DETAILS_ERROR_STATUS, validateVideoDetails } from "@/lib/videos/details"
+import { IMPORT_ERROR_STATUS, checkImportUrl } from "@/lib/videos/import"
+
+/**
+ * POST handler for imports
+ *
+ * @param {Request} req - The incoming request with a JSON body `{ url, visibility, title, description, tags }`;
+ *   all but `url` are optional
+ * @returns {Response} 202 JSON response with the queued job, or `{ error, code }` when the URL is refused
+ */
+export async function POST(req) {
+  try {
+    const user = await requireUser()
+
+    let body
+    try {
+      body = await req.json()
+    } catch {
+      return Response.json({ error: "Request body must be JSON" }, { status: 400 })
+    }
+
+    const visibility = body?.visibility || defaultVisibility()
+    if (!VISIBILITIES.includes(visibility)) {
+      return Response.json({ error: `visibility must be one of: ${VISIBILITIES.join(", ")}` }, { status: 400 })
+    }
+    const details = validateVideoDetails({ title: body?.title, description: body?.description, tags: body?.tags })
+
+    // Private hosts are refused here already; the download checks every address it connects to again
+    const url = await checkImportUrl(body?.url)
+
+    const job = await createJob("import", { url: url.href, ownerId: user.id, visibility, details })
+    return Response.json(serializeJob(job), { status: 202, headers: { Location: `/api/jobs/${job.id}` } })
+  } catch (error) {
+    if (AUTH_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: AUTH_ERROR_STATUS[error.code] })
+    }
+    if (IMPORT_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: IMPORT_ERROR_STATUS[error.code] })
+    }
+    if (DETAILS_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message }, { status: DETAILS_ERROR_STATUS[error.code] })
+    }
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to import video" }, { status: 500 })
+  }
+}
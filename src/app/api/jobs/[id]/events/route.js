@@ -0,0 +1,78 @@
+/**
+ * API Route for Streaming Job Updates
+ *
+ * Server-sent events for one processing job: a `job` event carrying the serialized job
+ * is sent straight away and after every change, and the stream closes once the job has
+ * finished. Comments are sent periodically so proxies don't drop an idle connection.
+ */
+import { AUTH_ERROR_STATUS, requireUser } from "@/lib/auth"
+import { canViewJob, getJob, isJobFinished, serializeJob, subscribeToJob } from "@/lib/jobs"
+
+const HEARTBEAT_INTERVAL = 15000 // Milliseconds between keep-alive comments
+
+/**
+ * GET handler for the event stream
+ *
+ * @param {Request} req - The incoming request
+ * @param {Object} context
+ * @param {Promise<{id: string}>} context.params - The job ID
+ * @returns {Response} A `text/event-stream` response, or a JSON error message
+ */
+export async function GET(req, { params }) {
+  const { id } = await params
+
+  try {
+    const user = await requireUser()
+    const job = await getJob(id)
+    if (!job || !canViewJob(user, job)) {
+      return Response.json({ error: "Job not found" }, { status: 404 })
+    }
+
+    const encoder = new TextEncoder()
+    let cleanup = () => {}
+
+    const stream = new ReadableStream({
+      start(controller) {
+        /**
+         * Sends a job update, ending the stream once the job has finished
+         *
+         * @param {Object} update - The current job record
+         */
+        const send = (update) => {
+          controller.enqueue(encoder.encode(`event: job\ndata: ${JSON.stringify(serializeJob(update))}\n\n`))
+          if (isJobFinished(update)) {
+            cleanup()
+            controller.close()
+          }
+        }
+
+        const unsubscribe = subscribeToJob(id, send)
+        const heartbeat = setInterval(() => controller.enqueue(encoder.encode(": heartbeat\n\n")), HEARTBEAT_INTERVAL)
+        cleanup = () => {
+          unsubscribe()
+          clearInterval(heartbeat)
+        }
+        req.signal.addEventListener("abort", () => cleanup(), { once: true })
+
+        send(job)
+      },
+      cancel() {
+        cleanup()
+      },
+    })
+
+    return new Response(stream, {
+      headers: {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+      },
+    })
+  } catch (error) {
+    if (AUTH_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: AUTH_ERROR_STATUS[error.code] })
+    }
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to stream job" }, { status: 500 })
+  }
+}
@@ -0,0 +1,36 @@
+/**
+ * API Route for a Background Job
+ *
+ * Reports the status and progress of a processing job (see `lib/jobs`), for clients
+ * that poll. `/api/jobs/:id/events` streams the same updates as they happen. Users only
+ * see their own jobs.
+ */
+import { AUTH_ERROR_STATUS, requireUser } from "@/lib/auth"
+import { canViewJob, getJob, serializeJob } from "@/lib/jobs"
+
+/**
+ * GET handler for fetching a job
+ *
+ * @param {Request} req - The incoming request
+ * @param {Object} context
+ * @param {Promise<{id: string}>} context.params - The job ID
+ * @returns {Response} JSON response with the job or an error message
+ */
+export async function GET(req, { params }) {
+  const { id } = await params
+
+  try {
+    const user = await requireUser()
+    const job = await getJob(id)
+    if (!job || !canViewJob(user, job)) {
+      return Response.json({ error: "Job not found" }, { status: 404 })
+    }
+    return Response.json(serializeJob(job), { headers: { "Cache-Control": "no-store" } })
+  } catch (error) {
+    if (AUTH_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: AUTH_ERROR_STATUS[error.code] })
+    }
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to fetch job" }, { status: 500 })
+  }
+}
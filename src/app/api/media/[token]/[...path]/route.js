@@ -0,0 +1,38 @@
+/**
+ * API Route for Signed Media
+ *
+ * Serves stored files through signed, expiring URLs (see `lib/storage/signed-urls`),
+ * which is how private videos are played. The signature is the only credential, so
+ * signed URLs work in `<video>` elements, HLS players and embeds alike. Works with
+ * every storage driver: files are streamed from storage with byte-range support.
+ */
+import { serveStoredFile } from "@/lib/storage/serve"
+import { verifyMediaToken } from "@/lib/storage/signed-urls"
+
+/**
+ * GET handler for signed media
+ *
+ * @param {Request} req - The incoming request
+ * @param {Object} context
+ * @param {Promise<{token: string, path: string[]}>} context.params - The URL's signature token and the file's pathname segments
+ * @returns {Response} The file contents, a partial range, or an error response
+ */
+export async function GET(req, { params }) {
+  const { token, path } = await params
+  // Next has already decoded the segments; decoding again would let "%252E%252E" turn into ".."
+  const pathname = path.join("/")
+
+  const grant = verifyMediaToken(token, pathname)
+  if (!grant) {
+    return Response.json({ error: "Invalid or expired link" }, { status: 403 })
+  }
+
+  try {
+    // Browsers may reuse the file until the link expires, but shared caches must not
+    const maxAge = Math.max(0, grant.expires - Math.floor(Date.now() / 1000))
+    return await serveStoredFile(req, pathname, { cacheControl: `private, max-age=${maxAge}` })
+  } catch (error) {
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to read file" }, { status: 500 })
+  }
+}
@@ -0,0 +1,155 @@
+/**
+ * API Route for oEmbed
+ *
+ * Implements the oEmbed protocol (https://oembed.com) so sites and editors that
+ * support it can turn a link to a video into an embedded player. Accepts links to
+ * video pages (`/videos/:id`) and embeds (`/embed/:id`) on this site. Private videos
+ * can't be embedded and are reported as missing.
+ */
+import { getAppOrigin } from "@/lib/app-url"
+import { resolveThumbnailOptions } from "@/lib/thumbnails"
+import { canWatchVideo } from "@/lib/videos/access"
+import { playbackUrlsFor } from "@/lib/videos/playback"
+import { getVideo } from "@/lib/videos/repository"
+
+const DEFAULT_WIDTH = 640
+const MIN_SIZE = 100
+
+/**
+ * Extracts the video ID from a link to this site
+ *
+ * @param {string|null} url - The link
+ * @param {string} origin - The site's origin
+ * @returns {string|null} The video ID, or null when the link isn't to one of our videos
+ */
+function videoIdFromUrl(url, origin) {
+  let parsed
+  try {
+    parsed = new URL(url)
+  } catch {
+    return null
+  }
+  if (parsed.origin !== origin) return null
+  const match = /^\/(?:videos|embed)\/([^/]+)\/?$/.exec(parsed.pathname)
+  if (!match || match[1] === "gallery") return null
+  try {
+    return decodeURIComponent(match[1])
+  } catch {
+    return null // A malformed escape can't name a video
+  }
+}
+
+/**
+ * Reads an optional positive size parameter
+ *
+ * @param {string|null} value - The query parameter value
+ * @returns {number|null|undefined} The size, null when absent, or undefined when invalid
+ */
+function parseSize(value) {
+  if (value === null) return null
+  const size = Number(value)
+  return Number.isInteger(size) && size >= MIN_SIZE ? size : undefined
+}
+
+/**
+ * Works out the player size: the requested width (or 640), keeping the video's
+ * aspect ratio and shrinking to fit `maxheight`
+ *
+ * @param {Object} video - The video record
+ * @param {number|null} maxWidth - The consumer's maximum width
+ * @param {number|null} maxHeight - The consumer's maximum height
+ * @returns {{width: number, height: number}} The player size in pixels
+ */
+function playerSize(video, maxWidth, maxHeight) {
+  const ratio = video.width && video.height ? video.height / video.width : 9 / 16
+  let width = Math.min(maxWidth ?? DEFAULT_WIDTH, DEFAULT_WIDTH)
+  let height = Math.round(width * ratio)
+  if (maxHeight && height > maxHeight) {
+    height = maxHeight
+    width = Math.round(height / ratio)
+  }
+  return { width, height }
+}
+
+/**
+ * Escapes a value for an HTML attribute
+ *
+ * @param {string} value - The value
+ * @returns {string} The escaped value
+ */
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;")
+}
+
+/**
+ * Describes the thumbnail for the response
+ * Thumbnails are generated at the configured size, which the spec asks to be reported with them.
+ *
+ * @param {string} url - Absolute URL of the thumbnail
+ * @returns {Object} `{ thumbnail_url, thumbnail_width, thumbnail_height }`
+ */
+function thumbnailFields(url) {
+  const { width, height } = resolveThumbnailOptions()
+  return { thumbnail_url: url, thumbnail_width: width, thumbnail_height: height }
+}
+
+/**
+ * GET handler for oEmbed
+ *
+ * Query parameters:
+ * - `url`        link to the video (required)
+ * - `maxwidth`   maximum player width in pixels
+ * - `maxheight`  maximum player height in pixels
+ * - `format`     only "json" is supported
+ *
+ * @param {Request} req - The incoming request
+ * @returns {Response} The oEmbed "video" response, or an error
+ */
+export async function GET(req) {
+  const params = new URL(req.url).searchParams
+  const origin = getAppOrigin(req)
+
+  const format = params.get("format") || "json"
+  if (format !== "json") {
+    return Response.json({ error: "Only the json format is supported" }, { status: 501 })
+  }
+
+  const maxWidth = parseSize(params.get("maxwidth"))
+  const maxHeight = parseSize(params.get("maxheight"))
+  if (maxWidth === undefined || maxHeight === undefined) {
+    return Response.json({ error: `maxwidth and maxheight must be integers of at least ${MIN_SIZE}` }, { status: 400 })
+  }
+
+  const id = videoIdFromUrl(params.get("url"), origin)
+  if (!id) {
+    return Response.json({ error: "url must link to a video on this site" }, { status: 404 })
+  }
+
+  try {
+    // oEmbed consumers fetch anonymously, so only videos anyone may watch are embeddable
+    const video = await getVideo(id)
+    if (!video || !canWatchVideo(null, video)) {
+      return Response.json({ error: "Video not found" }, { status: 404 })
+    }
+
+    const { width, height } = playerSize(video, maxWidth, maxHeight)
+    const title = video.title || video.name
+    const { thumbnailUrl } = playbackUrlsFor(video)
+    const src = `${origin}/embed/${encodeURIComponent(video.id)}`
+
+    return Response.json({
+      version: "1.0",
+      type: "video",
+      provider_name: "Tolstoy Video Gallery",
+      provider_url: origin,
+      title,
+      width,
+      height,
+      html: `<iframe src="${escapeAttribute(src)}" width="${width}" height="${height}" title="${escapeAttribute(title)}" frameborder="0" allow="autoplay; fullscreen; picture-in-picture" allowfullscreen></iframe>`,
+      ...(thumbnailUrl && thumbnailFields(new URL(thumbnailUrl, origin).href)),
+    })
+  } catch (error) {
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to build the embed" }, { status: 500 })
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * API Route for a Single Playlist
+ *
+ * Fetches, renames and deletes one playlist. Any signed-in user can fetch a
+ * playlist; only its owner (or an admin) can change or delete it. Deleting a
+ * playlist leaves its videos alone.
+ */
+import { AUTH_ERROR_STATUS, assertCanManagePlaylist, requireUser } from "@/lib/auth"
+import {
+  PLAYLIST_ERROR_STATUS,
+  deletePlaylist,
+  getPlaylist,
+  updatePlaylist,
+  validatePlaylistFields,
+} from "@/lib/playlists/repository"
+import { serializePlaylist } from "@/lib/playlists/serialize"
+
+/**
+ * GET handler for fetching one playlist
+ *
+ * @param {Request} req - The incoming request
+ * @param {Object} context
+ * @param {Promise<{id: string}>} context.params - The playlist ID
+ * @returns {Response} JSON response with the playlist or an error message
+ */
+export async function GET(req, { params }) {
+  const { id } = await params
+
+  try {
+    await requireUser()
+    const playlist = await getPlaylist(id)
+    if (!playlist) {
+      return Response.json({ error: "Playlist not found" }, { status: 404 })
+    }
+    return Response.json(serializePlaylist(playlist))
+  } catch (error) {
+    if (AUTH_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: AUTH_ERROR_STATUS[error.code] })
+    }
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to fetch playlist" }, { status: 500 })
+  }
+}
+
+/**
+ * PATCH handler for renaming a playlist or changing its description
+ *
+ * @param {Request} req - The incoming request with a JSON body `{ name, description }` (either may be omitted)
+ * @param {Object} context
+ * @param {Promise<{id: string}>} context.params - The playlist ID
+ * @returns {Response} JSON response with the updated playlist or an error message
+ */
+export async function PATCH(req, { params }) {
+  const { id } = await params
+
+  try {
+    const user = await requireUser()
+
+    let body
+    try {
+      body = await req.json()
+    } catch {
+      return Response.json({ error: "Request body must be JSON" }, { status: 400 })
+    }
+
+    const changes = validatePlaylistFields({ name: body?.name, description: body?.description })
+    if (Object.keys(changes).length === 0) {
+      return Response.json({ error: "Nothing to update: send a name or description" }, { status: 400 })
+    }
+
+    const playlist = await getPlaylist(id)
+    if (!playlist) {
+      return Response.json({ error: "Playlist not found" }, { status: 404 })
+    }
+    assertCanManagePlaylist(user, playlist)
+
+    return Response.json(serializePlaylist(await updatePlaylist(id, changes)))
+  } catch (error) {
+    if (AUTH_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: AUTH_ERROR_STATUS[error.code] })
+    }
+    if (PLAYLIST_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message }, { status: PLAYLIST_ERROR_STATUS[error.code] })
+    }
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to update playlist" }, { status: 500 })
+  }
+}
+
+/**
+ * DELETE handler for removing a playlist
+ *
+ * @param {Request} req - The incoming request
+ * @param {Object} context
+ * @param {Promise<{id: string}>} context.params - The playlist ID
+ * @returns {Response} Empty 204 response or an error message
+ */
+export async function DELETE(req, { params }) {
+  const { id } = await params
+
+  try {
+    const user = await requireUser()
+    const playlist = await getPlaylist(id)
+    if (!playlist) {
+      return Response.json({ error: "Playlist not found" }, { status: 404 })
+    }
+    assertCanManagePlaylist(user, playlist)
+
+    await deletePlaylist(id)
+    return new Response(null, { status: 204 })
+  } catch (error) {
+    if (AUTH_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: AUTH_ERROR_STATUS[error.code] })
+    }
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to delete playlist" }, { status: 500 })
+  }
+}
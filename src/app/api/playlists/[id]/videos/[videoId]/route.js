@@ -0,0 +1,41 @@
+/**
+ * API Route for a Video in a Playlist
+ *
+ * Removes one video from a playlist; the video itself is left alone. Only the
+ * playlist's owner (or an admin) can remove videos.
+ */
+import { AUTH_ERROR_STATUS, assertCanManagePlaylist, requireUser } from "@/lib/auth"
+import { PLAYLIST_ERROR_STATUS, getPlaylist, removeVideoFromPlaylist } from "@/lib/playlists/repository"
+import { serializePlaylist } from "@/lib/playlists/serialize"
+
+/**
+ * DELETE handler for removing a video from a playlist
+ *
+ * @param {Request} req - The incoming request
+ * @param {Object} context
+ * @param {Promise<{id: string, videoId: string}>} context.params - The playlist and video IDs
+ * @returns {Response} JSON response with the updated playlist or an error message
+ */
+export async function DELETE(req, { params }) {
+  const { id, videoId } = await params
+
+  try {
+    const user = await requireUser()
+    const playlist = await getPlaylist(id)
+    if (!playlist) {
+      return Response.json({ error: "Playlist not found" }, { status: 404 })
+    }
+    assertCanManagePlaylist(user, playlist)
+
+    return Response.json(serializePlaylist(await removeVideoFromPlaylist(id, videoId)))
+  } catch (error) {
+    if (AUTH_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: AUTH_ERROR_STATUS[error.code] })
+    }
+    if (PLAYLIST_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message }, { status: PLAYLIST_ERROR_STATUS[error.code] })
+    }
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to remove video from playlist" }, { status: 500 })
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * API Route for a Playlist's Videos
+ *
+ * Lists a playlist's videos in play order, adds videos to it and reorders them.
+ * The list only includes videos the signed-in user can watch, and is returned whole
+ * (playlists hold at most 200 videos) in the same shape as `/api/videos`, so the
+ * gallery can page through either. Only the playlist's owner (or an admin) can add
+ * or reorder videos, and only videos they can watch themselves.
+ */
+import { AUTH_ERROR_STATUS, assertCanManagePlaylist, requireUser } from "@/lib/auth"
+import { PLAYLIST_ERROR_STATUS, addVideoToPlaylist, getPlaylist, reorderPlaylist } from "@/lib/playlists/repository"
+import { serializePlaylist } from "@/lib/playlists/serialize"
+import { canWatchVideo } from "@/lib/videos/access"
+import { getVideo } from "@/lib/videos/repository"
+import { serializeVideo } from "@/lib/videos/serialize"
+
+/**
+ * Reads a JSON request body
+ *
+ * @param {Request} req - The incoming request
+ * @returns {Promise<Object|undefined>} The parsed body, or undefined when it isn't JSON
+ */
+async function readJson(req) {
+  try {
+    return await req.json()
+  } catch {
+    return undefined
+  }
+}
+
+/**
+ * GET handler for a playlist's videos
+ *
+ * @param {Request} req - The incoming request
+ * @param {Object} context
+ * @param {Promise<{id: string}>} context.params - The playlist ID
+ * @returns {Response} JSON response with `{ items, nextCursor }` (always null) or an error message
+ */
+export async function GET(req, { params }) {
+  const { id } = await params
+
+  try {
+    const user = await requireUser()
+    const playlist = await getPlaylist(id)
+    if (!playlist) {
+      return Response.json({ error: "Playlist not found" }, { status: 404 })
+    }
+
+    const videos = await Promise.all(playlist.videoIds.map((videoId) => getVideo(videoId)))
+    const items = videos.filter((video) => video && canWatchVideo(user, video)).map(serializeVideo)
+    return Response.json({ items, nextCursor: null })
+  } catch (error) {
+    if (AUTH_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: AUTH_ERROR_STATUS[error.code] })
+    }
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to fetch playlist videos" }, { status: 500 })
+  }
+}
+
+/**
+ * POST handler for adding a video to a playlist
+ *
+ * @param {Request} req - The incoming request with a JSON body `{ videoId, position }`; the video is
+ *   appended when `position` is omitted
+ * @param {Object} context
+ * @param {Promise<{id: string}>} context.params - The playlist ID
+ * @returns {Response} JSON response with the updated playlist or an error message
+ */
+export async function POST(req, { params }) {
+  const { id } = await params
+
+  try {
+    const user = await requireUser()
+
+    const body = await readJson(req)
+    if (typeof body?.videoId !== "string") {
+      return Response.json({ error: "Request body must be JSON with a videoId" }, { status: 400 })
+    }
+
+    const playlist = await getPlaylist(id)
+    if (!playlist) {
+      return Response.json({ error: "Playlist not found" }, { status: 404 })
+    }
+    assertCanManagePlaylist(user, playlist)
+
+    const video = await getVideo(body.videoId)
+    if (!video || !canWatchVideo(user, video)) {
+      return Response.json({ error: "Video not found" }, { status: 404 })
+    }
+
+    return Response.json(serializePlaylist(await addVideoToPlaylist(id, video.id, body.position)))
+  } catch (error) {
+    if (AUTH_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: AUTH_ERROR_STATUS[error.code] })
+    }
+    if (PLAYLIST_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message }, { status: PLAYLIST_ERROR_STATUS[error.code] })
+    }
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to add video to playlist" }, { status: 500 })
+  }
+}
+
+/**
+ * PUT handler for reordering a playlist's videos
+ * Videos left out of `videoIds` keep their positions (see `reorderPlaylist`).
+ *
+ * @param {Request} req - The incoming request with a JSON body `{ videoIds }` in the new order
+ * @param {Object} context
+ * @param {Promise<{id: string}>} context.params - The playlist ID
+ * @returns {Response} JSON response with the updated playlist or an error message
+ */
+export async function PUT(req, { params }) {
+  const { id } = await params
+
+  try {
+    const user = await requireUser()
+
+    const body = await readJson(req)
+    if (!Array.isArray(body?.videoIds)) {
+      return Response.json({ error: "Request body must be JSON with a videoIds array" }, { status: 400 })
+    }
+
+    const playlist = await getPlaylist(id)
+    if (!playlist) {
+      return Response.json({ error: "Playlist not found" }, { status: 404 })
+    }
+    assertCanManagePlaylist(user, playlist)
+
+    return Response.json(serializePlaylist(await reorderPlaylist(id, body.videoIds)))
+  } catch (error) {
+    if (AUTH_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: AUTH_ERROR_STATUS[error.code] })
+    }
+    if (PLAYLIST_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message }, { status: PLAYLIST_ERROR_STATUS[error.code] })
+    }
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to reorder playlist" }, { status: 500 })
+  }
+}
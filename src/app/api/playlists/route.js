@@ -0,0 +1,69 @@
+/**
+ * API Route for Playlists
+ *
+ * Lists playlists and creates new ones. Every signed-in user can browse all
+ * playlists; the videos in them are filtered per viewer when they are played
+ * (see `/api/playlists/:id/videos`).
+ */
+import { AUTH_ERROR_STATUS, requireUser } from "@/lib/auth"
+import { PLAYLIST_ERROR_STATUS, createPlaylist, listPlaylists } from "@/lib/playlists/repository"
+import { serializePlaylist } from "@/lib/playlists/serialize"
+
+/**
+ * GET handler for listing playlists
+ *
+ * Query parameters:
+ * - `scope`  "all" (default) or "mine" for the signed-in user's own playlists
+ *
+ * @param {Request} req - The incoming request
+ * @returns {Response} JSON response with `{ items }`, most recently changed first, or an error message
+ */
+export async function GET(req) {
+  const scope = new URL(req.url).searchParams.get("scope") || "all"
+  if (scope !== "all" && scope !== "mine") {
+    return Response.json({ error: "scope must be all or mine" }, { status: 400 })
+  }
+
+  try {
+    const user = await requireUser()
+    const items = await listPlaylists({ ownerId: scope === "mine" ? user.id : undefined })
+    return Response.json({ items: items.map(serializePlaylist) })
+  } catch (error) {
+    if (AUTH_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: AUTH_ERROR_STATUS[error.code] })
+    }
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to fetch playlists" }, { status: 500 })
+  }
+}
+
+/**
+ * POST handler for creating a playlist
+ *
+ * @param {Request} req - The incoming request with a JSON body `{ name, description }`
+ * @returns {Response} JSON response with the new playlist (201) or an error message
+ */
+export async function POST(req) {
+  try {
+    const user = await requireUser()
+
+    let body
+    try {
+      body = await req.json()
+    } catch {
+      return Response.json({ error: "Request body must be JSON" }, { status: 400 })
+    }
+
+    const playlist = await createPlaylist({ name: body?.name, description: body?.description, ownerId: user.id })
+    return Response.json(serializePlaylist(playlist), { status: 201 })
+  } catch (error) {
+    if (AUTH_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: AUTH_ERROR_STATUS[error.code] })
+    }
+    if (PLAYLIST_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message }, { status: PLAYLIST_ERROR_STATUS[error.code] })
+    }
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to create playlist" }, { status: 500 })
+  }
+}
@@ -1,27 +1,31 @@
 /**
  * API Route for Video Upload
  *
- * Handles video file uploads, processes them through Cloudinary for thumbnail generation,
- * and stores both the video and thumbnail in Vercel Blob storage.
+ * Handles video file uploads: the file is saved and an "ingest" job is queued to validate
+ * it, generate its thumbnail, store it through the configured storage driver and record
+ * the video's metadata. The response carries the job, whose progress can be followed at
+ * `/api/jobs/:id`; HLS transcoding is queued as a separate job once ingestion succeeds.
+ * Only signed-in users can upload, and the video is recorded as theirs, with the title,
+ * description and tags sent along with the file.
  */
-import { put } from "@vercel/blob"
-import { v2 as cloudinary } from "cloudinary"
-
-// Configure Cloudinary with environment variables
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-})
+import { AUTH_ERROR_STATUS, requireUser } from "@/lib/auth"
+import { createJob, serializeJob } from "@/lib/jobs"
+import { VALIDATION_ERROR_STATUS, validateSize } from "@/lib/media/validate"
+import { VISIBILITIES, defaultVisibility } from "@/lib/videos/access"
+import { DETAILS_ERROR_STATUS, validateVideoDetails } from "@/lib/videos/details"
+import { saveUploadedFile } from "@/lib/videos/ingest"
 
 /**
  * POST handler for video uploads
  *
- * @param {Request} req - The incoming request with FormData containing the video file
- * @returns {Response} JSON response with video and thumbnail URLs or error message
+ * @param {Request} req - The incoming request with FormData containing the video `file` and optional `visibility`,
+ *   `title`, `description` and comma-separated `tags`
+ * @returns {Response} 202 JSON response with the queued job, or `{ error, code }` when the file is rejected
  */
 export async function POST(req) {
   try {
+    const user = await requireUser()
+
     // Extract form data from the request
     const formData = await req.formData()
     const file = formData.get("file")
@@ -35,76 +39,58 @@ export async function POST(req) {
       })
     }
 
-    console.log("File received:", file.name, file.type)
-
-    // Validate Blob storage token
-    const token = process.env.BLOB_READ_WRITE_TOKEN
-    if (!token) {
-      console.error("Missing BLOB_READ_WRITE_TOKEN!")
-      return new Response(JSON.stringify({ error: "Server misconfiguration: Missing token" }), {
-        status: 500,
+    const visibility = formData.get("visibility") || defaultVisibility()
+    if (!VISIBILITIES.includes(visibility)) {
+      return new Response(JSON.stringify({ error: `visibility must be one of: ${VISIBILITIES.join(", ")}` }), {
+        status: 400,
         headers: { "Content-Type": "application/json" },
       })
     }
 
-    // Convert file to Buffer for storage
-    const fileBuffer = Buffer.from(await file.arrayBuffer())
-
-    // Upload video file to Vercel Blob
-    const videoBlob = await put(file.name, fileBuffer, { access: "public", token })
-    console.log("Video uploaded to Vercel Blob:", videoBlob.url)
-
-    // Upload video to Cloudinary for thumbnail generation
-    const uploadResponse = await new Promise((resolve, reject) => {
-      cloudinary.uploader.upload(
-        videoBlob.url,
-        {
-          resource_type: "video",
-          // generates a thumbnail at 2 seconds into the video
-          eager: [
-            { format: "jpg", transformation: [{ width: 640, height: 360, crop: "fill" }, { start_offset: "2" }] },
-          ],
-          eager_async: false,
-        },
-        (error, result) => {
-          if (error) {
-            console.error("Cloudinary upload error:", error)
-            reject(error)
-          } else {
-            console.log("Cloudinary upload success:", result)
-            resolve(result)
-          }
-        },
-      )
+    const details = validateVideoDetails({
+      title: formData.get("title") ?? undefined,
+      description: formData.get("description") ?? undefined,
+      tags: formData.get("tags") ?? undefined,
     })
 
-    // Get the thumbnail URL from Cloudinary
-    const thumbnailUrl = uploadResponse.eager[0].secure_url
-    console.log("Thumbnail generated at:", thumbnailUrl)
+    console.log("File received:", file.name, file.type)
+
+    // Reject oversized files before writing anything to disk
+    validateSize(file.size)
 
-    // Download the thumbnail from Cloudinary
-    const thumbnailResponse = await fetch(thumbnailUrl)
-    const thumbnailBuffer = Buffer.from(await thumbnailResponse.arrayBuffer())
+    // Save the file for the job, which does the slow processing in the background
+    const job = await createJob("ingest", { name: file.name, ownerId: user.id, visibility, details }, (dir) =>
+      saveUploadedFile(file, dir),
+    )
 
-    // Upload the thumbnail to Vercel Blob
-    const thumbnailBlob = await put(`${file.name}.thumbnail.jpg`, thumbnailBuffer, {
-      access: "public",
-      token,
+    // returns the queued job; its result names the video (or the identical one already stored)
+    return new Response(JSON.stringify(serializeJob(job)), {
+      status: 202,
+      headers: { "Content-Type": "application/json", Location: `/api/jobs/${job.id}` },
     })
-    console.log("Thumbnail uploaded to Vercel Blob:", thumbnailBlob.url)
+  } catch (error) {
+    if (AUTH_ERROR_STATUS[error.code]) {
+      return new Response(JSON.stringify({ error: error.message, code: error.code }), {
+        status: AUTH_ERROR_STATUS[error.code],
+        headers: { "Content-Type": "application/json" },
+      })
+    }
 
-    // returns success response with URLs
-    return new Response(
-      JSON.stringify({
-        videoUrl: videoBlob.url,
-        thumbnailUrl: thumbnailBlob.url,
-      }),
-      {
-        status: 200,
+    // Rejected files get a structured error the uploader can show
+    if (VALIDATION_ERROR_STATUS[error.code]) {
+      return new Response(JSON.stringify({ error: error.message, code: error.code }), {
+        status: VALIDATION_ERROR_STATUS[error.code],
         headers: { "Content-Type": "application/json" },
-      },
-    )
-  } catch (error) {
+      })
+    }
+
+    if (DETAILS_ERROR_STATUS[error.code]) {
+      return new Response(JSON.stringify({ error: error.message }), {
+        status: DETAILS_ERROR_STATUS[error.code],
+        headers: { "Content-Type": "application/json" },
+      })
+    }
+
     console.error("Error:", error)
     return new Response(JSON.stringify({ error: "Failed to upload video" }), {
       status: 500,
@@ -0,0 +1,36 @@
+/**
+ * API Route for Upload Chunks
+ *
+ * Receives one chunk of a chunked upload as the raw request body. Re-sending a
+ * chunk that already arrived simply overwrites it, so clients can retry freely.
+ * Only the user who started the upload can send its chunks.
+ */
+import { AUTH_ERROR_STATUS, requireUser } from "@/lib/auth"
+import { UPLOAD_ERROR_STATUS, writeChunk } from "@/lib/uploads/sessions"
+
+/**
+ * PUT handler for storing a chunk
+ *
+ * @param {Request} req - The incoming request with the chunk bytes as its body
+ * @param {Object} context
+ * @param {Promise<{id: string, index: string}>} context.params - The session ID and zero-based chunk index
+ * @returns {Response} JSON response with the session's `receivedChunks` or an error message
+ */
+export async function PUT(req, { params }) {
+  const { id, index } = await params
+
+  try {
+    const user = await requireUser()
+    const session = await writeChunk(id, Number(index), req.body, user.id)
+    return Response.json({ id: session.id, receivedChunks: session.receivedChunks })
+  } catch (error) {
+    if (AUTH_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: AUTH_ERROR_STATUS[error.code] })
+    }
+    if (UPLOAD_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message }, { status: UPLOAD_ERROR_STATUS[error.code] })
+    }
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to store chunk" }, { status: 500 })
+  }
+}
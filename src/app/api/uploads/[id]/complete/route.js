@@ -0,0 +1,67 @@
+/**
+ * API Route for Completing Chunked Uploads
+ *
+ * Assembles the received chunks into the final video and queues the same "ingest" job as
+ * `/api/upload`: validation, storage, thumbnail, metadata record and HLS transcoding.
+ * The session ends once the job has its file. Only the user who started the upload can
+ * complete it, and the video is recorded as theirs. The video's title, description and tags
+ * are sent with this request rather than when the upload starts, so a resumed upload gets
+ * the ones entered last.
+ */
+import { AUTH_ERROR_STATUS, requireUser } from "@/lib/auth"
+import { createJob, serializeJob } from "@/lib/jobs"
+import { UPLOAD_ERROR_STATUS, assembleUpload, deleteUploadSession, getUploadSession } from "@/lib/uploads/sessions"
+import { DETAILS_ERROR_STATUS, validateVideoDetails } from "@/lib/videos/details"
+import { uploadFilePath } from "@/lib/videos/ingest"
+
+/**
+ * POST handler for completing an upload
+ *
+ * @param {Request} req - The incoming request with an optional JSON body `{ title, description, tags }`
+ * @param {Object} context
+ * @param {Promise<{id: string}>} context.params - The session ID
+ * @returns {Response} 202 JSON response with the queued job, or an error message
+ */
+export async function POST(req, { params }) {
+  const { id } = await params
+
+  try {
+    const user = await requireUser()
+    const session = await getUploadSession(id, user.id)
+
+    let body = {}
+    const text = await req.text()
+    if (text) {
+      try {
+        body = JSON.parse(text)
+      } catch {
+        return Response.json({ error: "Request body must be JSON" }, { status: 400 })
+      }
+    }
+    const details = validateVideoDetails({ title: body?.title, description: body?.description, tags: body?.tags })
+
+    const job = await createJob(
+      "ingest",
+      { name: session.name, ownerId: user.id, visibility: session.visibility, details },
+      async (dir) => {
+        await assembleUpload(id, uploadFilePath(dir, session.name))
+        console.log("Chunked upload assembled:", session.name, session.size, "bytes")
+      },
+    )
+    await deleteUploadSession(id)
+
+    return Response.json(serializeJob(job), { status: 202, headers: { Location: `/api/jobs/${job.id}` } })
+  } catch (error) {
+    if (AUTH_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: AUTH_ERROR_STATUS[error.code] })
+    }
+    if (UPLOAD_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message }, { status: UPLOAD_ERROR_STATUS[error.code] })
+    }
+    if (DETAILS_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message }, { status: DETAILS_ERROR_STATUS[error.code] })
+    }
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to complete upload" }, { status: 500 })
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * API Route for a Chunked Upload Session
+ *
+ * Reports which chunks of an upload have been received, so a client can resume it,
+ * and cancels uploads that won't be finished. Other users' sessions are reported as missing.
+ */
+import { AUTH_ERROR_STATUS, requireUser } from "@/lib/auth"
+import { UPLOAD_ERROR_STATUS, deleteUploadSession, getUploadSession } from "@/lib/uploads/sessions"
+
+/**
+ * GET handler for an upload session's progress
+ *
+ * @param {Request} req - The incoming request
+ * @param {Object} context
+ * @param {Promise<{id: string}>} context.params - The session ID
+ * @returns {Response} JSON response with the session and its `receivedChunks`
+ */
+export async function GET(req, { params }) {
+  const { id } = await params
+
+  try {
+    const user = await requireUser()
+    return Response.json(await getUploadSession(id, user.id))
+  } catch (error) {
+    if (AUTH_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: AUTH_ERROR_STATUS[error.code] })
+    }
+    if (UPLOAD_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message }, { status: UPLOAD_ERROR_STATUS[error.code] })
+    }
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to fetch upload" }, { status: 500 })
+  }
+}
+
+/**
+ * DELETE handler for cancelling an upload
+ *
+ * @param {Request} req - The incoming request
+ * @param {Object} context
+ * @param {Promise<{id: string}>} context.params - The session ID
+ * @returns {Response} Empty 204 response or an error message
+ */
+export async function DELETE(req, { params }) {
+  const { id } = await params
+
+  try {
+    const user = await requireUser()
+    await getUploadSession(id, user.id)
+    await deleteUploadSession(id)
+    return new Response(null, { status: 204 })
+  } catch (error) {
+    if (AUTH_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: AUTH_ERROR_STATUS[error.code] })
+    }
+    if (UPLOAD_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message }, { status: UPLOAD_ERROR_STATUS[error.code] })
+    }
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to cancel upload" }, { status: 500 })
+  }
+}
@@ -0,0 +1,19 @@
+/**
+ * API Route for Upload Limits
+ *
+ * Exposes the server's upload limits so the uploader can warn about files
+ * that will be rejected before sending them, along with the default visibility
+ * of new videos.
+ */
+import { getUploadLimits } from "@/lib/media/validate"
+import { defaultVisibility } from "@/lib/videos/access"
+
+/**
+ * GET handler for the upload limits
+ *
+ * @returns {Response} JSON response with `{ maxBytes, maxDurationSeconds, allowedFormats, defaultVisibility }`
+ */
+export async function GET() {
+  const { maxBytes, maxDurationSeconds, allowedFormats } = getUploadLimits()
+  return Response.json({ maxBytes, maxDurationSeconds, allowedFormats, defaultVisibility: defaultVisibility() })
+}
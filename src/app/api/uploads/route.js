@@ -0,0 +1,43 @@
+/**
+ * API Route for Starting Chunked Uploads
+ *
+ * Creates an upload session for a large video. See `lib/uploads/sessions` for the protocol.
+ * Only signed-in users can upload, and each session belongs to the user who started it.
+ */
+import { AUTH_ERROR_STATUS, requireUser } from "@/lib/auth"
+import { VALIDATION_ERROR_STATUS } from "@/lib/media/validate"
+import { UPLOAD_ERROR_STATUS, createUploadSession } from "@/lib/uploads/sessions"
+
+/**
+ * POST handler for creating an upload session
+ *
+ * @param {Request} req - The incoming request with a JSON body `{ name, type, size, visibility }`
+ * @returns {Response} JSON response with the session (`id`, `chunkSize`, `totalChunks`, `receivedChunks`)
+ */
+export async function POST(req) {
+  try {
+    const user = await requireUser()
+
+    let body
+    try {
+      body = await req.json()
+    } catch {
+      return Response.json({ error: "Request body must be JSON" }, { status: 400 })
+    }
+
+    const session = await createUploadSession({ ...body, ownerId: user.id })
+    return Response.json(session, { status: 201 })
+  } catch (error) {
+    if (AUTH_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: AUTH_ERROR_STATUS[error.code] })
+    }
+    if (VALIDATION_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: VALIDATION_ERROR_STATUS[error.code] })
+    }
+    if (UPLOAD_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message }, { status: UPLOAD_ERROR_STATUS[error.code] })
+    }
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to start upload" }, { status: 500 })
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * API Route for a Single Caption Track
+ *
+ * Serves a caption track's WebVTT file and deletes tracks. Tracks are served from
+ * the site's own origin, whatever the storage driver, so `<track>` elements load them
+ * without CORS; each upload gets a new track ID, so public tracks are cached for good.
+ * Tracks of private videos are only served to those who can watch the video.
+ */
+import { AUTH_ERROR_STATUS, assertCanManageVideo, getCurrentUser, requireUser } from "@/lib/auth"
+import { serveStoredFile } from "@/lib/storage/serve"
+import { canWatchVideo, isPrivateVideo } from "@/lib/videos/access"
+import { CAPTION_ERROR_STATUS, removeCaptionTrack } from "@/lib/videos/captions"
+import { getVideo } from "@/lib/videos/repository"
+import { serializeVideo } from "@/lib/videos/serialize"
+
+/**
+ * GET handler for a caption track's WebVTT file
+ *
+ * @param {Request} req - The incoming request
+ * @param {Object} context
+ * @param {Promise<{id: string, trackId: string}>} context.params - The video and track IDs
+ * @returns {Response} The WebVTT file or an error response
+ */
+export async function GET(req, { params }) {
+  const { id, trackId } = await params
+
+  try {
+    const user = await getCurrentUser()
+    const video = await getVideo(id)
+    const track = video?.captions?.find((caption) => caption.id === trackId)
+    if (!track || !canWatchVideo(user, video)) {
+      return Response.json({ error: "Caption track not found" }, { status: 404 })
+    }
+
+    return await serveStoredFile(req, track.pathname, {
+      cacheControl: isPrivateVideo(video) ? "private, no-cache" : "public, max-age=31536000, immutable",
+    })
+  } catch (error) {
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to read captions" }, { status: 500 })
+  }
+}
+
+/**
+ * DELETE handler for removing a caption track
+ *
+ * @param {Request} req - The incoming request
+ * @param {Object} context
+ * @param {Promise<{id: string, trackId: string}>} context.params - The video and track IDs
+ * @returns {Response} JSON response with the updated video or an error message
+ */
+export async function DELETE(req, { params }) {
+  const { id, trackId } = await params
+
+  try {
+    const user = await requireUser()
+    const video = await getVideo(id)
+    if (!video) {
+      return Response.json({ error: "Video not found" }, { status: 404 })
+    }
+    assertCanManageVideo(user, video)
+
+    return Response.json(serializeVideo(await removeCaptionTrack(video, trackId)))
+  } catch (error) {
+    if (AUTH_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: AUTH_ERROR_STATUS[error.code] })
+    }
+    if (CAPTION_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: CAPTION_ERROR_STATUS[error.code] })
+    }
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to delete captions" }, { status: 500 })
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * API Route for a Video's Captions
+ *
+ * Lists a video's caption and subtitle tracks and uploads new ones as WebVTT or SRT
+ * files (see `lib/videos/captions`). Anyone who can watch the video can list its
+ * tracks; only its owner (or an admin) can add them. Uploading a track for a language
+ * and kind the video already has replaces that track.
+ */
+import { AUTH_ERROR_STATUS, assertCanManageVideo, getCurrentUser, requireUser } from "@/lib/auth"
+import { canWatchVideo } from "@/lib/videos/access"
+import { CAPTION_ERROR_STATUS, addCaptionTrack, checkCaptionSize } from "@/lib/videos/captions"
+import { getVideo } from "@/lib/videos/repository"
+import { serializeVideo } from "@/lib/videos/serialize"
+
+/**
+ * GET handler for listing a video's caption tracks
+ *
+ * @param {Request} req - The incoming request
+ * @param {Object} context
+ * @param {Promise<{id: string}>} context.params - The video ID
+ * @returns {Response} JSON response with `{ items }` or an error message
+ */
+export async function GET(req, { params }) {
+  const { id } = await params
+
+  try {
+    const user = await getCurrentUser()
+    const video = await getVideo(id)
+    if (!video || !canWatchVideo(user, video)) {
+      return Response.json({ error: "Video not found" }, { status: 404 })
+    }
+    return Response.json({ items: serializeVideo(video).captions })
+  } catch (error) {
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to fetch captions" }, { status: 500 })
+  }
+}
+
+/**
+ * POST handler for uploading a caption track
+ *
+ * @param {Request} req - The incoming request with FormData containing the caption `file` (WebVTT or SRT), its
+ *   `language` (a language tag such as "en"), and optionally a `label` and a `kind` ("captions" or "subtitles")
+ * @param {Object} context
+ * @param {Promise<{id: string}>} context.params - The video ID
+ * @returns {Response} 201 JSON response with the updated video, or an error message
+ */
+export async function POST(req, { params }) {
+  const { id } = await params
+
+  try {
+    const user = await requireUser()
+    const video = await getVideo(id)
+    if (!video) {
+      return Response.json({ error: "Video not found" }, { status: 404 })
+    }
+    assertCanManageVideo(user, video)
+
+    let formData
+    try {
+      formData = await req.formData()
+    } catch {
+      return Response.json({ error: "Request body must be form data" }, { status: 400 })
+    }
+    const file = formData.get("file")
+    if (!file || typeof file === "string") {
+      return Response.json({ error: "No caption file uploaded" }, { status: 400 })
+    }
+    checkCaptionSize(file.size)
+
+    const updated = await addCaptionTrack(
+      video,
+      {
+        language: formData.get("language"),
+        label: formData.get("label") ?? undefined,
+        kind: formData.get("kind") ?? undefined,
+      },
+      Buffer.from(await file.arrayBuffer()),
+    )
+    return Response.json(serializeVideo(updated), { status: 201 })
+  } catch (error) {
+    if (AUTH_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: AUTH_ERROR_STATUS[error.code] })
+    }
+    if (CAPTION_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: CAPTION_ERROR_STATUS[error.code] })
+    }
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to upload captions" }, { status: 500 })
+  }
+}
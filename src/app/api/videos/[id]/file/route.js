@@ -0,0 +1,59 @@
+/**
+ * API Route for Replacing a Video File
+ *
+ * Swaps the file behind an existing video while keeping its ID and title. The file is
+ * saved and a "replace-file" job does the rest in the background: a new thumbnail is
+ * generated, the previous files (including HLS renditions) are removed from storage
+ * and the new file is queued for transcoding. A file identical to another video fails
+ * the job with `DUPLICATE_VIDEO`, and re-sending the video's current file changes nothing.
+ * Only the video's owner (or an admin) can replace it.
+ */
+import { AUTH_ERROR_STATUS, assertCanManageVideo, requireUser } from "@/lib/auth"
+import { createJob, serializeJob } from "@/lib/jobs"
+import { VALIDATION_ERROR_STATUS, validateSize } from "@/lib/media/validate"
+import { saveUploadedFile } from "@/lib/videos/ingest"
+import { getVideo } from "@/lib/videos/repository"
+
+/**
+ * PUT handler for replacing a video file
+ *
+ * @param {Request} req - The incoming request with FormData containing the new video file
+ * @param {Object} context
+ * @param {Promise<{id: string}>} context.params - The video ID
+ * @returns {Response} 202 JSON response with the queued job, or `{ error, code }` when the file is rejected
+ */
+export async function PUT(req, { params }) {
+  const { id } = await params
+
+  try {
+    const user = await requireUser()
+    const video = await getVideo(id)
+    if (!video) {
+      return Response.json({ error: "Video not found" }, { status: 404 })
+    }
+    assertCanManageVideo(user, video)
+
+    const formData = await req.formData()
+    const file = formData.get("file")
+    if (!file) {
+      return Response.json({ error: "No file uploaded" }, { status: 400 })
+    }
+
+    console.log("Replacement file received:", file.name, file.type)
+    validateSize(file.size)
+
+    const job = await createJob("replace-file", { videoId: id, name: file.name, ownerId: user.id }, (dir) =>
+      saveUploadedFile(file, dir),
+    )
+    return Response.json(serializeJob(job), { status: 202, headers: { Location: `/api/jobs/${job.id}` } })
+  } catch (error) {
+    if (AUTH_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: AUTH_ERROR_STATUS[error.code] })
+    }
+    if (VALIDATION_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: VALIDATION_ERROR_STATUS[error.code] })
+    }
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to replace video" }, { status: 500 })
+  }
+}
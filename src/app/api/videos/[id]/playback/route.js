@@ -0,0 +1,37 @@
+/**
+ * API Route for Video Playback
+ *
+ * Returns the URLs a player needs for one video (see `lib/videos/playback`). Private
+ * videos get signed URLs that expire, so players request them when playback starts
+ * rather than keeping them around. Public and unlisted videos can be played without
+ * signing in; private ones only by their owner and admins, and are reported as
+ * missing to everyone else.
+ */
+import { getCurrentUser } from "@/lib/auth"
+import { canWatchVideo } from "@/lib/videos/access"
+import { playbackUrlsFor } from "@/lib/videos/playback"
+import { getVideo } from "@/lib/videos/repository"
+
+/**
+ * GET handler for a video's playback URLs
+ *
+ * @param {Request} req - The incoming request
+ * @param {Object} context
+ * @param {Promise<{id: string}>} context.params - The video ID
+ * @returns {Response} JSON response with `{ videoUrl, thumbnailUrl, hls, expiresAt }` or an error message
+ */
+export async function GET(req, { params }) {
+  const { id } = await params
+
+  try {
+    const user = await getCurrentUser()
+    const video = await getVideo(id)
+    if (!video || !canWatchVideo(user, video)) {
+      return Response.json({ error: "Video not found" }, { status: 404 })
+    }
+    return Response.json(playbackUrlsFor(video), { headers: { "Cache-Control": "private, no-store" } })
+  } catch (error) {
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to fetch playback URLs" }, { status: 500 })
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * API Route for a Single Product of a Video
+ *
+ * Changes and removes a product tagged in a video. Only the video's owner (or an
+ * admin) can change its products.
+ */
+import { AUTH_ERROR_STATUS, assertCanManageVideo, requireUser } from "@/lib/auth"
+import { PRODUCT_ERROR_STATUS, removeProduct, updateProduct } from "@/lib/videos/products"
+import { getVideo } from "@/lib/videos/repository"
+import { serializeVideo } from "@/lib/videos/serialize"
+
+/**
+ * PATCH handler for changing a product
+ *
+ * @param {Request} req - The incoming request with a JSON body of the fields to change
+ *   (`title`, `price`, `currency`, `imageUrl`, `url`, `start`, `end`, `x`, `y`); null clears an optional field
+ * @param {Object} context
+ * @param {Promise<{id: string, productId: string}>} context.params - The video and product IDs
+ * @returns {Response} JSON response with the updated video or an error message
+ */
+export async function PATCH(req, { params }) {
+  const { id, productId } = await params
+
+  try {
+    const user = await requireUser()
+    const video = await getVideo(id)
+    if (!video) {
+      return Response.json({ error: "Video not found" }, { status: 404 })
+    }
+    assertCanManageVideo(user, video)
+
+    let body
+    try {
+      body = await req.json()
+    } catch {
+      return Response.json({ error: "Request body must be JSON" }, { status: 400 })
+    }
+
+    return Response.json(serializeVideo(await updateProduct(id, productId, body ?? {})))
+  } catch (error) {
+    if (AUTH_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: AUTH_ERROR_STATUS[error.code] })
+    }
+    if (PRODUCT_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: PRODUCT_ERROR_STATUS[error.code] })
+    }
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to update product" }, { status: 500 })
+  }
+}
+
+/**
+ * DELETE handler for removing a product
+ *
+ * @param {Request} req - The incoming request
+ * @param {Object} context
+ * @param {Promise<{id: string, productId: string}>} context.params - The video and product IDs
+ * @returns {Response} JSON response with the updated video or an error message
+ */
+export async function DELETE(req, { params }) {
+  const { id, productId } = await params
+
+  try {
+    const user = await requireUser()
+    const video = await getVideo(id)
+    if (!video) {
+      return Response.json({ error: "Video not found" }, { status: 404 })
+    }
+    assertCanManageVideo(user, video)
+
+    return Response.json(serializeVideo(await removeProduct(id, productId)))
+  } catch (error) {
+    if (AUTH_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: AUTH_ERROR_STATUS[error.code] })
+    }
+    if (PRODUCT_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: PRODUCT_ERROR_STATUS[error.code] })
+    }
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to remove product" }, { status: 500 })
+  }
+}
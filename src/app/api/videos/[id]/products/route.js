@@ -0,0 +1,78 @@
+/**
+ * API Route for a Video's Products
+ *
+ * Lists the products tagged in a video and tags new ones (see `lib/videos/products`).
+ * Anyone who can watch the video can list its products; only its owner (or an admin)
+ * can add them.
+ */
+import { AUTH_ERROR_STATUS, assertCanManageVideo, getCurrentUser, requireUser } from "@/lib/auth"
+import { canWatchVideo } from "@/lib/videos/access"
+import { PRODUCT_ERROR_STATUS, addProduct } from "@/lib/videos/products"
+import { getVideo } from "@/lib/videos/repository"
+import { serializeVideo } from "@/lib/videos/serialize"
+
+/**
+ * GET handler for listing a video's products
+ *
+ * @param {Request} req - The incoming request
+ * @param {Object} context
+ * @param {Promise<{id: string}>} context.params - The video ID
+ * @returns {Response} JSON response with `{ items }` or an error message
+ */
+export async function GET(req, { params }) {
+  const { id } = await params
+
+  try {
+    const user = await getCurrentUser()
+    const video = await getVideo(id)
+    if (!video || !canWatchVideo(user, video)) {
+      return Response.json({ error: "Video not found" }, { status: 404 })
+    }
+    return Response.json({ items: serializeVideo(video).products })
+  } catch (error) {
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to fetch products" }, { status: 500 })
+  }
+}
+
+/**
+ * POST handler for tagging a product in a video
+ *
+ * @param {Request} req - The incoming request with a JSON body
+ *   `{ title, price, currency, imageUrl, url, start, end, x, y }` (`currency`, `imageUrl`, the time range and the
+ *   position are optional)
+ * @param {Object} context
+ * @param {Promise<{id: string}>} context.params - The video ID
+ * @returns {Response} 201 JSON response with the updated video, or an error message
+ */
+export async function POST(req, { params }) {
+  const { id } = await params
+
+  try {
+    const user = await requireUser()
+    const video = await getVideo(id)
+    if (!video) {
+      return Response.json({ error: "Video not found" }, { status: 404 })
+    }
+    assertCanManageVideo(user, video)
+
+    let body
+    try {
+      body = await req.json()
+    } catch {
+      return Response.json({ error: "Request body must be JSON" }, { status: 400 })
+    }
+
+    const updated = await addProduct(id, body ?? {})
+    return Response.json(serializeVideo(updated), { status: 201 })
+  } catch (error) {
+    if (AUTH_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: AUTH_ERROR_STATUS[error.code] })
+    }
+    if (PRODUCT_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: PRODUCT_ERROR_STATUS[error.code] })
+    }
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to add product" }, { status: 500 })
+  }
+}
@@ -0,0 +1,165 @@
+/**
+ * API Route for a Single Video
+ *
+ * Fetches, edits and deletes one video. Deleting removes the video file, its
+ * thumbnail and its caption tracks from storage along with the metadata record and
+ * its viewing stats, and takes the video out of every playlist. Anyone can fetch a public or
+ * unlisted video, private ones are reported as missing to everyone but their owner;
+ * only the owner (or an admin) can edit or delete a video. A video made private has
+ * its files moved to a new folder, so storage URLs shared while it was public stop working.
+ */
+import { deleteVideoStats } from "@/lib/analytics/repository"
+import { AUTH_ERROR_STATUS, assertCanManageVideo, getCurrentUser, requireUser } from "@/lib/auth"
+import { removeVideoFromPlaylists } from "@/lib/playlists/repository"
+import { VISIBILITIES, canWatchVideo, isPrivateVideo } from "@/lib/videos/access"
+import { deleteCaptionFiles } from "@/lib/videos/captions"
+import { DETAILS_ERROR_STATUS, validateVideoDetails } from "@/lib/videos/details"
+import { copyVideoFiles, deleteVideoFiles } from "@/lib/videos/ingest"
+import { deleteVideo, getVideo, updateVideo } from "@/lib/videos/repository"
+import { serializeVideo } from "@/lib/videos/serialize"
+import { scheduleTranscode } from "@/lib/videos/transcode"
+
+/**
+ * GET handler for fetching one video
+ *
+ * @param {Request} req - The incoming request
+ * @param {Object} context
+ * @param {Promise<{id: string}>} context.params - The video ID
+ * @returns {Response} JSON response with the video or an error message
+ */
+export async function GET(req, { params }) {
+  const { id } = await params
+
+  try {
+    const user = await getCurrentUser()
+    const video = await getVideo(id)
+    if (!video || !canWatchVideo(user, video)) {
+      return Response.json({ error: "Video not found" }, { status: 404 })
+    }
+    return Response.json(serializeVideo(video))
+  } catch (error) {
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to fetch video" }, { status: 500 })
+  }
+}
+
+/**
+ * PATCH handler for editing a video's details, changing its visibility or picking its poster
+ * `tags` is an array of tags or a comma-separated string, and replaces the video's tags.
+ * `posterIndex` selects one of the video's candidate frames (see `frames` in the response).
+ *
+ * @param {Request} req - The incoming request with a JSON body
+ *   `{ title, description, tags, visibility, posterIndex }` (any may be omitted)
+ * @param {Object} context
+ * @param {Promise<{id: string}>} context.params - The video ID
+ * @returns {Response} JSON response with the updated video or an error message
+ */
+export async function PATCH(req, { params }) {
+  const { id } = await params
+
+  try {
+    const user = await requireUser()
+
+    let body
+    try {
+      body = await req.json()
+    } catch {
+      return Response.json({ error: "Request body must be JSON" }, { status: 400 })
+    }
+
+    const changes = validateVideoDetails({ title: body?.title, description: body?.description, tags: body?.tags })
+    if (body?.visibility !== undefined) {
+      if (!VISIBILITIES.includes(body.visibility)) {
+        return Response.json({ error: `visibility must be one of: ${VISIBILITIES.join(", ")}` }, { status: 400 })
+      }
+      changes.visibility = body.visibility
+    }
+    if (Object.keys(changes).length === 0 && body?.posterIndex === undefined) {
+      return Response.json(
+        { error: "Nothing to update: send a title, description, tags, visibility or posterIndex" },
+        { status: 400 },
+      )
+    }
+
+    const video = await getVideo(id)
+    if (!video) {
+      return Response.json({ error: "Video not found" }, { status: 404 })
+    }
+    assertCanManageVideo(user, video)
+
+    const pickingPoster = body.posterIndex !== undefined
+    if (pickingPoster && !(Number.isInteger(body.posterIndex) && video.frames?.[body.posterIndex])) {
+      return Response.json({ error: "posterIndex must be the index of one of the video's frames" }, { status: 400 })
+    }
+
+    // The copies are recorded before the old files go, so a failure leaves the video playable
+    const moving = changes.visibility === "private" && !isPrivateVideo(video)
+    if (moving) {
+      Object.assign(changes, await copyVideoFiles(video))
+    }
+
+    // Picked once the files are moved, so the poster is one of the copied frames
+    if (pickingPoster) {
+      const frame = (changes.frames ?? video.frames)[body.posterIndex]
+      Object.assign(changes, {
+        posterIndex: body.posterIndex,
+        thumbnailPathname: frame.pathname,
+        thumbnailUrl: frame.url,
+      })
+    }
+
+    let updated = await updateVideo(id, changes)
+    if (moving) {
+      await deleteVideoFiles(video, updated)
+      if (video.hls && !updated.hls) {
+        updated = await scheduleTranscode(updated)
+      }
+    }
+    return Response.json(serializeVideo(updated))
+  } catch (error) {
+    if (AUTH_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: AUTH_ERROR_STATUS[error.code] })
+    }
+    if (DETAILS_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message }, { status: DETAILS_ERROR_STATUS[error.code] })
+    }
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to update video" }, { status: 500 })
+  }
+}
+
+/**
+ * DELETE handler for removing a video and its thumbnail
+ *
+ * @param {Request} req - The incoming request
+ * @param {Object} context
+ * @param {Promise<{id: string}>} context.params - The video ID
+ * @returns {Response} Empty 204 response or an error message
+ */
+export async function DELETE(req, { params }) {
+  const { id } = await params
+
+  try {
+    const user = await requireUser()
+    const video = await getVideo(id)
+    if (!video) {
+      return Response.json({ error: "Video not found" }, { status: 404 })
+    }
+    assertCanManageVideo(user, video)
+
+    // Remove the files first so a storage failure leaves the record in place to retry
+    await deleteVideoFiles(video)
+    await deleteCaptionFiles(video)
+    await deleteVideo(id)
+    await removeVideoFromPlaylists(id)
+    await deleteVideoStats(id)
+
+    return new Response(null, { status: 204 })
+  } catch (error) {
+    if (AUTH_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: AUTH_ERROR_STATUS[error.code] })
+    }
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to delete video" }, { status: 500 })
+  }
+}
@@ -1,53 +1,136 @@
 /**
  * API Route for Video Gallery
  *
- * Retrieves all videos and their thumbnails from Vercel Blob storage
- * and formats them for display in the gallery.
+ * Serves the gallery from the video metadata store, which is written at upload time.
+ * Results are paginated with an opaque cursor and can be searched, sorted and filtered
+ * by tag, format and date; each page reports the tags of all the matching videos. Only
+ * signed-in users can browse the gallery, which lists public videos and the user's own
+ * unlisted and private ones (see `lib/videos/access`).
  */
-import { list } from "@vercel/blob"
+import { AUTH_ERROR_STATUS, requireUser } from "@/lib/auth"
+import { DETAILS_ERROR_STATUS, parseTags } from "@/lib/videos/details"
+import { SORT_OPTIONS, queryVideos } from "@/lib/videos/repository"
+import { serializeVideo } from "@/lib/videos/serialize"
+
+const DEFAULT_LIMIT = 12
+const MAX_LIMIT = 100
+const MAX_QUERY_LENGTH = 200
 
 /**
- * GET handler for fetching all videos
+ * Parses a date query parameter
+ * Date-only `to` values ("2025-03-15") cover the whole day.
  *
- * @returns {Response} JSON response with an array of video objects containing URLs and metadata
+ * @param {string|null} value - The query parameter value
+ * @param {boolean} endOfDay - Whether a date-only value should resolve to the end of the day
+ * @returns {Date|null|undefined} The date, null when absent, or undefined when invalid
  */
-export async function GET() {
+function parseDate(value, endOfDay) {
+  if (!value) return null
+  const date = new Date(endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value)
+  return Number.isNaN(date.getTime()) ? undefined : date
+}
+
+/**
+ * GET handler for fetching a page of videos
+ *
+ * Query parameters:
+ * - `limit`   page size (1-100, default 12)
+ * - `cursor`  the `nextCursor` returned with the previous page
+ * - `q`       full-text search over titles, descriptions, tags and filenames
+ * - `tags`    comma-separated tags the videos must all carry
+ * - `sort`    "date" (upload date), "name", "size" or "relevance" (default with `q`, otherwise "date")
+ * - `order`   "asc" or "desc" (default "asc" for name, "desc" otherwise)
+ * - `format`  comma-separated formats to include (e.g. "mp4,webm")
+ * - `from`    only videos uploaded at or after this date
+ * - `to`      only videos uploaded at or before this date
+ * - `scope`   "all" (default) or "mine" for the signed-in user's own uploads
+ *
+ * @param {Request} req - The incoming request
+ * @returns {Response} JSON response with `{ items, nextCursor, facets: { tags } }` or an error message
+ */
+export async function GET(req) {
+  let user
   try {
-    // Validate Blob storage token
-    const token = process.env.BLOB_READ_WRITE_TOKEN
-    if (!token) {
-      return Response.json({ error: "Missing token" }, { status: 500 })
+    user = await requireUser()
+  } catch (error) {
+    if (AUTH_ERROR_STATUS[error.code]) {
+      return Response.json({ error: error.message, code: error.code }, { status: AUTH_ERROR_STATUS[error.code] })
     }
+    console.error("Error:", error)
+    return Response.json({ error: "Failed to fetch gallery" }, { status: 500 })
+  }
 
-    // List all files in Blob storage
-    const files = await list({ token })
-
-    // Filter video files (common video formats)
-    const videos = files.blobs.filter(
-      (file) => file.pathname.endsWith(".mp4") || file.pathname.endsWith(".mov") || file.pathname.endsWith(".webm"),
-    )
-
-    // Filter thumbnail files
-    const thumbnails = files.blobs.filter((file) => file.pathname.includes(".thumbnail.jpg"))
-
-    // Create gallery items by matching videos with their thumbnails
-    const gallery = videos.map((video) => {
-      // Extract the base filename to match with thumbnail
-      const videoName = video.pathname
-      // Find matching thumbnail
-      const thumbnail = thumbnails.find((thumb) => thumb.pathname === `${videoName}.thumbnail.jpg`)
-
-      return {
-        videoUrl: video.url,
-        thumbnailUrl: thumbnail ? thumbnail.url : null,
-        name: videoName,
-      }
-    })
+  const params = new URL(req.url).searchParams
+
+  const limit = params.has("limit") ? Number(params.get("limit")) : DEFAULT_LIMIT
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return Response.json({ error: `limit must be an integer between 1 and ${MAX_LIMIT}` }, { status: 400 })
+  }
+
+  const q = params.get("q")?.trim() || undefined
+  if (q && q.length > MAX_QUERY_LENGTH) {
+    return Response.json({ error: `q must be at most ${MAX_QUERY_LENGTH} characters` }, { status: 400 })
+  }
+
+  const sort = params.get("sort") || (q ? "relevance" : "date")
+  if (!SORT_OPTIONS.includes(sort)) {
+    return Response.json({ error: `sort must be one of: ${SORT_OPTIONS.join(", ")}` }, { status: 400 })
+  }
+  if (sort === "relevance" && !q) {
+    return Response.json({ error: "sort=relevance needs a search query (q)" }, { status: 400 })
+  }
 
-    return Response.json(gallery)
+  let tags = null
+  try {
+    tags = params.get("tags") ? parseTags(params.get("tags")) : null
   } catch (error) {
+    return Response.json({ error: error.message }, { status: DETAILS_ERROR_STATUS[error.code] })
+  }
+
+  const order = params.get("order") || undefined
+  if (order && order !== "asc" && order !== "desc") {
+    return Response.json({ error: "order must be asc or desc" }, { status: 400 })
+  }
+
+  const from = parseDate(params.get("from"), false)
+  const to = parseDate(params.get("to"), true)
+  if (from === undefined || to === undefined) {
+    return Response.json({ error: "from and to must be valid dates" }, { status: 400 })
+  }
+
+  const scope = params.get("scope") || "all"
+  if (scope !== "all" && scope !== "mine") {
+    return Response.json({ error: "scope must be all or mine" }, { status: 400 })
+  }
+
+  const formats = params.get("format")
+    ? params
+        .get("format")
+        .split(",")
+        .map((format) => format.trim().toLowerCase().replace(/^\./, ""))
+        .filter(Boolean)
+    : null
+
+  try {
+    const { items, nextCursor, tagCounts } = await queryVideos({
+      limit,
+      cursor: params.get("cursor") || undefined,
+      sort,
+      order,
+      q,
+      tags,
+      formats,
+      from,
+      to,
+      ownerId: scope === "mine" ? user.id : undefined,
+      viewer: user,
+    })
+    return Response.json({ items: items.map(serializeVideo), nextCursor, facets: { tags: tagCounts } })
+  } catch (error) {
+    if (error.code === "INVALID_CURSOR") {
+      return Response.json({ error: "Invalid cursor" }, { status: 400 })
+    }
     console.error("Error:", error)
     return Response.json({ error: "Failed to fetch gallery" }, { status: 500 })
   }
 }
-
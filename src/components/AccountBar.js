@@ -0,0 +1,53 @@
+"use client"
+
+import Link from "next/link"
+import { signOut } from "../lib/auth/client"
+
+/**
+ * AccountBar Component
+ *
+ * Shows who is signed in with links to the playlists and analytics and a sign-out button, or a
+ * link to the login page.
+ *
+ * @param {Object} props
+ * @param {Object|null} props.user - The signed-in user, or null
+ * @param {Function} props.onSignedOut - Called after the user signs out
+ */
+export default function AccountBar({ user, onSignedOut }) {
+  /**
+   * Signs the user out
+   */
+  const handleSignOut = async () => {
+    try {
+      await signOut()
+      onSignedOut()
+    } catch (err) {
+      console.error("Error signing out:", err)
+    }
+  }
+
+  return (
+    <div className="flex justify-end items-center gap-3 text-sm mb-4">
+      {user ? (
+        <>
+          <Link href="/playlists" className="text-blue-600 hover:text-blue-800">
+            Playlists
+          </Link>
+          <Link href="/analytics" className="text-blue-600 hover:text-blue-800">
+            Analytics
+          </Link>
+          <span className="text-gray-600">
+            Signed in as <span className="font-medium text-gray-800">{user.name || user.email}</span>
+          </span>
+          <button type="button" onClick={handleSignOut} className="text-blue-600 hover:text-blue-800">
+            Sign out
+          </button>
+        </>
+      ) : (
+        <Link href="/login" className="text-blue-600 hover:text-blue-800 font-medium">
+          Sign in
+        </Link>
+      )}
+    </div>
+  )
+}
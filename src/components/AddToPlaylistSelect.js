@@ -0,0 +1,96 @@
+"use client"
+
+import { useRef, useState } from "react"
+
+/**
+ * AddToPlaylistSelect Component
+ *
+ * A dropdown that adds a video to one of the signed-in user's playlists. The
+ * playlists are only fetched once the dropdown is first focused, so a gallery full
+ * of these doesn't send a request per slide.
+ *
+ * @param {Object} props
+ * @param {string} props.videoId - The video to add
+ * @param {string} [props.className] - Extra classes for the `<select>` element
+ */
+export default function AddToPlaylistSelect({ videoId, className = "" }) {
+  const [playlists, setPlaylists] = useState(null) // The user's playlists, null until loaded
+  const [busy, setBusy] = useState(false) // Whether a video is being added
+  const [message, setMessage] = useState(null) // `{ text, error }` describing the last attempt
+  const requestedRef = useRef(false) // Whether the playlists have been requested
+
+  /**
+   * Loads the user's playlists the first time the dropdown is used
+   */
+  const handleFocus = () => {
+    if (requestedRef.current) return
+    requestedRef.current = true
+    fetch("/api/playlists?scope=mine")
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP Error: ${res.status}`)
+        return res.json()
+      })
+      .then((data) => setPlaylists(data.items))
+      .catch((err) => {
+        console.error("Error fetching playlists:", err)
+        requestedRef.current = false
+      })
+  }
+
+  /**
+   * Adds the video to the chosen playlist
+   *
+   * @param {Event} event - The select change event
+   */
+  const handleChange = async (event) => {
+    const playlist = playlists?.find(({ id }) => id === event.target.value)
+    if (!playlist) return
+
+    setBusy(true)
+    setMessage(null)
+    try {
+      const res = await fetch(`/api/playlists/${playlist.id}/videos`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ videoId }),
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || `HTTP Error: ${res.status}`)
+      setMessage({ text: `Added to ${playlist.name}`, error: false })
+    } catch (err) {
+      setMessage({ text: err.message, error: true })
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <span className="inline-flex items-center gap-2 min-w-0">
+      <select
+        value=""
+        onFocus={handleFocus}
+        onChange={handleChange}
+        disabled={busy}
+        aria-label="Add to playlist"
+        className={`border rounded bg-white disabled:opacity-50 ${className}`}
+      >
+        <option value="">{busy ? "Adding..." : "Add to playlist…"}</option>
+        {playlists?.map((playlist) => (
+          <option key={playlist.id} value={playlist.id}>
+            {playlist.name}
+          </option>
+        ))}
+        {playlists?.length === 0 && (
+          <option value="" disabled>
+            No playlists yet
+          </option>
+        )}
+      </select>
+      {message && (
+        <span className={`truncate ${message.error ? "text-red-500" : "text-green-600"}`} role="status">
+          {message.text}
+        </span>
+      )}
+    </span>
+  )
+}
@@ -0,0 +1,175 @@
+"use client"
+
+import { useRef, useState } from "react"
+
+/**
+ * Labels for the kinds of text track
+ */
+const KIND_LABELS = {
+  captions: "Captions",
+  subtitles: "Subtitles",
+}
+
+/**
+ * Sends a request and parses the JSON response, throwing on error responses
+ *
+ * @param {string} url - The request URL
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Object>} The parsed response body
+ */
+async function fetchJson(url, options) {
+  const res = await fetch(url, options)
+  const data = await res.json()
+  if (!res.ok) {
+    throw new Error(data?.error || `HTTP Error: ${res.status}`)
+  }
+  return data
+}
+
+/**
+ * CaptionManager Component
+ *
+ * Lists a video's caption and subtitle tracks and lets its owner upload more as WebVTT
+ * or SRT files, or remove them. Captions transcribe the dialogue and describe other
+ * sounds, for viewers who can't hear them; subtitles translate the dialogue. A new
+ * track replaces the video's track of the same language and kind.
+ *
+ * @param {Object} props
+ * @param {Object} props.video - The video whose tracks are managed
+ * @param {Function} props.onUpdated - Called with the updated video after a track was added or removed
+ */
+export default function CaptionManager({ video, onUpdated }) {
+  const [file, setFile] = useState(null) // The selected caption file
+  const [language, setLanguage] = useState("") // Language tag of the new track
+  const [label, setLabel] = useState("") // Optional name shown in the player's menu
+  const [kind, setKind] = useState("captions") // "captions" or "subtitles"
+  const [busy, setBusy] = useState(false) // Whether a track is being uploaded or removed
+  const [error, setError] = useState(null) // Message from the last failed change
+  const fileInputRef = useRef(null) // Reference to the file input element, cleared after an upload
+
+  /**
+   * Uploads the selected file as a new track
+   *
+   * @param {Event} event - The form submit event
+   */
+  const handleUpload = async (event) => {
+    event.preventDefault()
+    const formData = new FormData()
+    formData.append("file", file)
+    formData.append("language", language.trim())
+    formData.append("label", label)
+    formData.append("kind", kind)
+
+    setBusy(true)
+    setError(null)
+    try {
+      const updated = await fetchJson(`/api/videos/${video.id}/captions`, { method: "POST", body: formData })
+      setFile(null)
+      setLabel("")
+      if (fileInputRef.current) fileInputRef.current.value = ""
+      onUpdated(updated)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  /**
+   * Removes a track
+   *
+   * @param {Object} track - The track to remove
+   */
+  const handleRemove = async (track) => {
+    setBusy(true)
+    setError(null)
+    try {
+      onUpdated(await fetchJson(`/api/videos/${video.id}/captions/${track.id}`, { method: "DELETE" }))
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="space-y-2 text-xs text-gray-700">
+      {video.captions.length > 0 ? (
+        <ul className="space-y-1">
+          {video.captions.map((track) => (
+            <li key={track.id} className="flex items-center justify-between gap-2">
+              <span className="truncate">
+                {track.label} <span className="text-gray-500">({KIND_LABELS[track.kind]})</span>
+              </span>
+              <button
+                type="button"
+                onClick={() => handleRemove(track)}
+                disabled={busy}
+                className="shrink-0 text-red-600 hover:text-red-800 disabled:opacity-50"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-gray-500">No captions yet.</p>
+      )}
+
+      <form onSubmit={handleUpload} className="space-y-1">
+        <input
+          type="file"
+          ref={fileInputRef}
+          onChange={(e) => setFile(e.target.files[0] ?? null)}
+          accept=".vtt,.srt,text/vtt"
+          aria-label="Caption file"
+          disabled={busy}
+          className="w-full"
+        />
+        <div className="flex items-center gap-2">
+          <input
+            type="text"
+            value={language}
+            onChange={(e) => setLanguage(e.target.value)}
+            placeholder="Language (e.g. en)"
+            aria-label="Caption language"
+            disabled={busy}
+            className="w-28 border rounded px-1 py-0.5"
+          />
+          <input
+            type="text"
+            value={label}
+            onChange={(e) => setLabel(e.target.value)}
+            maxLength={60}
+            placeholder="Label (optional)"
+            aria-label="Caption label"
+            disabled={busy}
+            className="flex-1 min-w-0 border rounded px-1 py-0.5"
+          />
+          <select
+            value={kind}
+            onChange={(e) => setKind(e.target.value)}
+            aria-label="Caption kind"
+            disabled={busy}
+            className="border rounded bg-white px-1 py-0.5"
+          >
+            {Object.entries(KIND_LABELS).map(([value, text]) => (
+              <option key={value} value={value}>
+                {text}
+              </option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={busy || !file || !language.trim()}
+            className="shrink-0 font-medium text-blue-600 hover:text-blue-800 disabled:opacity-50"
+          >
+            {busy ? "Saving..." : "Add"}
+          </button>
+        </div>
+      </form>
+
+      {error && <p className="text-red-500">{error}</p>}
+    </div>
+  )
+}
@@ -0,0 +1,101 @@
+"use client"
+
+import { useEffect, useRef, useState } from "react"
+import { Swiper, SwiperSlide } from "swiper/react"
+import { Pagination, Navigation } from "swiper/modules"
+import "swiper/css"
+import "swiper/css/pagination"
+import "swiper/css/navigation"
+import { bridgeVideoElement, onEmbedCommand } from "../lib/embed/messaging"
+import HlsVideo from "./HlsVideo"
+
+/**
+ * EmbedGallery Component
+ *
+ * Carousel for `/embed/gallery`: thumbnails that play in place when clicked. Only
+ * public videos are shown, so their storage URLs can be played as they are. The
+ * host page can pick a video with the "select" command and control the playing one
+ * through the postMessage API (see `lib/embed/messaging`).
+ *
+ * @param {Object} props
+ * @param {Object[]} props.videos - The videos to show (as returned by the API)
+ */
+export default function EmbedGallery({ videos }) {
+  const [playingId, setPlayingId] = useState(null) // ID of the video that is playing
+  const videoRef = useRef(null) // The playing video's element
+  const swiperRef = useRef(null) // The Swiper instance, for moving to selected videos
+
+  // Commands that pick a video; the rest go to the playing video's element
+  useEffect(
+    () =>
+      onEmbedCommand(({ command, value }) => {
+        if (command === "select") {
+          const index = videos.findIndex((video) => video.id === value)
+          if (index === -1) return
+          swiperRef.current?.slideTo(index)
+          setPlayingId(value)
+        } else if (command === "play") {
+          // With nothing playing yet, "play" starts the first visible video
+          setPlayingId((current) => current ?? videos[swiperRef.current?.activeIndex ?? 0]?.id ?? null)
+        }
+      }),
+    [videos],
+  )
+
+  useEffect(() => {
+    if (!playingId) return
+    return bridgeVideoElement(videoRef.current, playingId)
+  }, [playingId])
+
+  if (videos.length === 0) {
+    return <p className="p-4 text-center text-sm text-gray-500">No videos to show.</p>
+  }
+
+  return (
+    <Swiper
+      modules={[Pagination, Navigation]}
+      spaceBetween={10}
+      slidesPerView={1}
+      breakpoints={{
+        640: {
+          slidesPerView: 2,
+        },
+        1024: {
+          slidesPerView: 3,
+        },
+      }}
+      pagination={{ clickable: true }}
+      navigation
+      onSwiper={(swiper) => (swiperRef.current = swiper)}
+      className="gallery-swiper"
+    >
+      {videos.map((video) => (
+        <SwiperSlide key={video.id}>
+          {playingId === video.id ? (
+            <HlsVideo
+              ref={videoRef}
+              video={video}
+              controls
+              autoPlay
+              playsInline
+              className="w-full aspect-video bg-black object-contain rounded-lg"
+            />
+          ) : (
+            <button
+              type="button"
+              onClick={() => setPlayingId(video.id)}
+              className="relative block w-full aspect-video bg-gray-900 rounded-lg overflow-hidden hover:opacity-90"
+            >
+              {video.thumbnailUrl && (
+                <img src={video.thumbnailUrl} alt="" className="absolute inset-0 w-full h-full object-cover" />
+              )}
+              <span className="absolute inset-x-0 bottom-0 p-2 text-left text-sm font-medium text-white truncate bg-gradient-to-t from-black/70 to-transparent">
+                {video.title || video.name}
+              </span>
+            </button>
+          )}
+        </SwiperSlide>
+      ))}
+    </Swiper>
+  )
+}
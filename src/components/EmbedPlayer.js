@@ -0,0 +1,38 @@
+"use client"
+
+import { useEffect, useRef } from "react"
+import { bridgeVideoElement } from "../lib/embed/messaging"
+import HlsVideo from "./HlsVideo"
+
+/**
+ * EmbedPlayer Component
+ *
+ * Full-frame player for `/embed/:id`. The host page can control it and follow its
+ * playback through the postMessage API (see `lib/embed/messaging`).
+ *
+ * @param {Object} props
+ * @param {Object} props.video - The video with its playback URLs (`videoUrl`, `thumbnailUrl`, `hls`)
+ * @param {boolean} [props.autoPlay] - Start playing straight away (browsers only allow this muted)
+ * @param {boolean} [props.muted] - Start muted
+ * @param {boolean} [props.loop] - Restart when the video ends
+ * @param {boolean} [props.controls=true] - Show the player controls
+ */
+export default function EmbedPlayer({ video, autoPlay, muted, loop, controls = true }) {
+  const videoRef = useRef(null)
+
+  useEffect(() => bridgeVideoElement(videoRef.current, video.id), [video.id])
+
+  return (
+    <HlsVideo
+      ref={videoRef}
+      video={video}
+      poster={video.thumbnailUrl ?? undefined}
+      autoPlay={autoPlay}
+      muted={muted}
+      loop={loop}
+      controls={controls}
+      playsInline
+      className="block w-screen h-screen bg-black object-contain"
+    />
+  )
+}
@@ -0,0 +1,86 @@
+"use client"
+
+import { forwardRef, useEffect, useImperativeHandle, useRef } from "react"
+
+/**
+ * HlsVideo Component
+ *
+ * A `<video>` element that streams the video's HLS renditions when they are ready,
+ * letting the player pick the rendition that suits the screen and connection.
+ * Safari plays HLS natively; other browsers use hls.js, loaded on demand. Until
+ * transcoding has finished (or when HLS isn't supported) the original file is played.
+ * The video's caption and subtitle tracks are offered in the player's captions menu.
+ *
+ * @param {Object} props
+ * @param {Object} props.video - The video to play (uses `hls.playlistUrl`, `videoUrl` and `captions`)
+ * @param {Object} props.rest - Any other props are passed to the `<video>` element
+ */
+const HlsVideo = forwardRef(function HlsVideo({ video, ...rest }, ref) {
+  const videoRef = useRef(null)
+  useImperativeHandle(ref, () => videoRef.current)
+
+  const playlistUrl = video.hls?.status === "ready" ? video.hls.playlistUrl : null
+
+  useEffect(() => {
+    const element = videoRef.current
+    if (!element) return
+
+    // Fall back to the original upload until the HLS ladder is available
+    if (!playlistUrl) {
+      element.src = video.videoUrl
+      return
+    }
+
+    // Safari (and iOS) can play HLS directly
+    if (element.canPlayType("application/vnd.apple.mpegurl")) {
+      element.src = playlistUrl
+      return
+    }
+
+    let hls = null
+    let cancelled = false
+
+    import("hls.js")
+      .then(({ default: Hls }) => {
+        if (cancelled) return
+        if (!Hls.isSupported()) {
+          element.src = video.videoUrl
+          return
+        }
+
+        // Never pick a rendition larger than the player is displayed at
+        hls = new Hls({ capLevelToPlayerSize: true })
+        hls.on(Hls.Events.ERROR, (event, data) => {
+          if (data.fatal) {
+            console.error("HLS playback error, falling back to the original file:", data)
+            hls.destroy()
+            hls = null
+            element.src = video.videoUrl
+          }
+        })
+        hls.loadSource(playlistUrl)
+        hls.attachMedia(element)
+      })
+      .catch((err) => {
+        console.error("Failed to load hls.js:", err)
+        element.src = video.videoUrl
+      })
+
+    return () => {
+      cancelled = true
+      if (hls) {
+        hls.destroy()
+      }
+    }
+  }, [playlistUrl, video.videoUrl])
+
+  return (
+    <video ref={videoRef} {...rest}>
+      {video.captions?.map((track) => (
+        <track key={track.id} kind={track.kind} srcLang={track.language} label={track.label} src={track.url} />
+      ))}
+    </video>
+  )
+})
+
+export default HlsVideo
@@ -0,0 +1,214 @@
+"use client"
+
+import { useCallback, useEffect, useRef, useState } from "react"
+
+/**
+ * Sends a request and parses the JSON response, throwing on error responses
+ *
+ * @param {string} url - The request URL
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Object|null>} The parsed response body, or null for empty responses
+ */
+async function fetchJson(url, options) {
+  const res = await fetch(url, options)
+  const data = res.status === 204 ? null : await res.json()
+  if (!res.ok) {
+    throw new Error(data?.error || `HTTP Error: ${res.status}`)
+  }
+  return data
+}
+
+/**
+ * Moves an item of a list to another position
+ *
+ * @param {Array} items - The list
+ * @param {number} from - Current index of the item
+ * @param {number} to - Index it should end up at
+ * @returns {Array} A new list
+ */
+function moveItem(items, from, to) {
+  const next = [...items]
+  const [item] = next.splice(from, 1)
+  next.splice(to, 0, item)
+  return next
+}
+
+/**
+ * PlaylistEditor Component
+ *
+ * The owner's view of a playlist's videos as a list that can be reordered by
+ * dragging (or with the arrow buttons) and pruned. Every change is saved straight
+ * away; if saving fails the list goes back to the server's order.
+ *
+ * @param {Object} props
+ * @param {string} props.playlistId - The playlist being edited
+ * @param {Function} props.onChanged - Called after the order or contents were saved
+ */
+export default function PlaylistEditor({ playlistId, onChanged }) {
+  const [videos, setVideos] = useState(null) // The playlist's videos in order, null until loaded
+  const [draggingId, setDraggingId] = useState(null) // ID of the video being dragged
+  const [saving, setSaving] = useState(false) // Whether a change is being saved
+  const [error, setError] = useState(null) // Message from the last failed change
+  const orderRef = useRef(null) // Order when the drag started, to tell whether it changed
+
+  /**
+   * Loads the playlist's videos in their saved order
+   *
+   * @returns {Promise<void>} Resolves once loaded
+   */
+  const load = useCallback(
+    () =>
+      fetchJson(`/api/playlists/${playlistId}/videos`)
+        .then((data) => setVideos(data.items))
+        .catch((err) => setError(err.message)),
+    [playlistId],
+  )
+
+  useEffect(() => {
+    load()
+  }, [load])
+
+  /**
+   * Saves an order, reloading the saved one if that fails
+   *
+   * @param {Object[]} ordered - The videos in their new order
+   */
+  const saveOrder = async (ordered) => {
+    setVideos(ordered)
+    setSaving(true)
+    setError(null)
+    try {
+      await fetchJson(`/api/playlists/${playlistId}/videos`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ videoIds: ordered.map((video) => video.id) }),
+      })
+      onChanged()
+    } catch (err) {
+      setError(err.message)
+      await load()
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  /**
+   * Takes a video out of the playlist
+   *
+   * @param {string} id - The video ID
+   */
+  const handleRemove = async (id) => {
+    setSaving(true)
+    setError(null)
+    try {
+      await fetchJson(`/api/playlists/${playlistId}/videos/${id}`, { method: "DELETE" })
+      setVideos((prev) => prev.filter((video) => video.id !== id))
+      onChanged()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  /**
+   * Starts dragging a video
+   *
+   * @param {DragEvent} event - The dragstart event
+   * @param {string} id - The dragged video's ID
+   */
+  const handleDragStart = (event, id) => {
+    event.dataTransfer.effectAllowed = "move"
+    event.dataTransfer.setData("text/plain", id) // Firefox won't start a drag without data
+    orderRef.current = videos.map((video) => video.id).join(",")
+    setDraggingId(id)
+  }
+
+  /**
+   * Moves the dragged video to the position of the row it is over
+   *
+   * @param {DragEvent} event - The dragover event
+   * @param {number} index - Index of the row being dragged over
+   */
+  const handleDragOver = (event, index) => {
+    if (!draggingId) return
+    event.preventDefault()
+    const from = videos.findIndex((video) => video.id === draggingId)
+    if (from !== index) setVideos(moveItem(videos, from, index))
+  }
+
+  /**
+   * Saves the new order once the video is dropped
+   */
+  const handleDragEnd = () => {
+    setDraggingId(null)
+    if (videos.map((video) => video.id).join(",") !== orderRef.current) {
+      saveOrder(videos)
+    }
+  }
+
+  if (!videos) {
+    return error ? <p className="text-sm text-red-500">{error}</p> : null
+  }
+
+  if (videos.length === 0) {
+    return <p className="text-sm text-gray-500">Add videos from the gallery with “Add to playlist”.</p>
+  }
+
+  return (
+    <div>
+      <ol className="space-y-1" aria-label="Playlist order" aria-busy={saving}>
+        {videos.map((video, index) => (
+          <li
+            key={video.id}
+            draggable={!saving}
+            onDragStart={(e) => handleDragStart(e, video.id)}
+            onDragOver={(e) => handleDragOver(e, index)}
+            onDrop={(e) => e.preventDefault()}
+            onDragEnd={handleDragEnd}
+            className={`flex items-center gap-3 p-2 rounded-lg bg-gray-50 ${
+              saving ? "" : "cursor-grab"
+            } ${draggingId === video.id ? "opacity-50" : ""}`}
+          >
+            <span className="text-gray-400 select-none" aria-hidden="true">
+              ⋮⋮
+            </span>
+            <span className="w-6 text-right text-xs text-gray-500">{index + 1}</span>
+            <span className="flex-1 min-w-0 text-sm text-gray-800 truncate" title={video.title || video.name}>
+              {video.title || video.name}
+            </span>
+            <div className="flex items-center gap-2 shrink-0 text-xs">
+              <button
+                type="button"
+                onClick={() => saveOrder(moveItem(videos, index, index - 1))}
+                disabled={saving || index === 0}
+                aria-label={`Move ${video.title || video.name} up`}
+                className="text-gray-600 hover:text-gray-900 disabled:opacity-30"
+              >
+                ↑
+              </button>
+              <button
+                type="button"
+                onClick={() => saveOrder(moveItem(videos, index, index + 1))}
+                disabled={saving || index === videos.length - 1}
+                aria-label={`Move ${video.title || video.name} down`}
+                className="text-gray-600 hover:text-gray-900 disabled:opacity-30"
+              >
+                ↓
+              </button>
+              <button
+                type="button"
+                onClick={() => handleRemove(video.id)}
+                disabled={saving}
+                className="text-red-600 hover:text-red-800 disabled:opacity-50"
+              >
+                Remove
+              </button>
+            </div>
+          </li>
+        ))}
+      </ol>
+      {error && <p className="mt-1 text-xs text-red-500">{error}</p>}
+    </div>
+  )
+}
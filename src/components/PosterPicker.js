@@ -0,0 +1,58 @@
+"use client"
+
+/**
+ * Formats a frame's offset for its label
+ *
+ * @param {number} seconds - Offset into the video
+ * @returns {string} The offset as "m:ss"
+ */
+function formatOffset(seconds) {
+  const whole = Math.floor(seconds)
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, "0")}`
+}
+
+/**
+ * PosterPicker Component
+ *
+ * A strip of a video's candidate frames to choose its poster from. The current
+ * poster is outlined.
+ *
+ * @param {Object} props
+ * @param {Object[]} props.frames - The candidate frames as `{ index, offset, url }`
+ * @param {number|null} props.value - Index of the current poster frame
+ * @param {Function} props.onSelect - Called with the index of the clicked frame
+ * @param {boolean} [props.disabled] - Whether the frames can be picked
+ */
+export default function PosterPicker({ frames, value, onSelect, disabled }) {
+  if (frames.length === 0) {
+    return <p className="text-xs text-gray-500">No frames to choose from. Replace the file to generate some.</p>
+  }
+
+  return (
+    <div className="flex gap-2 overflow-x-auto" role="radiogroup" aria-label="Poster frame">
+      {frames.map((frame) => (
+        <button
+          key={frame.index}
+          type="button"
+          role="radio"
+          aria-checked={frame.index === value}
+          onClick={() => onSelect(frame.index)}
+          disabled={disabled}
+          title={`Frame at ${formatOffset(frame.offset)}`}
+          className={`relative shrink-0 w-20 rounded overflow-hidden border-2 disabled:opacity-50 ${
+            frame.index === value ? "border-blue-600" : "border-transparent hover:border-gray-300"
+          }`}
+        >
+          <img
+            src={frame.url}
+            alt={`Frame at ${formatOffset(frame.offset)}`}
+            className="w-full aspect-video object-cover"
+          />
+          <span className="absolute bottom-0 right-0 px-1 text-[10px] text-white bg-black/60">
+            {formatOffset(frame.offset)}
+          </span>
+        </button>
+      ))}
+    </div>
+  )
+}
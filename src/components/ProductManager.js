@@ -0,0 +1,234 @@
+"use client"
+
+import { useState } from "react"
+
+/**
+ * Values of the product form when it is empty
+ */
+const EMPTY_FORM = { title: "", price: "", currency: "USD", url: "", imageUrl: "", start: "", end: "", x: "", y: "" }
+
+/**
+ * Sends a request and parses the JSON response, throwing on error responses
+ *
+ * @param {string} url - The request URL
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Object>} The parsed response body
+ */
+async function fetchJson(url, options) {
+  const res = await fetch(url, options)
+  const data = await res.json()
+  if (!res.ok) {
+    throw new Error(data?.error || `HTTP Error: ${res.status}`)
+  }
+  return data
+}
+
+/**
+ * Returns a product's fields as edited in the form
+ *
+ * @param {Object} product - The product
+ * @returns {Object} The form values, with empty strings for fields that aren't set
+ */
+const formOf = (product) =>
+  Object.fromEntries(Object.keys(EMPTY_FORM).map((field) => [field, String(product[field] ?? "")]))
+
+/**
+ * Describes when and where a product shows in the player
+ *
+ * @param {Object} product - The product
+ * @returns {string} E.g. "0:05–0:12 · at 40%, 60%", or "whole video"
+ */
+function placementOf(product) {
+  const time = (seconds) => `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, "0")}`
+  const parts = []
+  if (product.start !== null || product.end !== null) {
+    parts.push(`${time(product.start ?? 0)}–${product.end !== null ? time(product.end) : "end"}`)
+  }
+  if (product.x !== null) {
+    parts.push(`at ${product.x}%, ${product.y}%`)
+  }
+  return parts.join(" · ") || "whole video"
+}
+
+/**
+ * ProductManager Component
+ *
+ * Lists the products tagged in a video and lets its owner add, edit and remove them.
+ * A product can be limited to a time range (in seconds) and pinned to a spot of the
+ * frame (as percentages of its width and height), where the player shows a hotspot.
+ *
+ * @param {Object} props
+ * @param {Object} props.video - The video whose products are managed
+ * @param {Function} props.onUpdated - Called with the updated video after a product was added, changed or removed
+ */
+export default function ProductManager({ video, onUpdated }) {
+  const [form, setForm] = useState(EMPTY_FORM) // Values of the product form
+  const [editingId, setEditingId] = useState(null) // ID of the product being edited, null when adding one
+  const [busy, setBusy] = useState(false) // Whether a change is being saved
+  const [error, setError] = useState(null) // Message from the last failed change
+
+  /**
+   * Runs a change to the video's products and reports the updated video
+   *
+   * @param {string} url - The request URL
+   * @param {Object} options - fetch options
+   * @returns {Promise<boolean>} Whether the change succeeded
+   */
+  const save = async (url, options) => {
+    setBusy(true)
+    setError(null)
+    try {
+      onUpdated(await fetchJson(url, options))
+      return true
+    } catch (err) {
+      setError(err.message)
+      return false
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  /**
+   * Adds the product in the form, or saves the one being edited
+   *
+   * @param {Event} event - The form submit event
+   */
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    // Blank optional fields are sent as null, which also clears them when editing
+    const body = Object.fromEntries(Object.entries(form).map(([field, value]) => [field, value.trim() || null]))
+    const saved = await save(
+      editingId ? `/api/videos/${video.id}/products/${editingId}` : `/api/videos/${video.id}/products`,
+      {
+        method: editingId ? "PATCH" : "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      },
+    )
+    if (saved) {
+      setForm(EMPTY_FORM)
+      setEditingId(null)
+    }
+  }
+
+  /**
+   * Fills the form with a product to edit it
+   *
+   * @param {Object} product - The product
+   */
+  const startEditing = (product) => {
+    setForm(formOf(product))
+    setEditingId(product.id)
+  }
+
+  /**
+   * Empties the form, leaving edit mode
+   */
+  const cancelEditing = () => {
+    setForm(EMPTY_FORM)
+    setEditingId(null)
+  }
+
+  /**
+   * Removes a product
+   *
+   * @param {Object} product - The product
+   */
+  const handleRemove = async (product) => {
+    if (await save(`/api/videos/${video.id}/products/${product.id}`, { method: "DELETE" })) {
+      if (product.id === editingId) cancelEditing()
+    }
+  }
+
+  /**
+   * Renders a text input bound to a form field
+   *
+   * @param {string} field - The field name
+   * @param {string} placeholder - Placeholder and accessible label
+   * @param {string} [className] - Extra classes
+   * @param {Object} [props] - Other input attributes
+   * @returns {JSX.Element} The input
+   */
+  const renderInput = (field, placeholder, className = "", props = {}) => (
+    <input
+      value={form[field]}
+      onChange={(e) => setForm({ ...form, [field]: e.target.value })}
+      placeholder={placeholder}
+      aria-label={placeholder}
+      disabled={busy}
+      className={`min-w-0 border rounded px-1 py-0.5 ${className}`}
+      {...props}
+    />
+  )
+
+  const products = video.products ?? []
+  const submitLabel = editingId ? "Save" : "Add"
+
+  return (
+    <div className="space-y-2 text-xs text-gray-700">
+      {products.length > 0 ? (
+        <ul className="space-y-1">
+          {products.map((product) => (
+            <li key={product.id} className="flex items-center justify-between gap-2">
+              <span className="min-w-0 truncate">
+                {product.title} <span className="text-gray-500">({placementOf(product)})</span>
+              </span>
+              <span className="flex shrink-0 gap-2">
+                <button
+                  type="button"
+                  onClick={() => startEditing(product)}
+                  disabled={busy}
+                  className="text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                >
+                  Edit
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleRemove(product)}
+                  disabled={busy}
+                  className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                >
+                  Remove
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-gray-500">No products yet.</p>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-1">
+        <div className="flex gap-2">
+          {renderInput("title", "Product name", "flex-1", { maxLength: 100 })}
+          {renderInput("price", "Price", "w-16", { type: "number", min: 0, step: "0.01" })}
+          {renderInput("currency", "Currency", "w-12", { maxLength: 3 })}
+        </div>
+        <div className="flex gap-2">
+          {renderInput("url", "Product link", "flex-1", { type: "url" })}
+          {renderInput("imageUrl", "Image URL (optional)", "flex-1", { type: "url" })}
+        </div>
+        <div className="flex items-center gap-2">
+          {renderInput("start", "From (s)", "w-16", { type: "number", min: 0, step: "0.1" })}
+          {renderInput("end", "To (s)", "w-16", { type: "number", min: 0, step: "0.1" })}
+          {renderInput("x", "X (%)", "w-14", { type: "number", min: 0, max: 100 })}
+          {renderInput("y", "Y (%)", "w-14", { type: "number", min: 0, max: 100 })}
+          <button
+            type="submit"
+            disabled={busy || !form.title.trim() || !form.price.trim() || !form.url.trim()}
+            className="ml-auto shrink-0 font-medium text-blue-600 hover:text-blue-800 disabled:opacity-50"
+          >
+            {busy ? "Saving..." : submitLabel}
+          </button>
+          {editingId && (
+            <button type="button" onClick={cancelEditing} className="shrink-0 text-gray-500 hover:text-gray-700">
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+
+      {error && <p className="text-red-500">{error}</p>}
+    </div>
+  )
+}
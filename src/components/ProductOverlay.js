@@ -0,0 +1,174 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { trackProductClick } from "../lib/analytics/client"
+
+/**
+ * Formats a product's price in its currency
+ *
+ * @param {Object} product - The product (uses `price` and `currency`)
+ * @returns {string} The formatted price, e.g. "$19.99"
+ */
+function formatPrice(product) {
+  try {
+    return new Intl.NumberFormat(undefined, { style: "currency", currency: product.currency }).format(product.price)
+  } catch {
+    return `${product.price} ${product.currency}`
+  }
+}
+
+/**
+ * Whether a product is shown at a point of the video
+ *
+ * @param {Object} product - The product (uses `start` and `end`)
+ * @param {number} time - The playback position in seconds
+ * @returns {boolean} True when the time falls in the product's range, or it has none
+ */
+function isActiveAt(product, time) {
+  return time >= (product.start ?? 0) && (product.end === null || time < product.end)
+}
+
+/**
+ * ProductOverlay Component
+ *
+ * Shoppable layer over a playing video. Products pinned to a spot of the frame show
+ * as hotspots there, and the other products with a time range pop up as cards while
+ * their range plays. A "Shop" button opens a drawer listing all of the video's
+ * products. Products open in a new tab, and every click is reported to the analytics.
+ * Must be placed in a positioned element that also holds the player.
+ *
+ * @param {Object} props
+ * @param {Object} props.video - The playing video (uses `id` and `products`)
+ * @param {Object} props.playerRef - Ref holding the `<video>` element, followed for the playback position
+ */
+export default function ProductOverlay({ video, playerRef }) {
+  const [time, setTime] = useState(0) // Playback position in seconds
+  const [drawerOpen, setDrawerOpen] = useState(false) // Whether the product drawer is shown
+
+  // Follow the playback position
+  useEffect(() => {
+    const element = playerRef.current
+    if (!element) return
+    const handleTimeUpdate = () => setTime(element.currentTime)
+    element.addEventListener("timeupdate", handleTimeUpdate)
+    element.addEventListener("seeked", handleTimeUpdate)
+    return () => {
+      element.removeEventListener("timeupdate", handleTimeUpdate)
+      element.removeEventListener("seeked", handleTimeUpdate)
+    }
+  }, [playerRef, video.id])
+
+  const products = video.products ?? []
+  if (products.length === 0) return null
+
+  const active = products.filter((product) => isActiveAt(product, time))
+  const hotspots = active.filter((product) => product.x !== null)
+  const cards = active.filter((product) => product.x === null && (product.start !== null || product.end !== null))
+
+  /**
+   * Reports a product click; the link itself opens the product
+   *
+   * @param {Event} event - The click event
+   * @param {Object} product - The clicked product
+   */
+  const handleProductClick = (event, product) => {
+    // Slides play their video on click, which opening a product shouldn't do
+    event.stopPropagation()
+    trackProductClick(video.id, product.id)
+  }
+
+  /**
+   * Renders a product's image, title and price
+   *
+   * @param {Object} product - The product
+   * @returns {JSX.Element} The product summary
+   */
+  const renderSummary = (product) => (
+    <>
+      {product.imageUrl && (
+        <img src={product.imageUrl} alt="" className="w-10 h-10 shrink-0 rounded object-cover bg-gray-100" />
+      )}
+      <span className="min-w-0">
+        <span className="block truncate font-medium text-gray-800">{product.title}</span>
+        <span className="block text-gray-600">{formatPrice(product)}</span>
+      </span>
+    </>
+  )
+
+  return (
+    <>
+      {hotspots.map((product) => (
+        <a
+          key={product.id}
+          href={product.url}
+          target="_blank"
+          rel="noopener noreferrer"
+          onClick={(event) => handleProductClick(event, product)}
+          style={{ left: `${product.x}%`, top: `${product.y}%` }}
+          className="group absolute z-10 -translate-x-1/2 -translate-y-1/2"
+          aria-label={`${product.title}, ${formatPrice(product)}`}
+        >
+          <span className="block h-5 w-5 rounded-full border-2 border-white bg-blue-600/80 shadow animate-pulse" />
+          <span className="absolute left-1/2 top-6 hidden w-44 -translate-x-1/2 items-center gap-2 rounded-lg bg-white p-2 text-xs shadow-lg group-hover:flex group-focus:flex">
+            {renderSummary(product)}
+          </span>
+        </a>
+      ))}
+
+      {cards.length > 0 && !drawerOpen && (
+        // Below the gallery's close button
+        <div className="absolute left-2 top-10 z-10 flex max-w-[60%] flex-col gap-1">
+          {cards.map((product) => (
+            <a
+              key={product.id}
+              href={product.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              onClick={(event) => handleProductClick(event, product)}
+              className="flex items-center gap-2 rounded-lg bg-white/95 p-1.5 text-xs shadow hover:bg-white"
+            >
+              {renderSummary(product)}
+            </a>
+          ))}
+        </div>
+      )}
+
+      <button
+        type="button"
+        onClick={(event) => {
+          event.stopPropagation()
+          setDrawerOpen((open) => !open)
+        }}
+        aria-expanded={drawerOpen}
+        className="absolute right-2 top-2 z-20 rounded-full bg-white/90 px-2.5 py-1 text-xs font-medium text-gray-800 shadow hover:bg-white"
+      >
+        {drawerOpen ? "Close" : `Shop (${products.length})`}
+      </button>
+
+      {drawerOpen && (
+        <div
+          onClick={(event) => event.stopPropagation()}
+          className="absolute inset-y-0 right-0 z-10 w-2/3 overflow-y-auto rounded-r-lg bg-white/95 p-2 pt-10 shadow-lg"
+        >
+          <ul className="space-y-1">
+            {products.map((product) => (
+              <li key={product.id}>
+                <a
+                  href={product.url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  onClick={(event) => handleProductClick(event, product)}
+                  className={`flex items-center gap-2 rounded p-1.5 text-xs hover:bg-gray-100 ${
+                    active.includes(product) ? "ring-1 ring-blue-500" : ""
+                  }`}
+                >
+                  {renderSummary(product)}
+                </a>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </>
+  )
+}
@@ -0,0 +1,66 @@
+"use client"
+
+import { useEffect, useState } from "react"
+
+const COPIED_MESSAGE_MS = 2000 // How long "Link copied" stays visible
+
+/**
+ * ShareButton Component
+ *
+ * Shares the link to a video's page. Uses the system share sheet where the browser
+ * has one (mostly mobile) and copies the link to the clipboard everywhere else.
+ *
+ * @param {Object} props
+ * @param {Object} props.video - The video to share (uses `id` and `title`)
+ * @param {string} [props.className] - Extra classes for the button
+ */
+export default function ShareButton({ video, className = "" }) {
+  const [status, setStatus] = useState(null) // "copied" or "failed" after a share attempt
+
+  // Clear the confirmation after a moment
+  useEffect(() => {
+    if (!status) return
+    const timer = setTimeout(() => setStatus(null), COPIED_MESSAGE_MS)
+    return () => clearTimeout(timer)
+  }, [status])
+
+  /**
+   * Opens the share sheet, or copies the link when there is none
+   *
+   * @param {Event} event - The click event
+   */
+  const handleShare = async (event) => {
+    // Slides play their video on click, which sharing shouldn't do
+    event.stopPropagation()
+    const url = `${window.location.origin}/videos/${video.id}`
+
+    if (navigator.share) {
+      try {
+        await navigator.share({ title: video.title || video.name, url })
+        return
+      } catch (err) {
+        // Closing the share sheet isn't an error worth falling back for
+        if (err.name === "AbortError") return
+      }
+    }
+
+    try {
+      await navigator.clipboard.writeText(url)
+      setStatus("copied")
+    } catch (err) {
+      console.error("Error copying link:", err)
+      setStatus("failed")
+    }
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={handleShare}
+      className={`text-blue-600 hover:text-blue-800 ${className}`}
+      title="Share a link to this video"
+    >
+      {status === "copied" ? "Link copied" : status === "failed" ? "Copy failed" : "Share"}
+    </button>
+  )
+}
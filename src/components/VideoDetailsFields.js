@@ -0,0 +1,60 @@
+"use client"
+
+import { MAX_DESCRIPTION_LENGTH, MAX_TITLE_LENGTH } from "../lib/videos/details"
+
+/**
+ * VideoDetailsFields Component
+ *
+ * Inputs for a video's title, description and tags, used when uploading a video and
+ * when editing it later. Tags are typed as a comma-separated list, which the API
+ * accepts as-is and normalizes (see `lib/videos/details`).
+ *
+ * @param {Object} props
+ * @param {Object} props.value - `{ title, description, tags }`, with `tags` as a comma-separated string
+ * @param {Function} props.onChange - Called with the updated value
+ * @param {string} [props.titlePlaceholder] - Shown while the title is empty
+ * @param {boolean} [props.disabled] - Whether the inputs are disabled
+ */
+export default function VideoDetailsFields({ value, onChange, titlePlaceholder = "Title", disabled = false }) {
+  /**
+   * Updates one of the fields
+   *
+   * @param {string} field - "title", "description" or "tags"
+   * @returns {Function} The input's change handler
+   */
+  const handleChange = (field) => (event) => onChange({ ...value, [field]: event.target.value })
+
+  return (
+    <div className="space-y-2">
+      <input
+        type="text"
+        value={value.title}
+        onChange={handleChange("title")}
+        maxLength={MAX_TITLE_LENGTH}
+        placeholder={titlePlaceholder}
+        aria-label="Video title"
+        disabled={disabled}
+        className="w-full border rounded px-2 py-1 text-sm"
+      />
+      <textarea
+        value={value.description}
+        onChange={handleChange("description")}
+        maxLength={MAX_DESCRIPTION_LENGTH}
+        rows={2}
+        placeholder="Description (optional)"
+        aria-label="Video description"
+        disabled={disabled}
+        className="w-full border rounded px-2 py-1 text-sm"
+      />
+      <input
+        type="text"
+        value={value.tags}
+        onChange={handleChange("tags")}
+        placeholder="Tags, separated by commas"
+        aria-label="Video tags"
+        disabled={disabled}
+        className="w-full border rounded px-2 py-1 text-sm"
+      />
+    </div>
+  )
+}
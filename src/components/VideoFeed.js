@@ -0,0 +1,248 @@
+"use client"
+
+import { useCallback, useEffect, useRef, useState } from "react"
+import Link from "next/link"
+import { Swiper, SwiperSlide } from "swiper/react"
+import { Keyboard, Mousewheel } from "swiper/modules"
+import "swiper/css"
+import { trackPlayback } from "../lib/analytics/client"
+import { isTyping } from "../lib/player/controller"
+import HlsVideo from "./HlsVideo"
+import ProductOverlay from "./ProductOverlay"
+import ShareButton from "./ShareButton"
+
+const LOAD_MORE_THRESHOLD = 3 // Ask for the next page this many videos before the end
+const PRELOAD_AHEAD = 1 // Videos after the active one whose player is mounted and buffering
+
+/**
+ * One full-screen video of the feed
+ * The active slide plays; the one after it is mounted paused so it buffers ahead.
+ *
+ * @param {Object} props
+ * @param {Object} props.video - The video
+ * @param {Object|null} props.urls - Its playback URLs, null until fetched
+ * @param {boolean} props.active - Whether this is the video being watched
+ * @param {boolean} props.preload - Whether to mount the player while inactive
+ * @param {boolean} props.muted - Whether the sound is off
+ * @param {Function} props.onToggleMute - Turns the sound on or off for the whole feed
+ * @param {Function} props.onEnded - Called when the video ends
+ * @param {Object} props.impressions - Impression tracker the slide registers with
+ * @returns {JSX.Element} The slide content
+ */
+function FeedSlide({ video, urls, active, preload, muted, onToggleMute, onEnded, impressions }) {
+  const playerRef = useRef(null) // The `<video>` element, while mounted
+  const [paused, setPaused] = useState(false) // Whether the viewer paused the active video
+
+  const hasPlayer = Boolean(urls) && (active || preload)
+
+  // Report how the video is watched while it is active
+  useEffect(() => {
+    if (!active || !hasPlayer || !playerRef.current) return
+    return trackPlayback(playerRef.current, video.id)
+  }, [active, hasPlayer, video.id])
+
+  // Play the active video from where it was; pause it once it scrolls away
+  useEffect(() => {
+    const element = playerRef.current
+    if (!element) return
+    if (active) {
+      // Autoplay may be refused, e.g. before the viewer interacted with the page
+      element.play().catch(() => setPaused(true))
+    } else {
+      element.pause()
+    }
+  }, [active, hasPlayer])
+
+  /**
+   * Pauses or resumes the video
+   */
+  const togglePlay = useCallback(() => {
+    const element = playerRef.current
+    if (!element) return
+    if (element.paused) {
+      element.play().catch((err) => console.error("Error playing video:", err))
+    } else {
+      element.pause()
+    }
+  }, [])
+
+  // Space or "k" pauses and resumes, "m" mutes, while this video is active
+  useEffect(() => {
+    if (!active) return
+    const handleKeyDown = (event) => {
+      if (isTyping(event) || event.metaKey || event.ctrlKey || event.altKey) return
+      if (event.key === " " || event.key === "k") {
+        event.preventDefault()
+        togglePlay()
+      } else if (event.key === "m") {
+        onToggleMute()
+      }
+    }
+    window.addEventListener("keydown", handleKeyDown)
+    return () => window.removeEventListener("keydown", handleKeyDown)
+  }, [active, togglePlay, onToggleMute])
+
+  return (
+    <div ref={(element) => impressions.observe(element, video.id)} className="relative h-full w-full bg-black">
+      {hasPlayer ? (
+        <HlsVideo
+          ref={playerRef}
+          video={{ ...video, ...urls }}
+          poster={video.thumbnailUrl ?? undefined}
+          autoPlay={active}
+          muted={muted}
+          playsInline
+          preload="auto"
+          onClick={togglePlay}
+          onPlay={() => setPaused(false)}
+          onPause={() => setPaused(true)}
+          onEnded={onEnded}
+          className="h-full w-full object-contain"
+        />
+      ) : (
+        video.thumbnailUrl && (
+          <img
+            src={video.thumbnailUrl}
+            alt={`Thumbnail for ${video.title || video.name || "video"}`}
+            className="h-full w-full object-contain"
+          />
+        )
+      )}
+
+      {active && paused && hasPlayer && (
+        <button
+          type="button"
+          onClick={togglePlay}
+          aria-label="Play"
+          className="absolute inset-0 m-auto h-16 w-16 rounded-full bg-black/50 text-3xl text-white"
+        >
+          ▶
+        </button>
+      )}
+
+      {active && hasPlayer && <ProductOverlay video={video} playerRef={playerRef} />}
+
+      <div className="pointer-events-none absolute inset-x-0 bottom-0 bg-gradient-to-t from-black/80 to-transparent p-4 pb-6 text-white">
+        <div className="pointer-events-auto max-w-xl">
+          <Link href={`/videos/${video.id}`} className="text-lg font-semibold hover:underline">
+            {video.title || video.name}
+          </Link>
+          {video.description && <p className="mt-1 line-clamp-2 text-sm text-gray-200">{video.description}</p>}
+          {video.tags.length > 0 && (
+            <p className="mt-1 text-xs text-gray-300">{video.tags.map((tag) => `#${tag}`).join(" ")}</p>
+          )}
+          <div className="mt-2 flex items-center gap-4 text-sm">
+            <button type="button" onClick={onToggleMute} className="hover:underline">
+              {muted ? "Unmute" : "Mute"}
+            </button>
+            <ShareButton video={video} className="text-white! hover:underline" />
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+/**
+ * VideoFeed Component
+ *
+ * Full-screen vertical feed of videos, one at a time, in the style of stories. The
+ * active video plays muted (browsers only autoplay muted video) until the viewer turns
+ * the sound on, videos scrolled away are paused, and the next video is buffered ahead.
+ * Move between videos by swiping, with the mouse wheel, or with the arrow and Page
+ * Up/Down keys; space (or "k") pauses and "m" mutes. Fills its container, which should
+ * have a height.
+ *
+ * @param {Object} props
+ * @param {Object[]} props.videos - The videos, in order
+ * @param {number} [props.initialIndex=0] - Index of the video the feed opens on
+ * @param {Function} props.onActiveChange - Called with the ID of the video that became active
+ * @param {Function} props.onNearEnd - Called when the viewer nears the last loaded video, to load more
+ * @param {Object} props.impressions - Impression tracker from `lib/analytics/client`
+ * @param {boolean} [props.advanceOnEnd=false] - Move on to the next video when one ends, instead of replaying it
+ */
+export default function VideoFeed({
+  videos,
+  initialIndex = 0,
+  onActiveChange,
+  onNearEnd,
+  impressions,
+  advanceOnEnd = false,
+}) {
+  const [activeIndex, setActiveIndex] = useState(initialIndex) // Index of the video being watched
+  const [playbackUrls, setPlaybackUrls] = useState({}) // Playback URLs fetched so far, by video ID
+  const [muted, setMuted] = useState(true) // Whether the sound is off, for every video of the feed
+  const requestedRef = useRef(new Set()) // IDs of the videos whose URLs were requested
+  const swiperRef = useRef(null) // The Swiper instance
+
+  const activeId = videos[activeIndex]?.id
+
+  // Report the active video and load more videos when nearing the end
+  useEffect(() => {
+    if (activeId) onActiveChange(activeId)
+    if (activeIndex + LOAD_MORE_THRESHOLD >= videos.length) onNearEnd()
+  }, [activeId, activeIndex, videos.length, onActiveChange, onNearEnd])
+
+  // Fetch the playback URLs of the active video and of the ones buffered ahead
+  useEffect(() => {
+    for (const video of videos.slice(activeIndex, activeIndex + PRELOAD_AHEAD + 1)) {
+      if (requestedRef.current.has(video.id)) continue
+      requestedRef.current.add(video.id)
+      fetch(`/api/videos/${video.id}/playback`)
+        .then((res) => {
+          if (!res.ok) throw new Error(`HTTP Error: ${res.status}`)
+          return res.json()
+        })
+        .then((urls) => setPlaybackUrls((prev) => ({ ...prev, [video.id]: urls })))
+        .catch((err) => {
+          console.error("Error fetching playback URLs:", err)
+          requestedRef.current.delete(video.id)
+        })
+    }
+  }, [videos, activeIndex])
+
+  const toggleMute = useCallback(() => setMuted((value) => !value), [])
+
+  /**
+   * Moves on to the next video, or replays the one that ended
+   *
+   * @param {Event} event - The ended event
+   */
+  const handleEnded = (event) => {
+    if (advanceOnEnd && activeIndex < videos.length - 1) {
+      swiperRef.current?.slideNext()
+    } else {
+      event.target.currentTime = 0
+      event.target.play().catch(() => {})
+    }
+  }
+
+  return (
+    <Swiper
+      modules={[Keyboard, Mousewheel]}
+      direction="vertical"
+      slidesPerView={1}
+      keyboard={{ enabled: true }}
+      mousewheel={{ forceToAxis: true, thresholdDelta: 30 }}
+      initialSlide={initialIndex}
+      onSwiper={(swiper) => (swiperRef.current = swiper)}
+      onSlideChange={(swiper) => setActiveIndex(swiper.activeIndex)}
+      className="h-full w-full bg-black"
+    >
+      {videos.map((video, index) => (
+        <SwiperSlide key={video.id}>
+          <FeedSlide
+            video={video}
+            urls={playbackUrls[video.id] ?? null}
+            active={index === activeIndex}
+            preload={index > activeIndex && index <= activeIndex + PRELOAD_AHEAD}
+            muted={muted}
+            onToggleMute={toggleMute}
+            onEnded={handleEnded}
+            impressions={impressions}
+          />
+        </SwiperSlide>
+      ))}
+    </Swiper>
+  )
+}
@@ -1,69 +1,375 @@
 "use client"
 
-import { useEffect, useState } from "react"
+import { useCallback, useEffect, useRef, useState } from "react"
+import Link from "next/link"
+import { useSearchParams } from "next/navigation"
 import { Swiper, SwiperSlide } from "swiper/react"
 import { Pagination, Navigation } from "swiper/modules"
 import "swiper/css"
 import "swiper/css/pagination"
 import "swiper/css/navigation"
+import { createImpressionTracker, trackPlayback } from "../lib/analytics/client"
+import { createPlayerController, isTyping } from "../lib/player/controller"
+import AddToPlaylistSelect from "./AddToPlaylistSelect"
+import HlsVideo from "./HlsVideo"
+import ProductOverlay from "./ProductOverlay"
+import ShareButton from "./ShareButton"
+import VideoFeed from "./VideoFeed"
+import VideoManageControls from "./VideoManageControls"
+import VideoSearchBar from "./VideoSearchBar"
+
+const PAGE_SIZE = 12 // Videos fetched per request
+const LOAD_MORE_THRESHOLD = 3 // Start loading the next page this many slides before the end
+
+/**
+ * Returns the URL of a page of the gallery's videos
+ *
+ * @param {Object} options
+ * @param {string} options.scope - "all" or "mine"
+ * @param {string} [options.playlistId] - The playlist being shown, which is fetched whole
+ * @param {string} [options.query] - Search query the videos must match
+ * @param {string[]} [options.tags] - Tags the videos must all carry
+ * @param {string} [options.cursor] - Cursor of the page to fetch, omitted for the first
+ * @returns {string} The API URL
+ */
+function pageUrl({ scope, playlistId, query, tags, cursor }) {
+  if (playlistId) return `/api/playlists/${encodeURIComponent(playlistId)}/videos`
+  const params = new URLSearchParams({ limit: PAGE_SIZE, scope })
+  if (query) params.set("q", query)
+  if (tags?.length > 0) params.set("tags", tags.join(","))
+  if (cursor) params.set("cursor", cursor)
+  return `/api/videos?${params}`
+}
+
+/**
+ * Reads a page of videos from its response
+ *
+ * @param {Response} res - The response of a {@link pageUrl} request
+ * @returns {Promise<Object>} The page
+ * @throws {Error} With the server's message when the request failed
+ */
+async function readPage(res) {
+  const data = await res.json().catch(() => null)
+  if (!res.ok) {
+    throw new Error(data?.error || `HTTP Error: ${res.status}`)
+  }
+  return data
+}
+
+/**
+ * Reads the selected tags from the `tags` query parameter
+ *
+ * @param {string|null} value - The parameter value
+ * @returns {string[]} The tags
+ */
+function parseTagsParam(value) {
+  return value
+    ? value
+        .split(",")
+        .map((tag) => tag.trim())
+        .filter(Boolean)
+    : []
+}
 
 /**
  * VideoGallery Component
  *
- * Displays a responsive gallery of videos with thumbnails and playback functionality.
+ * Displays a paginated carousel of videos (or, in "feed" mode, a full-screen vertical
+ * feed, see `VideoFeed`) that play in place of their thumbnails. The playing video and
+ * the search are kept in the page URL, so the gallery can be reloaded or shared as is.
+ * A playlist's videos play one after another. Playback URLs (signed for private videos),
+ * product overlays, keyboard controls and viewing analytics are handled per playing
+ * video; see `lib/player/controller` and `lib/analytics/client`.
  *
  * @param {Object} props
  * @param {number} props.refreshTrigger - Value that changes to trigger a refresh of the gallery
+ * @param {string} [props.scope="all"] - "all" for every video, "mine" for the current user's uploads
+ * @param {Object} [props.currentUser] - The signed-in user; management controls only show on videos they can change
+ * @param {string} [props.playlistId] - Show this playlist's videos instead of the `scope`
+ * @param {string} [props.mode="carousel"] - "carousel" for the thumbnail carousel, "feed" for the full-screen vertical feed
  */
-export default function VideoGallery({ refreshTrigger }) {
+export default function VideoGallery({ refreshTrigger, scope = "all", currentUser, playlistId, mode = "carousel" }) {
   const [videos, setVideos] = useState([])
   const [loading, setLoading] = useState(true)
-  const [playingIndex, setPlayingIndex] = useState(null) // Track which video is playing
+  const [error, setError] = useState(null) // Message shown when the videos couldn't be loaded
+  const searchParams = useSearchParams()
+  const [playingId, setPlayingId] = useState(null) // ID of the video that is playing
+  const [playback, setPlayback] = useState(null) // Playback URLs of the playing video: `{ id, urls }`
+  const [initialSlide, setInitialSlide] = useState(0) // Slide the carousel opens on
+  const [hoveredId, setHoveredId] = useState(null) // ID of the video whose animated preview is showing
+  const [query, setQuery] = useState(() => searchParams.get("q") ?? "") // Search query the videos must match
+  const [tags, setTags] = useState(() => parseTagsParam(searchParams.get("tags"))) // Tags the videos must all carry
+  const [facets, setFacets] = useState([]) // Tags of the matching videos as `{ tag, count }`
+  const linkedVideoRef = useRef(searchParams.get("video")) // Video named in the URL, opened once the gallery loads
+  const nextCursorRef = useRef(null) // Cursor for the next page, null when everything is loaded
+  const loadingMoreRef = useRef(false) // Guards against overlapping page requests
+  const generationRef = useRef(0) // Incremented on refresh so stale page responses are dropped
+  const swiperRef = useRef(null) // The Swiper instance, for moving to the next video in a playlist
+  const playerRef = useRef(null) // The playing video's `<video>` element
+  const [impressions] = useState(createImpressionTracker) // Reports the slides that come into view
+  const [player] = useState(createPlayerController) // Pauses players out of view and remembers their positions
 
-  // Fetch videos when component mounts or refreshTrigger changes
+  // Fetch the first page when component mounts or refreshTrigger, scope or the search changes
   useEffect(() => {
+    const generation = ++generationRef.current
     setLoading(true)
+    setError(null)
+    setPlayingId(null)
+    loadingMoreRef.current = false
 
-    fetch("/api/videos")
-      .then((res) => res.json())
-      .then((data) => {
-        setVideos(data)
+    // Only the first load opens the linked video; later refreshes start from the beginning
+    const linkedId = linkedVideoRef.current
+    linkedVideoRef.current = null
+
+    fetch(pageUrl({ scope, playlistId, query, tags }))
+      .then(readPage)
+      .then(async (data) => {
+        let items = data.items
+        let index = linkedId ? items.findIndex((video) => video.id === linkedId) : -1
+
+        // A linked video from a later page (or someone else's unlisted one) is shown first
+        if (linkedId && index === -1) {
+          const res = await fetch(`/api/videos/${linkedId}`)
+          if (res.ok) {
+            items = [await res.json(), ...items]
+            index = 0
+          }
+        }
+
+        if (generation !== generationRef.current) return
+        setVideos(items)
+        setFacets(data.facets?.tags ?? [])
+        nextCursorRef.current = data.nextCursor
+        setInitialSlide(Math.max(index, 0))
+        setPlayingId(index === -1 ? null : items[index].id)
         setLoading(false)
       })
       .catch((err) => {
         console.error("Error fetching videos:", err)
+        if (generation !== generationRef.current) return
+        setVideos([])
+        setError(err.message)
         setLoading(false)
       })
-  }, [refreshTrigger])
+  }, [refreshTrigger, scope, playlistId, query, tags])
+
+  /**
+   * Fetches the next page of videos and appends it to the carousel
+   */
+  const loadMore = useCallback(() => {
+    if (!nextCursorRef.current || loadingMoreRef.current) return
+
+    const generation = generationRef.current
+    loadingMoreRef.current = true
+
+    fetch(pageUrl({ scope, playlistId, query, tags, cursor: nextCursorRef.current }))
+      .then(readPage)
+      .then((data) => {
+        if (generation !== generationRef.current) return
+        // Skip a linked video that was already shown ahead of its page
+        setVideos((prev) => [...prev, ...data.items.filter((video) => !prev.some(({ id }) => id === video.id))])
+        nextCursorRef.current = data.nextCursor
+      })
+      .catch((err) => console.error("Error fetching more videos:", err))
+      .finally(() => {
+        if (generation === generationRef.current) {
+          loadingMoreRef.current = false
+        }
+      })
+  }, [scope, playlistId, query, tags])
+
+  /**
+   * Loads the next page once the visible slides come close to the end of the carousel
+   *
+   * @param {Object} swiper - The Swiper instance
+   */
+  const handleSlideChange = (swiper) => {
+    const slidesPerView = Math.ceil(Number(swiper.params.slidesPerView) || 1)
+    if (swiper.activeIndex + slidesPerView + LOAD_MORE_THRESHOLD >= swiper.slides.length) {
+      loadMore()
+    }
+  }
+
+  // Fetch the playback URLs whenever another video starts playing (the feed fetches its own)
+  useEffect(() => {
+    setPlayback(null)
+    if (!playingId || mode === "feed") return
+
+    let cancelled = false
+    fetch(`/api/videos/${playingId}/playback`)
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP Error: ${res.status}`)
+        return res.json()
+      })
+      .then((urls) => {
+        if (!cancelled) setPlayback({ id: playingId, urls })
+      })
+      .catch((err) => {
+        console.error("Error fetching playback URLs:", err)
+        if (!cancelled) setPlayingId(null)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [playingId, mode])
+
+  // Report how the playing video is watched, until another one starts
+  useEffect(() => {
+    if (!playback || !playerRef.current) return
+    return trackPlayback(playerRef.current, playback.id)
+  }, [playback])
+
+  // Hand the playing video to the player controller, until another one starts
+  useEffect(() => {
+    if (!playback || !playerRef.current) return
+    return player.attach(playerRef.current, playback.id)
+  }, [playback, player])
+
+  // Control the open video from the keyboard; Escape closes it
+  useEffect(() => {
+    if (!playingId || mode === "feed") return
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape" && !isTyping(event)) {
+        setPlayingId(null)
+      } else {
+        player.handleKeyDown(event)
+      }
+    }
+    window.addEventListener("keydown", handleKeyDown)
+    return () => window.removeEventListener("keydown", handleKeyDown)
+  }, [playingId, mode, player])
+
+  // Stop watching for impressions and players once the gallery is gone
+  useEffect(
+    () => () => {
+      impressions.disconnect()
+      player.disconnect()
+    },
+    [impressions, player],
+  )
+
+  // Keep the playing video and the search in the page URL without adding history entries
+  useEffect(() => {
+    if (loading) return
+    const params = new URLSearchParams(window.location.search)
+    const state = { video: playingId, q: query, tags: tags.join(",") }
+    for (const [name, value] of Object.entries(state)) {
+      if (value) {
+        params.set(name, value)
+      } else {
+        params.delete(name)
+      }
+    }
+    const search = params.toString()
+    window.history.replaceState(null, "", search ? `?${search}` : window.location.pathname)
+  }, [playingId, query, tags, loading])
+
+  /**
+   * Plays the next video of a playlist when one ends
+   *
+   * @param {string} id - The ID of the video that ended
+   */
+  const handleEnded = (id) => {
+    if (!playlistId) return
+    const index = videos.findIndex((video) => video.id === id)
+    const next = videos[index + 1]
+    if (index === -1 || !next) return
+    swiperRef.current?.slideTo(index + 1)
+    setPlayingId(next.id)
+  }
+
+  /**
+   * Replaces a video in the gallery after it was renamed or its file replaced
+   *
+   * @param {Object} updated - The updated video
+   */
+  const handleVideoUpdated = (updated) => {
+    setVideos((prev) => prev.map((video) => (video.id === updated.id ? updated : video)))
+  }
+
+  /**
+   * Removes a deleted video from the gallery
+   *
+   * @param {string} id - The ID of the deleted video
+   */
+  const handleVideoDeleted = (id) => {
+    if (id === playingId) setPlayingId(null)
+    setVideos((prev) => prev.filter((video) => video.id !== id))
+  }
+
+  /**
+   * Whether the current user may rename, replace or delete a video
+   *
+   * @param {Object} video - The video object
+   * @returns {boolean} True for the video's owner and admins
+   */
+  const canManage = (video) => Boolean(currentUser && (currentUser.isAdmin || video.ownerId === currentUser.id))
+
+  /**
+   * Closes the open video, going back to its thumbnail
+   *
+   * @param {Event} event - The click event
+   */
+  const handleClose = (event) => {
+    // The slide opens the video on click
+    event.stopPropagation()
+    setPlayingId(null)
+  }
+
+  const closeButton = (
+    <button
+      type="button"
+      onClick={handleClose}
+      aria-label="Close video"
+      className="absolute left-2 top-2 z-20 h-7 w-7 rounded-full bg-black/60 text-sm text-white hover:bg-black/80"
+    >
+      ✕
+    </button>
+  )
 
   /**
    * Renders the appropriate content for a video item based on its state
    *
    * @param {Object} video - The video object
-   * @param {number} index - The index of the video in the array
    * @returns {JSX.Element} - The rendered content (video player, thumbnail, or fallback)
    */
-  const renderVideoContent = (video, index) => {
-    // When this item is the currently playing video
-    if (playingIndex === index) {
+  const renderVideoContent = (video) => {
+    // When this item is the currently playing video and its URLs have arrived
+    if (playingId === video.id && playback?.id === video.id) {
       return (
-        <video
-          src={video.videoUrl}
-          controls
-          autoPlay
-          className="w-full h-64 object-cover rounded-lg"
-          onClick={(e) => e.stopPropagation()} // Prevent stopping when clicking on controls
-          onPlay={(e) => e.stopPropagation()} // Additional event handling for controls
-        />
+        <>
+          <HlsVideo
+            ref={playerRef}
+            video={{ ...video, ...playback.urls }}
+            controls
+            autoPlay
+            className="w-full h-64 object-cover rounded-lg"
+            onClick={(e) => e.stopPropagation()} // Prevent stopping when clicking on controls
+            onPlay={(e) => e.stopPropagation()} // Additional event handling for controls
+            onEnded={() => handleEnded(video.id)}
+          />
+          <ProductOverlay video={video} playerRef={playerRef} />
+          {closeButton}
+        </>
       )
     }
 
-    // when this item has a thumbnail
+    // While the playback URLs are being fetched
+    if (playingId === video.id) {
+      return (
+        <div className="w-full h-64 bg-gray-900 flex items-center justify-center rounded-lg">
+          <div className="inline-block h-8 w-8 animate-spin rounded-full border-4 border-solid border-white border-r-transparent"></div>
+          {closeButton}
+        </div>
+      )
+    }
+
+    // when this item has a thumbnail, swapped for the animated preview while hovered
     if (video.thumbnailUrl) {
       return (
         <img
-          src={video.thumbnailUrl || "/placeholder.svg"}
-          alt={`Thumbnail for ${video.name || "video"}`}
+          src={(hoveredId === video.id && video.previewUrl) || video.thumbnailUrl || "/placeholder.svg"}
+          alt={`Thumbnail for ${video.title || video.name || "video"}`}
           className="w-full h-64 object-cover rounded-lg"
         />
       )
@@ -96,10 +402,47 @@ export default function VideoGallery({ refreshTrigger }) {
     )
   }
 
+  /**
+   * Returns the message shown when there are no videos to show
+   * Extracted to avoid nested ternary operations
+   *
+   * @returns {string} - The message for the current view
+   */
+  const getEmptyMessage = () => {
+    if (query || tags.length > 0) {
+      return "No videos match your search."
+    }
+    if (playlistId) {
+      return "This playlist has no videos yet. Add some from the gallery!"
+    }
+    if (scope === "mine") {
+      return "You haven't uploaded any videos yet. Upload some videos to see them here!"
+    }
+    return "No videos uploaded yet. Upload some videos to see them here!"
+  }
+
+  /**
+   * Shows only the videos carrying a tag, on top of any tags already selected
+   *
+   * @param {string} tag - The tag
+   */
+  const selectTag = (tag) => {
+    if (!tags.includes(tag)) setTags([...tags, tag])
+  }
+
+  // Playlists play in their own order, so they aren't searched; the feed has no room for the bar
+  const searchBar =
+    playlistId || mode === "feed" ? null : (
+      <VideoSearchBar query={query} tags={tags} facets={facets} onQueryChange={setQuery} onTagsChange={setTags} />
+    )
+
+  const isFeed = mode === "feed"
+
   // Render loading state
   if (loading) {
     return (
-      <div className="max-w-4xl mx-auto">
+      <div className={isFeed ? "h-full flex items-center justify-center" : "max-w-4xl mx-auto"}>
+        {searchBar}
         <div className="text-center py-12">
           <div className="inline-block h-8 w-8 animate-spin rounded-full border-4 border-solid border-blue-600 border-r-transparent"></div>
           <p className="mt-2 text-gray-600">Loading videos...</p>
@@ -108,20 +451,48 @@ export default function VideoGallery({ refreshTrigger }) {
     )
   }
 
+  // Render error state
+  if (error) {
+    return (
+      <div className={isFeed ? "h-full flex items-center justify-center" : "max-w-4xl mx-auto"}>
+        {searchBar}
+        <div className="text-center py-12 px-6 bg-red-50 rounded-lg">
+          <p className="text-red-600">Couldn&apos;t load the videos: {error}</p>
+        </div>
+      </div>
+    )
+  }
+
   // Render empty state
   if (videos.length === 0) {
     return (
-      <div className="max-w-4xl mx-auto">
-        <div className="text-center py-12 bg-gray-50 rounded-lg">
-          <p className="text-gray-600">No videos uploaded yet. Upload some videos to see them here!</p>
+      <div className={isFeed ? "h-full flex items-center justify-center" : "max-w-4xl mx-auto"}>
+        {searchBar}
+        <div className="text-center py-12 px-6 bg-gray-50 rounded-lg">
+          <p className="text-gray-600">{getEmptyMessage()}</p>
         </div>
       </div>
     )
   }
 
+  // Render the feed, which takes the whole height of its container
+  if (isFeed) {
+    return (
+      <VideoFeed
+        videos={videos}
+        initialIndex={initialSlide}
+        onActiveChange={setPlayingId}
+        onNearEnd={loadMore}
+        impressions={impressions}
+        advanceOnEnd={Boolean(playlistId)}
+      />
+    )
+  }
+
   // Render gallery with videos
   return (
     <div className="max-w-4xl mx-auto">
+      {searchBar}
       <Swiper
         modules={[Pagination, Navigation]}
         spaceBetween={10}
@@ -139,16 +510,64 @@ export default function VideoGallery({ refreshTrigger }) {
           dynamicBullets: false,
         }}
         navigation
+        onSlideChange={handleSlideChange}
+        onReachEnd={loadMore}
+        onSwiper={(swiper) => (swiperRef.current = swiper)}
+        initialSlide={initialSlide}
         className="gallery-swiper"
       >
-        {videos.map((video, index) => (
-          <SwiperSlide key={index}>
+        {videos.map((video) => (
+          <SwiperSlide key={video.id}>
             <div
-              className="relative w-full h-auto rounded-lg shadow-md cursor-pointer hover:opacity-80"
-              onClick={() => setPlayingIndex(index)}
+              ref={(element) => impressions.observe(element, video.id)}
+              className={`relative w-full h-auto rounded-lg shadow-md ${
+                playingId === video.id ? "" : "cursor-pointer hover:opacity-80"
+              }`}
+              onClick={() => setPlayingId(video.id)}
+              onMouseEnter={() => setHoveredId(video.id)}
+              onMouseLeave={() => setHoveredId((current) => (current === video.id ? null : current))}
             >
-              {renderVideoContent(video, index)}
+              {renderVideoContent(video)}
             </div>
+            {canManage(video) ? (
+              <VideoManageControls video={video} onUpdated={handleVideoUpdated} onDeleted={handleVideoDeleted} />
+            ) : (
+              <div className="mt-2 px-1 flex items-center justify-between gap-2">
+                <Link
+                  href={`/videos/${video.id}`}
+                  className="text-sm font-medium text-gray-800 hover:text-blue-700 truncate"
+                  title={video.title || video.name}
+                >
+                  {video.title || video.name}
+                </Link>
+                <ShareButton video={video} className="shrink-0 text-xs" />
+              </div>
+            )}
+            {video.tags.length > 0 && (
+              <div className="mt-1 px-1 flex flex-wrap gap-1">
+                {video.tags.map((tag) =>
+                  playlistId ? (
+                    <span key={tag} className="text-xs text-gray-500">
+                      #{tag}
+                    </span>
+                  ) : (
+                    <button
+                      key={tag}
+                      type="button"
+                      onClick={() => selectTag(tag)}
+                      className="text-xs text-gray-500 hover:text-blue-700"
+                    >
+                      #{tag}
+                    </button>
+                  ),
+                )}
+              </div>
+            )}
+            {currentUser && !playlistId && (
+              <div className="mt-1 px-1 text-xs text-gray-700">
+                <AddToPlaylistSelect videoId={video.id} className="px-1 py-0.5 text-xs" />
+              </div>
+            )}
           </SwiperSlide>
         ))}
       </Swiper>
@@ -0,0 +1,311 @@
+"use client"
+
+import { useState } from "react"
+import Link from "next/link"
+import { waitForJob } from "../lib/jobs/client"
+import CaptionManager from "./CaptionManager"
+import PosterPicker from "./PosterPicker"
+import ProductManager from "./ProductManager"
+import ShareButton from "./ShareButton"
+import VideoDetailsFields from "./VideoDetailsFields"
+import VisibilitySelect from "./VisibilitySelect"
+
+/**
+ * Sends a request and parses the JSON response, throwing on error responses
+ *
+ * @param {string} url - The request URL
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Object|null>} The parsed response body, or null for empty responses
+ */
+async function fetchJson(url, options) {
+  const res = await fetch(url, options)
+  const data = res.status === 204 ? null : await res.json()
+  if (!res.ok) {
+    throw new Error(data?.error || `HTTP Error: ${res.status}`)
+  }
+  return data
+}
+
+/**
+ * Returns a video's details as edited in the form, with its tags comma-separated
+ *
+ * @param {Object} video - The video
+ * @returns {Object} `{ title, description, tags }`
+ */
+const detailsOf = (video) => ({
+  title: video.title || video.name,
+  description: video.description ?? "",
+  tags: (video.tags ?? []).join(", "),
+})
+
+/**
+ * VideoManageControls Component
+ *
+ * Per-slide management toolbar for the gallery: shows the video title (linking to its
+ * page) and lets the user share the video, edit its title, description and tags, change
+ * who can see it, pick its poster frame, manage its captions and tagged products, replace its
+ * file or delete it.
+ *
+ * @param {Object} props
+ * @param {Object} props.video - The video being managed
+ * @param {Function} props.onUpdated - Called with the updated video after a details, visibility, poster, caption or
+ *   product change, or replace
+ * @param {Function} props.onDeleted - Called with the video ID after it was deleted
+ */
+export default function VideoManageControls({ video, onUpdated, onDeleted }) {
+  const [editing, setEditing] = useState(false) // Whether the details form is shown
+  const [details, setDetails] = useState(() => detailsOf(video)) // Title, description and tags being edited
+  const [pickingPoster, setPickingPoster] = useState(false) // Whether the poster frames are shown
+  const [managingCaptions, setManagingCaptions] = useState(false) // Whether the caption tracks are shown
+  const [managingProducts, setManagingProducts] = useState(false) // Whether the tagged products are shown
+  const [busy, setBusy] = useState(null) // The action in progress ("details", "visibility", "poster", "replace" or "delete")
+  const [error, setError] = useState(null) // Message from the last failed action
+
+  /**
+   * Runs an action, tracking it as busy until it settles
+   *
+   * @param {string} action - The action name used for the busy state
+   * @param {Function} callback - Async function performing the action
+   * @returns {Promise<*>} Whatever the callback resolves with
+   */
+  const run = async (action, callback) => {
+    setBusy(action)
+    setError(null)
+    try {
+      return await callback()
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  /**
+   * Opens the details form with the video's current details
+   */
+  const startEditing = () => {
+    setDetails(detailsOf(video))
+    setEditing(true)
+  }
+
+  /**
+   * Saves the edited title, description and tags
+   *
+   * @param {Event} event - The form submit event
+   */
+  const handleSaveDetails = async (event) => {
+    event.preventDefault()
+    try {
+      const updated = await run("details", () =>
+        fetchJson(`/api/videos/${video.id}`, {
+          method: "PATCH",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(details),
+        }),
+      )
+      setEditing(false)
+      onUpdated(updated)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  /**
+   * Saves a new visibility
+   *
+   * @param {string} visibility - "public", "unlisted" or "private"
+   */
+  const handleVisibilityChange = async (visibility) => {
+    try {
+      const updated = await run("visibility", () =>
+        fetchJson(`/api/videos/${video.id}`, {
+          method: "PATCH",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ visibility }),
+        }),
+      )
+      onUpdated(updated)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  /**
+   * Saves the chosen poster frame
+   *
+   * @param {number} posterIndex - Index of the chosen frame
+   */
+  const handlePosterSelect = async (posterIndex) => {
+    if (posterIndex === video.posterIndex) return
+    try {
+      const updated = await run("poster", () =>
+        fetchJson(`/api/videos/${video.id}`, {
+          method: "PATCH",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ posterIndex }),
+        }),
+      )
+      onUpdated(updated)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  /**
+   * Uploads the selected file as the video's replacement and waits for it to be processed
+   *
+   * @param {Event} event - The file input change event
+   */
+  const handleReplace = async (event) => {
+    const file = event.target.files[0]
+    event.target.value = ""
+    if (!file) return
+
+    const formData = new FormData()
+    formData.append("file", file)
+    try {
+      const updated = await run("replace", async () => {
+        const job = await fetchJson(`/api/videos/${video.id}/file`, { method: "PUT", body: formData })
+        await waitForJob(job.id)
+        return fetchJson(`/api/videos/${video.id}`)
+      })
+      onUpdated(updated)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  /**
+   * Deletes the video after confirmation
+   */
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete "${video.title || video.name}"? This cannot be undone.`)) return
+    try {
+      await run("delete", () => fetchJson(`/api/videos/${video.id}`, { method: "DELETE" }))
+      onDeleted(video.id)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  return (
+    <div className="mt-2 px-1">
+      {editing ? (
+        <form onSubmit={handleSaveDetails}>
+          <VideoDetailsFields value={details} onChange={setDetails} disabled={busy !== null} />
+          <div className="mt-1 flex gap-3">
+            <button
+              type="submit"
+              disabled={busy !== null || !details.title.trim()}
+              className="text-xs font-medium text-blue-600 hover:text-blue-800 disabled:opacity-50"
+            >
+              {busy === "details" ? "Saving..." : "Save"}
+            </button>
+            <button
+              type="button"
+              onClick={() => setEditing(false)}
+              className="text-xs text-gray-500 hover:text-gray-700"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="flex items-center justify-between gap-2">
+          <Link
+            href={`/videos/${video.id}`}
+            className="text-sm font-medium text-gray-800 hover:text-blue-700 truncate"
+            title={video.title || video.name}
+          >
+            {video.title || video.name}
+          </Link>
+          <div className="flex flex-wrap items-center justify-end gap-x-3 gap-y-1 text-xs">
+            <VisibilitySelect
+              value={video.visibility}
+              onChange={handleVisibilityChange}
+              disabled={busy !== null}
+              className="px-1 py-0.5 text-xs text-gray-700"
+            />
+            <ShareButton video={video} />
+            <button
+              type="button"
+              onClick={() => setPickingPoster((open) => !open)}
+              disabled={busy !== null}
+              aria-expanded={pickingPoster}
+              className="text-blue-600 hover:text-blue-800 disabled:opacity-50"
+            >
+              {busy === "poster" ? "Saving..." : "Poster"}
+            </button>
+            <button
+              type="button"
+              onClick={() => setManagingCaptions((open) => !open)}
+              disabled={busy !== null}
+              aria-expanded={managingCaptions}
+              className="text-blue-600 hover:text-blue-800 disabled:opacity-50"
+            >
+              Captions
+            </button>
+            <button
+              type="button"
+              onClick={() => setManagingProducts((open) => !open)}
+              disabled={busy !== null}
+              aria-expanded={managingProducts}
+              className="text-blue-600 hover:text-blue-800 disabled:opacity-50"
+            >
+              Products
+            </button>
+            <button
+              type="button"
+              onClick={startEditing}
+              disabled={busy !== null}
+              className="text-blue-600 hover:text-blue-800 disabled:opacity-50"
+            >
+              Edit
+            </button>
+            <label className={`text-blue-600 hover:text-blue-800 ${busy !== null ? "opacity-50" : "cursor-pointer"}`}>
+              {busy === "replace" ? "Replacing..." : "Replace"}
+              <input
+                type="file"
+                onChange={handleReplace}
+                accept="video/*"
+                className="hidden"
+                disabled={busy !== null}
+              />
+            </label>
+            <button
+              type="button"
+              onClick={handleDelete}
+              disabled={busy !== null}
+              className="text-red-600 hover:text-red-800 disabled:opacity-50"
+            >
+              {busy === "delete" ? "Deleting..." : "Delete"}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {pickingPoster && !editing && (
+        <div className="mt-2">
+          <PosterPicker
+            frames={video.frames ?? []}
+            value={video.posterIndex}
+            onSelect={handlePosterSelect}
+            disabled={busy !== null}
+          />
+        </div>
+      )}
+
+      {managingCaptions && !editing && (
+        <div className="mt-2">
+          <CaptionManager video={video} onUpdated={onUpdated} />
+        </div>
+      )}
+
+      {managingProducts && !editing && (
+        <div className="mt-2">
+          <ProductManager video={video} onUpdated={onUpdated} />
+        </div>
+      )}
+
+      {error && <p className="mt-1 text-xs text-red-500">{error}</p>}
+    </div>
+  )
+}
@@ -0,0 +1,303 @@
+"use client"
+
+import { useEffect, useRef, useState } from "react"
+import { QUALITIES, RESOLUTIONS, estimateOutputSize, prepareVideo } from "../lib/uploads/prepare-client"
+
+/**
+ * Labels for the quality presets
+ */
+const QUALITY_LABELS = {
+  high: "High quality",
+  standard: "Standard",
+  small: "Smallest file",
+  fit: "Fit the upload limit",
+}
+
+/**
+ * Formats a byte count in megabytes, e.g. "4.20 MB"
+ *
+ * @param {number} bytes - The size in bytes
+ * @returns {string} The formatted size
+ */
+const formatSize = (bytes) => `${(bytes / (1024 * 1024)).toFixed(2)} MB`
+
+/**
+ * Formats seconds as "m:ss.s"
+ *
+ * @param {number} seconds - The time
+ * @returns {string} The formatted time
+ */
+const formatTime = (seconds) => `${Math.floor(seconds / 60)}:${(seconds % 60).toFixed(1).padStart(4, "0")}`
+
+/**
+ * Returns an object URL for a file, revoked when the file changes or the component unmounts
+ *
+ * @param {Blob|null} file - The file
+ * @returns {string|null} The object URL
+ */
+function useObjectUrl(file) {
+  const [url, setUrl] = useState(null)
+  useEffect(() => {
+    if (!file) return setUrl(null)
+    const objectUrl = URL.createObjectURL(file)
+    setUrl(objectUrl)
+    return () => URL.revokeObjectURL(objectUrl)
+  }, [file])
+  return url
+}
+
+/**
+ * VideoPrepEditor Component
+ *
+ * Prepares a selected video before it is uploaded: trims its start and end, scales
+ * it down and re-encodes it in the browser (see `lib/uploads/prepare-client`). Shows
+ * the estimated size as the settings change, then a preview of the result to accept
+ * or discard.
+ *
+ * @param {Object} props
+ * @param {File} props.file - The selected video
+ * @param {number|null} props.maxBytes - The server's upload limit, if any
+ * @param {Function} props.onApply - Called with the prepared file to upload instead
+ * @param {Function} props.onCancel - Called when the editor is closed without a result
+ */
+export default function VideoPrepEditor({ file, maxBytes, onApply, onCancel }) {
+  const [source, setSource] = useState(null) // `{ width, height, duration }` once the metadata has loaded
+  const [start, setStart] = useState(0) // Trim start in seconds
+  const [end, setEnd] = useState(0) // Trim end in seconds
+  const [height, setHeight] = useState(null) // Output height, null for the original size
+  const [quality, setQuality] = useState(maxBytes && file.size > maxBytes ? "fit" : "standard")
+  const [progress, setProgress] = useState(null) // Fraction done while encoding, null when idle
+  const [result, setResult] = useState(null) // The prepared file, shown for review
+  const [error, setError] = useState(null) // Message from a failed preparation
+  const videoRef = useRef(null) // The source preview, for setting trim points at the playhead
+  const abortRef = useRef(null) // Cancels the running preparation
+
+  const sourceUrl = useObjectUrl(file)
+  const resultUrl = useObjectUrl(result)
+
+  // Stop encoding if the editor goes away mid-way
+  useEffect(() => () => abortRef.current?.abort(), [])
+
+  const settings = { start, end, height, quality }
+  const estimate = source && end > start ? estimateOutputSize({ ...source, size: file.size }, settings, maxBytes) : null
+
+  /**
+   * Reads the video's size and duration once the preview has loaded
+   */
+  const handleLoadedMetadata = () => {
+    // The preview is shown again after "Change settings"; keep the trim points then
+    if (source) return
+    const video = videoRef.current
+    if (!Number.isFinite(video.duration)) {
+      setError("This video's length can't be read in the browser, so it can't be edited here")
+      return
+    }
+    setSource({ width: video.videoWidth, height: video.videoHeight, duration: video.duration })
+    setEnd(video.duration)
+  }
+
+  /**
+   * Encodes the video with the chosen settings
+   */
+  const handlePrepare = async () => {
+    const controller = new AbortController()
+    abortRef.current = controller
+    setError(null)
+    setProgress(0)
+    try {
+      const prepared = await prepareVideo(file, source, settings, {
+        maxBytes,
+        onProgress: setProgress,
+        signal: controller.signal,
+      })
+      setResult(prepared)
+    } catch (err) {
+      if (!controller.signal.aborted) {
+        console.error("Error preparing video:", err)
+        setError(err.message)
+      }
+    } finally {
+      abortRef.current = null
+      setProgress(null)
+    }
+  }
+
+  const encoding = progress !== null
+  const resultTooLarge = Boolean(result && maxBytes && result.size > maxBytes)
+
+  // Review the prepared file before it replaces the original
+  if (result) {
+    return (
+      <div className="mt-2 space-y-2">
+        <video src={resultUrl ?? undefined} controls playsInline className="w-full max-h-60 bg-black rounded" />
+        <p className={`text-xs ${resultTooLarge ? "text-red-500" : "text-gray-600"}`}>
+          {formatSize(file.size)} → {formatSize(result.size)}
+          {resultTooLarge && " — still over the upload limit; try a smaller size or quality"}
+        </p>
+        <div className="flex gap-3 text-xs">
+          <button
+            type="button"
+            onClick={() => onApply(result)}
+            className="font-medium text-blue-600 hover:text-blue-800"
+          >
+            Use this version
+          </button>
+          <button type="button" onClick={() => setResult(null)} className="text-gray-500 hover:text-gray-700">
+            Change settings
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="mt-2 space-y-2">
+      <video
+        ref={videoRef}
+        src={sourceUrl ?? undefined}
+        controls
+        playsInline
+        muted
+        onLoadedMetadata={handleLoadedMetadata}
+        className="w-full max-h-60 bg-black rounded"
+      />
+
+      {source && (
+        <div className="grid grid-cols-2 gap-2 text-xs text-gray-700">
+          <div className="flex items-center gap-1">
+            <label className="flex items-center gap-1">
+              Start
+              <input
+                type="number"
+                min={0}
+                max={end}
+                step={0.1}
+                value={Number(start.toFixed(1))}
+                onChange={(e) => setStart(Math.min(Math.max(Number(e.target.value) || 0, 0), end))}
+                disabled={encoding}
+                className="w-20 border rounded px-1 py-0.5"
+              />
+            </label>
+            <button
+              type="button"
+              onClick={() => setStart(Math.min(videoRef.current.currentTime, end))}
+              disabled={encoding}
+              className="text-blue-600 hover:text-blue-800 disabled:opacity-50"
+            >
+              Set to playhead
+            </button>
+          </div>
+          <div className="flex items-center gap-1">
+            <label className="flex items-center gap-1">
+              End
+              <input
+                type="number"
+                min={start}
+                max={source.duration}
+                step={0.1}
+                value={Number(end.toFixed(1))}
+                onChange={(e) => setEnd(Math.max(Math.min(Number(e.target.value) || 0, source.duration), start))}
+                disabled={encoding}
+                className="w-20 border rounded px-1 py-0.5"
+              />
+            </label>
+            <button
+              type="button"
+              onClick={() => setEnd(Math.max(videoRef.current.currentTime, start))}
+              disabled={encoding}
+              className="text-blue-600 hover:text-blue-800 disabled:opacity-50"
+            >
+              Set to playhead
+            </button>
+          </div>
+          <label className="flex items-center gap-1">
+            Size
+            <select
+              value={height ?? ""}
+              onChange={(e) => setHeight(e.target.value ? Number(e.target.value) : null)}
+              disabled={encoding}
+              className="border rounded bg-white px-1 py-0.5"
+            >
+              {RESOLUTIONS.filter((option) => option === null || option < source.height).map((option) => (
+                <option key={option ?? "original"} value={option ?? ""}>
+                  {option ? `${option}p` : `Original (${source.height}p)`}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-1">
+            Quality
+            <select
+              value={quality}
+              onChange={(e) => setQuality(e.target.value)}
+              disabled={encoding}
+              className="border rounded bg-white px-1 py-0.5"
+            >
+              {Object.keys(QUALITIES)
+                .filter((option) => option !== "fit" || maxBytes)
+                .map((option) => (
+                  <option key={option} value={option}>
+                    {QUALITY_LABELS[option]}
+                  </option>
+                ))}
+            </select>
+          </label>
+        </div>
+      )}
+
+      {source && (
+        <p className="text-xs text-gray-600">
+          Keeps {formatTime(start)}–{formatTime(end)}
+          {estimate !== null && (
+            <>
+              {" · "}
+              <span className={maxBytes && estimate > maxBytes ? "text-red-500" : undefined}>
+                about {formatSize(estimate)}
+              </span>
+            </>
+          )}
+        </p>
+      )}
+
+      {encoding && (
+        <div className="w-full bg-gray-200 rounded-full h-2">
+          <div
+            className="h-2 rounded-full bg-amber-500"
+            style={{ width: `${Math.round(progress * 100)}%` }}
+            role="progressbar"
+            aria-valuenow={Math.round(progress * 100)}
+            aria-valuemin="0"
+            aria-valuemax="100"
+          ></div>
+        </div>
+      )}
+
+      {error && <p className="text-xs text-red-500">{error}</p>}
+
+      <div className="flex gap-3 text-xs">
+        {encoding ? (
+          <button type="button" onClick={() => abortRef.current?.abort()} className="text-red-600 hover:text-red-800">
+            Stop
+          </button>
+        ) : (
+          <button
+            type="button"
+            onClick={handlePrepare}
+            disabled={!source || end <= start}
+            className="font-medium text-blue-600 hover:text-blue-800 disabled:opacity-50"
+          >
+            Process video
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={encoding}
+          className="text-gray-500 hover:text-gray-700 disabled:opacity-50"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  )
+}
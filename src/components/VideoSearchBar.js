@@ -0,0 +1,117 @@
+"use client"
+
+import { useEffect, useRef, useState } from "react"
+
+const SEARCH_DELAY = 300 // Milliseconds to wait after the last keystroke before searching
+
+/**
+ * VideoSearchBar Component
+ *
+ * Search box and tag filters shown above the gallery. The search runs as the user
+ * types, once they pause. The tags of the matching videos are listed with how many
+ * videos carry each; selecting tags narrows the results to videos carrying all of them.
+ *
+ * @param {Object} props
+ * @param {string} props.query - The current search query
+ * @param {string[]} props.tags - The selected tags
+ * @param {Array<{tag: string, count: number}>} props.facets - Tags of the matching videos, most frequent first
+ * @param {Function} props.onQueryChange - Called with the new search query
+ * @param {Function} props.onTagsChange - Called with the new selection of tags
+ */
+export default function VideoSearchBar({ query, tags, facets, onQueryChange, onTagsChange }) {
+  const [input, setInput] = useState(query) // Text in the search box
+  const timerRef = useRef(null) // Pending search while the user is typing
+
+  // Don't search after the gallery is gone
+  useEffect(() => () => clearTimeout(timerRef.current), [])
+
+  /**
+   * Updates the search box and searches once typing pauses
+   *
+   * @param {Event} event - The input change event
+   */
+  const handleInput = (event) => {
+    const value = event.target.value
+    setInput(value)
+    clearTimeout(timerRef.current)
+    timerRef.current = setTimeout(() => onQueryChange(value.trim()), SEARCH_DELAY)
+  }
+
+  /**
+   * Searches straight away when the form is submitted
+   *
+   * @param {Event} event - The form submit event
+   */
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    clearTimeout(timerRef.current)
+    onQueryChange(input.trim())
+  }
+
+  /**
+   * Empties the search box and clears the tag filters
+   */
+  const handleClear = () => {
+    clearTimeout(timerRef.current)
+    setInput("")
+    onQueryChange("")
+    onTagsChange([])
+  }
+
+  /**
+   * Selects or deselects a tag
+   *
+   * @param {string} tag - The tag
+   */
+  const toggleTag = (tag) => {
+    onTagsChange(tags.includes(tag) ? tags.filter((other) => other !== tag) : [...tags, tag])
+  }
+
+  // Selected tags stay visible even when no video matches them any more
+  const shown = [
+    ...tags.filter((tag) => !facets.some((facet) => facet.tag === tag)).map((tag) => ({ tag, count: 0 })),
+    ...facets,
+  ]
+
+  return (
+    <div className="mb-6">
+      <form onSubmit={handleSubmit} role="search" className="flex gap-2">
+        <input
+          type="search"
+          value={input}
+          onChange={handleInput}
+          maxLength={200}
+          placeholder="Search titles, descriptions and tags"
+          aria-label="Search videos"
+          className="flex-1 min-w-0 border rounded-lg px-3 py-2 text-sm"
+        />
+        {(query || tags.length > 0) && (
+          <button type="button" onClick={handleClear} className="px-3 text-sm text-gray-600 hover:text-gray-800">
+            Clear
+          </button>
+        )}
+      </form>
+
+      {shown.length > 0 && (
+        <div className="mt-3 flex flex-wrap gap-2" role="group" aria-label="Filter by tag">
+          {shown.map(({ tag, count }) => {
+            const selected = tags.includes(tag)
+            return (
+              <button
+                key={tag}
+                type="button"
+                onClick={() => toggleTag(tag)}
+                aria-pressed={selected}
+                className={`px-2.5 py-0.5 rounded-full text-xs transition-colors ${
+                  selected ? "bg-blue-600 text-white" : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+                }`}
+              >
+                #{tag} <span className={selected ? "text-blue-100" : "text-gray-400"}>{count}</span>
+              </button>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
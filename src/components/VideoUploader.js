@@ -1,233 +1,516 @@
 "use client"
 
-import { useState, useRef } from "react"
+import { useCallback, useEffect, useState, useRef } from "react"
+import { waitForJob } from "../lib/jobs/client"
+import { uploadInChunks } from "../lib/uploads/chunked-client"
+import { importFromUrl, isImportableUrl } from "../lib/uploads/import-client"
+import { deleteQueuedUpload, loadQueuedUploads, saveQueuedUpload } from "../lib/uploads/queue-store"
+import { filesFromDrop, isVideoFile } from "../lib/uploads/selection-client"
+import VideoDetailsFields from "./VideoDetailsFields"
+import VideoPrepEditor from "./VideoPrepEditor"
+import VisibilitySelect from "./VisibilitySelect"
+
+const UPLOAD_SHARE = 50 // Share of the progress bar for sending the file; server processing fills the rest
+const DEFAULT_CONCURRENCY = 2 // Files uploaded (or processed) at the same time
+const RUNNING_STATUSES = ["uploading", "processing"] // Statuses of files whose upload is under way
+const EDITABLE_STATUSES = ["ready", "error", "cancelled", "interrupted"] // Statuses of files that can be changed or removed
+const RETRYABLE_STATUSES = ["error", "cancelled"] // Statuses of files that can be tried again on their own
+
+/**
+ * Descriptions of the server's processing stages, shown while a file is processed
+ */
+const STAGE_LABELS = {
+  downloading: "Downloading",
+  hashing: "Checking for duplicates",
+  validating: "Validating",
+  thumbnail: "Generating thumbnail",
+  storing: "Storing",
+}
+
+/**
+ * Formats a byte count as whole megabytes, e.g. "5MB"
+ *
+ * @param {number} bytes - The size in bytes
+ * @returns {string} - The formatted size
+ */
+const formatMegabytes = (bytes) => `${Math.round(bytes / (1024 * 1024))}MB`
+
+/**
+ * Formats container names as a readable list, e.g. "MP4, MOV, and WebM"
+ *
+ * @param {string[]} formats - Lowercase container names
+ * @returns {string} - The formatted list
+ */
+const formatList = (formats) => {
+  const names = formats.map((format) => (format === "webm" ? "WebM" : format.toUpperCase()))
+  return names.length > 1 ? `${names.slice(0, -1).join(", ")}, and ${names[names.length - 1]}` : names.join("")
+}
+
+/**
+ * Derives the default title of a video from its filename, as the server does
+ *
+ * @param {string} filename - The filename
+ * @returns {string} - The filename without its extension
+ */
+const defaultTitle = (filename) => filename.replace(/\.[^./]+$/, "") || filename
+
+/**
+ * Returns the name a queued video is listed under: its filename, or the last part of its URL
+ *
+ * @param {Object} fileObj - The queued file or URL
+ * @returns {string} - The name
+ */
+const nameOf = ({ file, url }) => {
+  if (file) return file.name
+  const { hostname, pathname } = new URL(url)
+  const last = pathname.split("/").pop()
+  try {
+    return decodeURIComponent(last) || hostname
+  } catch {
+    return last || hostname
+  }
+}
+
+/**
+ * Returns the part of a queued file that is saved across reloads
+ * Progress isn't saved: a resumed upload reports what the server already has.
+ *
+ * @param {Object} fileObj - The queued file
+ * @returns {Object} The record saved in the queue store
+ */
+const toRecord = ({ id, file, url, details, visibility, status, error, jobId, addedAt }) => ({
+  id,
+  file,
+  url,
+  details,
+  visibility,
+  status,
+  error,
+  jobId,
+  addedAt,
+})
 
 /**
  * VideoUploader Component
  *
  * A component that allows users to select and upload multiple video files
- * with progress tracking for each file. The component handles file selection,
- * upload progress visualization, and status updates.
+ * with progress tracking for each file. Files are added with the file picker (files
+ * or a whole folder), by dropping files or folders on the drop zone, or by pasting
+ * them anywhere on the page; anything that isn't a video is skipped. Videos hosted
+ * elsewhere can be added by their URL instead, and are downloaded by the server.
+ *
+ * Selected files wait in a queue until uploaded, and at most `concurrency` of them are
+ * uploaded at the same time. Each file can be cancelled while it waits or uploads,
+ * tried again after it failed or was cancelled, and removed. Files are sent in chunks,
+ * and once sent the server's processing job is followed until the video is ready.
+ * The queue, files included, is kept in IndexedDB (see `lib/uploads/queue-store`), so
+ * uploads interrupted by a reload are listed as interrupted and resume from where the
+ * server left off. Before uploading, a file can be trimmed, scaled down and re-encoded
+ * in the browser, which is how files over the upload limit are made to fit, and given
+ * a title, description and tags.
  *
  * @param {Object} props
- * @param {Function} props.onUploadComplete - Callback function called when uploads finish successfully
- *                                           with an array of upload results
+ * @param {Function} props.onUploadComplete - Callback function called as each upload finishes successfully
+ *                                           with an array of upload results (`{ videoId, duplicate }`)
+ * @param {number} [props.concurrency=2] - How many files are uploaded at the same time
  */
-export default function VideoUploader({ onUploadComplete }) {
-  // State management for files and upload process
-  const [files, setFiles] = useState([]) // Stores the selected files
-  const [uploading, setUploading] = useState(false) // Tracks if uploads are in progress
-  const [uploadProgress, setUploadProgress] = useState({}) // Tracks upload progress percentage by file ID
-  const [uploadStatus, setUploadStatus] = useState({}) // Tracks status (ready, uploading, processing, complete, error)
-  const fileInputRef = useRef(null) // Reference to the file input element
+export default function VideoUploader({ onUploadComplete, concurrency = DEFAULT_CONCURRENCY }) {
+  // The queue: `{ id, file, url, details, visibility, status, progress, stage, error, duplicate, jobId, addedAt }`,
+  // where status is ready, queued, uploading, processing, complete, error, cancelled or interrupted; imports from a
+  // URL have a `url` and no `file`
+  const [files, setFiles] = useState([])
+  const [restored, setRestored] = useState(false) // Whether the queue saved before the last reload was loaded
+  const [limits, setLimits] = useState(null) // Upload limits enforced by the server
+  const [visibility, setVisibility] = useState("public") // Visibility the uploaded videos get
+  const [editingId, setEditingId] = useState(null) // ID of the file open in the editor
+  const [detailsId, setDetailsId] = useState(null) // ID of the file whose details are shown
+  const [dragging, setDragging] = useState(false) // Whether files are dragged over the drop zone
+  const [notice, setNotice] = useState(null) // Message about files that were skipped
+  const [importUrl, setImportUrl] = useState("") // URL entered in the "Add from URL" field
+  const controllersRef = useRef(new Map()) // AbortController of each running upload, by file ID
+  const savedRef = useRef(new Map()) // Last record saved to the queue store, by file ID
+
+  // Fetch the server's upload limits so oversized files can be caught before uploading
+  useEffect(() => {
+    fetch("/api/uploads/limits")
+      .then((res) => res.json())
+      .then((data) => {
+        setLimits(data)
+        setVisibility(data.defaultVisibility)
+      })
+      .catch((err) => console.error("Error fetching upload limits:", err))
+  }, [])
+
+  // Load the queue saved before the last reload; uploads it cut off wait to be resumed
+  useEffect(() => {
+    let cancelled = false
+    loadQueuedUploads().then((records) => {
+      if (cancelled) return
+      const restoredFiles = records.map((record) => ({
+        ...record,
+        status: record.status === "queued" || RUNNING_STATUSES.includes(record.status) ? "interrupted" : record.status,
+        progress: 0,
+        stage: null,
+        duplicate: false,
+      }))
+      setFiles((prevFiles) => [...restoredFiles, ...prevFiles])
+      setRestored(true)
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  // Save the queue whenever a file is added, changed or removed; finished files are dropped from it
+  useEffect(() => {
+    if (!restored) return
+    const saved = savedRef.current
+    for (const fileObj of files) {
+      if (fileObj.status === "complete") continue
+      const record = toRecord(fileObj)
+      const previous = saved.get(fileObj.id)
+      // Progress updates don't change the record, so they aren't written
+      if (previous && previous.file === record.file && JSON.stringify(previous) === JSON.stringify(record)) continue
+      saved.set(fileObj.id, record)
+      saveQueuedUpload(record)
+    }
+    for (const id of saved.keys()) {
+      if (!files.some((fileObj) => fileObj.id === id && fileObj.status !== "complete")) {
+        saved.delete(id)
+        deleteQueuedUpload(id)
+      }
+    }
+  }, [files, restored])
+
+  /**
+   * Applies changes to a file of the queue
+   *
+   * @param {string} id - The file ID
+   * @param {Object} changes - The fields to change
+   */
+  const updateFile = useCallback((id, changes) => {
+    setFiles((prevFiles) => prevFiles.map((fileObj) => (fileObj.id === id ? { ...fileObj, ...changes } : fileObj)))
+  }, [])
 
   /**
-   * Handles file selection from the file input
+   * Adds files to the queue, skipping those that aren't videos
    * Creates unique IDs for each file and initializes their progress and status
    *
+   * @param {File[]} selectedFiles - The files picked, dropped or pasted
+   */
+  const addFiles = useCallback((selectedFiles) => {
+    const videos = selectedFiles.filter(isVideoFile)
+    const skipped = selectedFiles.length - videos.length
+    const skippedNoun = skipped === 1 ? "file that isn't a video" : "files that aren't videos"
+    setNotice(skipped > 0 ? `Skipped ${skipped} ${skippedNoun}` : null)
+    if (videos.length === 0) return
+
+    // Oversized files are kept so they can be edited down to the limit; they aren't uploaded until then
+    const now = Date.now()
+    const fileObjects = videos.map((file, index) => ({
+      id: `${file.name}-${now}-${index}`,
+      file,
+      url: null,
+      details: { title: "", description: "", tags: "" },
+      visibility: null,
+      status: "ready",
+      progress: 0,
+      stage: null,
+      error: null,
+      duplicate: false,
+      jobId: null,
+      addedAt: now + index,
+    }))
+    setFiles((prevFiles) => [...prevFiles, ...fileObjects])
+  }, [])
+
+  /**
+   * Handles file selection from the file and folder inputs
+   *
    * @param {Event} event - The file input change event
    */
   const handleFileChange = (event) => {
-    const selectedFiles = Array.from(event.target.files)
-    if (selectedFiles.length === 0) return
-
-    // Check for file size limits in production
-    const oversizedFiles = selectedFiles.filter((file) => isFileTooLarge(file))
-    if (oversizedFiles.length > 0) {
-      alert(
-        `The following files exceed the 5MB limit for the live demo:\n${oversizedFiles.map((f) => f.name).join("\n")}\n\nPlease select smaller files or run the app locally for larger uploads.`,
-      )
-
-      // Filter out oversized files
-      const validFiles = selectedFiles.filter((file) => !isFileTooLarge(file))
-      if (validFiles.length === 0) {
-        // Reset the file input if all files were too large
-        if (fileInputRef.current) {
-          fileInputRef.current.value = ""
-        }
-        return
-      }
+    addFiles(Array.from(event.target.files))
 
-      // Continue with valid files only
-      const fileObjects = validFiles.map((file) => ({
-        id: `${file.name}-${Date.now()}`,
-        file,
-        status: "ready",
-      }))
+    // Reset the input so the same file can be selected again if needed
+    event.target.value = ""
+  }
 
-      setFiles((prevFiles) => [...prevFiles, ...fileObjects])
+  /**
+   * Adds the dropped files, and the videos in dropped folders
+   *
+   * @param {DragEvent} event - The drop event
+   */
+  const handleDrop = (event) => {
+    event.preventDefault()
+    setDragging(false)
+    filesFromDrop(event.dataTransfer)
+      .then(addFiles)
+      .catch((err) => console.error("Error reading dropped files:", err))
+  }
 
-      const newProgress = {}
-      const newStatus = {}
-      fileObjects.forEach((fileObj) => {
-        newProgress[fileObj.id] = 0
-        newStatus[fileObj.id] = "ready"
-      })
+  /**
+   * Adds the URL entered in the "Add from URL" field to the queue
+   *
+   * @param {Event} event - The form submit event
+   */
+  const handleAddUrl = (event) => {
+    event.preventDefault()
+    const url = importUrl.trim()
+    if (!isImportableUrl(url)) {
+      setNotice("Enter an http or https link to a video file")
+      return
+    }
 
-      setUploadProgress((prev) => ({ ...prev, ...newProgress }))
-      setUploadStatus((prev) => ({ ...prev, ...newStatus }))
-    } else {
-      // No oversized files, proceed normally
-      const fileObjects = selectedFiles.map((file) => ({
-        id: `${file.name}-${Date.now()}`,
-        file,
+    const now = Date.now()
+    setNotice(null)
+    setImportUrl("")
+    setFiles((prevFiles) => [
+      ...prevFiles,
+      {
+        id: `url-${now}`,
+        file: null,
+        url,
+        details: { title: "", description: "", tags: "" },
+        visibility: null,
         status: "ready",
-      }))
+        progress: 0,
+        stage: null,
+        error: null,
+        duplicate: false,
+        jobId: null,
+        addedAt: now,
+      },
+    ])
+  }
 
-      setFiles((prevFiles) => [...prevFiles, ...fileObjects])
+  /**
+   * Lets files be dropped on the drop zone
+   *
+   * @param {DragEvent} event - The dragover event
+   */
+  const handleDragOver = (event) => {
+    if (!event.dataTransfer.types.includes("Files")) return
+    event.preventDefault()
+    event.dataTransfer.dropEffect = "copy"
+    setDragging(true)
+  }
 
-      const newProgress = {}
-      const newStatus = {}
-      fileObjects.forEach((fileObj) => {
-        newProgress[fileObj.id] = 0
-        newStatus[fileObj.id] = "ready"
-      })
+  /**
+   * Clears the drop zone's highlight once the drag leaves it (and not just one of its children)
+   *
+   * @param {DragEvent} event - The dragleave event
+   */
+  const handleDragLeave = (event) => {
+    if (!event.currentTarget.contains(event.relatedTarget)) setDragging(false)
+  }
 
-      setUploadProgress((prev) => ({ ...prev, ...newProgress }))
-      setUploadStatus((prev) => ({ ...prev, ...newStatus }))
+  // Add video files pasted anywhere on the page
+  useEffect(() => {
+    const handlePaste = (event) => {
+      const pasted = Array.from(event.clipboardData?.files ?? [])
+      if (pasted.length === 0) return
+      event.preventDefault()
+      addFiles(pasted)
     }
+    window.addEventListener("paste", handlePaste)
+    return () => window.removeEventListener("paste", handlePaste)
+  }, [addFiles])
 
-    // Reset the file input so the same file can be selected again if needed
-    if (fileInputRef.current) {
-      fileInputRef.current.value = ""
-    }
+  /**
+   * Swaps a selected file for its edited version and closes the editor
+   *
+   * @param {string} id - The file ID
+   * @param {File} file - The edited file
+   */
+  const replaceFile = (id, file) => {
+    updateFile(id, { file, status: "ready", progress: 0, error: null, jobId: null })
+    setEditingId(null)
   }
 
   /**
-   * Uploads a single file with progress tracking using XMLHttpRequest
-   * Updates status and progress throughout the upload process
+   * Updates the title, description and tags a file will be uploaded with
    *
-   * @param {Object} fileObj - The file object containing id and file
-   * @returns {Promise} - Resolves with the server response or rejects with an error
+   * @param {string} id - The file ID
+   * @param {Object} details - `{ title, description, tags }` as entered
    */
-  const uploadFile = async (fileObj) => {
-    const { id, file } = fileObj
-    const formData = new FormData()
-    formData.append("file", file)
-
-    try {
-      // Update status to uploading
-      setUploadStatus((prev) => ({ ...prev, [id]: "uploading" }))
-
-      // Create XMLHttpRequest for progress tracking
-      const xhr = new XMLHttpRequest()
-
-      // Track upload progress
-      xhr.upload.addEventListener("progress", (event) => {
-        if (event.lengthComputable) {
-          // Max 60% for upload (reserve 40% for server processing)
-          const uploadPercentage = Math.round((event.loaded / event.total) * 60)
-          setUploadProgress((prev) => ({ ...prev, [id]: uploadPercentage }))
-        }
-      })
+  const updateDetails = (id, details) => {
+    updateFile(id, { details })
+  }
 
-      // Create a promise to handle the XHR request
-      const uploadPromise = new Promise((resolve, reject) => {
-        xhr.onload = () => {
-          if (xhr.status >= 200 && xhr.status < 300) {
-            // Set to 80% while processing thumbnail
-            setUploadProgress((prev) => ({ ...prev, [id]: 80 }))
-            setUploadStatus((prev) => ({ ...prev, [id]: "processing" }))
-
-            try {
-              const response = JSON.parse(xhr.responseText)
-              // Set to 100% when complete
-              setUploadProgress((prev) => ({ ...prev, [id]: 100 }))
-              setUploadStatus((prev) => ({ ...prev, [id]: "complete" }))
-              resolve(response)
-            } catch (e) {
-              setUploadStatus((prev) => ({ ...prev, [id]: "error" }))
-              reject(new Error("Invalid response format"))
-            }
-          } else {
-            setUploadStatus((prev) => ({ ...prev, [id]: "error" }))
-            reject(new Error(`HTTP Error: ${xhr.status}`))
-          }
-        }
+  /**
+   * Removes a file from the queue
+   *
+   * @param {string} id - The file ID
+   */
+  const removeFile = (id) => {
+    setFiles((prevFiles) => prevFiles.filter((fileObj) => fileObj.id !== id))
+    if (editingId === id) setEditingId(null)
+    if (detailsId === id) setDetailsId(null)
+  }
 
-        xhr.onerror = () => {
-          setUploadStatus((prev) => ({ ...prev, [id]: "error" }))
-          reject(new Error("Network Error"))
-        }
+  /**
+   * Removes the finished files from the list
+   */
+  const clearCompleted = () => {
+    setFiles((prevFiles) => prevFiles.filter((fileObj) => fileObj.status !== "complete"))
+  }
 
-        xhr.open("POST", "/api/upload")
-        xhr.send(formData)
+  /**
+   * Follows the server's processing job for a file
+   * For uploads the second part of the progress bar tracks the job as it reports progress;
+   * imports have no upload, so their job fills the whole bar.
+   *
+   * @param {string} id - The file ID
+   * @param {string} jobId - The job ID
+   * @param {AbortSignal} signal - Signal that stops following the job
+   * @param {number} [start=UPLOAD_SHARE] - Where on the progress bar the job starts
+   * @returns {Promise<Object>} The upload result (`{ videoId, duplicate }`)
+   */
+  const followJob = useCallback(
+    async (id, jobId, signal, start = UPLOAD_SHARE) => {
+      const { result } = await waitForJob(jobId, {
+        signal,
+        onUpdate: ({ stage, progress }) =>
+          updateFile(id, {
+            status: "processing",
+            stage,
+            progress: start + Math.round((progress * (100 - start)) / 100),
+          }),
       })
-
-      return await uploadPromise
-    } catch (error) {
-      console.error(`Error uploading ${file.name}:`, error)
-      setUploadStatus((prev) => ({ ...prev, [id]: "error" }))
-      throw error
-    }
-  }
+      return result
+    },
+    [updateFile],
+  )
 
   /**
-   * Uploads all files simultaneously that haven't been uploaded yet
-   * Manages the overall upload process and calls the onUploadComplete callback
-   * when finished successfully
+   * Uploads a single file in resumable chunks with progress tracking, or has the server import it from its URL
+   * Updates status and progress throughout the upload process
+   *
+   * @param {Object} fileObj - The queued file
    */
-  const uploadAllFiles = async () => {
-    // Don't proceed if there are no files or uploads are already in progress
-    if (files.length === 0 || uploading) return
-
-    setUploading(true)
-    const uploadResults = []
-    const uploadPromises = []
-
-    // Start all uploads simultaneously
-    files.forEach((fileObj) => {
-      // Only upload files that aren't already complete
-      if (uploadStatus[fileObj.id] !== "complete") {
-        const promise = uploadFile(fileObj)
-          .then((result) => {
-            uploadResults.push(result)
-            return result
-          })
-          .catch((error) => {
-            console.error(`Failed to upload ${fileObj.file.name}:`, error)
-            // We don't rethrow to allow other uploads to continue
+  const uploadFile = useCallback(
+    async (fileObj) => {
+      const { id, file, url, details } = fileObj
+      const start = url ? 0 : UPLOAD_SHARE
+      const controller = new AbortController()
+      controllersRef.current.set(id, controller)
+
+      try {
+        // Update status to uploading
+        updateFile(id, { status: "uploading", error: null })
+
+        // A file interrupted while processing follows its job again, while the server still has it
+        let result = null
+        if (fileObj.jobId) {
+          result = await followJob(id, fileObj.jobId, controller.signal, start).catch((error) => {
+            if (error.status !== 404) throw error
             return null
           })
+        }
 
-        uploadPromises.push(promise)
+        const options = {
+          visibility: fileObj.visibility ?? undefined,
+          // An empty title falls back to the filename on the server
+          details: { ...details, title: details.title.trim() || undefined },
+          signal: controller.signal,
+        }
+        if (!result && url) {
+          const job = await importFromUrl(url, options)
+          updateFile(id, { status: "processing", jobId: job.id })
+          result = await followJob(id, job.id, controller.signal, start)
+        } else if (!result) {
+          const job = await uploadInChunks(file, {
+            ...options,
+            // The first part of the bar tracks the bytes sent
+            onProgress: (fraction) => updateFile(id, { progress: Math.round(fraction * UPLOAD_SHARE) }),
+            onAssembling: () => updateFile(id, { status: "processing" }),
+          })
+          updateFile(id, { jobId: job.id })
+          result = await followJob(id, job.id, controller.signal)
+        }
+
+        // Identical files aren't stored twice; the job points at the existing video instead
+        updateFile(id, { status: "complete", progress: 100, duplicate: Boolean(result.duplicate) })
+        onUploadComplete?.([result])
+      } catch (error) {
+        if (error.name === "AbortError") {
+          updateFile(id, { status: "cancelled" })
+          return
+        }
+        console.error(`Error uploading ${nameOf(fileObj)}:`, error)
+        // Server rejections carry a code and a message that explains what's wrong with the file
+        updateFile(id, { status: "error", error: error.code ? error.message : null, jobId: null })
+      } finally {
+        controllersRef.current.delete(id)
       }
-    })
+    },
+    [updateFile, followJob, onUploadComplete],
+  )
 
-    // Wait for all uploads to complete
-    await Promise.allSettled(uploadPromises)
+  // Start queued files, oldest first, whenever fewer than `concurrency` are running
+  useEffect(() => {
+    const running = controllersRef.current
+    const waiting = files.filter((fileObj) => fileObj.status === "queued" && !running.has(fileObj.id))
+    waiting.slice(0, Math.max(concurrency - running.size, 0)).forEach(uploadFile)
+  }, [files, concurrency, uploadFile])
 
-    setUploading(false)
+  /**
+   * Queues a file, with the visibility chosen now unless it was queued before
+   *
+   * @param {Object} fileObj - The file
+   * @returns {Object} The queued file
+   */
+  const toQueued = (fileObj) => ({ ...fileObj, status: "queued", visibility: fileObj.visibility ?? visibility })
 
-    // Filter out null results (failed uploads)
-    const successfulUploads = uploadResults.filter((result) => result !== null)
+  /**
+   * Queues every file that is ready or was interrupted
+   */
+  const uploadAllFiles = () => {
+    setEditingId(null)
+    setDetailsId(null)
+    setFiles((prevFiles) => prevFiles.map((fileObj) => (isUploadable(fileObj) ? toQueued(fileObj) : fileObj)))
+  }
 
-    // Only proceed if there were successful uploads
-    if (onUploadComplete && typeof onUploadComplete === "function" && successfulUploads.length > 0) {
-      // Add a 1-second delay before refreshing both the uploader and gallery
-      setTimeout(() => {
-        // Notify parent component to refresh the gallery
-        onUploadComplete(successfulUploads)
+  /**
+   * Queues a failed or cancelled file again
+   *
+   * @param {string} id - The file ID
+   */
+  const retryFile = (id) => {
+    if (editingId === id) setEditingId(null)
+    setFiles((prevFiles) => prevFiles.map((fileObj) => (fileObj.id === id ? toQueued(fileObj) : fileObj)))
+  }
 
-        // Clear the uploader after the delay
-        setFiles([])
-        setUploadProgress({})
-        setUploadStatus({})
-      }, 1000) // 1 second delay
+  /**
+   * Cancels a file's upload, or takes it out of the queue if it hasn't started
+   * The chunks already sent are kept on the server, so trying again resumes the upload.
+   *
+   * @param {string} id - The file ID
+   */
+  const cancelFile = (id) => {
+    const controller = controllersRef.current.get(id)
+    if (controller) {
+      controller.abort()
+    } else {
+      updateFile(id, { status: "cancelled" })
     }
   }
 
   /**
    * Determines the appropriate status text and styling based on file status
    *
-   * @param {string} id - The file ID
+   * @param {Object} fileObj - The file
    * @returns {Object} - Object containing text, text color, and background color
    */
-  const getStatusInfo = (id) => {
-    const status = uploadStatus[id]
-    const progress = uploadProgress[id] || 0
-
+  const getStatusInfo = ({ file, status, progress, stage, error, duplicate }) => {
     switch (status) {
+      case "queued":
+        return {
+          text: "Waiting to upload",
+          color: "text-gray-500",
+          bgColor: "bg-gray-300",
+        }
       case "uploading":
         return {
           text: `Uploading: ${progress}%`,
@@ -236,23 +519,42 @@ export default function VideoUploader({ onUploadComplete }) {
         }
       case "processing":
         return {
-          text: "Processing...",
+          text: stage ? `${STAGE_LABELS[stage]}: ${progress}%` : "Processing...",
           color: "text-purple-500",
           bgColor: "bg-purple-500",
         }
       case "complete":
         return {
-          text: "Complete",
+          text: duplicate ? "Already in the gallery" : "Complete",
           color: "text-green-500",
           bgColor: "bg-green-500",
         }
       case "error":
         return {
-          text: "Failed",
+          text: error ? `Failed: ${error}` : "Failed",
           color: "text-red-500",
           bgColor: "bg-red-500",
         }
+      case "cancelled":
+        return {
+          text: "Cancelled",
+          color: "text-gray-500",
+          bgColor: "bg-gray-300",
+        }
+      case "interrupted":
+        return {
+          text: "Interrupted: upload to resume",
+          color: "text-amber-600",
+          bgColor: "bg-gray-300",
+        }
       default:
+        if (isFileTooLarge(file)) {
+          return {
+            text: `Over the ${formatMegabytes(limits.maxBytes)} limit: edit it to fit`,
+            color: "text-amber-600",
+            bgColor: "bg-gray-300",
+          }
+        }
         return {
           text: "Ready",
           color: "text-gray-500",
@@ -268,7 +570,12 @@ export default function VideoUploader({ onUploadComplete }) {
    * @returns {string} - The text to display on the upload button
    */
   const getButtonText = () => {
-    if (uploading) {
+    const pendingCount = files.filter(isUploadable).length
+    if (pendingCount > 0) {
+      return `Upload ${pendingCount} Video${pendingCount !== 1 ? "s" : ""}`
+    }
+
+    if (busy) {
       return "Uploading..."
     }
 
@@ -276,30 +583,39 @@ export default function VideoUploader({ onUploadComplete }) {
       return "Select Files to Upload"
     }
 
-    if (files.every((f) => uploadStatus[f.id] === "complete")) {
+    if (files.every((f) => f.status === "complete")) {
       return "All Files Uploaded"
     }
 
-    const pendingCount = files.filter((f) => uploadStatus[f.id] !== "complete").length
-    return `Upload ${pendingCount} Video${pendingCount !== 1 ? "s" : ""}`
+    if (files.some((f) => f.status === "ready")) {
+      return "Edit Files to Fit the Limit"
+    }
+    return "Nothing Left to Upload"
   }
 
   /**
-   * Checks if a file exceeds the size limit in production environment
-   * Only applies the 5MB limit in production (live demo)
+   * Checks if a file exceeds the server's size limit
+   * The server enforces the limit as well; this only saves a doomed upload. The size of
+   * a video imported from a URL is only known to the server.
    *
-   * @param {File} file - The file to check
-   * @returns {boolean} - True if the file is too large in production
+   * @param {File|null} file - The file to check
+   * @returns {boolean} - True if the file is too large to upload
    */
   const isFileTooLarge = (file) => {
-    // Only apply 5MB limit in production (live demo)
-    if (process.env.NODE_ENV === "production") {
-      const MAX_FILE_SIZE = 5 * 1024 * 1024 // 5MB in bytes
-      return file.size > MAX_FILE_SIZE
-    }
-    return false // No limit in development
+    return Boolean(file && limits?.maxBytes) && file.size > limits.maxBytes
   }
 
+  /**
+   * Checks if a file is waiting for the upload button and fits the limit
+   *
+   * @param {Object} fileObj - The file
+   * @returns {boolean} - True if the file should be queued on the next upload
+   */
+  const isUploadable = (fileObj) => ["ready", "interrupted"].includes(fileObj.status) && !isFileTooLarge(fileObj.file)
+
+  const busy = files.some((fileObj) => fileObj.status === "queued" || RUNNING_STATUSES.includes(fileObj.status))
+  const editingFile = files.find((fileObj) => fileObj.id === editingId)
+
   return (
     <div className="p-6 border rounded-lg shadow-lg bg-white">
       {/* Component Header */}
@@ -309,54 +625,153 @@ export default function VideoUploader({ onUploadComplete }) {
         </h2>
       </div>
 
-      {/* File Selection Section */}
-      <div className="mb-4">
-        <label className="block mb-2 text-sm font-medium text-gray-700">Select videos to upload</label>
-        <div className="flex items-center gap-2">
+      {/* File Selection Section - also a drop zone for files and folders */}
+      <div
+        onDragOver={handleDragOver}
+        onDragLeave={handleDragLeave}
+        onDrop={handleDrop}
+        className={`mb-4 rounded-lg border-2 border-dashed p-4 transition-colors ${
+          dragging ? "border-blue-500 bg-blue-50" : "border-gray-300"
+        }`}
+      >
+        <p className="mb-2 text-sm font-medium text-gray-700">Drop videos or folders here, paste them, or</p>
+        <div className="flex flex-wrap items-center gap-2">
           <label className="block cursor-pointer">
             <span className="inline-block px-4 py-2 text-sm font-semibold text-blue-700 bg-blue-50 rounded-md hover:bg-blue-100 transition-colors">
               Choose Files
             </span>
-            <input
-              type="file"
-              ref={fileInputRef}
-              onChange={handleFileChange}
-              accept="video/*"
-              multiple
-              className="hidden"
-              disabled={uploading}
-            />
+            <input type="file" onChange={handleFileChange} accept="video/*" multiple className="hidden" />
+          </label>
+          <label className="block cursor-pointer">
+            <span className="inline-block px-4 py-2 text-sm font-semibold text-blue-700 bg-blue-50 rounded-md hover:bg-blue-100 transition-colors">
+              Choose Folder
+            </span>
+            <input type="file" onChange={handleFileChange} webkitdirectory="" className="hidden" />
           </label>
+          <VisibilitySelect value={visibility} onChange={setVisibility} className="px-2 py-2 text-sm text-gray-700" />
         </div>
         <p className="mt-1 text-xs text-gray-500">
-          Supports MP4, MOV, AVI, and WebM formats
-          {process.env.NODE_ENV === "production" && (
-            <span className="ml-1 text-red-500 font-medium">(5MB max file size in live demo)</span>
+          Supports {limits ? formatList(limits.allowedFormats) : "MP4, MOV, AVI, and WebM"} formats
+          {limits?.maxBytes && (
+            <span className="ml-1 text-red-500 font-medium">({formatMegabytes(limits.maxBytes)} max file size)</span>
           )}
         </p>
+        {notice && <p className="mt-1 text-xs text-amber-600">{notice}</p>}
       </div>
 
+      {/* URL Section - videos the server downloads instead of them being uploaded */}
+      <form onSubmit={handleAddUrl} className="mb-4 flex gap-2">
+        <input
+          type="url"
+          value={importUrl}
+          onChange={(event) => setImportUrl(event.target.value)}
+          placeholder="https://example.com/video.mp4"
+          aria-label="Video URL"
+          className="min-w-0 flex-1 px-3 py-2 text-sm border rounded-md"
+        />
+        <button
+          type="submit"
+          disabled={!importUrl.trim()}
+          className="px-4 py-2 text-sm font-semibold text-blue-700 bg-blue-50 rounded-md hover:bg-blue-100 transition-colors disabled:opacity-50"
+        >
+          Add from URL
+        </button>
+      </form>
+
       {/* File List Section - Only shown when files are selected */}
       {files.length > 0 && (
         <div className="mt-4 mb-4">
-          <h3 className="text-md font-medium mb-2 text-blue-700">Selected Videos ({files.length})</h3>
+          <div className="flex justify-between items-center mb-2">
+            <h3 className="text-md font-medium text-blue-700">Selected Videos ({files.length})</h3>
+            {files.some((fileObj) => fileObj.status === "complete") && (
+              <button type="button" onClick={clearCompleted} className="text-xs text-gray-500 hover:text-gray-700">
+                Clear completed
+              </button>
+            )}
+          </div>
           <div className="space-y-3 max-h-60 overflow-y-auto pr-2">
-            {files.map(({ id, file }) => {
-              const { text, color, bgColor } = getStatusInfo(id)
-              const progress = uploadProgress[id] || 0
+            {files.map((fileObj) => {
+              const { id, file, url, details, status, progress } = fileObj
+              const { text, color, bgColor } = getStatusInfo(fileObj)
+              const editable = EDITABLE_STATUSES.includes(status)
+              const name = nameOf(fileObj)
 
               return (
                 <div key={id} className="bg-gray-50 rounded-lg p-3">
                   {/* File Information */}
                   <div className="flex justify-between items-center mb-1">
-                    <span className="text-sm font-medium truncate text-blue-500" title={file.name}>
-                      {file.name}
+                    <span className="text-sm font-medium truncate text-blue-500" title={url ?? name}>
+                      {details.title.trim() || name}
                     </span>
-                    <div className="flex items-center">
-                      <span className="text-xs text-gray-500">{(file.size / (1024 * 1024)).toFixed(2)} MB</span>
+                    <div className="flex items-center gap-2 shrink-0">
+                      {file ? (
+                        <span className="text-xs text-gray-500">{(file.size / (1024 * 1024)).toFixed(2)} MB</span>
+                      ) : (
+                        <span className="text-xs text-gray-500">From URL</span>
+                      )}
+                      {editable && (
+                        <>
+                          <button
+                            type="button"
+                            onClick={() => setDetailsId((current) => (current === id ? null : id))}
+                            aria-expanded={detailsId === id}
+                            className="text-xs text-blue-600 hover:text-blue-800"
+                          >
+                            Details
+                          </button>
+                          {file && (
+                            <button
+                              type="button"
+                              onClick={() => setEditingId(id)}
+                              disabled={editingId !== null}
+                              className="text-xs text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                            >
+                              Edit
+                            </button>
+                          )}
+                        </>
+                      )}
+                      {RETRYABLE_STATUSES.includes(status) && !isFileTooLarge(file) && (
+                        <button
+                          type="button"
+                          onClick={() => retryFile(id)}
+                          className="text-xs text-blue-600 hover:text-blue-800"
+                        >
+                          Retry
+                        </button>
+                      )}
+                      {(status === "queued" || status === "uploading") && (
+                        <button
+                          type="button"
+                          onClick={() => cancelFile(id)}
+                          className="text-xs text-red-600 hover:text-red-800"
+                        >
+                          Cancel
+                        </button>
+                      )}
+                      {(editable || status === "complete") && (
+                        <button
+                          type="button"
+                          onClick={() => removeFile(id)}
+                          className="text-xs text-gray-500 hover:text-gray-700"
+                        >
+                          Remove
+                        </button>
+                      )}
                     </div>
                   </div>
 
+                  {/* Title, description and tags the video is uploaded with */}
+                  {detailsId === id && editable && (
+                    <div className="mb-2">
+                      <VideoDetailsFields
+                        value={details}
+                        onChange={(next) => updateDetails(id, next)}
+                        titlePlaceholder={defaultTitle(name)}
+                      />
+                    </div>
+                  )}
+
                   {/* Progress Bar */}
                   <div className="w-full bg-gray-200 rounded-full h-2.5">
                     <div
@@ -380,16 +795,31 @@ export default function VideoUploader({ onUploadComplete }) {
         </div>
       )}
 
+      {/* Editor Section - Only shown while a file is being trimmed or compressed */}
+      {editingFile && EDITABLE_STATUSES.includes(editingFile.status) && (
+        <div className="mt-4 mb-4 bg-gray-50 rounded-lg p-3">
+          <h3 className="text-sm font-medium text-blue-700 truncate" title={editingFile.file.name}>
+            Edit {editingFile.file.name}
+          </h3>
+          <VideoPrepEditor
+            key={editingFile.id}
+            file={editingFile.file}
+            maxBytes={limits?.maxBytes ?? null}
+            onApply={(file) => replaceFile(editingFile.id, file)}
+            onCancel={() => setEditingId(null)}
+          />
+        </div>
+      )}
+
       {/* Upload Button */}
       <button
         onClick={uploadAllFiles}
-        disabled={uploading || files.length === 0 || files.every((f) => uploadStatus[f.id] === "complete")}
+        disabled={editingId !== null || !files.some(isUploadable)}
         className="w-full mt-4 bg-blue-600 hover:bg-blue-700 text-white px-4 py-3 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors font-medium"
-        aria-busy={uploading}
+        aria-busy={busy}
       >
         {getButtonText()}
       </button>
     </div>
   )
 }
-
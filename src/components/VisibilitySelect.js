@@ -0,0 +1,40 @@
+"use client"
+
+/**
+ * Choices for a video's visibility, with a hint explaining who can see it
+ */
+const OPTIONS = [
+  { value: "public", label: "Public", hint: "Anyone can find and watch it" },
+  { value: "unlisted", label: "Unlisted", hint: "Only people with the link can watch it" },
+  { value: "private", label: "Private", hint: "Only you can watch it" },
+]
+
+/**
+ * VisibilitySelect Component
+ *
+ * A dropdown for choosing who can see a video: public, unlisted or private.
+ *
+ * @param {Object} props
+ * @param {string} props.value - The selected visibility
+ * @param {Function} props.onChange - Called with the newly selected visibility
+ * @param {boolean} [props.disabled] - Whether the dropdown is disabled
+ * @param {string} [props.className] - Extra classes for the `<select>` element
+ */
+export default function VisibilitySelect({ value, onChange, disabled, className = "" }) {
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={disabled}
+      aria-label="Visibility"
+      title={OPTIONS.find((option) => option.value === value)?.hint}
+      className={`border rounded bg-white disabled:opacity-50 ${className}`}
+    >
+      {OPTIONS.map((option) => (
+        <option key={option.value} value={option.value}>
+          {option.label}
+        </option>
+      ))}
+    </select>
+  )
+}
@@ -0,0 +1,228 @@
+/**
+ * Analytics Client
+ *
+ * Browser side of the playback analytics (see `repository.js` for the events).
+ * Events are queued and sent to `/api/analytics` in batches, a few seconds after the
+ * first one or as soon as enough have piled up. When the page is hidden (the tab is
+ * switched or closed) the queue is sent straight away with `navigator.sendBeacon`,
+ * which survives the page unloading. Reporting never gets in the way of playback:
+ * failed requests are logged and the events dropped.
+ */
+
+const ENDPOINT = "/api/analytics"
+const FLUSH_DELAY = 5000 // Milliseconds events wait for others before being sent
+const MAX_BATCH_EVENTS = 20 // Events sent in one request at most
+const QUARTILES = [25, 50, 75] // Percentages of a video reported as progress
+const MAX_TIME_STEP = 2 // Larger jumps between time updates are seeks, not watching
+const IMPRESSION_THRESHOLD = 0.5 // Share of a slide that must be visible to count as an impression
+
+const queue = []
+let timer = null
+let listening = false
+const beforeHideCallbacks = new Set() // Called when the page is hidden, before the queue is sent
+
+/**
+ * Sends the queued events
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.beacon=false] - Send with `navigator.sendBeacon`, for when the page is going away
+ */
+function flushEvents({ beacon = false } = {}) {
+  clearTimeout(timer)
+  timer = null
+
+  while (queue.length > 0) {
+    const body = JSON.stringify({ events: queue.splice(0, MAX_BATCH_EVENTS) })
+    if (beacon && navigator.sendBeacon?.(ENDPOINT, body)) continue
+
+    fetch(ENDPOINT, { method: "POST", headers: { "Content-Type": "application/json" }, body, keepalive: true })
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP Error: ${res.status}`)
+      })
+      .catch((err) => console.error("Error reporting analytics:", err))
+  }
+}
+
+/**
+ * Sends everything still queued when the page is hidden
+ */
+function handleVisibilityChange() {
+  if (document.visibilityState !== "hidden") return
+  beforeHideCallbacks.forEach((callback) => callback())
+  flushEvents({ beacon: true })
+}
+
+/**
+ * Queues an event to be sent with the next batch
+ *
+ * @param {Object} event - `{ type, videoId, viewId, quartile, watchTime, productId }`
+ */
+export function trackEvent(event) {
+  if (!listening) {
+    document.addEventListener("visibilitychange", handleVisibilityChange)
+    listening = true
+  }
+
+  queue.push(event)
+  if (queue.length >= MAX_BATCH_EVENTS) {
+    flushEvents()
+  } else {
+    timer ??= setTimeout(flushEvents, FLUSH_DELAY)
+  }
+}
+
+/**
+ * Reports a click on a product tagged in a video
+ *
+ * @param {string} videoId - The video's ID
+ * @param {string} productId - The product's ID
+ */
+export function trackProductClick(videoId, productId) {
+  trackEvent({ type: "click", videoId, productId })
+}
+
+/**
+ * Creates a random view ID
+ *
+ * @returns {string} The ID
+ */
+function newViewId() {
+  return crypto.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+}
+
+/**
+ * Reports one view of a video played by a `<video>` element: when it starts, the
+ * quartiles it reaches, whether it completes, and how long it was watched. Seeking
+ * doesn't count as watching.
+ *
+ * @param {HTMLVideoElement} element - The player
+ * @param {string} videoId - The video's ID
+ * @returns {Function} Stops tracking, reporting any watch time not reported yet
+ */
+export function trackPlayback(element, videoId) {
+  const viewId = newViewId()
+  const reached = new Set() // Quartiles already reported
+  let started = false
+  let completed = false
+  let lastTime = element.currentTime
+  let unreported = 0 // Seconds watched since the view's last event
+
+  /**
+   * Queues an event of this view, carrying the watch time since the previous one
+   *
+   * @param {string} type - The event type
+   * @param {Object} [fields] - Other fields of the event
+   */
+  const report = (type, fields) => {
+    trackEvent({ type, videoId, viewId, watchTime: Math.round(unreported * 10) / 10, ...fields })
+    unreported = 0
+  }
+
+  /**
+   * Reports the watch time gathered since the last event, if any
+   */
+  const reportWatchTime = () => {
+    if (started && unreported > 0) report("watch")
+  }
+
+  /**
+   * Reports every quartile up to a percentage of the video
+   *
+   * @param {number} percent - How far into the video playback is
+   */
+  const reportQuartiles = (percent) => {
+    for (const quartile of QUARTILES) {
+      if (percent >= quartile && !reached.has(quartile)) {
+        reached.add(quartile)
+        report("progress", { quartile })
+      }
+    }
+  }
+
+  const handlePlay = () => {
+    lastTime = element.currentTime
+    if (!started) {
+      started = true
+      report("play")
+    }
+  }
+
+  const handleTimeUpdate = () => {
+    const step = element.currentTime - lastTime
+    lastTime = element.currentTime
+    if (!started || element.seeking) return
+    if (step > 0 && step <= MAX_TIME_STEP) unreported += step
+    if (element.duration > 0) reportQuartiles((element.currentTime / element.duration) * 100)
+  }
+
+  const handleSeeked = () => {
+    lastTime = element.currentTime
+  }
+
+  const handleEnded = () => {
+    if (!started || completed) return
+    completed = true
+    reportQuartiles(100)
+    report("complete")
+  }
+
+  element.addEventListener("play", handlePlay)
+  element.addEventListener("timeupdate", handleTimeUpdate)
+  element.addEventListener("seeked", handleSeeked)
+  element.addEventListener("pause", reportWatchTime)
+  element.addEventListener("ended", handleEnded)
+  beforeHideCallbacks.add(reportWatchTime)
+
+  return () => {
+    element.removeEventListener("play", handlePlay)
+    element.removeEventListener("timeupdate", handleTimeUpdate)
+    element.removeEventListener("seeked", handleSeeked)
+    element.removeEventListener("pause", reportWatchTime)
+    element.removeEventListener("ended", handleEnded)
+    beforeHideCallbacks.delete(reportWatchTime)
+    reportWatchTime()
+  }
+}
+
+/**
+ * Creates a tracker that reports an impression the first time each video's element
+ * is mostly visible
+ *
+ * @returns {Object} `{ observe(element, videoId), disconnect() }`; `observe` returns a function that stops observing
+ */
+export function createImpressionTracker() {
+  const seen = new Set() // IDs of the videos already reported
+  const videoIds = new Map() // Video ID of each observed element
+
+  const observer =
+    typeof IntersectionObserver === "undefined"
+      ? null
+      : new IntersectionObserver(
+          (entries) => {
+            for (const entry of entries) {
+              const videoId = videoIds.get(entry.target)
+              if (!entry.isIntersecting || !videoId || seen.has(videoId)) continue
+              seen.add(videoId)
+              trackEvent({ type: "impression", videoId })
+            }
+          },
+          { threshold: IMPRESSION_THRESHOLD },
+        )
+
+  return {
+    observe(element, videoId) {
+      if (!observer || !element) return () => {}
+      videoIds.set(element, videoId)
+      observer.observe(element)
+      return () => {
+        videoIds.delete(element)
+        observer.unobserve(element)
+      }
+    },
+
+    disconnect() {
+      observer?.disconnect()
+      videoIds.clear()
+    },
+  }
+}
@@ -0,0 +1,271 @@
+/**
+ * Playback Analytics
+ *
+ * Viewing events reported by the gallery's players (see `client.js`), ingested by
+ * `/api/analytics`. Events arrive in batches and are buffered in memory for a few
+ * seconds, then written together: appended to a daily log under
+ * `<DATA_DIR>/analytics/events-<date>.ndjson`, and added to per-video counters in
+ * the "video-stats" JSON collection that the dashboard reads. Events still in the
+ * buffer when the server stops are lost.
+ *
+ * Event types:
+ *
+ * - "impression"  the video's slide came into view
+ * - "play"        a view started (sent once per view, not on every resume)
+ * - "progress"    the view reached a quartile of the video (`quartile` 25, 50 or 75)
+ * - "complete"    the view reached the end of the video
+ * - "watch"       reports watch time not covered by the view's other events, when
+ *                 playback pauses, the viewer moves on or the page is hidden
+ * - "click"       a product tagged in the video was clicked (`productId`)
+ *
+ * Events of a view carry its `viewId` and the seconds watched since the view's
+ * previous event as `watchTime`, so adding them up gives the total watch time.
+ *
+ * A stats record has the shape `{ id, impressions, views, quartiles: { 25, 50, 75 },
+ * completes, watchSeconds, clicks, productClicks, updatedAt }`, where `id` is the video
+ * ID and `productClicks` counts the clicks by product ID.
+ */
+import fs from "fs/promises"
+import path from "path"
+import { getCollection, getDataDir } from "../db/json-collection"
+
+export const EVENT_TYPES = ["impression", "play", "progress", "complete", "watch", "click"]
+const VIEW_EVENT_TYPES = ["play", "progress", "complete", "watch"] // Events that belong to a view
+export const QUARTILES = [25, 50, 75]
+export const MAX_BATCH_EVENTS = 100
+
+const FLUSH_DELAY = 5000 // Milliseconds events are buffered before being written
+const MAX_WATCH_TIME = 60 * 60 // Seconds of watch time a single event may report
+
+/**
+ * HTTP status for each analytics error code
+ */
+export const ANALYTICS_ERROR_STATUS = {
+  INVALID_EVENTS: 400,
+}
+
+const stats = () => getCollection("video-stats")
+
+// Buffered events, shared by every route bundle in the process like the collections
+const buffer = (globalThis.__analyticsBuffer ??= { lines: [], counters: new Map(), timer: null, flushing: null })
+
+/**
+ * Creates an analytics error
+ *
+ * @param {string} message - Human-readable description
+ * @returns {Error} Error with code "INVALID_EVENTS"
+ */
+function analyticsError(message) {
+  return Object.assign(new Error(message), { code: "INVALID_EVENTS" })
+}
+
+/**
+ * Returns a stats record with every counter at zero
+ *
+ * @param {string} id - The video ID
+ * @returns {Object} The empty record
+ */
+function emptyStats(id) {
+  return {
+    id,
+    impressions: 0,
+    views: 0,
+    quartiles: { 25: 0, 50: 0, 75: 0 },
+    completes: 0,
+    watchSeconds: 0,
+    clicks: 0,
+    productClicks: {},
+  }
+}
+
+/**
+ * Validates a batch of events sent by a player
+ *
+ * @param {Object[]} events - The events, as `{ type, videoId, viewId, quartile, watchTime, productId }`
+ * @returns {Object[]} The events with only the known fields
+ * @throws {Error} With code "INVALID_EVENTS" when the batch or one of its events is malformed
+ */
+export function validateEvents(events) {
+  if (!Array.isArray(events) || events.length === 0 || events.length > MAX_BATCH_EVENTS) {
+    throw analyticsError(`events must be an array of 1-${MAX_BATCH_EVENTS} events`)
+  }
+
+  return events.map((event) => {
+    const { type, videoId, viewId, quartile, watchTime, productId } = event ?? {}
+    if (!EVENT_TYPES.includes(type)) {
+      throw analyticsError(`type must be one of: ${EVENT_TYPES.join(", ")}`)
+    }
+    if (typeof videoId !== "string" || !videoId) {
+      throw analyticsError("videoId must be a video ID")
+    }
+    const isViewEvent = VIEW_EVENT_TYPES.includes(type)
+    if (isViewEvent && (typeof viewId !== "string" || !viewId || viewId.length > 64)) {
+      throw analyticsError("viewId must be given for playback events")
+    }
+    if (type === "progress" && !QUARTILES.includes(quartile)) {
+      throw analyticsError(`quartile must be one of: ${QUARTILES.join(", ")}`)
+    }
+    if (type === "click" && (typeof productId !== "string" || !productId)) {
+      throw analyticsError("productId must be given for click events")
+    }
+    if (watchTime !== undefined && !(Number.isFinite(watchTime) && watchTime >= 0)) {
+      throw analyticsError("watchTime must be a number of seconds")
+    }
+
+    return {
+      type,
+      videoId,
+      ...(isViewEvent && { viewId }),
+      ...(type === "progress" && { quartile }),
+      ...(isViewEvent && { watchTime: Math.min(watchTime ?? 0, MAX_WATCH_TIME) }),
+      ...(type === "click" && { productId }),
+    }
+  })
+}
+
+/**
+ * Adds an event to a stats record's counters
+ *
+ * @param {Object} record - The stats record, changed in place
+ * @param {Object} event - The event
+ * @param {number|undefined} duration - The video's duration in seconds, which bounds the watch time of one event
+ */
+function countEvent(record, event, duration) {
+  if (event.type === "impression") record.impressions++
+  if (event.type === "play") record.views++
+  if (event.type === "progress") record.quartiles[event.quartile]++
+  if (event.type === "complete") record.completes++
+  if (event.type === "click") {
+    record.clicks++
+    record.productClicks[event.productId] = (record.productClicks[event.productId] ?? 0) + 1
+  }
+  if (event.watchTime) {
+    record.watchSeconds += duration ? Math.min(event.watchTime, duration) : event.watchTime
+  }
+}
+
+/**
+ * Buffers a batch of validated events to be written shortly
+ *
+ * @param {Object[]} events - Events from {@link validateEvents}, for videos the sender can watch
+ * @param {Map<string, Object>} videosById - The events' video records, by ID
+ */
+export function recordEvents(events, videosById) {
+  const receivedAt = new Date().toISOString()
+  for (const event of events) {
+    buffer.lines.push(JSON.stringify({ ...event, receivedAt }))
+    if (!buffer.counters.has(event.videoId)) {
+      buffer.counters.set(event.videoId, emptyStats(event.videoId))
+    }
+    countEvent(buffer.counters.get(event.videoId), event, videosById.get(event.videoId)?.duration)
+  }
+
+  buffer.timer ??= setTimeout(() => {
+    flushAnalytics().catch((error) => console.error("Failed to write analytics events:", error))
+  }, FLUSH_DELAY)
+  buffer.timer.unref?.()
+}
+
+/**
+ * Writes the buffered events to the event log and the stats collection
+ *
+ * @returns {Promise<void>} Resolves once everything buffered so far is written
+ */
+export function flushAnalytics() {
+  clearTimeout(buffer.timer)
+  buffer.timer = null
+  const lines = buffer.lines
+  const counters = buffer.counters
+  buffer.lines = []
+  buffer.counters = new Map()
+
+  // Flushes run one at a time so counters are never read and written concurrently
+  buffer.flushing = (buffer.flushing ?? Promise.resolve())
+    .catch(() => {})
+    .then(async () => {
+      if (lines.length === 0) return
+
+      const logPath = path.join(getDataDir(), "analytics", `events-${new Date().toISOString().slice(0, 10)}.ndjson`)
+      await fs.mkdir(path.dirname(logPath), { recursive: true })
+      await fs.appendFile(logPath, `${lines.join("\n")}\n`)
+
+      const updatedAt = new Date().toISOString()
+      const records = []
+      for (const [id, counted] of counters) {
+        const record = { ...emptyStats(id), ...(await stats().get(id)) }
+        const productClicks = { ...record.productClicks }
+        for (const [productId, count] of Object.entries(counted.productClicks)) {
+          productClicks[productId] = (productClicks[productId] ?? 0) + count
+        }
+        records.push({
+          ...record,
+          impressions: record.impressions + counted.impressions,
+          views: record.views + counted.views,
+          quartiles: Object.fromEntries(
+            QUARTILES.map((quartile) => [quartile, record.quartiles[quartile] + counted.quartiles[quartile]]),
+          ),
+          completes: record.completes + counted.completes,
+          watchSeconds: record.watchSeconds + counted.watchSeconds,
+          clicks: record.clicks + counted.clicks,
+          productClicks,
+          updatedAt,
+        })
+      }
+      await stats().insertMany(records)
+    })
+  return buffer.flushing
+}
+
+/**
+ * Returns the stats of some videos, including events not written yet
+ *
+ * @param {string[]} videoIds - The video IDs
+ * @returns {Promise<Map<string, Object>>} Stats records by video ID; videos without any events get empty ones
+ */
+export async function getVideoStats(videoIds) {
+  await flushAnalytics()
+  const result = new Map()
+  for (const id of videoIds) {
+    result.set(id, { ...emptyStats(id), ...(await stats().get(id)) })
+  }
+  return result
+}
+
+/**
+ * Deletes a video's stats, after the video itself was deleted
+ * Events already logged are kept.
+ *
+ * @param {string} videoId - The video ID
+ * @returns {Promise<void>} Resolves once the stats are deleted
+ */
+export async function deleteVideoStats(videoId) {
+  await flushAnalytics()
+  await stats().remove(videoId)
+}
+
+/**
+ * Summarizes a video's stats for the dashboard
+ *
+ * @param {Object} record - The stats record
+ * @returns {Object} `{ impressions, views, playRate, watchSeconds, averageWatchSeconds, completionRate, retention,
+ *   clicks, productClicks }`, where `retention` lists the share of views still watching at the start, at each
+ *   quartile and at the end
+ */
+export function summarizeStats(record) {
+  const share = (count) => (record.views > 0 ? Math.min(count / record.views, 1) : 0)
+  return {
+    impressions: record.impressions,
+    views: record.views,
+    playRate: record.impressions > 0 ? Math.min(record.views / record.impressions, 1) : 0,
+    watchSeconds: Math.round(record.watchSeconds),
+    averageWatchSeconds: record.views > 0 ? Math.round(record.watchSeconds / record.views) : 0,
+    completionRate: share(record.completes),
+    retention: [
+      { point: 0, share: record.views > 0 ? 1 : 0 },
+      ...QUARTILES.map((quartile) => ({ point: quartile, share: share(record.quartiles[quartile]) })),
+      { point: 100, share: share(record.completes) },
+    ],
+    clicks: record.clicks,
+    productClicks: record.productClicks,
+  }
+}
@@ -0,0 +1,36 @@
+/**
+ * Application URL
+ *
+ * Absolute URLs (OIDC redirects, share links) need the site's public origin. It is
+ * taken from `APP_URL` when set, which matters behind proxies that rewrite the host,
+ * and from the incoming request otherwise.
+ */
+import { headers } from "next/headers"
+
+/**
+ * Returns the public origin of the site
+ *
+ * @param {Request} [req] - The incoming request, used when `APP_URL` isn't set
+ * @returns {string} The origin without a trailing slash, e.g. "https://videos.example.com"
+ */
+export function getAppOrigin(req) {
+  if (process.env.APP_URL) return process.env.APP_URL.replace(/\/+$/, "")
+  return req ? new URL(req.url).origin : "http://localhost:3000"
+}
+
+/**
+ * Returns the public origin of the site while rendering a page
+ * Pages have no `Request`, so the origin comes from the forwarded or Host headers.
+ *
+ * @returns {Promise<string>} The origin without a trailing slash
+ */
+export async function getPageOrigin() {
+  if (process.env.APP_URL) return getAppOrigin()
+
+  const headerList = await headers()
+  const host = headerList.get("x-forwarded-host") || headerList.get("host")
+  if (!host) return getAppOrigin()
+  const protocol =
+    headerList.get("x-forwarded-proto") || (/^(localhost|127\.0\.0\.1)(:|$)/.test(host) ? "http" : "https")
+  return `${protocol}://${host}`
+}
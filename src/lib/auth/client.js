@@ -0,0 +1,76 @@
+/**
+ * Auth Client
+ *
+ * Browser helpers for the `/api/auth` routes. Sessions are cookie-based, so requests
+ * only need to be same-origin.
+ */
+
+/**
+ * Sends a JSON request to the auth API
+ *
+ * @param {string} url - The request URL
+ * @param {Object} [body] - JSON body; the request is a POST when given
+ * @returns {Promise<Object|null>} The parsed response body
+ * @throws {Error} With the server's message and `code` on error responses
+ */
+async function requestJson(url, body) {
+  const res = await fetch(url, {
+    method: body ? "POST" : "GET",
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  })
+  const data = res.status === 204 ? null : await res.json().catch(() => null)
+  if (!res.ok) {
+    throw Object.assign(new Error(data?.error || `HTTP Error: ${res.status}`), { code: data?.code ?? null })
+  }
+  return data
+}
+
+/**
+ * Fetches the current session
+ *
+ * @returns {Promise<{user: Object|null, providers: Object[]}>} The signed-in user and the available providers
+ */
+export function fetchSession() {
+  return requestJson("/api/auth/session")
+}
+
+/**
+ * Signs in with an email and password
+ *
+ * @param {string} email - Email address
+ * @param {string} password - Password
+ * @returns {Promise<Object>} The user
+ */
+export function signIn(email, password) {
+  return requestJson("/api/auth/login", { email, password })
+}
+
+/**
+ * Creates an account and signs in
+ *
+ * @param {Object} account - `{ email, password, name }`
+ * @returns {Promise<Object>} The new user
+ */
+export function register(account) {
+  return requestJson("/api/auth/register", account)
+}
+
+/**
+ * Signs out
+ *
+ * @returns {Promise<void>} Resolves once the session cookie is cleared
+ */
+export async function signOut() {
+  await fetch("/api/auth/logout", { method: "POST" })
+}
+
+/**
+ * Returns the URL that starts an OIDC sign-in
+ *
+ * @param {string} [returnTo="/"] - Site path to come back to afterwards
+ * @returns {string} The URL
+ */
+export function oidcSignInUrl(returnTo = "/") {
+  return `/api/auth/oidc/login?returnTo=${encodeURIComponent(returnTo)}`
+}
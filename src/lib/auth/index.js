@@ -0,0 +1,168 @@
+/**
+ * Authentication
+ *
+ * Users sign in with one of the configured providers, after which the server sets a
+ * signed session cookie (see `signing.js`). Route handlers call {@link requireUser}
+ * and map the error codes in {@link AUTH_ERROR_STATUS} to responses.
+ *
+ * Providers:
+ *
+ * - "credentials"  email and password accounts stored in the "users" collection
+ * - "oidc"         any OpenID Connect provider, configured with `OIDC_ISSUER`,
+ *                  `OIDC_CLIENT_ID` and `OIDC_CLIENT_SECRET`. Outside production a
+ *                  built-in mock issuer stands in when `OIDC_ISSUER` is unset.
+ *
+ * `AUTH_PROVIDERS` (comma-separated, default "credentials,oidc") turns providers off.
+ * Sessions last `AUTH_SESSION_DAYS` (default 30).
+ */
+import { cookies } from "next/headers"
+import { createSignedToken, readSignedToken } from "./signing"
+import { getUser, isAdmin } from "./users"
+
+export const SESSION_COOKIE = "session"
+
+/**
+ * HTTP status for each authentication error code
+ */
+export const AUTH_ERROR_STATUS = {
+  UNAUTHORIZED: 401,
+  INVALID_CREDENTIALS: 401,
+  FORBIDDEN: 403,
+  PROVIDER_DISABLED: 404,
+  EMAIL_TAKEN: 409,
+  INVALID_REQUEST: 400,
+}
+
+/**
+ * Creates an error carrying a code the routes map to an HTTP status
+ *
+ * @param {string} code - A key of {@link AUTH_ERROR_STATUS}
+ * @param {string} message - Human-readable description
+ * @returns {Error} The error
+ */
+export function authError(code, message) {
+  return Object.assign(new Error(message), { code })
+}
+
+/**
+ * Whether a provider is turned on with `AUTH_PROVIDERS`
+ *
+ * @param {string} id - "credentials" or "oidc"
+ * @returns {boolean} True when the provider may be used
+ */
+export function isProviderEnabled(id) {
+  return (process.env.AUTH_PROVIDERS || "credentials,oidc")
+    .split(",")
+    .map((provider) => provider.trim())
+    .includes(id)
+}
+
+/**
+ * Returns how long sessions last
+ *
+ * @returns {number} The session length in seconds
+ */
+function sessionMaxAge() {
+  return (Number(process.env.AUTH_SESSION_DAYS) || 30) * 24 * 60 * 60
+}
+
+/**
+ * Signs a user in by setting the session cookie
+ * Must be called from a route handler.
+ *
+ * @param {Object} user - The user record
+ * @returns {Promise<void>} Resolves once the cookie is set
+ */
+export async function startSession(user) {
+  const maxAge = sessionMaxAge()
+  ;(await cookies()).set(SESSION_COOKIE, createSignedToken({ uid: user.id }, maxAge), {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: process.env.NODE_ENV === "production",
+    path: "/",
+    maxAge,
+  })
+}
+
+/**
+ * Signs the current user out by clearing the session cookie
+ * Must be called from a route handler.
+ *
+ * @returns {Promise<void>} Resolves once the cookie is cleared
+ */
+export async function endSession() {
+  ;(await cookies()).delete(SESSION_COOKIE)
+}
+
+/**
+ * Returns the user signed in on the current request
+ *
+ * @returns {Promise<Object|null>} The user record, or null when signed out
+ */
+export async function getCurrentUser() {
+  const session = readSignedToken((await cookies()).get(SESSION_COOKIE)?.value)
+  return session ? getUser(session.uid) : null
+}
+
+/**
+ * Returns the signed-in user, for routes that require one
+ *
+ * @returns {Promise<Object>} The user record
+ * @throws {Error} With code "UNAUTHORIZED" when signed out
+ */
+export async function requireUser() {
+  const user = await getCurrentUser()
+  if (!user) {
+    throw authError("UNAUTHORIZED", "Sign in required")
+  }
+  return user
+}
+
+/**
+ * Whether a user may change or delete a video
+ * Videos uploaded before accounts existed have no owner, so only admins manage them.
+ *
+ * @param {Object} user - The user record
+ * @param {Object} video - The video record
+ * @returns {boolean} True for the video's owner and admins
+ */
+export function canManageVideo(user, video) {
+  return Boolean(video.ownerId && video.ownerId === user.id) || isAdmin(user)
+}
+
+/**
+ * Throws unless a user may change or delete a video
+ *
+ * @param {Object} user - The user record
+ * @param {Object} video - The video record
+ * @throws {Error} With code "FORBIDDEN" when the user may not
+ */
+export function assertCanManageVideo(user, video) {
+  if (!canManageVideo(user, video)) {
+    throw authError("FORBIDDEN", "Only the video's owner can change it")
+  }
+}
+
+/**
+ * Whether a user may rename, reorder or delete a playlist
+ *
+ * @param {Object} user - The user record
+ * @param {Object} playlist - The playlist record
+ * @returns {boolean} True for the playlist's owner and admins
+ */
+export function canManagePlaylist(user, playlist) {
+  return playlist.ownerId === user.id || isAdmin(user)
+}
+
+/**
+ * Throws unless a user may change a playlist
+ *
+ * @param {Object} user - The user record
+ * @param {Object} playlist - The playlist record
+ * @throws {Error} With code "FORBIDDEN" when the user may not
+ */
+export function assertCanManagePlaylist(user, playlist) {
+  if (!canManagePlaylist(user, playlist)) {
+    throw authError("FORBIDDEN", "Only the playlist's owner can change it")
+  }
+}
@@ -0,0 +1,202 @@
+/**
+ * Mock OpenID Connect Issuer
+ *
+ * A tiny OIDC provider served from `/api/auth/mock-oidc`, so the OIDC sign-in flow can
+ * be exercised in development and CI without a real identity provider. Its sign-in
+ * page accepts any email address without a password, so it is never enabled in
+ * production unless `AUTH_MOCK_OIDC` is "true". It is only used while `OIDC_ISSUER`
+ * is unset, and `AUTH_MOCK_OIDC=false` turns it off in development too.
+ *
+ * Supports discovery, the authorization endpoint (an HTML form) and the token
+ * endpoint with PKCE. ID tokens are HS256 JWTs signed with the client secret.
+ */
+import { createHash, createHmac, randomBytes } from "crypto"
+
+export const MOCK_ISSUER_PATH = "/api/auth/mock-oidc"
+export const MOCK_CLIENT_ID = "mock-client"
+export const MOCK_CLIENT_SECRET = "mock-secret"
+
+const CODE_TTL = 60 * 1000 // Milliseconds an authorization code stays valid
+const TOKEN_TTL = 60 * 60 // Seconds an ID token stays valid
+
+// Issued codes, shared by every route bundle in the process
+const codes = (globalThis.__mockOidcCodes ??= new Map())
+
+/**
+ * Whether the mock issuer is available
+ *
+ * @returns {boolean} True when `OIDC_ISSUER` is unset and the mock is allowed
+ */
+export function isMockOidcEnabled() {
+  if (process.env.OIDC_ISSUER) return false
+  if (process.env.AUTH_MOCK_OIDC) return process.env.AUTH_MOCK_OIDC === "true"
+  return process.env.NODE_ENV !== "production"
+}
+
+/**
+ * Returns the mock issuer's discovery document
+ *
+ * @param {string} issuer - The issuer URL
+ * @returns {Object} The provider metadata
+ */
+export function mockDiscovery(issuer) {
+  return {
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    response_types_supported: ["code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["HS256"],
+    token_endpoint_auth_methods_supported: ["client_secret_basic", "client_secret_post"],
+    code_challenge_methods_supported: ["S256"],
+    scopes_supported: ["openid", "email", "profile"],
+  }
+}
+
+/**
+ * Escapes text for HTML
+ *
+ * @param {string} value - The text
+ * @returns {string} The escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? "").replace(
+    /[&<>"']/g,
+    (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char],
+  )
+}
+
+/**
+ * Renders the mock sign-in form, carrying the authorization request in hidden fields
+ *
+ * @param {URLSearchParams} params - The authorization request parameters
+ * @returns {string} The HTML page
+ */
+export function renderMockSignIn(params) {
+  const hidden = ["client_id", "redirect_uri", "state", "nonce", "code_challenge", "code_challenge_method"]
+    .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(params.get(name))}">`)
+    .join("")
+
+  return `<!doctype html>
+<html lang="en">
+<head><meta charset="utf-8"><title>Mock SSO</title><meta name="viewport" content="width=device-width, initial-scale=1"></head>
+<body style="font-family: sans-serif; max-width: 24rem; margin: 4rem auto; padding: 0 1rem">
+  <h1>Mock SSO</h1>
+  <p>Development identity provider. Any email address signs in.</p>
+  <form method="post">
+    ${hidden}
+    <p><label>Email<br><input type="email" name="email" required value="dev@example.com" style="width: 100%"></label></p>
+    <p><label>Name<br><input type="text" name="name" value="Dev User" style="width: 100%"></label></p>
+    <p><button type="submit">Sign in</button></p>
+  </form>
+</body>
+</html>`
+}
+
+/**
+ * Issues an authorization code for the submitted sign-in form
+ *
+ * @param {URLSearchParams} form - The submitted form fields
+ * @returns {string} The URL to redirect the browser back to the client with the code
+ * @throws {Error} When the client or request is invalid
+ */
+export function issueMockCode(form) {
+  if (form.get("client_id") !== MOCK_CLIENT_ID) {
+    throw new Error("Unknown client")
+  }
+  if (form.get("code_challenge_method") !== "S256" || !form.get("code_challenge")) {
+    throw new Error("PKCE with S256 is required")
+  }
+  const redirect = new URL(form.get("redirect_uri"))
+  const email = String(form.get("email") ?? "")
+    .trim()
+    .toLowerCase()
+  if (!email) {
+    throw new Error("Email is required")
+  }
+
+  // Forget codes that were never redeemed
+  for (const [key, issued] of codes) {
+    if (issued.expiresAt < Date.now()) codes.delete(key)
+  }
+
+  const code = randomBytes(24).toString("base64url")
+  codes.set(code, {
+    clientId: MOCK_CLIENT_ID,
+    redirectUri: redirect.toString(),
+    nonce: form.get("nonce"),
+    codeChallenge: form.get("code_challenge"),
+    email,
+    name: String(form.get("name") ?? "").trim() || email.split("@")[0],
+    expiresAt: Date.now() + CODE_TTL,
+  })
+
+  redirect.searchParams.set("code", code)
+  if (form.get("state")) redirect.searchParams.set("state", form.get("state"))
+  return redirect.toString()
+}
+
+/**
+ * Signs an HS256 JWT
+ *
+ * @param {Object} claims - The token claims
+ * @returns {string} The JWT
+ */
+function signJwt(claims) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url")
+  const body = `${encode({ alg: "HS256", typ: "JWT" })}.${encode(claims)}`
+  return `${body}.${createHmac("sha256", MOCK_CLIENT_SECRET).update(body).digest("base64url")}`
+}
+
+/**
+ * Exchanges an authorization code for tokens
+ * Codes are single-use; the client authenticates with HTTP Basic or form fields.
+ *
+ * @param {string} issuer - The issuer URL
+ * @param {URLSearchParams} form - The token request fields
+ * @param {string|null} authorization - The request's Authorization header
+ * @returns {Object} The token response
+ * @throws {Error} With `oauthError` set to the OAuth error code when the request is rejected
+ */
+export function exchangeMockCode(issuer, form, authorization) {
+  const reject = (oauthError) => {
+    throw Object.assign(new Error(oauthError), { oauthError })
+  }
+
+  let clientId = form.get("client_id")
+  let clientSecret = form.get("client_secret")
+  if (authorization?.startsWith("Basic ")) {
+    const [id, secret] = Buffer.from(authorization.slice(6), "base64").toString("utf8").split(":")
+    clientId = decodeURIComponent(id)
+    clientSecret = decodeURIComponent(secret ?? "")
+  }
+  if (clientId !== MOCK_CLIENT_ID || clientSecret !== MOCK_CLIENT_SECRET) reject("invalid_client")
+  if (form.get("grant_type") !== "authorization_code") reject("unsupported_grant_type")
+
+  const code = codes.get(form.get("code"))
+  codes.delete(form.get("code"))
+  if (!code || code.expiresAt < Date.now() || code.redirectUri !== form.get("redirect_uri")) reject("invalid_grant")
+
+  const challenge = createHash("sha256")
+    .update(form.get("code_verifier") ?? "")
+    .digest("base64url")
+  if (challenge !== code.codeChallenge) reject("invalid_grant")
+
+  const now = Math.floor(Date.now() / 1000)
+  return {
+    access_token: randomBytes(24).toString("base64url"),
+    token_type: "Bearer",
+    expires_in: TOKEN_TTL,
+    id_token: signJwt({
+      iss: issuer,
+      aud: MOCK_CLIENT_ID,
+      sub: `mock|${createHash("sha256").update(code.email).digest("hex").slice(0, 16)}`,
+      email: code.email,
+      email_verified: true,
+      name: code.name,
+      nonce: code.nonce,
+      iat: now,
+      exp: now + TOKEN_TTL,
+    }),
+  }
+}
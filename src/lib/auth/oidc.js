@@ -0,0 +1,188 @@
+/**
+ * OpenID Connect Sign-In
+ *
+ * Authorization code flow with PKCE against the provider configured with
+ * `OIDC_ISSUER`, `OIDC_CLIENT_ID` and `OIDC_CLIENT_SECRET` (`OIDC_NAME` labels the
+ * button, `OIDC_SCOPES` defaults to "openid email profile"). Endpoints come from the
+ * provider's discovery document. When no issuer is configured outside production, the
+ * built-in mock issuer (see `mock-oidc.js`) is used instead.
+ *
+ * The state, nonce and PKCE verifier travel in a short-lived signed cookie between
+ * the redirect to the provider and the callback. The ID token is taken straight from
+ * the token endpoint over a direct connection, so its claims are checked (issuer,
+ * audience, expiry, nonce) but its signature is not, as OIDC Core 3.1.3.7 allows.
+ */
+import { createHash, randomBytes } from "crypto"
+import { isProviderEnabled } from "./index"
+import { MOCK_CLIENT_ID, MOCK_CLIENT_SECRET, MOCK_ISSUER_PATH, isMockOidcEnabled } from "./mock-oidc"
+import { createSignedToken, readSignedToken } from "./signing"
+
+export const FLOW_COOKIE = "oidc_flow"
+export const FLOW_COOKIE_PATH = "/api/auth/oidc"
+export const FLOW_MAX_AGE = 10 * 60 // Seconds the user has to finish signing in at the provider
+
+const discoveryCache = new Map()
+
+/**
+ * Returns the OIDC provider settings
+ *
+ * @param {string} origin - The site's origin, for the mock issuer's URL
+ * @returns {Object|null} `{ issuer, clientId, clientSecret, name, scopes }`, or null when OIDC is off
+ */
+export function getOidcConfig(origin) {
+  if (!isProviderEnabled("oidc")) return null
+
+  const scopes = process.env.OIDC_SCOPES || "openid email profile"
+  if (process.env.OIDC_ISSUER) {
+    return {
+      issuer: process.env.OIDC_ISSUER.replace(/\/+$/, ""),
+      clientId: process.env.OIDC_CLIENT_ID,
+      clientSecret: process.env.OIDC_CLIENT_SECRET,
+      name: process.env.OIDC_NAME || "Single sign-on",
+      scopes,
+    }
+  }
+  if (isMockOidcEnabled()) {
+    return {
+      issuer: `${origin}${MOCK_ISSUER_PATH}`,
+      clientId: MOCK_CLIENT_ID,
+      clientSecret: MOCK_CLIENT_SECRET,
+      name: "Mock SSO",
+      scopes,
+    }
+  }
+  return null
+}
+
+/**
+ * Fetches (and caches) a provider's discovery document
+ *
+ * @param {string} issuer - The issuer URL
+ * @returns {Promise<Object>} The provider metadata
+ */
+async function discover(issuer) {
+  if (!discoveryCache.has(issuer)) {
+    const res = await fetch(`${issuer}/.well-known/openid-configuration`, { cache: "no-store" })
+    if (!res.ok) {
+      throw new Error(`OIDC discovery failed with HTTP ${res.status}`)
+    }
+    const metadata = await res.json()
+    if (metadata.issuer !== issuer) {
+      throw new Error(`OIDC issuer mismatch: expected ${issuer}, got ${metadata.issuer}`)
+    }
+    discoveryCache.set(issuer, metadata)
+  }
+  return discoveryCache.get(issuer)
+}
+
+/**
+ * Returns the callback URL registered with the provider
+ *
+ * @param {string} origin - The site's origin
+ * @returns {string} The redirect URI
+ */
+function redirectUri(origin) {
+  return `${origin}${FLOW_COOKIE_PATH}/callback`
+}
+
+/**
+ * Starts a sign-in: builds the provider's authorization URL and the flow cookie value
+ *
+ * @param {Object} config - Settings from {@link getOidcConfig}
+ * @param {string} origin - The site's origin
+ * @param {string} returnTo - Site path to return to after signing in
+ * @returns {Promise<{url: string, flow: string}>} Where to redirect, and the signed flow cookie value
+ */
+export async function beginOidcLogin(config, origin, returnTo) {
+  const metadata = await discover(config.issuer)
+  const state = randomBytes(16).toString("base64url")
+  const nonce = randomBytes(16).toString("base64url")
+  const verifier = randomBytes(32).toString("base64url")
+
+  const url = new URL(metadata.authorization_endpoint)
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: config.clientId,
+    redirect_uri: redirectUri(origin),
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: createHash("sha256").update(verifier).digest("base64url"),
+    code_challenge_method: "S256",
+  }).toString()
+
+  return { url: url.toString(), flow: createSignedToken({ state, nonce, verifier, returnTo }, FLOW_MAX_AGE) }
+}
+
+/**
+ * Decodes the claims of a JWT without checking its signature
+ *
+ * @param {string} token - The JWT
+ * @returns {Object} The claims
+ */
+function decodeClaims(token) {
+  const [, payload] = String(token ?? "").split(".")
+  return JSON.parse(Buffer.from(payload ?? "", "base64url").toString("utf8"))
+}
+
+/**
+ * Finishes a sign-in: exchanges the authorization code and checks the ID token
+ *
+ * @param {Object} config - Settings from {@link getOidcConfig}
+ * @param {string} origin - The site's origin
+ * @param {URLSearchParams} params - The callback's query parameters
+ * @param {string} flowCookie - The flow cookie value set by {@link beginOidcLogin}
+ * @returns {Promise<Object>} `{ identity: { issuer, subject, email, emailVerified, name }, returnTo }`
+ * @throws {Error} When the flow is invalid or the provider rejects the code
+ */
+export async function completeOidcLogin(config, origin, params, flowCookie) {
+  const flow = readSignedToken(flowCookie)
+  if (!flow || params.get("state") !== flow.state) {
+    throw new Error("OIDC state mismatch or expired sign-in")
+  }
+  if (params.get("error")) {
+    throw new Error(`OIDC provider returned ${params.get("error")}`)
+  }
+
+  const metadata = await discover(config.issuer)
+  const res = await fetch(metadata.token_endpoint, {
+    method: "POST",
+    cache: "no-store",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      Authorization: `Basic ${Buffer.from(
+        `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`,
+      ).toString("base64")}`,
+    },
+    body: new URLSearchParams({
+      grant_type: "authorization_code",
+      code: params.get("code") ?? "",
+      redirect_uri: redirectUri(origin),
+      code_verifier: flow.verifier,
+    }),
+  })
+  const tokens = await res.json().catch(() => null)
+  if (!res.ok || !tokens?.id_token) {
+    throw new Error(`OIDC token exchange failed with HTTP ${res.status}`)
+  }
+
+  const claims = decodeClaims(tokens.id_token)
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud]
+  if (claims.iss !== metadata.issuer || !audiences.includes(config.clientId)) {
+    throw new Error("OIDC ID token was issued for another issuer or client")
+  }
+  if (!(claims.exp > Date.now() / 1000) || claims.nonce !== flow.nonce || !claims.sub) {
+    throw new Error("OIDC ID token is expired or doesn't match this sign-in")
+  }
+
+  return {
+    identity: {
+      issuer: claims.iss,
+      subject: String(claims.sub),
+      email: claims.email,
+      emailVerified: claims.email_verified === true,
+      name: claims.name,
+    },
+    returnTo: flow.returnTo,
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * Signed Values
+ *
+ * HMAC-SHA256 signatures keyed with `AUTH_SECRET`, used for session cookies and any
+ * other value the server hands out and must be able to trust when it comes back.
+ *
+ * Without `AUTH_SECRET`, development servers use a random secret (so signed values
+ * stop working on restart); production refuses to start signing at all.
+ */
+import { createHmac, randomBytes, timingSafeEqual } from "crypto"
+
+/**
+ * Returns the signing secret
+ *
+ * @returns {string} The secret
+ * @throws {Error} In production when `AUTH_SECRET` isn't set
+ */
+function getSecret() {
+  if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("AUTH_SECRET must be set in production")
+  }
+  if (!globalThis.__devAuthSecret) {
+    console.warn("AUTH_SECRET is not set; using a random secret until the server restarts")
+    globalThis.__devAuthSecret = randomBytes(32).toString("hex")
+  }
+  return globalThis.__devAuthSecret
+}
+
+/**
+ * Computes the signature of a string
+ *
+ * @param {string} value - The value to sign
+ * @returns {string} The base64url HMAC
+ */
+export function signature(value) {
+  return createHmac("sha256", getSecret()).update(value).digest("base64url")
+}
+
+/**
+ * Checks a signature in constant time
+ *
+ * @param {string} value - The signed value
+ * @param {string} candidate - The signature to check
+ * @returns {boolean} True when the signature matches
+ */
+export function isValidSignature(value, candidate) {
+  const expected = Buffer.from(signature(value))
+  const actual = Buffer.from(String(candidate))
+  return expected.length === actual.length && timingSafeEqual(expected, actual)
+}
+
+/**
+ * Encodes data with an expiry into a tamper-proof token
+ *
+ * @param {Object} data - JSON-serializable data
+ * @param {number} maxAgeSeconds - How long the token stays valid
+ * @returns {string} The token: `<base64url payload>.<signature>`
+ */
+export function createSignedToken(data, maxAgeSeconds) {
+  const payload = Buffer.from(JSON.stringify({ ...data, exp: Math.floor(Date.now() / 1000) + maxAgeSeconds })).toString(
+    "base64url",
+  )
+  return `${payload}.${signature(payload)}`
+}
+
+/**
+ * Decodes a token created with {@link createSignedToken}
+ *
+ * @param {string} token - The token
+ * @returns {Object|null} The data, or null when the token is malformed, tampered with or expired
+ */
+export function readSignedToken(token) {
+  const [payload, candidate] = String(token ?? "").split(".")
+  if (!payload || !candidate || !isValidSignature(payload, candidate)) return null
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"))
+    return data.exp > Date.now() / 1000 ? data : null
+  } catch {
+    return null
+  }
+}
@@ -0,0 +1,209 @@
+/**
+ * User Accounts
+ *
+ * Users live in the "users" JSON collection. A user record has the shape:
+ *
+ * - `id`            stable user ID, recorded as `ownerId` on the videos they upload
+ * - `email`         lowercase email address, unique across users
+ * - `name`          display name
+ * - `passwordHash`  scrypt hash for the credentials provider (null for OIDC-only users)
+ * - `oidc`          `{ issuer, subject }` once the user has signed in with OIDC, otherwise null
+ * - `createdAt`, `updatedAt`
+ *
+ * Admins are configured with `AUTH_ADMIN_EMAILS` (comma-separated) rather than stored,
+ * so the list can change without touching the records.
+ */
+import { randomBytes, randomUUID, scrypt, timingSafeEqual } from "crypto"
+import { promisify } from "util"
+import { getCollection } from "../db/json-collection"
+
+const scryptAsync = promisify(scrypt)
+
+const KEY_LENGTH = 64
+const MIN_PASSWORD_LENGTH = 8
+const MAX_NAME_LENGTH = 100
+
+const users = () => getCollection("users")
+
+let dummyHash = null // Checked for unknown emails, so they take as long to refuse as wrong passwords
+
+/**
+ * Creates an error carrying a code the routes map to an HTTP status
+ *
+ * @param {string} code - "INVALID_REQUEST", "EMAIL_TAKEN" or "INVALID_CREDENTIALS"
+ * @param {string} message - Human-readable description
+ * @returns {Error} The error
+ */
+function userError(code, message) {
+  return Object.assign(new Error(message), { code })
+}
+
+/**
+ * Normalizes an email address for storage and lookup
+ *
+ * @param {string} email - The email address
+ * @returns {string} The trimmed, lowercase address
+ */
+function normalizeEmail(email) {
+  return String(email ?? "")
+    .trim()
+    .toLowerCase()
+}
+
+/**
+ * Hashes a password with a random salt
+ *
+ * @param {string} password - The password
+ * @returns {Promise<string>} `scrypt$<salt>$<hash>`, both base64url
+ */
+async function hashPassword(password) {
+  const salt = randomBytes(16)
+  const hash = await scryptAsync(password, salt, KEY_LENGTH)
+  return `scrypt$${salt.toString("base64url")}$${hash.toString("base64url")}`
+}
+
+/**
+ * Checks a password against a stored hash in constant time
+ *
+ * @param {string} password - The password to check
+ * @param {string} stored - The hash from {@link hashPassword}
+ * @returns {Promise<boolean>} True when the password matches
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored ?? "").split("$")
+  if (scheme !== "scrypt" || !salt || !hash) return false
+
+  const expected = Buffer.from(hash, "base64url")
+  const actual = await scryptAsync(password, Buffer.from(salt, "base64url"), expected.length)
+  return timingSafeEqual(expected, actual)
+}
+
+/**
+ * Whether a user is an admin, who can manage every video
+ *
+ * @param {Object} user - The user record
+ * @returns {boolean} True when the user's email is listed in `AUTH_ADMIN_EMAILS`
+ */
+export function isAdmin(user) {
+  const admins = (process.env.AUTH_ADMIN_EMAILS || "").split(",").map(normalizeEmail).filter(Boolean)
+  return admins.includes(user.email)
+}
+
+/**
+ * Fetches a user
+ *
+ * @param {string} id - The user ID
+ * @returns {Promise<Object|null>} The user, or null when it doesn't exist
+ */
+export async function getUser(id) {
+  return users().get(id)
+}
+
+/**
+ * Creates a user who signs in with an email and password
+ *
+ * @param {Object} account
+ * @param {string} account.email - Email address
+ * @param {string} account.password - Password (at least 8 characters)
+ * @param {string} [account.name] - Display name (defaults to the part of the email before the @)
+ * @returns {Promise<Object>} The new user
+ * @throws {Error} With code "INVALID_REQUEST" for invalid fields or "EMAIL_TAKEN" when the email is registered
+ */
+export async function createUser({ email, password, name }) {
+  const normalized = normalizeEmail(email)
+  if (!/^[^\s@]+@[^\s@]+$/.test(normalized)) {
+    throw userError("INVALID_REQUEST", "A valid email address is required")
+  }
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw userError("INVALID_REQUEST", `Passwords must be at least ${MIN_PASSWORD_LENGTH} characters`)
+  }
+  if (name !== undefined && (typeof name !== "string" || name.length > MAX_NAME_LENGTH)) {
+    throw userError("INVALID_REQUEST", `name must be a string of at most ${MAX_NAME_LENGTH} characters`)
+  }
+
+  const passwordHash = await hashPassword(password)
+  const now = new Date().toISOString()
+  // Checked as the user is inserted, so two registrations of the same email can't both succeed
+  const user = await users().insert(
+    {
+      id: randomUUID(),
+      email: normalized,
+      name: name?.trim() || normalized.split("@")[0],
+      passwordHash,
+      oidc: null,
+      createdAt: now,
+      updatedAt: now,
+    },
+    { unique: (existing) => existing.email === normalized },
+  )
+  if (!user) {
+    throw userError("EMAIL_TAKEN", "An account with this email already exists")
+  }
+  return user
+}
+
+/**
+ * Checks an email and password
+ *
+ * @param {string} email - Email address
+ * @param {string} password - Password
+ * @returns {Promise<Object>} The matching user
+ * @throws {Error} With code "INVALID_CREDENTIALS" when they don't match an account
+ */
+export async function verifyCredentials(email, password) {
+  const user = await users().find((user) => user.email === normalizeEmail(email))
+
+  // A password is hashed either way, so response times don't tell which emails have accounts
+  dummyHash ??= hashPassword(randomUUID())
+  const stored = user?.passwordHash ?? (await dummyHash)
+  const matches = await verifyPassword(typeof password === "string" ? password : "", stored)
+  if (!user?.passwordHash || typeof password !== "string" || !matches) {
+    throw userError("INVALID_CREDENTIALS", "Incorrect email or password")
+  }
+  return user
+}
+
+/**
+ * Finds the user behind an OIDC identity, linking or creating an account on first sign-in
+ * An existing account with the same (verified) email is linked rather than duplicated.
+ *
+ * @param {Object} identity
+ * @param {string} identity.issuer - The provider's issuer URL
+ * @param {string} identity.subject - The provider's user ID (`sub` claim)
+ * @param {string} [identity.email] - Email address
+ * @param {boolean} [identity.emailVerified] - Whether the provider verified the email
+ * @param {string} [identity.name] - Display name
+ * @returns {Promise<Object>} The user
+ */
+export async function findOrCreateOidcUser({ issuer, subject, email, emailVerified, name }) {
+  const linked = await users().find((user) => user.oidc?.issuer === issuer && user.oidc?.subject === subject)
+  if (linked) return linked
+
+  const normalized = normalizeEmail(email)
+  const now = new Date().toISOString()
+  const existing = normalized && emailVerified ? await users().find((user) => user.email === normalized) : null
+  if (existing) {
+    return users().update(existing.id, { oidc: { issuer, subject }, updatedAt: now })
+  }
+
+  return users().insert({
+    id: randomUUID(),
+    // Unverified addresses aren't trusted to identify anyone, so they aren't stored as the account email
+    email: emailVerified ? normalized : null,
+    name: name?.trim().slice(0, MAX_NAME_LENGTH) || normalized.split("@")[0] || "User",
+    passwordHash: null,
+    oidc: { issuer, subject },
+    createdAt: now,
+    updatedAt: now,
+  })
+}
+
+/**
+ * Converts a user record into its API representation
+ *
+ * @param {Object} user - The user record
+ * @returns {Object} `{ id, email, name, isAdmin }`
+ */
+export function serializeUser(user) {
+  return { id: user.id, email: user.email, name: user.name, isAdmin: isAdmin(user) }
+}
@@ -0,0 +1,166 @@
+/**
+ * JSON File Collections
+ *
+ * A minimal persistent record store: each collection is kept in memory and written
+ * to `<DATA_DIR>/<name>.json` after every change. Writes are serialized and replace
+ * the file atomically, so a crash mid-write never leaves a truncated file behind.
+ *
+ * Collections are cached on `globalThis` so every route bundle in the same server
+ * process shares one copy of the data.
+ */
+import fs from "fs/promises"
+import path from "path"
+
+const registry = (globalThis.__jsonCollections ??= new Map())
+
+/**
+ * Returns the data directory collections are stored in
+ *
+ * @returns {string} Absolute path of the data directory
+ */
+export function getDataDir() {
+  return path.resolve(process.env.DATA_DIR || ".data")
+}
+
+/**
+ * Returns the collection with the given name, creating it on first use
+ *
+ * @param {string} name - Collection name, used as the file name
+ * @returns {Object} The collection
+ */
+export function getCollection(name) {
+  if (!registry.has(name)) {
+    registry.set(name, createJsonCollection(path.join(getDataDir(), `${name}.json`)))
+  }
+  return registry.get(name)
+}
+
+/**
+ * Creates a collection of records keyed by their `id`, persisted to a JSON file
+ *
+ * @param {string} filePath - Path of the JSON file backing the collection
+ * @returns {Object} The collection
+ */
+function createJsonCollection(filePath) {
+  let records = null
+  let existed = false
+  let loading = null
+  let writing = Promise.resolve()
+
+  /**
+   * Loads the records from disk once per process
+   *
+   * @returns {Promise<Map<string, Object>>} Records keyed by ID
+   */
+  const load = () => {
+    loading ??= (async () => {
+      try {
+        const data = JSON.parse(await fs.readFile(filePath, "utf8"))
+        records = new Map(data.map((record) => [record.id, record]))
+        existed = true
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error
+        records = new Map()
+      }
+      return records
+    })()
+    return loading
+  }
+
+  /**
+   * Queues a write of the current records, replacing the file atomically
+   *
+   * @returns {Promise<void>} Resolves once this write has reached the disk
+   */
+  const persist = () => {
+    const snapshot = JSON.stringify([...records.values()], null, 2)
+    writing = writing
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true })
+        const tempPath = `${filePath}.${process.pid}.tmp`
+        await fs.writeFile(tempPath, snapshot)
+        await fs.rename(tempPath, filePath)
+        existed = true
+      })
+    return writing
+  }
+
+  return {
+    /**
+     * Whether the backing file existed before this process first loaded it
+     * or has been written since
+     */
+    async exists() {
+      await load()
+      return existed
+    },
+
+    async all() {
+      return [...(await load()).values()]
+    },
+
+    async get(id) {
+      return (await load()).get(id) || null
+    },
+
+    async find(predicate) {
+      return [...(await load()).values()].find(predicate) || null
+    },
+
+    /**
+     * Adds a record
+     * The `unique` check runs in the same step as the insert, so concurrent inserts can't both pass it.
+     *
+     * @param {Object} record - The record, with its `id`
+     * @param {Object} [options]
+     * @param {Function} [options.unique] - Predicate matching existing records that conflict with this one
+     * @returns {Promise<Object|null>} The record, or null when `unique` matched an existing record
+     */
+    async insert(record, { unique } = {}) {
+      const store = await load()
+      if (store.has(record.id)) {
+        throw new Error(`Duplicate record ID: ${record.id}`)
+      }
+      if (unique && [...store.values()].some(unique)) return null
+      store.set(record.id, record)
+      await persist()
+      return record
+    },
+
+    async insertMany(newRecords) {
+      const store = await load()
+      newRecords.forEach((record) => store.set(record.id, record))
+      await persist()
+      return newRecords
+    },
+
+    /**
+     * Merges changes into a record
+     *
+     * @param {string} id - The record ID
+     * @param {Object|Function} changes - Fields to merge, or a function receiving the record and returning them
+     * @returns {Promise<Object|null>} The updated record, or null when it doesn't exist
+     */
+    async update(id, changes) {
+      const store = await load()
+      const record = store.get(id)
+      if (!record) return null
+
+      const updated = { ...record, ...(typeof changes === "function" ? changes(record) : changes), id }
+      store.set(id, updated)
+      await persist()
+      return updated
+    },
+
+    async remove(id) {
+      const store = await load()
+      const record = store.get(id) || null
+      if (record) {
+        store.delete(id)
+        await persist()
+      }
+      return record
+    },
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * Embed postMessage API
+ *
+ * Lets the page hosting an embed (`/embed/:id` or `/embed/gallery`) control playback
+ * and follow what the viewer does. Messages are plain objects sent with `postMessage`.
+ *
+ * Host page → embed (send to the iframe's `contentWindow`):
+ *
+ *   { type: "tolstoy:command", command, value }
+ *
+ * - "play", "pause"      start or pause the current video
+ * - "seek"               jump to `value` seconds
+ * - "mute", "unmute"     toggle the sound
+ * - "getState"           reply with a "state" event
+ * - "select"             (gallery only) play the video whose ID is `value`
+ *
+ * Embed → host page (received on the host's `window`):
+ *
+ *   { type: "tolstoy:event", event, videoId, currentTime, duration, paused, muted }
+ *
+ * - "ready"       the player has loaded the video's metadata
+ * - "play", "pause", "ended", "seeked", "volumechange"
+ * - "timeupdate"  sent at most once per second while playing
+ * - "state"       the reply to "getState"
+ * - "error"       the video failed to load
+ *
+ * Commands are only accepted from the parent window; events are posted to any origin
+ * since they carry nothing the host couldn't see in the player itself.
+ */
+
+export const COMMAND_TYPE = "tolstoy:command"
+export const EVENT_TYPE = "tolstoy:event"
+
+const TIMEUPDATE_INTERVAL = 1000 // Minimum milliseconds between "timeupdate" events
+
+/**
+ * Media element events forwarded to the host page under the same name
+ */
+const FORWARDED_EVENTS = ["play", "pause", "ended", "seeked", "volumechange", "error"]
+
+/**
+ * Whether the page is running inside another page's frame
+ *
+ * @returns {boolean} True when embedded
+ */
+function isEmbedded() {
+  return typeof window !== "undefined" && window.parent !== window
+}
+
+/**
+ * Sends an event to the host page
+ *
+ * @param {string} event - The event name
+ * @param {Object} [detail] - Extra fields to send with it
+ */
+export function postEmbedEvent(event, detail = {}) {
+  if (!isEmbedded()) return
+  window.parent.postMessage({ type: EVENT_TYPE, event, ...detail }, "*")
+}
+
+/**
+ * Describes the playback state of a video element for an event
+ *
+ * @param {HTMLVideoElement} element - The video element
+ * @param {string} videoId - ID of the video being played
+ * @returns {Object} `{ videoId, currentTime, duration, paused, muted }`
+ */
+function playbackState(element, videoId) {
+  return {
+    videoId,
+    currentTime: element.currentTime,
+    duration: Number.isFinite(element.duration) ? element.duration : null,
+    paused: element.paused,
+    muted: element.muted,
+  }
+}
+
+/**
+ * Calls a handler for every command the host page sends
+ *
+ * @param {Function} handler - Called with `{ command, value }`
+ * @returns {Function} Stops listening
+ */
+export function onEmbedCommand(handler) {
+  const listener = (message) => {
+    if (message.source !== window.parent || message.data?.type !== COMMAND_TYPE) return
+    handler({ command: message.data.command, value: message.data.value })
+  }
+  window.addEventListener("message", listener)
+  return () => window.removeEventListener("message", listener)
+}
+
+/**
+ * Connects a video element to the host page: its events are forwarded and the
+ * host's playback commands are applied to it
+ *
+ * @param {HTMLVideoElement} element - The video element
+ * @param {string} videoId - ID of the video being played
+ * @returns {Function} Disconnects the element
+ */
+export function bridgeVideoElement(element, videoId) {
+  let lastTimeUpdate = 0
+
+  const forward = (event) => postEmbedEvent(event.type, playbackState(element, videoId))
+  const handleLoaded = () => postEmbedEvent("ready", playbackState(element, videoId))
+  const handleTimeUpdate = () => {
+    const now = Date.now()
+    if (now - lastTimeUpdate < TIMEUPDATE_INTERVAL) return
+    lastTimeUpdate = now
+    postEmbedEvent("timeupdate", playbackState(element, videoId))
+  }
+
+  FORWARDED_EVENTS.forEach((type) => element.addEventListener(type, forward))
+  element.addEventListener("loadedmetadata", handleLoaded)
+  element.addEventListener("timeupdate", handleTimeUpdate)
+
+  const stopListening = onEmbedCommand(({ command, value }) => {
+    switch (command) {
+      case "play":
+        // Browsers refuse unmuted autoplay without a user gesture; report it like any error
+        element.play().catch((error) => postEmbedEvent("error", { videoId, message: error.message }))
+        break
+      case "pause":
+        element.pause()
+        break
+      case "seek":
+        if (Number.isFinite(Number(value))) element.currentTime = Number(value)
+        break
+      case "mute":
+        element.muted = true
+        break
+      case "unmute":
+        element.muted = false
+        break
+      case "getState":
+        postEmbedEvent("state", playbackState(element, videoId))
+        break
+    }
+  })
+
+  return () => {
+    FORWARDED_EVENTS.forEach((type) => element.removeEventListener(type, forward))
+    element.removeEventListener("loadedmetadata", handleLoaded)
+    element.removeEventListener("timeupdate", handleTimeUpdate)
+    stopListening()
+  }
+}
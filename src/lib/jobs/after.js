@@ -0,0 +1,26 @@
+/**
+ * Post-Response Job Queue
+ *
+ * Runs each job with `after()` from `next/server`, once the response of the request
+ * that queued it has been sent. The platform keeps the function alive until the job
+ * finishes, which makes this the driver for serverless deployments. Jobs must be
+ * queued from a route handler (or from another job running this way).
+ */
+import { after } from "next/server"
+
+/**
+ * Creates a queue that runs jobs after the current response
+ *
+ * @param {Object} options
+ * @param {Function} options.run - Runs a job by ID and resolves once it has finished
+ * @returns {Object} The queue driver
+ */
+export function createAfterQueue({ run }) {
+  return {
+    name: "after",
+
+    enqueue(id) {
+      after(() => run(id))
+    },
+  }
+}
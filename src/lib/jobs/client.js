@@ -0,0 +1,105 @@
+/**
+ * Job Client
+ *
+ * Browser side of the background jobs API. Follows a job over server-sent events
+ * (`/api/jobs/:id/events`), falling back to polling `/api/jobs/:id` when the event
+ * stream isn't available.
+ */
+
+const POLL_INTERVAL = 1000 // Milliseconds between polls when falling back
+
+/**
+ * Creates the error a failed job rejects with
+ *
+ * @param {Object} job - The failed job
+ * @returns {Error} Error with the job's `code`
+ */
+function jobError(job) {
+  return Object.assign(new Error(job.error?.message || "Processing failed"), { code: job.error?.code ?? null })
+}
+
+/**
+ * Follows a job by polling until it finishes
+ *
+ * @param {string} id - The job ID
+ * @param {Function} onUpdate - Called with every job state received
+ * @param {AbortSignal} [signal] - Signal that stops polling
+ * @returns {Promise<Object>} The finished job
+ */
+async function pollJob(id, onUpdate, signal) {
+  for (;;) {
+    const res = await fetch(`/api/jobs/${id}`, { signal })
+    const job = await res.json().catch(() => null)
+    if (!res.ok) {
+      throw Object.assign(new Error(job?.error || `HTTP Error: ${res.status}`), { status: res.status })
+    }
+
+    onUpdate(job)
+    if (job.status === "completed" || job.status === "failed") return job
+
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL))
+    signal?.throwIfAborted()
+  }
+}
+
+/**
+ * Follows a job over server-sent events until it finishes
+ * Rejects with `fallback` set when the stream can't be used, so the caller can poll.
+ *
+ * @param {string} id - The job ID
+ * @param {Function} onUpdate - Called with every job state received
+ * @param {AbortSignal} [signal] - Signal that closes the stream
+ * @returns {Promise<Object>} The finished job
+ */
+function streamJob(id, onUpdate, signal) {
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`/api/jobs/${id}/events`)
+    const abort = () => {
+      source.close()
+      reject(new DOMException("Cancelled", "AbortError"))
+    }
+    signal?.addEventListener("abort", abort, { once: true })
+
+    const finish = (callback) => {
+      source.close()
+      signal?.removeEventListener("abort", abort)
+      callback()
+    }
+
+    source.addEventListener("job", (event) => {
+      const job = JSON.parse(event.data)
+      onUpdate(job)
+      if (job.status === "completed" || job.status === "failed") {
+        finish(() => resolve(job))
+      }
+    })
+    // EventSource would reconnect forever; polling reports errors properly instead
+    source.onerror = () => finish(() => reject(Object.assign(new Error("Event stream failed"), { fallback: true })))
+  })
+}
+
+/**
+ * Waits for a job to finish, reporting its progress along the way
+ *
+ * @param {string} id - The job ID
+ * @param {Object} [options]
+ * @param {Function} [options.onUpdate] - Called with the job every time it changes
+ * @param {AbortSignal} [options.signal] - Signal that stops waiting (the job keeps running)
+ * @returns {Promise<Object>} The completed job, whose `result` depends on its type
+ * @throws {Error} With the job's error `code` and message when it failed
+ */
+export async function waitForJob(id, { onUpdate = () => {}, signal } = {}) {
+  let job
+  try {
+    job =
+      typeof EventSource === "undefined" ? await pollJob(id, onUpdate, signal) : await streamJob(id, onUpdate, signal)
+  } catch (error) {
+    if (!error.fallback) throw error
+    job = await pollJob(id, onUpdate, signal)
+  }
+
+  if (job.status === "failed") {
+    throw jobError(job)
+  }
+  return job
+}
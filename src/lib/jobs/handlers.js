@@ -0,0 +1,29 @@
+/**
+ * Job Handlers
+ *
+ * Maps each job type to the function that runs it. A handler receives the job record
+ * and `{ workDir, setProgress }`, where `setProgress(stage, percent)` reports how far
+ * it has got, and resolves with the job's result.
+ */
+import { runImportJob, runIngestJob, runReplaceFileJob, runTranscodeJob } from "../videos/jobs"
+
+/**
+ * Returns the handler for a job type
+ *
+ * @param {string} type - "ingest", "import", "replace-file" or "transcode"
+ * @returns {Function} The handler
+ */
+export function getJobHandler(type) {
+  switch (type) {
+    case "ingest":
+      return runIngestJob
+    case "import":
+      return runImportJob
+    case "replace-file":
+      return runReplaceFileJob
+    case "transcode":
+      return runTranscodeJob
+    default:
+      throw new Error(`Unknown job type: ${type}`)
+  }
+}
@@ -0,0 +1,268 @@
+/**
+ * Background Jobs
+ *
+ * Slow processing (validation, thumbnails, transcoding) runs as jobs so routes can
+ * respond straight away with a job ID. Job records live in the "jobs" collection:
+ *
+ * - `{ status: "queued" }`     waiting for the queue to pick it up
+ * - `{ status: "running", stage, progress }`  the handler is working; `progress` is 0-100
+ * - `{ status: "completed", result }`         the handler's return value is in `result`
+ * - `{ status: "failed", error: { message, code } }`
+ *
+ * Each job gets a working directory (`<DATA_DIR>/jobs/<id>/`) for its input files,
+ * removed once it finishes. Handlers are looked up by type in `handlers.js`. Payloads
+ * record the `ownerId` of the user a job runs for, who is the only one who can follow it.
+ *
+ * The queue driver is picked with `JOB_QUEUE_DRIVER`:
+ *
+ * - "memory"  an in-process worker pool running `JOB_CONCURRENCY` jobs at a time (default 1).
+ *             Jobs left unfinished by a restart are run again.
+ * - "after"   each job runs once the response that created it has been sent, for
+ *             serverless deployments where nothing runs between requests
+ *
+ * When unset, "after" is used on Vercel and "memory" everywhere else. Finished jobs
+ * are removed after `JOB_RETENTION_HOURS` (default 24).
+ */
+import { randomUUID } from "crypto"
+import { EventEmitter } from "events"
+import fs from "fs/promises"
+import path from "path"
+import { isAdmin } from "../auth/users"
+import { getCollection, getDataDir } from "../db/json-collection"
+import { createAfterQueue } from "./after"
+import { getJobHandler } from "./handlers"
+import { createMemoryQueue } from "./memory"
+
+const jobs = () => getCollection("jobs")
+
+// Shared by every route bundle in the process, like the collections themselves
+const events = (globalThis.__jobEvents ??= new EventEmitter().setMaxListeners(0))
+
+/**
+ * Returns the directory holding a job's input files
+ *
+ * @param {string} id - The job ID
+ * @returns {string} The absolute directory path
+ */
+function workDir(id) {
+  return path.join(getDataDir(), "jobs", id)
+}
+
+/**
+ * Whether a job has finished, successfully or not
+ *
+ * @param {Object} job - The job record
+ * @returns {boolean} True for completed and failed jobs
+ */
+export function isJobFinished(job) {
+  return job.status === "completed" || job.status === "failed"
+}
+
+/**
+ * Returns the configured queue driver, creating it on first use
+ * The memory driver re-queues unfinished jobs before it is handed out.
+ *
+ * @returns {Promise<Object>} The queue driver, with `name` and `enqueue(id)`
+ */
+function getJobQueue() {
+  globalThis.__jobQueue ??= (async () => {
+    const queue = createJobQueue(process.env.JOB_QUEUE_DRIVER || (process.env.VERCEL ? "after" : "memory"))
+    if (queue.name === "memory") {
+      await resumeUnfinishedJobs(queue)
+    }
+    return queue
+  })()
+  return globalThis.__jobQueue
+}
+
+/**
+ * Creates a queue driver by name
+ *
+ * @param {string} driver - The driver name ("memory" or "after")
+ * @returns {Object} The queue driver
+ */
+function createJobQueue(driver) {
+  switch (driver) {
+    case "memory":
+      return createMemoryQueue({ concurrency: Number(process.env.JOB_CONCURRENCY) || 1, run: runJob })
+    case "after":
+      return createAfterQueue({ run: runJob })
+    default:
+      throw new Error(`Unknown job queue driver: ${driver}`)
+  }
+}
+
+/**
+ * Queues the jobs a previous server process didn't get to finish
+ *
+ * @param {Object} queue - The queue driver
+ */
+async function resumeUnfinishedJobs(queue) {
+  const unfinished = (await jobs().all()).filter((job) => !isJobFinished(job))
+  for (const job of unfinished) {
+    console.log("Resuming job", job.id, job.type)
+    await jobs().update(job.id, { status: "queued", stage: null, progress: 0 })
+    queue.enqueue(job.id)
+  }
+}
+
+/**
+ * Removes finished jobs older than the retention period
+ */
+async function removeExpiredJobs() {
+  const retention = (Number(process.env.JOB_RETENTION_HOURS) || 24) * 60 * 60 * 1000
+  const expired = (await jobs().all()).filter(
+    (job) => isJobFinished(job) && Date.now() - Date.parse(job.updatedAt) > retention,
+  )
+  for (const job of expired) {
+    await jobs().remove(job.id)
+  }
+}
+
+/**
+ * Merges changes into a job and notifies subscribers
+ *
+ * @param {string} id - The job ID
+ * @param {Object} changes - Fields to merge
+ * @returns {Promise<Object|null>} The updated job
+ */
+async function updateJob(id, changes) {
+  const job = await jobs().update(id, { ...changes, updatedAt: new Date().toISOString() })
+  if (job) events.emit(id, job)
+  return job
+}
+
+/**
+ * Creates a job and queues it
+ * Input files can be written to the job's working directory with `prepare` before it
+ * is queued; if that fails the job is discarded and the error rethrown.
+ *
+ * @param {string} type - The job type (see `handlers.js`)
+ * @param {Object} payload - Data the handler needs, stored with the job
+ * @param {Function} [prepare] - Async function receiving the job's working directory
+ * @returns {Promise<Object>} The queued job
+ */
+export async function createJob(type, payload, prepare) {
+  const queue = await getJobQueue()
+  await removeExpiredJobs()
+
+  const now = new Date().toISOString()
+  const job = await jobs().insert({
+    id: randomUUID(),
+    type,
+    status: "queued",
+    stage: null,
+    progress: 0,
+    payload,
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+  })
+
+  const dir = workDir(job.id)
+  try {
+    await fs.mkdir(dir, { recursive: true })
+    await prepare?.(dir)
+  } catch (error) {
+    await fs.rm(dir, { recursive: true, force: true })
+    await jobs().remove(job.id)
+    throw error
+  }
+
+  queue.enqueue(job.id)
+  return job
+}
+
+/**
+ * Fetches a job
+ *
+ * @param {string} id - The job ID
+ * @returns {Promise<Object|null>} The job, or null when it doesn't exist (or has expired)
+ */
+export async function getJob(id) {
+  await getJobQueue()
+  return jobs().get(id)
+}
+
+/**
+ * Whether a user may follow a job
+ *
+ * @param {Object} user - The user record
+ * @param {Object} job - The job record
+ * @returns {boolean} True for the user the job runs for (`payload.ownerId`) and admins
+ */
+export function canViewJob(user, job) {
+  return job.payload?.ownerId === user.id || isAdmin(user)
+}
+
+/**
+ * Calls a listener every time a job changes
+ *
+ * @param {string} id - The job ID
+ * @param {Function} listener - Called with the updated job
+ * @returns {Function} Stops listening
+ */
+export function subscribeToJob(id, listener) {
+  events.on(id, listener)
+  return () => events.off(id, listener)
+}
+
+/**
+ * Runs a queued job with its handler and records the outcome
+ * Errors flagged with `expose` (e.g. rejected files) are reported as-is; anything else
+ * is logged and reported as a generic failure.
+ *
+ * @param {string} id - The job ID
+ * @returns {Promise<void>} Resolves once the job has finished
+ */
+async function runJob(id) {
+  const job = await jobs().get(id)
+  if (!job || job.status !== "queued") return
+
+  const dir = workDir(id)
+  let lastStage = null
+  let lastProgress = 0
+
+  /**
+   * Reports how far the handler has got
+   *
+   * @param {string} stage - Short name of the current step
+   * @param {number} progress - Percentage of the whole job, 0-100
+   */
+  const setProgress = async (stage, progress) => {
+    const rounded = Math.min(99, Math.max(lastProgress, Math.round(progress)))
+    if (stage === lastStage && rounded === lastProgress) return
+    lastStage = stage
+    lastProgress = rounded
+    await updateJob(id, { stage, progress: rounded })
+  }
+
+  try {
+    await updateJob(id, { status: "running" })
+    const result = await getJobHandler(job.type)(job, { workDir: dir, setProgress })
+    await updateJob(id, { status: "completed", progress: 100, result: result ?? null })
+  } catch (error) {
+    if (!error.expose) console.error(`Job ${id} (${job.type}) failed:`, error)
+    await updateJob(id, {
+      status: "failed",
+      error: error.expose
+        ? { message: error.message, code: error.code ?? null }
+        : { message: "Processing failed", code: "PROCESSING_FAILED" },
+    })
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true })
+  }
+}
+
+/**
+ * Converts a job record into its API representation
+ * The payload is internal and never leaves the server.
+ *
+ * @param {Object} job - The job record
+ * @returns {Object} The job as returned to clients
+ */
+export function serializeJob(job) {
+  const { payload, ...fields } = job
+  return fields
+}
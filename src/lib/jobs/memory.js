@@ -0,0 +1,44 @@
+/**
+ * In-Process Job Queue
+ *
+ * Runs jobs inside the server process with a fixed number of workers. Queued jobs
+ * only live in memory, so this driver suits long-running servers (and `next dev`).
+ */
+
+/**
+ * Creates an in-process queue
+ *
+ * @param {Object} options
+ * @param {number} options.concurrency - Maximum number of jobs running at once
+ * @param {Function} options.run - Runs a job by ID and resolves once it has finished
+ * @returns {Object} The queue driver
+ */
+export function createMemoryQueue({ concurrency, run }) {
+  const pending = []
+  let active = 0
+
+  /**
+   * Starts queued jobs while workers are free
+   */
+  const drain = () => {
+    while (active < concurrency && pending.length > 0) {
+      const id = pending.shift()
+      active++
+      run(id)
+        .catch((error) => console.error(`Job ${id} crashed:`, error))
+        .finally(() => {
+          active--
+          drain()
+        })
+    }
+  }
+
+  return {
+    name: "memory",
+
+    enqueue(id) {
+      pending.push(id)
+      drain()
+    },
+  }
+}
@@ -0,0 +1,39 @@
+/**
+ * ffmpeg Setup
+ *
+ * Points fluent-ffmpeg at the binaries bundled by `ffmpeg-static` and
+ * `@ffprobe-installer/ffprobe`. Set `FFMPEG_PATH` or `FFPROBE_PATH` to use
+ * system binaries instead.
+ */
+import ffprobeInstaller from "@ffprobe-installer/ffprobe"
+import ffmpeg from "fluent-ffmpeg"
+import ffmpegStatic from "ffmpeg-static"
+
+ffmpeg.setFfmpegPath(process.env.FFMPEG_PATH || ffmpegStatic)
+ffmpeg.setFfprobePath(process.env.FFPROBE_PATH || ffprobeInstaller.path)
+
+/**
+ * Runs a fluent-ffmpeg command that writes to a file and waits for it to finish
+ *
+ * @param {Object} command - A configured fluent-ffmpeg command
+ * @param {string} outputPath - Path the command writes its output to
+ * @param {Function} [onProgress] - Called with the percentage of the input processed so far
+ * @returns {Promise<void>} Resolves when ffmpeg exits successfully
+ */
+export function runCommand(command, outputPath, onProgress) {
+  return new Promise((resolve, reject) => {
+    if (onProgress) {
+      // The percentage is only known once ffmpeg has reported the input's duration
+      command.on("progress", (progress) => Number.isFinite(progress.percent) && onProgress(progress.percent))
+    }
+    command
+      .on("end", () => resolve())
+      .on("error", (error, stdout, stderr) => {
+        console.error("ffmpeg error:", stderr)
+        reject(error)
+      })
+      .save(outputPath)
+  })
+}
+
+export default ffmpeg
@@ -0,0 +1,138 @@
+/**
+ * HLS Transcoding
+ *
+ * Transcodes a video into an HLS ladder with the bundled ffmpeg: one H.264/AAC
+ * rendition per target height, plus a master playlist that lets the player switch
+ * between them. The output directory is laid out as:
+ *
+ *   master.m3u8
+ *   360p/index.m3u8, 360p/segment_000.ts, ...
+ *   720p/index.m3u8, 720p/segment_000.ts, ...
+ */
+import fs from "fs/promises"
+import path from "path"
+import ffmpeg, { runCommand } from "./ffmpeg"
+
+/**
+ * Bitrate ladder, keyed by rendition height
+ */
+const LADDER = {
+  240: { videoBitrate: 400, audioBitrate: 64 },
+  360: { videoBitrate: 800, audioBitrate: 96 },
+  480: { videoBitrate: 1400, audioBitrate: 128 },
+  720: { videoBitrate: 2800, audioBitrate: 128 },
+  1080: { videoBitrate: 5000, audioBitrate: 192 },
+  1440: { videoBitrate: 8000, audioBitrate: 192 },
+  2160: { videoBitrate: 14000, audioBitrate: 192 },
+}
+
+const SEGMENT_SECONDS = 6
+
+/**
+ * Returns the rendition heights configured with `HLS_RENDITIONS`
+ *
+ * @returns {number[]} Heights in ascending order (default 360, 720 and 1080)
+ */
+export function getRenditionHeights() {
+  return (process.env.HLS_RENDITIONS || "360,720,1080")
+    .split(",")
+    .map((height) => Number(height.trim()))
+    .filter((height) => LADDER[height])
+    .sort((a, b) => a - b)
+}
+
+/**
+ * Picks the renditions worth producing for a source video
+ * Renditions taller than the source are skipped, but the smallest one is always kept.
+ *
+ * @param {number[]} heights - Candidate rendition heights in ascending order
+ * @param {number|null} sourceHeight - Height of the source video, when known
+ * @returns {number[]} The heights to transcode
+ */
+function selectHeights(heights, sourceHeight) {
+  if (!sourceHeight) return heights
+  const fitting = heights.filter((height) => height <= sourceHeight)
+  return fitting.length > 0 ? fitting : heights.slice(0, 1)
+}
+
+/**
+ * Transcodes a video into HLS renditions and writes the master playlist
+ *
+ * @param {string} inputPath - Path to the source video
+ * @param {string} outputDir - Directory to write the playlists and segments to
+ * @param {Object} source
+ * @param {number|null} source.width - Source width in pixels
+ * @param {number|null} source.height - Source height in pixels
+ * @param {Function} [onProgress] - Called with the percentage of the whole ladder done so far
+ * @returns {Promise<Object[]>} The produced renditions: `{ name, width, height, bandwidth }`
+ */
+export async function transcodeToHls(inputPath, outputDir, { width, height }, onProgress) {
+  const renditions = []
+  const heights = selectHeights(getRenditionHeights(), height)
+
+  for (const [index, targetHeight] of heights.entries()) {
+    const { videoBitrate, audioBitrate } = LADDER[targetHeight]
+    const name = `${targetHeight}p`
+    const renditionDir = path.join(outputDir, name)
+    await fs.mkdir(renditionDir, { recursive: true })
+
+    const command = ffmpeg(inputPath)
+      .videoCodec("libx264")
+      .audioCodec("aac")
+      .videoFilter(`scale=-2:${targetHeight}`)
+      .outputOptions([
+        "-preset",
+        "veryfast",
+        "-profile:v",
+        "main",
+        "-pix_fmt",
+        "yuv420p",
+        "-b:v",
+        `${videoBitrate}k`,
+        "-maxrate",
+        `${Math.round(videoBitrate * 1.07)}k`,
+        "-bufsize",
+        `${videoBitrate * 2}k`,
+        "-b:a",
+        `${audioBitrate}k`,
+        "-ac",
+        "2",
+        // Keyframes at segment boundaries so every rendition can be switched between
+        "-force_key_frames",
+        `expr:gte(t,n_forced*${SEGMENT_SECONDS})`,
+        "-sc_threshold",
+        "0",
+        "-hls_time",
+        String(SEGMENT_SECONDS),
+        "-hls_playlist_type",
+        "vod",
+        "-hls_segment_filename",
+        path.join(renditionDir, "segment_%03d.ts"),
+      ])
+
+    await runCommand(
+      command,
+      path.join(renditionDir, "index.m3u8"),
+      onProgress && ((percent) => onProgress((100 * index + Math.min(percent, 100)) / heights.length)),
+    )
+
+    renditions.push({
+      name,
+      width: width && height ? Math.round((width * targetHeight) / height / 2) * 2 : null,
+      height: targetHeight,
+      bandwidth: (videoBitrate + audioBitrate) * 1000,
+    })
+  }
+
+  const master = [
+    "#EXTM3U",
+    "#EXT-X-VERSION:3",
+    ...renditions.flatMap((rendition) => [
+      `#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth}${rendition.width ? `,RESOLUTION=${rendition.width}x${rendition.height}` : ""}`,
+      `${rendition.name}/index.m3u8`,
+    ]),
+  ].join("\n")
+  await fs.writeFile(path.join(outputDir, "master.m3u8"), `${master}\n`)
+
+  return renditions
+}
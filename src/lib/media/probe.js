@@ -0,0 +1,46 @@
+/**
+ * Media Probing
+ *
+ * Reads container and stream information from a video file with ffprobe.
+ */
+import ffmpeg from "./ffmpeg"
+
+/**
+ * @typedef {Object} MediaInfo
+ * @property {number|null} duration - Duration in seconds
+ * @property {number|null} width - Width of the first video stream in pixels
+ * @property {number|null} height - Height of the first video stream in pixels
+ * @property {string|null} videoCodec - Codec of the first video stream (e.g. "h264")
+ * @property {string|null} audioCodec - Codec of the first audio stream (e.g. "aac")
+ * @property {string|null} formatName - ffprobe container format name (e.g. "mov,mp4,m4a,3gp,3g2,mj2")
+ */
+
+/**
+ * Probes a video file
+ *
+ * @param {string} filePath - Path to the video file
+ * @returns {Promise<MediaInfo>} The media information
+ */
+export function probe(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (error, data) => {
+      if (error) {
+        reject(error)
+        return
+      }
+
+      const video = data.streams.find((stream) => stream.codec_type === "video")
+      const audio = data.streams.find((stream) => stream.codec_type === "audio")
+      const duration = Number(data.format.duration)
+
+      resolve({
+        duration: Number.isFinite(duration) ? duration : null,
+        width: video?.width ?? null,
+        height: video?.height ?? null,
+        videoCodec: video?.codec_name ?? null,
+        audioCodec: audio?.codec_name ?? null,
+        formatName: data.format.format_name ?? null,
+      })
+    })
+  })
+}
@@ -0,0 +1,24 @@
+/**
+ * Temporary Working Directories
+ *
+ * Media tools work on files rather than buffers, so processing steps get a
+ * scratch directory that is removed once they finish.
+ */
+import fs from "fs/promises"
+import os from "os"
+import path from "path"
+
+/**
+ * Runs a callback with a fresh temporary directory and removes it afterwards
+ *
+ * @param {Function} callback - Async function receiving the directory path
+ * @returns {Promise<*>} Whatever the callback resolves with
+ */
+export async function withTempDir(callback) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "video-gallery-"))
+  try {
+    return await callback(dir)
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true })
+  }
+}
@@ -0,0 +1,199 @@
+/**
+ * Upload Validation
+ *
+ * Checks uploaded videos on the server before anything is stored: the container is
+ * identified from the file's magic bytes (never from its name or the client's MIME
+ * type), then ffprobe confirms it decodes and reports its codecs and duration.
+ *
+ * Limits are configured with:
+ * - `UPLOAD_MAX_BYTES`              maximum file size (default 5MB in production, unlimited otherwise)
+ * - `UPLOAD_MAX_DURATION_SECONDS`   maximum duration (default unlimited)
+ * - `UPLOAD_ALLOWED_FORMATS`        comma-separated containers (default "mp4,mov,webm,mkv,avi")
+ * - `UPLOAD_ALLOWED_VIDEO_CODECS`   comma-separated ffprobe codec names (default: common web and camera codecs)
+ * - `UPLOAD_ALLOWED_AUDIO_CODECS`   comma-separated ffprobe codec names (default: common audio codecs)
+ *
+ * Failures throw an error whose `code` is a key of {@link VALIDATION_ERROR_STATUS}.
+ */
+import fs from "fs/promises"
+import { probe } from "./probe"
+
+const DEFAULT_FORMATS = "mp4,mov,webm,mkv,avi"
+const DEFAULT_VIDEO_CODECS = "h264,hevc,vp8,vp9,av1,mpeg4,prores,mjpeg"
+const DEFAULT_AUDIO_CODECS = "aac,mp3,opus,vorbis,ac3,eac3,flac,alac,pcm_s16le,pcm_s24le"
+const SNIFF_BYTES = 4096
+
+/**
+ * HTTP status for each validation error code
+ */
+export const VALIDATION_ERROR_STATUS = {
+  FILE_TOO_LARGE: 413,
+  EMPTY_FILE: 422,
+  UNSUPPORTED_FORMAT: 415,
+  UNREADABLE_MEDIA: 422,
+  NO_VIDEO_STREAM: 422,
+  UNSUPPORTED_VIDEO_CODEC: 415,
+  UNSUPPORTED_AUDIO_CODEC: 415,
+  DURATION_TOO_LONG: 422,
+}
+
+/**
+ * Creates a validation error
+ *
+ * @param {string} code - A key of {@link VALIDATION_ERROR_STATUS}
+ * @param {string} message - Human-readable description shown to the user
+ * @returns {Error} The error
+ */
+function validationError(code, message) {
+  return Object.assign(new Error(message), { code })
+}
+
+/**
+ * Splits a comma-separated environment variable into lowercase values
+ *
+ * @param {string|undefined} value - The variable value
+ * @param {string} fallback - Used when the variable is unset
+ * @returns {string[]} The values
+ */
+function parseList(value, fallback) {
+  return (value || fallback)
+    .split(",")
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean)
+}
+
+/**
+ * Formats a byte count for error messages
+ *
+ * @param {number} bytes - The size in bytes
+ * @returns {string} The size in MB
+ */
+function formatMegabytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(bytes < 10 * 1024 * 1024 ? 1 : 0)}MB`
+}
+
+/**
+ * Returns the configured upload limits
+ *
+ * @returns {Object} `{ maxBytes, maxDurationSeconds, allowedFormats, allowedVideoCodecs, allowedAudioCodecs }`;
+ *   maxBytes and maxDurationSeconds are null when unlimited
+ */
+export function getUploadLimits() {
+  const defaultMaxBytes = process.env.NODE_ENV === "production" ? 5 * 1024 * 1024 : null
+
+  return {
+    maxBytes: process.env.UPLOAD_MAX_BYTES ? Number(process.env.UPLOAD_MAX_BYTES) : defaultMaxBytes,
+    maxDurationSeconds: process.env.UPLOAD_MAX_DURATION_SECONDS
+      ? Number(process.env.UPLOAD_MAX_DURATION_SECONDS)
+      : null,
+    allowedFormats: parseList(process.env.UPLOAD_ALLOWED_FORMATS, DEFAULT_FORMATS),
+    allowedVideoCodecs: parseList(process.env.UPLOAD_ALLOWED_VIDEO_CODECS, DEFAULT_VIDEO_CODECS),
+    allowedAudioCodecs: parseList(process.env.UPLOAD_ALLOWED_AUDIO_CODECS, DEFAULT_AUDIO_CODECS),
+  }
+}
+
+/**
+ * Rejects sizes above the configured maximum
+ * Called both when an upload starts (with the declared size) and after it arrives.
+ *
+ * @param {number} size - Size in bytes
+ * @throws {Error} With code FILE_TOO_LARGE or EMPTY_FILE
+ */
+export function validateSize(size) {
+  const { maxBytes } = getUploadLimits()
+  if (size === 0) {
+    throw validationError("EMPTY_FILE", "The file is empty")
+  }
+  if (maxBytes && size > maxBytes) {
+    throw validationError(
+      "FILE_TOO_LARGE",
+      `The file is ${formatMegabytes(size)}; the maximum size is ${formatMegabytes(maxBytes)}`,
+    )
+  }
+}
+
+/**
+ * Identifies the container format from a file's leading bytes
+ *
+ * @param {Buffer} header - The first bytes of the file
+ * @returns {string|null} "mp4", "mov", "webm", "mkv" or "avi", or null when unrecognized
+ */
+export function sniffContainer(header) {
+  const ascii = (start, end) => header.toString("latin1", start, end)
+
+  // ISO base media (MP4) and QuickTime: a box size followed by the box type
+  if (ascii(4, 8) === "ftyp") {
+    return ascii(8, 12) === "qt  " ? "mov" : "mp4"
+  }
+  // Older QuickTime files can start with other top-level atoms
+  if (["moov", "mdat", "wide", "free", "skip", "pnot"].includes(ascii(4, 8))) {
+    return "mov"
+  }
+  // Matroska and WebM share the EBML header; the DocType tells them apart
+  if (header.length >= 4 && header.readUInt32BE(0) === 0x1a45dfa3) {
+    return header.includes("webm", 0, "latin1") ? "webm" : "mkv"
+  }
+  // AVI is a RIFF container
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "AVI ") {
+    return "avi"
+  }
+  return null
+}
+
+/**
+ * Validates a video file on disk
+ *
+ * @param {string} filePath - Path to the uploaded file
+ * @returns {Promise<Object>} `{ format, mediaInfo }` with the sniffed container and ffprobe results
+ * @throws {Error} With a code from {@link VALIDATION_ERROR_STATUS} when the file is rejected
+ */
+export async function validateVideo(filePath) {
+  const limits = getUploadLimits()
+  const { size } = await fs.stat(filePath)
+  validateSize(size)
+
+  // Check the magic bytes
+  const handle = await fs.open(filePath)
+  let header
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES)
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0)
+    header = buffer.subarray(0, bytesRead)
+  } finally {
+    await handle.close()
+  }
+
+  const format = sniffContainer(header)
+  if (!format || !limits.allowedFormats.includes(format)) {
+    throw validationError(
+      "UNSUPPORTED_FORMAT",
+      `${format ? format.toUpperCase() : "This file type"} is not supported; upload ${limits.allowedFormats.map((f) => f.toUpperCase()).join(", ")}`,
+    )
+  }
+
+  // Make sure the file actually decodes
+  let mediaInfo
+  try {
+    mediaInfo = await probe(filePath)
+  } catch (error) {
+    console.error("ffprobe failed:", error.message)
+    throw validationError("UNREADABLE_MEDIA", "The file could not be read as a video; it may be corrupt")
+  }
+
+  if (!mediaInfo.videoCodec) {
+    throw validationError("NO_VIDEO_STREAM", "The file has no video track")
+  }
+  if (!limits.allowedVideoCodecs.includes(mediaInfo.videoCodec)) {
+    throw validationError("UNSUPPORTED_VIDEO_CODEC", `The ${mediaInfo.videoCodec} video codec is not supported`)
+  }
+  if (mediaInfo.audioCodec && !limits.allowedAudioCodecs.includes(mediaInfo.audioCodec)) {
+    throw validationError("UNSUPPORTED_AUDIO_CODEC", `The ${mediaInfo.audioCodec} audio codec is not supported`)
+  }
+  if (limits.maxDurationSeconds && mediaInfo.duration > limits.maxDurationSeconds) {
+    throw validationError(
+      "DURATION_TOO_LONG",
+      `The video is ${Math.round(mediaInfo.duration)} seconds long; the maximum is ${limits.maxDurationSeconds} seconds`,
+    )
+  }
+
+  return { format, mediaInfo }
+}
@@ -0,0 +1,181 @@
+/**
+ * Player Controller
+ *
+ * Keeps the gallery to one playing video at a time and remembers where each video was
+ * left. The component rendering the player attaches its `<video>` element while it is
+ * mounted; attaching another one pauses the previous player. The position of every
+ * attached video is recorded as it plays and restored when the video is opened again,
+ * until it is watched to the end.
+ *
+ * A player that scrolls out of view (less than half of it visible, e.g. after swiping
+ * the carousel) is paused, and resumes when it comes back if the controller paused it.
+ *
+ * The controller also maps keyboard shortcuts to the attached player: space or "k" plays
+ * and pauses, the left and right arrows skip back and forward, "m" mutes and "f" toggles
+ * full screen.
+ */
+
+const VISIBILITY_THRESHOLD = 0.5 // Share of the player that must be visible for it to keep playing
+const SEEK_STEP = 5 // Seconds skipped by the arrow keys
+const RESUME_MARGIN = 1 // Positions this close to the end start the video over
+
+const PLAYER_KEYS = new Set([" ", "k", "ArrowLeft", "ArrowRight", "m", "f"]) // Keys the controller handles
+
+/**
+ * Whether a key press comes from a form field, where keys type instead of controlling playback
+ *
+ * @param {KeyboardEvent} event - The key event
+ * @returns {boolean} True for inputs, text areas, selects and editable elements
+ */
+export function isTyping(event) {
+  const target = event.target
+  return target instanceof HTMLElement && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))
+}
+
+/**
+ * Starts playback, logging a refusal (browsers may block playback with sound)
+ *
+ * @param {HTMLVideoElement} element - The player
+ */
+function play(element) {
+  element.play().catch((err) => console.error("Error playing video:", err))
+}
+
+/**
+ * Creates a player controller
+ *
+ * @returns {Object} The controller: `{ attach, handleKeyDown, disconnect }`
+ */
+export function createPlayerController() {
+  const positions = new Map() // Last known position of each video, in seconds
+  let current = null // The attached player: `{ element, videoId, pausedOffscreen }`
+
+  const observer =
+    typeof IntersectionObserver === "undefined"
+      ? null
+      : new IntersectionObserver(
+          (entries) => {
+            for (const entry of entries) {
+              if (!current || entry.target !== current.element) continue
+              const { element } = current
+              if (!entry.isIntersecting) {
+                if (!element.paused) {
+                  current.pausedOffscreen = true
+                  element.pause()
+                }
+              } else if (current.pausedOffscreen) {
+                current.pausedOffscreen = false
+                play(element)
+              }
+            }
+          },
+          { threshold: VISIBILITY_THRESHOLD },
+        )
+
+  return {
+    /**
+     * Makes a player the active one, pausing the one attached before it
+     *
+     * @param {HTMLVideoElement} element - The player
+     * @param {string} videoId - The ID of the video it plays
+     * @returns {Function} Detaches the player, keeping its position
+     */
+    attach(element, videoId) {
+      if (!element) return () => {}
+      if (current && current.element !== element) current.element.pause()
+
+      const attached = { element, videoId, pausedOffscreen: false }
+      current = attached
+
+      // Pick up where the video was left, once its duration is known
+      const restorePosition = () => {
+        const position = positions.get(videoId)
+        if (position > 0 && position < element.duration - RESUME_MARGIN) element.currentTime = position
+      }
+      const savePosition = () => {
+        if (!element.seeking) positions.set(videoId, element.currentTime)
+      }
+      const forgetPosition = () => positions.delete(videoId)
+      // The viewer pausing a player that scrolled away means it shouldn't resume by itself
+      const handlePlay = () => {
+        attached.pausedOffscreen = false
+      }
+
+      if (element.readyState >= HTMLMediaElement.HAVE_METADATA) {
+        restorePosition()
+      } else {
+        element.addEventListener("loadedmetadata", restorePosition, { once: true })
+      }
+      element.addEventListener("timeupdate", savePosition)
+      element.addEventListener("pause", savePosition)
+      element.addEventListener("ended", forgetPosition)
+      element.addEventListener("play", handlePlay)
+      observer?.observe(element)
+
+      return () => {
+        savePosition()
+        element.removeEventListener("loadedmetadata", restorePosition)
+        element.removeEventListener("timeupdate", savePosition)
+        element.removeEventListener("pause", savePosition)
+        element.removeEventListener("ended", forgetPosition)
+        element.removeEventListener("play", handlePlay)
+        observer?.unobserve(element)
+        if (current === attached) current = null
+      }
+    },
+
+    /**
+     * Applies a keyboard shortcut to the attached player
+     * Keys typed in form fields, with modifiers, or on the focused player itself (whose
+     * own controls handle them) are left alone.
+     *
+     * @param {KeyboardEvent} event - The key event
+     * @returns {boolean} Whether the key was handled
+     */
+    handleKeyDown(event) {
+      if (!current || !PLAYER_KEYS.has(event.key)) return false
+      if (isTyping(event) || event.target === current.element || event.metaKey || event.ctrlKey || event.altKey) {
+        return false
+      }
+
+      const { element } = current
+      event.preventDefault()
+      switch (event.key) {
+        case " ":
+        case "k":
+          if (element.paused) {
+            play(element)
+          } else {
+            element.pause()
+          }
+          break
+        case "ArrowLeft":
+          element.currentTime = Math.max(element.currentTime - SEEK_STEP, 0)
+          break
+        case "ArrowRight":
+          // Positions past the end are clamped by the element
+          element.currentTime += SEEK_STEP
+          break
+        case "m":
+          element.muted = !element.muted
+          break
+        case "f":
+          if (document.fullscreenElement) {
+            document.exitFullscreen().catch(() => {})
+          } else {
+            element.requestFullscreen?.().catch((err) => console.error("Error entering full screen:", err))
+          }
+          break
+      }
+      return true
+    },
+
+    /**
+     * Stops watching the players' visibility, once the gallery is gone
+     */
+    disconnect() {
+      observer?.disconnect()
+      current = null
+    },
+  }
+}
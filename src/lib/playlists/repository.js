@@ -0,0 +1,238 @@
+/**
+ * Playlist Repository
+ *
+ * Named, ordered collections of videos that any signed-in user can browse and play
+ * through, but only their owner (or an admin) can change. Records live in the
+ * "playlists" JSON collection under `DATA_DIR`.
+ *
+ * A playlist record has the shape:
+ *
+ * - `id`           stable playlist ID
+ * - `name`         display name
+ * - `description`  optional longer text (empty string when none)
+ * - `ownerId`      ID of the user who created it
+ * - `videoIds`     IDs of its videos in play order
+ * - `createdAt`    ISO creation date
+ * - `updatedAt`    ISO date of the last change
+ *
+ * Videos the viewer can't watch (see `videos/access.js`) are left out when a
+ * playlist is played, and deleted videos are removed from every playlist.
+ */
+import { randomUUID } from "crypto"
+import { getCollection } from "../db/json-collection"
+
+export const MAX_PLAYLIST_VIDEOS = 200
+export const MAX_NAME_LENGTH = 100
+export const MAX_DESCRIPTION_LENGTH = 1000
+
+/**
+ * HTTP statuses for the error codes thrown by this module
+ */
+export const PLAYLIST_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  INVALID_REQUEST: 400,
+  ALREADY_IN_PLAYLIST: 409,
+  PLAYLIST_FULL: 409,
+}
+
+const playlists = () => getCollection("playlists")
+
+/**
+ * Creates an error carrying a code the routes map to an HTTP status
+ *
+ * @param {string} code - One of the {@link PLAYLIST_ERROR_STATUS} codes
+ * @param {string} message - Human-readable description
+ * @returns {Error} The error
+ */
+function playlistError(code, message) {
+  return Object.assign(new Error(message), { code })
+}
+
+/**
+ * Validates and normalizes a playlist's name and description
+ *
+ * @param {Object} fields - `{ name, description }`; either may be undefined to leave it unchanged
+ * @returns {Object} The trimmed fields that were given
+ * @throws {Error} With code "INVALID_REQUEST" when a field is missing or too long
+ */
+export function validatePlaylistFields({ name, description }) {
+  const fields = {}
+  if (name !== undefined) {
+    fields.name = typeof name === "string" ? name.trim() : ""
+    if (!fields.name || fields.name.length > MAX_NAME_LENGTH) {
+      throw playlistError("INVALID_REQUEST", `name must be 1-${MAX_NAME_LENGTH} characters`)
+    }
+  }
+  if (description !== undefined && description !== null) {
+    if (typeof description !== "string" || description.trim().length > MAX_DESCRIPTION_LENGTH) {
+      throw playlistError("INVALID_REQUEST", `description must be at most ${MAX_DESCRIPTION_LENGTH} characters`)
+    }
+    fields.description = description.trim()
+  }
+  return fields
+}
+
+/**
+ * Creates a playlist
+ *
+ * @param {Object} fields
+ * @param {string} fields.name - Display name
+ * @param {string} [fields.description] - Longer text
+ * @param {string} fields.ownerId - ID of the creating user
+ * @returns {Promise<Object>} The stored record
+ * @throws {Error} With code "INVALID_REQUEST" when the name or description is invalid
+ */
+export async function createPlaylist({ name, description, ownerId }) {
+  const fields = validatePlaylistFields({ name: name ?? "", description })
+  const now = new Date().toISOString()
+  return playlists().insert({
+    id: randomUUID(),
+    name: fields.name,
+    description: fields.description ?? "",
+    ownerId,
+    videoIds: [],
+    createdAt: now,
+    updatedAt: now,
+  })
+}
+
+/**
+ * Fetches a playlist
+ *
+ * @param {string} id - The playlist ID
+ * @returns {Promise<Object|null>} The record, or null when it doesn't exist
+ */
+export async function getPlaylist(id) {
+  return playlists().get(id)
+}
+
+/**
+ * Lists playlists, most recently changed first
+ *
+ * @param {Object} [options]
+ * @param {string} [options.ownerId] - Only include playlists created by this user
+ * @returns {Promise<Object[]>} The records
+ */
+export async function listPlaylists({ ownerId } = {}) {
+  const records = await playlists().all()
+  return records
+    .filter((playlist) => !ownerId || playlist.ownerId === ownerId)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+}
+
+/**
+ * Updates a playlist record
+ * A `changes` function runs against the stored record at the moment of the write, and
+ * may throw to abort the update; that keeps read-check-write sequences atomic.
+ *
+ * @param {string} id - The playlist ID
+ * @param {Object|Function} changes - Fields to change, or a function receiving the record and returning them
+ * @returns {Promise<Object>} The updated record
+ * @throws {Error} With code "NOT_FOUND" when it doesn't exist
+ */
+export async function updatePlaylist(id, changes) {
+  const updated = await playlists().update(id, (playlist) => ({
+    ...(typeof changes === "function" ? changes(playlist) : changes),
+    updatedAt: new Date().toISOString(),
+  }))
+  if (!updated) {
+    throw playlistError("NOT_FOUND", "Playlist not found")
+  }
+  return updated
+}
+
+/**
+ * Deletes a playlist (its videos are left alone)
+ *
+ * @param {string} id - The playlist ID
+ * @returns {Promise<Object|null>} The removed record, or null when it didn't exist
+ */
+export async function deletePlaylist(id) {
+  return playlists().remove(id)
+}
+
+/**
+ * Adds a video to a playlist
+ *
+ * @param {string} id - The playlist ID
+ * @param {string} videoId - The video to add
+ * @param {number} [position] - Index to insert it at; appended when omitted
+ * @returns {Promise<Object>} The updated record
+ * @throws {Error} With code "NOT_FOUND", "ALREADY_IN_PLAYLIST", "PLAYLIST_FULL" or "INVALID_REQUEST"
+ */
+export async function addVideoToPlaylist(id, videoId, position) {
+  return updatePlaylist(id, ({ videoIds }) => {
+    if (videoIds.includes(videoId)) {
+      throw playlistError("ALREADY_IN_PLAYLIST", "The video is already in this playlist")
+    }
+    if (videoIds.length >= MAX_PLAYLIST_VIDEOS) {
+      throw playlistError("PLAYLIST_FULL", `Playlists can hold at most ${MAX_PLAYLIST_VIDEOS} videos`)
+    }
+    if (position !== undefined && (!Number.isInteger(position) || position < 0 || position > videoIds.length)) {
+      throw playlistError("INVALID_REQUEST", `position must be an integer between 0 and ${videoIds.length}`)
+    }
+
+    const next = [...videoIds]
+    next.splice(position ?? next.length, 0, videoId)
+    return { videoIds: next }
+  })
+}
+
+/**
+ * Removes a video from a playlist
+ *
+ * @param {string} id - The playlist ID
+ * @param {string} videoId - The video to remove
+ * @returns {Promise<Object>} The updated record
+ * @throws {Error} With code "NOT_FOUND" when the playlist doesn't exist or doesn't contain the video
+ */
+export async function removeVideoFromPlaylist(id, videoId) {
+  return updatePlaylist(id, ({ videoIds }) => {
+    if (!videoIds.includes(videoId)) {
+      throw playlistError("NOT_FOUND", "The video is not in this playlist")
+    }
+    return { videoIds: videoIds.filter((other) => other !== videoId) }
+  })
+}
+
+/**
+ * Puts a playlist's videos in a new order
+ * The listed videos are rearranged among the positions they already hold, so a client
+ * that can't see every video (e.g. another user's that became private) can still
+ * reorder the rest without moving them.
+ *
+ * @param {string} id - The playlist ID
+ * @param {string[]} videoIds - Video IDs of the playlist, each at most once, in their new order
+ * @returns {Promise<Object>} The updated record
+ * @throws {Error} With code "NOT_FOUND", or "INVALID_REQUEST" when an ID is repeated or not in the playlist
+ */
+export async function reorderPlaylist(id, videoIds) {
+  return updatePlaylist(id, (playlist) => {
+    const listed = new Set(Array.isArray(videoIds) ? videoIds : [])
+    if (
+      !Array.isArray(videoIds) ||
+      listed.size !== videoIds.length ||
+      !videoIds.every((videoId) => playlist.videoIds.includes(videoId))
+    ) {
+      throw playlistError("INVALID_REQUEST", "videoIds must list videos in the playlist, each at most once")
+    }
+
+    const reordered = [...videoIds]
+    return { videoIds: playlist.videoIds.map((videoId) => (listed.has(videoId) ? reordered.shift() : videoId)) }
+  })
+}
+
+/**
+ * Removes a deleted video from every playlist that contains it
+ *
+ * @param {string} videoId - The deleted video's ID
+ * @returns {Promise<void>} Resolves once the playlists are updated
+ */
+export async function removeVideoFromPlaylists(videoId) {
+  const containing = (await playlists().all()).filter((playlist) => playlist.videoIds.includes(videoId))
+  for (const playlist of containing) {
+    await playlists().update(playlist.id, ({ videoIds }) => ({
+      videoIds: videoIds.filter((other) => other !== videoId),
+    }))
+  }
+}
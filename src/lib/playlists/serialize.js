@@ -0,0 +1,18 @@
+/**
+ * Playlist Serialization
+ *
+ * Converts stored playlist records into the shape returned by the API. Video IDs
+ * aren't included, since a playlist may hold private videos the viewer can't see;
+ * clients fetch the videos themselves from `/api/playlists/:id/videos`.
+ */
+
+/**
+ * Converts a playlist record into its API representation
+ *
+ * @param {Object} playlist - The stored playlist record
+ * @returns {Object} The playlist as returned to clients, with its `videoCount`
+ */
+export function serializePlaylist(playlist) {
+  const { videoIds, ...fields } = playlist
+  return { ...fields, videoCount: videoIds.length }
+}
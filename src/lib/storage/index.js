@@ -0,0 +1,98 @@
+/**
+ * Storage Adapter
+ *
+ * Route handlers talk to storage only through the driver returned by `getStorage()`,
+ * so the backing store can be swapped without touching them. Every driver implements:
+ *
+ * - `put(pathname, body, options)`  stores a Buffer or Readable stream under `pathname` and resolves with a {@link StoredBlob}
+ * - `list(options)`                 resolves with one page of blobs: `{ blobs, cursor, hasMore }`
+ * - `get(pathname, options)`        resolves with `{ stream, size, contentType, range }` or null when missing
+ * - `delete(pathname)`              removes the blob, ignoring pathnames that don't exist
+ *
+ * Pathnames are stored as-is: drivers never add random suffixes, so a pathname
+ * always identifies the same blob across drivers.
+ *
+ * The driver is picked with `STORAGE_DRIVER` ("vercel-blob" or "local"). When it is
+ * unset, Vercel Blob is used if `BLOB_READ_WRITE_TOKEN` is present, otherwise the
+ * local filesystem driver.
+ */
+import { createWriteStream } from "fs"
+import { pipeline } from "stream/promises"
+import { createLocalStorage } from "./local"
+import { createVercelBlobStorage } from "./vercel-blob"
+
+/**
+ * @typedef {Object} StoredBlob
+ * @property {string} pathname - The pathname the blob is stored under
+ * @property {string} url - URL the blob can be fetched from by the browser
+ * @property {number} size - Size in bytes
+ * @property {string} contentType - MIME type of the blob
+ * @property {Date} [uploadedAt] - When the blob was written
+ */
+
+let storage = null
+
+/**
+ * Returns the configured storage driver, creating it on first use
+ *
+ * @returns {Object} The storage driver
+ */
+export function getStorage() {
+  if (!storage) {
+    storage = createStorage(process.env.STORAGE_DRIVER || (process.env.BLOB_READ_WRITE_TOKEN ? "vercel-blob" : "local"))
+  }
+  return storage
+}
+
+/**
+ * Copies a stored blob to a file on disk, for tools that can only read files
+ *
+ * @param {string} pathname - The storage pathname
+ * @param {string} filePath - Path of the file to write
+ * @returns {Promise<void>} Resolves once the file is written
+ */
+export async function downloadToFile(pathname, filePath) {
+  const file = await getStorage().get(pathname)
+  if (!file) {
+    throw new Error(`Blob not found: ${pathname}`)
+  }
+  await pipeline(file.stream, createWriteStream(filePath))
+}
+
+/**
+ * Deletes every blob whose pathname starts with a prefix
+ *
+ * @param {string} prefix - The pathname prefix (include a trailing slash to match a folder)
+ * @returns {Promise<void>} Resolves once all matching blobs are deleted
+ */
+export async function deletePrefix(prefix) {
+  const storage = getStorage()
+  let cursor
+  do {
+    const page = await storage.list({ prefix, cursor })
+    for (const blob of page.blobs) {
+      await storage.delete(blob.pathname)
+    }
+    cursor = page.hasMore ? page.cursor : undefined
+  } while (cursor)
+}
+
+/**
+ * Creates a storage driver by name
+ *
+ * @param {string} driver - The driver name ("vercel-blob" or "local")
+ * @returns {Object} The storage driver
+ */
+function createStorage(driver) {
+  switch (driver) {
+    case "vercel-blob":
+      return createVercelBlobStorage({ token: process.env.BLOB_READ_WRITE_TOKEN })
+    case "local":
+      return createLocalStorage({
+        root: process.env.LOCAL_STORAGE_DIR || ".storage",
+        baseUrl: "/api/files",
+      })
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`)
+  }
+}
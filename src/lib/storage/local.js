@@ -0,0 +1,140 @@
+/**
+ * Local Filesystem Storage Driver
+ *
+ * Stores blobs as plain files under a root directory. Files are served to the
+ * browser by the `/api/files/[...path]` route, so the gallery runs fully offline.
+ */
+import { createReadStream, createWriteStream } from "fs"
+import fs from "fs/promises"
+import path from "path"
+import { Readable } from "stream"
+import { pipeline } from "stream/promises"
+import { contentTypeFor } from "./mime"
+
+/**
+ * Creates a storage driver backed by the local filesystem
+ *
+ * @param {Object} options
+ * @param {string} options.root - Directory the blobs are stored in (relative paths resolve from the working directory)
+ * @param {string} options.baseUrl - URL prefix the files route is mounted at
+ * @returns {Object} The storage driver
+ */
+export function createLocalStorage({ root, baseUrl }) {
+  const rootDir = path.resolve(root)
+
+  /**
+   * Maps a pathname to an absolute file path, refusing anything outside the root
+   *
+   * @param {string} pathname - The storage pathname
+   * @returns {string} The absolute file path
+   */
+  const resolvePath = (pathname) => {
+    const filePath = path.resolve(rootDir, pathname)
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage pathname: ${pathname}`)
+    }
+    return filePath
+  }
+
+  const urlFor = (pathname) => `${baseUrl}/${pathname.split("/").map(encodeURIComponent).join("/")}`
+
+  /**
+   * Recursively collects the pathnames of all files below a directory
+   *
+   * @param {string} dir - Absolute directory to walk
+   * @returns {Promise<string[]>} Pathnames relative to the root, using forward slashes
+   */
+  const walk = async (dir) => {
+    let entries
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true })
+    } catch (error) {
+      if (error.code === "ENOENT") return []
+      throw error
+    }
+
+    const pathnames = []
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name)
+      if (entry.isDirectory()) {
+        pathnames.push(...(await walk(entryPath)))
+      } else if (entry.isFile()) {
+        pathnames.push(path.relative(rootDir, entryPath).split(path.sep).join("/"))
+      }
+    }
+    return pathnames
+  }
+
+  return {
+    name: "local",
+
+    async put(pathname, body, { contentType } = {}) {
+      const filePath = resolvePath(pathname)
+      await fs.mkdir(path.dirname(filePath), { recursive: true })
+      if (Buffer.isBuffer(body)) {
+        await fs.writeFile(filePath, body)
+      } else {
+        await pipeline(body, createWriteStream(filePath))
+      }
+
+      return {
+        pathname,
+        url: urlFor(pathname),
+        size: (await fs.stat(filePath)).size,
+        contentType: contentType || contentTypeFor(pathname),
+        uploadedAt: new Date(),
+      }
+    },
+
+    async list({ prefix = "", cursor, limit = 1000 } = {}) {
+      const pathnames = (await walk(rootDir))
+        .filter((pathname) => pathname.startsWith(prefix) && (!cursor || pathname > cursor))
+        .sort()
+
+      const page = pathnames.slice(0, limit)
+      const blobs = await Promise.all(
+        page.map(async (pathname) => {
+          const stats = await fs.stat(resolvePath(pathname))
+          return {
+            pathname,
+            url: urlFor(pathname),
+            size: stats.size,
+            contentType: contentTypeFor(pathname),
+            uploadedAt: stats.mtime,
+          }
+        }),
+      )
+
+      const hasMore = pathnames.length > limit
+      return { blobs, cursor: hasMore ? page[page.length - 1] : undefined, hasMore }
+    },
+
+    async get(pathname, { range } = {}) {
+      const filePath = resolvePath(pathname)
+      let stats
+      try {
+        stats = await fs.stat(filePath)
+      } catch (error) {
+        if (error.code === "ENOENT") return null
+        throw error
+      }
+      if (!stats.isFile()) return null
+
+      // Clamp the requested byte range to the file
+      const start = range ? range.start : 0
+      const end = range && range.end !== undefined ? Math.min(range.end, stats.size - 1) : stats.size - 1
+
+      return {
+        // An unsatisfiable range (or an empty file) yields an empty stream
+        stream: start <= end ? createReadStream(filePath, { start, end }) : Readable.from([]),
+        size: stats.size,
+        contentType: contentTypeFor(pathname),
+        range: range ? { start, end } : null,
+      }
+    },
+
+    async delete(pathname) {
+      await fs.rm(resolvePath(pathname), { force: true })
+    },
+  }
+}
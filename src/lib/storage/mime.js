@@ -0,0 +1,35 @@
+/**
+ * Content type lookup for stored media
+ *
+ * Storage drivers that don't persist a content type alongside the file (such as the
+ * local filesystem driver) infer it from the pathname extension.
+ */
+
+const CONTENT_TYPES = {
+  ".mp4": "video/mp4",
+  ".m4v": "video/mp4",
+  ".mov": "video/quicktime",
+  ".webm": "video/webm",
+  ".avi": "video/x-msvideo",
+  ".mkv": "video/x-matroska",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+  ".gif": "image/gif",
+  ".json": "application/json",
+  ".m3u8": "application/vnd.apple.mpegurl",
+  ".ts": "video/mp2t",
+  ".vtt": "text/vtt",
+}
+
+/**
+ * Returns the content type for a pathname based on its extension
+ *
+ * @param {string} pathname - The storage pathname or filename
+ * @returns {string} The matching content type, or "application/octet-stream" when unknown
+ */
+export function contentTypeFor(pathname) {
+  const match = /\.[^./]+$/.exec(pathname.toLowerCase())
+  return (match && CONTENT_TYPES[match[0]]) || "application/octet-stream"
+}
@@ -0,0 +1,67 @@
+/**
+ * Serving Stored Files
+ *
+ * Streams a blob from the configured storage driver as an HTTP response, with
+ * byte-range support so the browser can seek within videos. Shared by the routes
+ * that serve storage to the browser (`/api/files` and `/api/media`).
+ */
+import { Readable } from "stream"
+import { getStorage } from "./index"
+
+/**
+ * Parses a single-range `Range` header ("bytes=start-end")
+ * Suffix ranges ("bytes=-500") are ignored and the whole file is served instead
+ *
+ * @param {string|null} header - The Range header value
+ * @returns {Object|null} The requested `{ start, end }`, or null when absent or unsupported
+ */
+function parseRange(header) {
+  const match = /^bytes=(\d+)-(\d*)$/.exec(header || "")
+  if (!match) return null
+  return { start: Number(match[1]), end: match[2] === "" ? undefined : Number(match[2]) }
+}
+
+/**
+ * Responds with a stored file, or the byte range the request asked for
+ *
+ * @param {Request} req - The incoming request
+ * @param {string} pathname - The storage pathname
+ * @param {Object} options
+ * @param {string} options.cacheControl - The Cache-Control header to send with the file
+ * @returns {Promise<Response>} The file contents, a partial range, or a 404/416 response
+ */
+export async function serveStoredFile(req, pathname, { cacheControl }) {
+  const file = await getStorage().get(pathname, { range: parseRange(req.headers.get("range")) })
+  if (!file) {
+    return Response.json({ error: "Not found" }, { status: 404 })
+  }
+
+  // Ranges starting past the end of the file, or ending before they start, can't be served
+  if (file.range && (file.range.start >= file.size || file.range.start > file.range.end)) {
+    file.stream.destroy()
+    return new Response(null, { status: 416, headers: { "Content-Range": `bytes */${file.size}` } })
+  }
+
+  const headers = {
+    "Content-Type": file.contentType,
+    "Accept-Ranges": "bytes",
+    "Cache-Control": cacheControl,
+  }
+
+  if (file.range) {
+    const { start, end } = file.range
+    return new Response(Readable.toWeb(file.stream), {
+      status: 206,
+      headers: {
+        ...headers,
+        "Content-Range": `bytes ${start}-${end}/${file.size}`,
+        "Content-Length": String(end - start + 1),
+      },
+    })
+  }
+
+  return new Response(Readable.toWeb(file.stream), {
+    status: 200,
+    headers: { ...headers, "Content-Length": String(file.size) },
+  })
+}
@@ -0,0 +1,78 @@
+/**
+ * Signed Media URLs
+ *
+ * Files that must not be world-readable are served by `/api/media` instead of their
+ * storage URL. Each URL carries an expiry and an HMAC (see `auth/signing.js`) over a
+ * scope, which is a pathname prefix:
+ *
+ *   /api/media/<expires>.<scope length>.<signature>/<pathname>
+ *
+ * A URL grants access to every pathname starting with its scope until it expires.
+ * Scoping a URL to a folder keeps relative references working, so an HLS playlist
+ * signed for its folder can load its renditions and segments with the same token.
+ * URLs last `MEDIA_URL_TTL_SECONDS` (default 3600).
+ */
+import { isValidSignature, signature } from "../auth/signing"
+
+const BASE_URL = "/api/media"
+
+/**
+ * Returns how long signed URLs stay valid
+ *
+ * @returns {number} The lifetime in seconds
+ */
+export function mediaUrlTtl() {
+  return Number(process.env.MEDIA_URL_TTL_SECONDS) || 60 * 60
+}
+
+/**
+ * Returns the value signed for a scope and expiry
+ * The "media:" prefix keeps these signatures apart from any other signed value.
+ *
+ * @param {string} scope - The pathname prefix
+ * @param {number} expires - Expiry as a Unix timestamp in seconds
+ * @returns {string} The value to sign
+ */
+function signedValue(scope, expires) {
+  return `media:${expires}:${scope}`
+}
+
+/**
+ * Creates a signed URL for a stored file
+ *
+ * @param {string} pathname - The storage pathname
+ * @param {Object} [options]
+ * @param {string} [options.scope] - Pathname prefix the URL grants access to (defaults to just `pathname`)
+ * @param {number} [options.expires] - Expiry as a Unix timestamp in seconds (defaults to now plus the TTL)
+ * @returns {string} The URL
+ */
+export function signMediaUrl(pathname, { scope = pathname, expires } = {}) {
+  if (!pathname.startsWith(scope)) {
+    throw new Error(`Pathname ${pathname} is outside the signed scope ${scope}`)
+  }
+  expires ??= Math.floor(Date.now() / 1000) + mediaUrlTtl()
+  const token = `${expires}.${scope.length}.${signature(signedValue(scope, expires))}`
+  return `${BASE_URL}/${token}/${pathname.split("/").map(encodeURIComponent).join("/")}`
+}
+
+/**
+ * Checks the token of a signed URL against the requested pathname
+ *
+ * @param {string} token - The `<expires>.<scope length>.<signature>` path segment
+ * @param {string} pathname - The decoded storage pathname that was requested
+ * @returns {Object|null} `{ expires }` when the URL is valid, or null when it is malformed, tampered with or expired
+ */
+export function verifyMediaToken(token, pathname) {
+  const match = /^(\d+)\.(\d+)\.([\w-]+)$/.exec(String(token))
+  if (!match) return null
+
+  // Dot segments could otherwise climb out of the signed folder
+  if (pathname.split("/").some((segment) => segment === "" || segment === "." || segment === "..")) return null
+
+  const expires = Number(match[1])
+  const scopeLength = Number(match[2])
+  if (expires <= Date.now() / 1000 || scopeLength > pathname.length) return null
+
+  const scope = pathname.slice(0, scopeLength)
+  return isValidSignature(signedValue(scope, expires), match[3]) ? { expires } : null
+}
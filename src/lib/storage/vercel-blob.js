@@ -0,0 +1,114 @@
+/**
+ * Vercel Blob Storage Driver
+ *
+ * Stores blobs in Vercel Blob storage. Blobs are public and served straight
+ * from the Blob CDN, so `url` can be handed to the browser as-is. Private videos
+ * rely on their unguessable pathnames instead: their blob URLs never leave the
+ * server, which streams them through signed `/api/media` URLs. A video's files are
+ * moved to a new folder when it becomes private, so URLs handed out before then stop working.
+ */
+import { Readable } from "stream"
+import { put, list, del, head } from "@vercel/blob"
+import { contentTypeFor } from "./mime"
+
+/**
+ * Creates a storage driver backed by Vercel Blob
+ *
+ * @param {Object} options
+ * @param {string} options.token - The `BLOB_READ_WRITE_TOKEN` for the store
+ * @returns {Object} The storage driver
+ */
+export function createVercelBlobStorage({ token }) {
+  if (!token) {
+    throw new Error("Missing BLOB_READ_WRITE_TOKEN for the vercel-blob storage driver")
+  }
+
+  /**
+   * Looks up a blob by its exact pathname
+   * Vercel Blob addresses blobs by URL, so the pathname is resolved through a prefix listing
+   *
+   * @param {string} pathname - The storage pathname
+   * @returns {Promise<Object|null>} The listed blob, or null when it doesn't exist
+   */
+  const find = async (pathname) => {
+    const { blobs } = await list({ prefix: pathname, limit: 10, token })
+    return blobs.find((blob) => blob.pathname === pathname) || null
+  }
+
+  return {
+    name: "vercel-blob",
+
+    async put(pathname, body, { contentType } = {}) {
+      const blob = await put(pathname, body, {
+        access: "public",
+        addRandomSuffix: false,
+        contentType: contentType || contentTypeFor(pathname),
+        token,
+      })
+
+      return {
+        pathname: blob.pathname,
+        url: blob.url,
+        // Streamed bodies have no length up front, so ask the store
+        size: Buffer.isBuffer(body) ? body.length : (await head(blob.url, { token })).size,
+        contentType: blob.contentType,
+        uploadedAt: new Date(),
+      }
+    },
+
+    async list({ prefix, cursor, limit = 1000 } = {}) {
+      const result = await list({ prefix, cursor, limit, token })
+
+      return {
+        blobs: result.blobs.map((blob) => ({
+          pathname: blob.pathname,
+          url: blob.url,
+          size: blob.size,
+          contentType: contentTypeFor(blob.pathname),
+          uploadedAt: blob.uploadedAt,
+        })),
+        cursor: result.cursor,
+        hasMore: result.hasMore,
+      }
+    },
+
+    async get(pathname, { range } = {}) {
+      const blob = await find(pathname)
+      if (!blob) return null
+
+      const end = range ? Math.min(range.end ?? blob.size - 1, blob.size - 1) : blob.size - 1
+      // An unsatisfiable range yields an empty stream, as with the local driver, so the caller can answer 416
+      const unsatisfiable = {
+        stream: Readable.from([]),
+        size: blob.size,
+        contentType: contentTypeFor(pathname),
+        range: range ? { start: range.start, end } : null,
+      }
+      if (range && range.start > end) return unsatisfiable
+
+      const headers = range ? { Range: `bytes=${range.start}-${range.end ?? ""}` } : {}
+      const response = await fetch(blob.url, { headers })
+      // The blob may have shrunk since it was listed; an empty range still marks it unsatisfiable
+      if (range && response.status === 416) {
+        return { ...unsatisfiable, range: { start: range.start, end: range.start - 1 } }
+      }
+      if (!response.ok) {
+        throw new Error(`Failed to download blob ${pathname}: ${response.status}`)
+      }
+
+      return {
+        stream: Readable.fromWeb(response.body),
+        size: blob.size,
+        contentType: response.headers.get("content-type") || contentTypeFor(pathname),
+        range: range ? { start: range.start, end } : null,
+      }
+    },
+
+    async delete(pathname) {
+      const blob = await find(pathname)
+      if (blob) {
+        await del(blob.url, { token })
+      }
+    },
+  }
+}
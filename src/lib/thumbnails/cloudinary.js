@@ -0,0 +1,86 @@
+/**
+ * Cloudinary Thumbnail Provider
+ *
+ * Uploads the video to Cloudinary and downloads eagerly generated frames and
+ * animated preview.
+ * Requires the CLOUDINARY_* environment variables and network access.
+ */
+import { v2 as cloudinary } from "cloudinary"
+
+const PREVIEW_FPS = 10
+
+/**
+ * Downloads a generated image
+ *
+ * @param {string} url - The Cloudinary URL of the image
+ * @returns {Promise<Buffer>} The image data
+ */
+async function download(url) {
+  const response = await fetch(url)
+  if (!response.ok) {
+    throw new Error(`Failed to download Cloudinary thumbnail: ${response.status}`)
+  }
+  return Buffer.from(await response.arrayBuffer())
+}
+
+/**
+ * Creates the Cloudinary thumbnail provider
+ *
+ * @returns {Object} Provider with a `generate(inputPath, options)` method
+ */
+export function createCloudinaryThumbnailProvider() {
+  // Configure Cloudinary with environment variables
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+  })
+
+  return {
+    name: "cloudinary",
+
+    async generate(inputPath, { offsets, width, height, crop, preview }) {
+      const eager = offsets.map((offset) => ({
+        format: "jpg",
+        transformation: [{ width, height, crop }, { start_offset: String(offset) }],
+      }))
+      if (preview) {
+        eager.push({
+          format: preview.format,
+          transformation: [
+            { width: preview.width, crop: "scale" },
+            { start_offset: String(preview.start), duration: String(preview.seconds) },
+            { flags: preview.format === "webp" ? "awebp" : "animated", fps: PREVIEW_FPS },
+          ],
+        })
+      }
+
+      // Upload video to Cloudinary for thumbnail generation
+      const uploadResponse = await new Promise((resolve, reject) => {
+        cloudinary.uploader.upload(
+          inputPath,
+          {
+            resource_type: "video",
+            eager,
+            eager_async: false,
+          },
+          (error, result) => {
+            if (error) {
+              console.error("Cloudinary upload error:", error)
+              reject(error)
+            } else {
+              resolve(result)
+            }
+          },
+        )
+      })
+
+      // Download the frames and preview from Cloudinary
+      const [previewBuffer, ...frames] = await Promise.all([
+        preview ? download(uploadResponse.eager[offsets.length].secure_url).catch(() => null) : null,
+        ...offsets.map((offset, index) => download(uploadResponse.eager[index].secure_url)),
+      ])
+      return { frames, preview: previewBuffer }
+    },
+  }
+}
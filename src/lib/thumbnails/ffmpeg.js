@@ -0,0 +1,126 @@
+/**
+ * ffmpeg Thumbnail Provider
+ *
+ * Extracts frames and the animated preview with the bundled ffmpeg binary, so
+ * thumbnails are generated on the server without any external service.
+ */
+import fs from "fs/promises"
+import path from "path"
+import ffmpeg, { runCommand } from "../media/ffmpeg"
+import { withTempDir } from "../media/temp"
+
+const PREVIEW_FPS = 10
+
+/**
+ * Builds the video filter that resizes a frame according to the crop mode
+ *
+ * @param {Object} options
+ * @param {number} options.width - Target width in pixels
+ * @param {number} options.height - Target height in pixels
+ * @param {string} options.crop - "fill", "fit", "pad" or "scale"
+ * @returns {string} The ffmpeg filter graph
+ */
+function buildFilter({ width, height, crop }) {
+  switch (crop) {
+    case "fit":
+      // Fit inside the box, keeping the aspect ratio
+      return `scale=${width}:${height}:force_original_aspect_ratio=decrease`
+    case "pad":
+      // Fit inside the box and letterbox the rest
+      return `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`
+    case "scale":
+      // Stretch to the exact size
+      return `scale=${width}:${height}`
+    default:
+      // Cover the box and crop the overflow from the center
+      return `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}`
+  }
+}
+
+/**
+ * Extracts one JPEG frame at the given offset
+ *
+ * @param {string} inputPath - Path to the video file
+ * @param {string} outputPath - Path to write the JPEG to
+ * @param {Object} options - Offset, size and crop options
+ * @returns {Promise<boolean>} True when a frame was written
+ */
+async function extractFrame(inputPath, outputPath, options) {
+  const command = ffmpeg(inputPath)
+    .inputOptions(["-ss", String(options.offset)])
+    .videoFilter(buildFilter(options))
+    .outputOptions(["-frames:v", "1", "-q:v", "2"])
+
+  await runCommand(command, outputPath)
+
+  // ffmpeg exits cleanly without writing a frame when the offset is past the end
+  const stats = await fs.stat(outputPath).catch(() => null)
+  return Boolean(stats && stats.size > 0)
+}
+
+/**
+ * Encodes a short, silent animated preview
+ * GIFs get a palette built from the clip itself, since the default one bands badly.
+ *
+ * @param {string} inputPath - Path to the video file
+ * @param {string} outputPath - Path to write the preview to
+ * @param {Object} preview - `{ start, seconds, width, format }`
+ * @returns {Promise<boolean>} True when a preview was written
+ */
+async function encodePreview(inputPath, outputPath, { start, seconds, width, format }) {
+  const scale = `fps=${PREVIEW_FPS},scale=${width}:-2:flags=lanczos`
+  const command = ffmpeg(inputPath)
+    .inputOptions(["-ss", String(start), "-t", String(seconds)])
+    .noAudio()
+    .outputOptions(["-loop", "0"])
+
+  if (format === "gif") {
+    command.complexFilter(`[0:v]${scale},split[a][b];[a]palettegen[p];[b][p]paletteuse`)
+  } else {
+    command.videoFilter(scale).outputOptions(["-c:v", "libwebp_anim", "-quality", "60"])
+  }
+
+  await runCommand(command, outputPath)
+  const stats = await fs.stat(outputPath).catch(() => null)
+  return Boolean(stats && stats.size > 0)
+}
+
+/**
+ * Creates the ffmpeg thumbnail provider
+ *
+ * @returns {Object} Provider with a `generate(inputPath, options)` method
+ */
+export function createFfmpegThumbnailProvider() {
+  return {
+    name: "ffmpeg",
+
+    async generate(inputPath, { offsets, preview, ...options }) {
+      return withTempDir(async (dir) => {
+        const frames = []
+        for (const [index, offset] of offsets.entries()) {
+          const outputPath = path.join(dir, `frame-${index}.jpg`)
+
+          // Short clips may end before the offset, so the first candidate falls back to the first frame
+          let extracted = await extractFrame(inputPath, outputPath, { ...options, offset })
+          if (!extracted && index === 0 && offset > 0) {
+            extracted = await extractFrame(inputPath, outputPath, { ...options, offset: 0 })
+          }
+          frames.push(extracted ? await fs.readFile(outputPath) : null)
+        }
+
+        // A missing preview only loses the hover animation, so it never fails the upload
+        let previewBuffer = null
+        if (preview) {
+          const outputPath = path.join(dir, `preview.${preview.format}`)
+          const encoded = await encodePreview(inputPath, outputPath, preview).catch((error) => {
+            console.error("Preview encoding failed:", error.message)
+            return false
+          })
+          previewBuffer = encoded ? await fs.readFile(outputPath) : null
+        }
+
+        return { frames, preview: previewBuffer }
+      })
+    },
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * Thumbnail Generation
+ *
+ * Generates thumbnails for a video file on disk: several candidate JPEG frames the
+ * owner can pick the poster from, and a short animated preview shown on hover. The
+ * provider is picked with `THUMBNAIL_PROVIDER`: "ffmpeg" (default) runs locally with
+ * the bundled binary, "cloudinary" uses the Cloudinary API. Both accept the same options:
+ *
+ * - `offset`          seconds into the video of the first candidate (`THUMBNAIL_OFFSET`, default 2)
+ * - `width`           frame width in pixels (`THUMBNAIL_WIDTH`, default 640)
+ * - `height`          frame height in pixels (`THUMBNAIL_HEIGHT`, default 360)
+ * - `crop`            "fill", "fit", "pad" or "scale" (`THUMBNAIL_CROP`, default "fill")
+ * - `candidates`      number of candidate frames (`THUMBNAIL_CANDIDATES`, default 4); the rest
+ *                     are spread evenly through the video, so a black intro can be skipped
+ * - `previewSeconds`  length of the animated preview (`THUMBNAIL_PREVIEW_SECONDS`, default 3; 0 turns it off)
+ * - `previewWidth`    preview width in pixels (`THUMBNAIL_PREVIEW_WIDTH`, default 320)
+ * - `previewFormat`   "webp" or "gif" (`THUMBNAIL_PREVIEW_FORMAT`, default "webp")
+ *
+ * Providers implement `generate(inputPath, { offsets, width, height, crop, preview })` and
+ * resolve with `{ frames, preview }`: one JPEG Buffer (or null when none could be taken)
+ * per offset, and the preview Buffer or null. `preview` is `{ start, seconds, width, format }`
+ * or null when no preview is wanted.
+ */
+import { createCloudinaryThumbnailProvider } from "./cloudinary"
+import { createFfmpegThumbnailProvider } from "./ffmpeg"
+
+const CROP_MODES = ["fill", "fit", "pad", "scale"]
+const PREVIEW_FORMATS = ["webp", "gif"]
+
+let provider = null
+
+/**
+ * Returns the configured thumbnail provider, creating it on first use
+ *
+ * @returns {Object} The thumbnail provider
+ */
+function getProvider() {
+  if (!provider) {
+    const name = process.env.THUMBNAIL_PROVIDER || "ffmpeg"
+    switch (name) {
+      case "ffmpeg":
+        provider = createFfmpegThumbnailProvider()
+        break
+      case "cloudinary":
+        provider = createCloudinaryThumbnailProvider()
+        break
+      default:
+        throw new Error(`Unknown thumbnail provider: ${name}`)
+    }
+  }
+  return provider
+}
+
+/**
+ * Resolves thumbnail options, filling in defaults from the environment
+ *
+ * @param {Object} [options] - Options overriding the configured defaults
+ * @returns {Object} Complete `{ offset, width, height, crop }` options
+ */
+export function resolveThumbnailOptions(options = {}) {
+  const resolved = {
+    offset: Number(options.offset ?? process.env.THUMBNAIL_OFFSET ?? 2),
+    width: Number(options.width ?? process.env.THUMBNAIL_WIDTH ?? 640),
+    height: Number(options.height ?? process.env.THUMBNAIL_HEIGHT ?? 360),
+    crop: options.crop ?? process.env.THUMBNAIL_CROP ?? "fill",
+    candidates: Math.max(1, Math.floor(Number(options.candidates ?? process.env.THUMBNAIL_CANDIDATES ?? 4)) || 1),
+    previewSeconds: Number(options.previewSeconds ?? process.env.THUMBNAIL_PREVIEW_SECONDS ?? 3),
+    previewWidth: Number(options.previewWidth ?? process.env.THUMBNAIL_PREVIEW_WIDTH ?? 320),
+    previewFormat: options.previewFormat ?? process.env.THUMBNAIL_PREVIEW_FORMAT ?? "webp",
+  }
+
+  if (!CROP_MODES.includes(resolved.crop)) {
+    throw new Error(`Unknown thumbnail crop mode: ${resolved.crop}`)
+  }
+  if (!PREVIEW_FORMATS.includes(resolved.previewFormat)) {
+    throw new Error(`Unknown thumbnail preview format: ${resolved.previewFormat}`)
+  }
+  return resolved
+}
+
+/**
+ * Picks the offsets of the candidate frames
+ * The first is the configured offset (or the first frame when the video is shorter) and
+ * becomes the default poster; the others are spread evenly through the video.
+ *
+ * @param {number|null} duration - The video's duration in seconds, null when unknown
+ * @param {Object} options - Resolved options (uses `offset` and `candidates`)
+ * @returns {number[]} Offsets in seconds
+ */
+function candidateOffsets(duration, { offset, candidates }) {
+  if (!duration) return [offset]
+
+  const offsets = [offset < duration ? offset : 0]
+  for (let index = 1; index < candidates; index++) {
+    offsets.push(Math.round(((duration * index) / candidates) * 100) / 100)
+  }
+  return [...new Set(offsets)]
+}
+
+/**
+ * Works out which part of the video the animated preview shows
+ * It starts at the configured offset, moved earlier when the video would end first.
+ *
+ * @param {number|null} duration - The video's duration in seconds, null when unknown
+ * @param {Object} options - Resolved options
+ * @returns {Object|null} `{ start, seconds, width, format }`, or null when previews are turned off
+ */
+function previewWindow(duration, { offset, previewSeconds, previewWidth, previewFormat }) {
+  if (!(previewSeconds > 0)) return null
+  const seconds = duration ? Math.min(previewSeconds, duration) : previewSeconds
+  const start = duration ? Math.max(0, Math.min(offset, duration - seconds)) : 0
+  return { start, seconds, width: previewWidth, format: previewFormat }
+}
+
+/**
+ * Generates the candidate frames and animated preview for a video file
+ *
+ * @param {string} inputPath - Path to the video file on disk
+ * @param {number|null} duration - The video's duration in seconds, used to spread the candidates
+ * @param {Object} [options] - Options overriding the configured defaults (see module docs)
+ * @returns {Promise<Object>} `{ frames, preview }`: the frames as `{ offset, buffer }` in order, and the
+ *   preview as `{ buffer, format }` or null
+ * @throws {Error} When not a single frame could be extracted
+ */
+export async function generateThumbnails(inputPath, duration, options) {
+  const resolved = resolveThumbnailOptions(options)
+  const offsets = candidateOffsets(duration, resolved)
+  const preview = previewWindow(duration, resolved)
+
+  const result = await getProvider().generate(inputPath, { ...resolved, offsets, preview })
+
+  const frames = offsets
+    .map((offset, index) => ({ offset, buffer: result.frames[index] }))
+    .filter((frame) => frame.buffer)
+  if (frames.length === 0) {
+    throw new Error("No thumbnail frame could be extracted")
+  }
+
+  return { frames, preview: preview && result.preview ? { buffer: result.preview, format: preview.format } : null }
+}
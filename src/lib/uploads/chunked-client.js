@@ -0,0 +1,205 @@
+/**
+ * Chunked Upload Client
+ *
+ * Browser side of the chunked upload protocol (see `sessions.js`). Each file's
+ * session ID is remembered in localStorage, so selecting the same file again after
+ * a reload resumes the upload instead of starting over. Failed chunks are retried
+ * with exponential backoff.
+ */
+
+const MAX_ATTEMPTS = 5 // Attempts per chunk before giving up
+const RETRY_BASE_DELAY = 500 // Milliseconds before the first retry, doubled after each failure
+const STORAGE_PREFIX = "chunked-upload:"
+
+/**
+ * Creates an error for a failed HTTP response
+ *
+ * @param {number} status - The HTTP status
+ * @param {Object} [body] - The parsed response body, carrying `error` and, for rejected files, `code`
+ * @returns {Error} Error with `status` and `code` properties
+ */
+function httpError(status, body) {
+  return Object.assign(new Error(body?.error || `HTTP Error: ${status}`), { status, code: body?.code ?? null })
+}
+
+/**
+ * Whether a failed request is worth retrying
+ * Client errors (other than timeouts and rate limits) will fail the same way again.
+ *
+ * @param {Error} error - The error from the failed attempt
+ * @returns {boolean} True when the request should be retried
+ */
+function isRetryable(error) {
+  if (error.name === "AbortError") return false
+  return !error.status || error.status >= 500 || error.status === 408 || error.status === 429
+}
+
+/**
+ * Waits before the next attempt, stopping early when aborted
+ *
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [signal] - Signal that cancels the wait
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms)
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer)
+        reject(new DOMException("Upload cancelled", "AbortError"))
+      },
+      { once: true },
+    )
+  })
+}
+
+/**
+ * Sends a JSON request to the upload API
+ *
+ * @param {string} url - The request URL
+ * @param {Object} [options] - fetch options; `body` objects are sent as JSON
+ * @returns {Promise<Object|null>} The parsed response body
+ */
+async function requestJson(url, { body, ...options } = {}) {
+  const res = await fetch(url, {
+    ...options,
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  })
+  const data = res.status === 204 ? null : await res.json().catch(() => null)
+  if (!res.ok) {
+    throw httpError(res.status, data)
+  }
+  return data
+}
+
+/**
+ * Sends one chunk with XMLHttpRequest so its progress can be reported
+ *
+ * @param {string} url - The chunk URL
+ * @param {Blob} chunk - The chunk bytes
+ * @param {Function} onProgress - Called with the number of bytes sent so far
+ * @param {AbortSignal} [signal] - Signal that aborts the request
+ * @returns {Promise<void>} Resolves once the server has stored the chunk
+ */
+function sendChunk(url, chunk, onProgress, signal) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest()
+
+    xhr.upload.addEventListener("progress", (event) => onProgress(event.loaded))
+    xhr.onload = () => {
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve()
+      } else {
+        let body = null
+        try {
+          body = JSON.parse(xhr.responseText)
+        } catch {
+          // Non-JSON error bodies fall back to the status
+        }
+        reject(httpError(xhr.status, body))
+      }
+    }
+    xhr.onerror = () => reject(new Error("Network Error"))
+    xhr.onabort = () => reject(new DOMException("Upload cancelled", "AbortError"))
+    signal?.addEventListener("abort", () => xhr.abort(), { once: true })
+
+    xhr.open("PUT", url)
+    xhr.setRequestHeader("Content-Type", "application/octet-stream")
+    xhr.send(chunk)
+  })
+}
+
+/**
+ * Returns the localStorage key identifying a file across page loads
+ *
+ * @param {File} file - The file being uploaded
+ * @returns {string} The key
+ */
+function resumeKey(file) {
+  return `${STORAGE_PREFIX}${file.name}:${file.size}:${file.lastModified}`
+}
+
+/**
+ * Finds the session to resume for a file, or starts a new one
+ *
+ * @param {File} file - The file being uploaded
+ * @param {string} [visibility] - Visibility of the video once uploaded; a resumed session keeps its own
+ * @returns {Promise<Object>} The session with its `receivedChunks`
+ */
+async function openSession(file, visibility) {
+  const key = resumeKey(file)
+  const savedId = localStorage.getItem(key)
+
+  if (savedId) {
+    try {
+      return await requestJson(`/api/uploads/${savedId}`)
+    } catch (error) {
+      // The session expired or was completed elsewhere; start over
+      if (error.status !== 404) throw error
+      localStorage.removeItem(key)
+    }
+  }
+
+  const session = await requestJson("/api/uploads", {
+    method: "POST",
+    body: { name: file.name, type: file.type, size: file.size, visibility },
+  })
+  localStorage.setItem(key, session.id)
+  return session
+}
+
+/**
+ * Uploads a file in chunks, resuming a previous attempt when possible
+ *
+ * @param {File} file - The file to upload
+ * @param {Object} [options]
+ * @param {string} [options.visibility] - "public", "unlisted" or "private"; the server's default when omitted
+ * @param {Object} [options.details] - The video's `{ title, description, tags }`, sent once the file is complete
+ * @param {Function} [options.onProgress] - Called with the fraction (0-1) of bytes the server has received
+ * @param {Function} [options.onAssembling] - Called once all chunks are sent and the server starts assembling them
+ * @param {AbortSignal} [options.signal] - Signal that cancels the upload (the session is kept for resuming)
+ * @returns {Promise<Object>} The job processing the upload (see `jobs/client.js`)
+ */
+export async function uploadInChunks(file, { visibility, details, onProgress, onAssembling, signal } = {}) {
+  const session = await openSession(file, visibility)
+  const received = new Set(session.receivedChunks)
+
+  // Bytes already on the server count towards progress straight away
+  const chunkBytes = (index) => Math.min(session.chunkSize, file.size - index * session.chunkSize)
+  let confirmedBytes = [...received].reduce((total, index) => total + chunkBytes(index), 0)
+  onProgress?.(confirmedBytes / file.size)
+
+  for (let index = 0; index < session.totalChunks; index++) {
+    if (received.has(index)) continue
+
+    const start = index * session.chunkSize
+    const chunk = file.slice(start, start + chunkBytes(index))
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await sendChunk(
+          `/api/uploads/${session.id}/chunks/${index}`,
+          chunk,
+          (loaded) => onProgress?.((confirmedBytes + loaded) / file.size),
+          signal,
+        )
+        break
+      } catch (error) {
+        if (attempt >= MAX_ATTEMPTS || !isRetryable(error)) throw error
+        console.warn(`Chunk ${index} of ${file.name} failed (attempt ${attempt}), retrying:`, error.message)
+        await delay(RETRY_BASE_DELAY * 2 ** (attempt - 1), signal)
+      }
+    }
+
+    confirmedBytes += chunk.size
+    onProgress?.(confirmedBytes / file.size)
+  }
+
+  onAssembling?.()
+  const job = await requestJson(`/api/uploads/${session.id}/complete`, { method: "POST", body: details, signal })
+  localStorage.removeItem(resumeKey(file))
+  return job
+}
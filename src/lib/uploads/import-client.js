@@ -0,0 +1,49 @@
+/**
+ * Import Client
+ *
+ * Browser side of importing a video from a URL (see `/api/import`). The server
+ * downloads the file itself, so the import is a single request that returns the
+ * job to follow (see `jobs/client.js`).
+ */
+
+/**
+ * Whether a string is a link the server could import from
+ * The server checks the host as well; this only catches obvious typos.
+ *
+ * @param {string} value - The link as entered
+ * @returns {boolean} True for http and https URLs
+ */
+export function isImportableUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol)
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Starts importing a video from a URL
+ *
+ * @param {string} url - Direct link to the video file
+ * @param {Object} [options]
+ * @param {string} [options.visibility] - "public", "unlisted" or "private"; the server's default when omitted
+ * @param {Object} [options.details] - The video's `{ title, description, tags }`
+ * @param {AbortSignal} [options.signal] - Signal that aborts the request
+ * @returns {Promise<Object>} The job downloading and processing the video
+ */
+export async function importFromUrl(url, { visibility, details, signal } = {}) {
+  const res = await fetch("/api/import", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ url, visibility, ...details }),
+    signal,
+  })
+  const data = await res.json().catch(() => null)
+  if (!res.ok) {
+    throw Object.assign(new Error(data?.error || `HTTP Error: ${res.status}`), {
+      status: res.status,
+      code: data?.code ?? null,
+    })
+  }
+  return data
+}
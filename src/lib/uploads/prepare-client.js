@@ -0,0 +1,202 @@
+/**
+ * Pre-upload Video Preparation
+ *
+ * Trims, downscales and re-encodes a video in the browser with ffmpeg.wasm before
+ * it is uploaded, so large recordings can be made to fit the upload limit. The
+ * output is always an H.264/AAC MP4.
+ *
+ * ffmpeg.wasm is only downloaded the first time a video is prepared. `@ffmpeg/ffmpeg`
+ * and its `@ffmpeg/core` are loaded at runtime instead of being bundled, since the
+ * package starts its worker from a dynamic URL that Turbopack can't bundle. The app
+ * serves the installed packages itself from `/ffmpeg` (see `scripts/copy-ffmpeg.mjs`,
+ * which also checks they are the versions pinned in `ffmpeg-versions.json`);
+ * `NEXT_PUBLIC_FFMPEG_BASE_URL` points elsewhere, e.g. a CDN with the same layout.
+ */
+import versions from "./ffmpeg-versions.json"
+
+const DEFAULT_BASE_URL = "/ffmpeg"
+const MAX_INPUT_BYTES = 1024 * 1024 * 1024 // ffmpeg.wasm keeps the whole file in memory, which is capped at 2GB
+const AUDIO_BITRATE = 96 // kbit/s of the re-encoded audio
+const ASSUMED_FRAME_RATE = 30 // The browser doesn't expose a video's frame rate, so bitrates assume this
+const CONTAINER_OVERHEAD = 1.03 // MP4 framing on top of the audio and video streams
+
+/**
+ * Output heights offered, largest first; `null` keeps the original size
+ */
+export const RESOLUTIONS = [null, 1080, 720, 480, 360]
+
+/**
+ * Quality presets as bits per pixel per frame; "fit" instead picks the highest
+ * bitrate that keeps the output under the upload limit
+ */
+export const QUALITIES = {
+  high: 0.1,
+  standard: 0.07,
+  small: 0.04,
+  fit: null,
+}
+
+let loading = null
+
+/**
+ * Loads ffmpeg.wasm once, sharing the instance between preparations
+ *
+ * @returns {Promise<Object>} The loaded `FFmpeg` instance
+ */
+function loadFfmpeg() {
+  loading ??= (async () => {
+    // Absolute, since the blob worker below has no base URL to resolve a path against
+    const baseUrl = new URL(process.env.NEXT_PUBLIC_FFMPEG_BASE_URL || DEFAULT_BASE_URL, window.location.href).href
+    const classUrl = `${baseUrl}/ffmpeg@${versions["@ffmpeg/ffmpeg"]}/dist/esm`
+    const coreUrl = `${baseUrl}/core@${versions["@ffmpeg/core"]}/dist/esm`
+
+    const [{ FFmpeg }, { toBlobURL }] = await Promise.all([
+      import(/* webpackIgnore: true */ `${classUrl}/index.js`),
+      import("@ffmpeg/util"),
+    ])
+
+    // Workers must come from the page's origin, so a blob worker imports the real one
+    const worker = new Blob([`import "${classUrl}/worker.js"`], { type: "text/javascript" })
+    const ffmpeg = new FFmpeg()
+    await ffmpeg.load({
+      classWorkerURL: URL.createObjectURL(worker),
+      coreURL: await toBlobURL(`${coreUrl}/ffmpeg-core.js`, "text/javascript"),
+      wasmURL: await toBlobURL(`${coreUrl}/ffmpeg-core.wasm`, "application/wasm"),
+    })
+    return ffmpeg
+  })().catch((error) => {
+    // Let the next attempt retry instead of failing forever
+    loading = null
+    throw error
+  })
+  return loading
+}
+
+/**
+ * Works out the output dimensions, never upscaling
+ *
+ * @param {Object} source - `{ width, height }` of the original video
+ * @param {number|null} height - Requested output height, null for the original size
+ * @returns {{width: number, height: number}} The output size, with even dimensions as H.264 requires
+ */
+export function outputDimensions(source, height) {
+  const targetHeight = height && height < source.height ? height : source.height
+  const even = (value) => Math.max(2, Math.round(value / 2) * 2)
+  return { width: even((source.width * targetHeight) / source.height), height: even(targetHeight) }
+}
+
+/**
+ * Picks the video bitrate for the output
+ *
+ * @param {Object} source - `{ width, height, duration, size }` of the original video
+ * @param {Object} settings - `{ start, end, height, quality }` (see {@link prepareVideo})
+ * @param {number|null} [maxBytes] - The upload limit, used by the "fit" quality
+ * @returns {number} The video bitrate in kbit/s
+ */
+export function videoBitrate(source, settings, maxBytes) {
+  const clipSeconds = Math.max(settings.end - settings.start, 0.1)
+  let target
+  if (settings.quality === "fit" && maxBytes) {
+    // Leave a little headroom, since the encoder only roughly keeps to the bitrate
+    target = ((maxBytes * 8) / 1000 / clipSeconds / CONTAINER_OVERHEAD - AUDIO_BITRATE) * 0.95
+  } else {
+    const { width, height } = outputDimensions(source, settings.height)
+    target = (width * height * ASSUMED_FRAME_RATE * (QUALITIES[settings.quality] ?? QUALITIES.standard)) / 1000
+  }
+
+  // Re-encoding can't add detail, so never go above the original's bitrate
+  const sourceBitrate = (source.size * 8) / 1000 / source.duration
+  return Math.max(Math.round(Math.min(target, sourceBitrate)), 100)
+}
+
+/**
+ * Estimates the size of the prepared file
+ *
+ * @param {Object} source - `{ width, height, duration, size }` of the original video
+ * @param {Object} settings - `{ start, end, height, quality }` (see {@link prepareVideo})
+ * @param {number|null} [maxBytes] - The upload limit, used by the "fit" quality
+ * @returns {number} The estimated size in bytes
+ */
+export function estimateOutputSize(source, settings, maxBytes) {
+  const kbps = videoBitrate(source, settings, maxBytes) + AUDIO_BITRATE
+  return Math.round(((kbps * 1000) / 8) * (settings.end - settings.start) * CONTAINER_OVERHEAD)
+}
+
+/**
+ * Reads the time ffmpeg has reached from one of its log lines
+ *
+ * @param {string} message - The log line
+ * @returns {number|null} Seconds of output written, or null when the line has no time
+ */
+function parseLogTime(message) {
+  const match = /time=(\d+):(\d+):(\d+(?:\.\d+)?)/.exec(message)
+  return match ? Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) : null
+}
+
+/**
+ * Trims, downscales and re-encodes a video
+ *
+ * @param {File} file - The original video
+ * @param {Object} source - `{ width, height, duration }` of the original video (e.g. from a `<video>` element)
+ * @param {Object} settings
+ * @param {number} settings.start - Seconds to cut from the beginning
+ * @param {number} settings.end - Second to stop at
+ * @param {number|null} settings.height - Output height, null to keep the original size
+ * @param {string} settings.quality - One of the {@link QUALITIES} keys
+ * @param {Object} [options]
+ * @param {number|null} [options.maxBytes] - The upload limit, used by the "fit" quality
+ * @param {Function} [options.onProgress] - Called with the fraction done, from 0 to 1
+ * @param {AbortSignal} [options.signal] - Signal that cancels the encoding
+ * @returns {Promise<File>} The prepared MP4, named after the original
+ * @throws {Error} When the file is too large to process in the browser, the encoding fails or is cancelled
+ */
+export async function prepareVideo(file, source, settings, { maxBytes, onProgress, signal } = {}) {
+  if (file.size > MAX_INPUT_BYTES) {
+    throw new Error("This file is too large to edit in the browser")
+  }
+
+  const [ffmpeg, { fetchFile }] = await Promise.all([loadFfmpeg(), import("@ffmpeg/util")])
+  signal?.throwIfAborted()
+
+  const inputName = `input${/\.[^./]+$/.exec(file.name)?.[0] ?? ""}`
+  const clipSeconds = settings.end - settings.start
+  const { width, height } = outputDimensions({ ...source, size: file.size }, settings.height)
+  const kbps = videoBitrate({ ...source, size: file.size }, settings, maxBytes)
+
+  const handleLog = ({ message }) => {
+    const time = parseLogTime(message)
+    if (time !== null) onProgress?.(Math.min(time / clipSeconds, 1))
+  }
+  // ffmpeg.wasm can only be stopped by terminating its worker, which the next load replaces
+  const handleAbort = () => {
+    ffmpeg.terminate()
+    loading = null
+  }
+
+  ffmpeg.on("log", handleLog)
+  signal?.addEventListener("abort", handleAbort)
+  try {
+    await ffmpeg.writeFile(inputName, await fetchFile(file))
+    const exitCode = await ffmpeg.exec([
+      ...["-ss", String(settings.start), "-i", inputName, "-t", String(clipSeconds)],
+      ...["-vf", `scale=${width}:${height}`],
+      ...["-c:v", "libx264", "-preset", "veryfast", "-b:v", `${kbps}k`, "-maxrate", `${kbps}k`],
+      ...["-bufsize", `${kbps * 2}k`, "-pix_fmt", "yuv420p"],
+      ...["-c:a", "aac", "-b:a", `${AUDIO_BITRATE}k`, "-movflags", "+faststart", "output.mp4"],
+    ])
+    signal?.throwIfAborted()
+    if (exitCode !== 0) {
+      throw new Error("The video could not be re-encoded")
+    }
+
+    const data = await ffmpeg.readFile("output.mp4")
+    const name = `${file.name.replace(/\.[^./]+$/, "") || "video"}.mp4`
+    return new File([data], name, { type: "video/mp4" })
+  } finally {
+    signal?.removeEventListener("abort", handleAbort)
+    if (!signal?.aborted) {
+      ffmpeg.off("log", handleLog)
+      await Promise.all([ffmpeg.deleteFile(inputName), ffmpeg.deleteFile("output.mp4")].map((p) => p.catch(() => {})))
+    }
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * Upload Queue Store
+ *
+ * Keeps the uploader's queue in IndexedDB so it survives a reload: each entry is
+ * stored with its file, so an interrupted upload can be resumed without selecting
+ * the file again (the chunked upload then picks up where the server left off, see
+ * `chunked-client.js`). Entries are `{ id, file, url, details, visibility, status,
+ * error, jobId, addedAt }`, where imports from a URL have a `url` instead of a `file`.
+ *
+ * Storage never gets in the way of uploading: when IndexedDB is unavailable (or full)
+ * failures are logged and the queue simply isn't kept.
+ */
+
+const DB_NAME = "video-uploads"
+const DB_VERSION = 1
+const STORE_NAME = "queue"
+
+let opening = null
+
+/**
+ * Wraps an IndexedDB request in a promise
+ *
+ * @param {IDBRequest} request - The request
+ * @returns {Promise<*>} Resolves with the request's result
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Opens the database, creating its store on first use
+ *
+ * @returns {Promise<IDBDatabase>} The database
+ */
+function openDatabase() {
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(new Error("IndexedDB is not available"))
+  }
+  if (!opening) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME, { keyPath: "id" })
+    opening = promisify(request).catch((error) => {
+      opening = null
+      throw error
+    })
+  }
+  return opening
+}
+
+/**
+ * Runs a request against the store in its own transaction
+ *
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite"
+ * @param {Function} makeRequest - Called with the object store, returns the request
+ * @returns {Promise<*>} The request's result
+ */
+async function withStore(mode, makeRequest) {
+  const db = await openDatabase()
+  return promisify(makeRequest(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)))
+}
+
+/**
+ * Loads the saved queue
+ *
+ * @returns {Promise<Object[]>} The entries, oldest first; empty when nothing could be loaded
+ */
+export async function loadQueuedUploads() {
+  try {
+    const entries = await withStore("readonly", (store) => store.getAll())
+    return entries.sort((a, b) => a.addedAt - b.addedAt)
+  } catch (error) {
+    console.error("Error loading the upload queue:", error)
+    return []
+  }
+}
+
+/**
+ * Saves an entry of the queue, replacing its previous version
+ *
+ * @param {Object} entry - The entry
+ * @returns {Promise<void>} Resolves once saved, or once the failure is logged
+ */
+export async function saveQueuedUpload(entry) {
+  try {
+    await withStore("readwrite", (store) => store.put(entry))
+  } catch (error) {
+    console.error(`Error saving ${entry.file?.name ?? entry.url} to the upload queue:`, error)
+  }
+}
+
+/**
+ * Removes an entry from the saved queue
+ *
+ * @param {string} id - The entry ID
+ * @returns {Promise<void>} Resolves once removed, or once the failure is logged
+ */
+export async function deleteQueuedUpload(id) {
+  try {
+    await withStore("readwrite", (store) => store.delete(id))
+  } catch (error) {
+    console.error("Error removing an upload from the queue:", error)
+  }
+}
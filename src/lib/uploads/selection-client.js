@@ -0,0 +1,72 @@
+/**
+ * Upload Selection
+ *
+ * Helpers for picking the files to upload: dropped folders are walked recursively,
+ * and files that aren't videos (as folders often hold) can be told apart.
+ */
+
+const VIDEO_EXTENSIONS = /\.(mp4|m4v|mov|webm|mkv|avi)$/i // For files the browser gives no video type
+
+/**
+ * Whether a file looks like a video
+ *
+ * @param {File} file - The file
+ * @returns {boolean} True for video types and video extensions
+ */
+export function isVideoFile(file) {
+  return file.type.startsWith("video/") || VIDEO_EXTENSIONS.test(file.name)
+}
+
+/**
+ * Reads the file behind a file system entry
+ *
+ * @param {FileSystemFileEntry} entry - The entry
+ * @returns {Promise<File>} The file
+ */
+function readFile(entry) {
+  return new Promise((resolve, reject) => entry.file(resolve, reject))
+}
+
+/**
+ * Lists every file in a dropped folder and its subfolders
+ *
+ * @param {FileSystemDirectoryEntry} directory - The folder
+ * @returns {Promise<File[]>} The files
+ */
+async function readDirectory(directory) {
+  const reader = directory.createReader()
+  const files = []
+  // Entries come in batches (of 100 in Chrome) until an empty one
+  for (;;) {
+    const entries = await new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+    if (entries.length === 0) return files
+    for (const entry of entries) {
+      files.push(...(entry.isDirectory ? await readDirectory(entry) : [await readFile(entry)]))
+    }
+  }
+}
+
+/**
+ * Collects the files of a drop, including those in dropped folders
+ * Must be called while the drop event is handled: its items are emptied afterwards.
+ *
+ * @param {DataTransfer} dataTransfer - The drop event's `dataTransfer`
+ * @returns {Promise<File[]>} The files, videos or not
+ */
+export async function filesFromDrop(dataTransfer) {
+  // Without the entries API (or for non-file items) only the dropped files are known
+  const entries = Array.from(dataTransfer.items ?? [], (item) => item.webkitGetAsEntry?.()).filter(Boolean)
+  if (entries.length === 0) {
+    return Array.from(dataTransfer.files)
+  }
+
+  const files = []
+  for (const entry of entries) {
+    try {
+      files.push(...(entry.isDirectory ? await readDirectory(entry) : [await readFile(entry)]))
+    } catch (error) {
+      console.error(`Error reading ${entry.name}:`, error)
+    }
+  }
+  return files
+}
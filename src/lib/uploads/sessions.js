@@ -0,0 +1,262 @@
+/**
+ * Chunked Upload Sessions
+ *
+ * Large videos are uploaded in fixed-size chunks so nothing is held in memory whole
+ * and an interrupted upload can pick up where it left off. The protocol:
+ *
+ * 1. `POST /api/uploads` creates a session and returns its ID and chunk size
+ * 2. `PUT /api/uploads/:id/chunks/:index` stores one chunk (any order, retries are safe)
+ * 3. `GET /api/uploads/:id` reports which chunks have arrived, for resuming
+ * 4. `POST /api/uploads/:id/complete` assembles the chunks and ingests the video
+ *
+ * Session records live in the "uploads" collection; chunks are written to
+ * `<DATA_DIR>/uploads/<id>/`. A chunk only counts as received once it has been
+ * written completely. Sessions untouched for `UPLOAD_SESSION_TTL_HOURS` (default 24)
+ * are removed the next time a session is created.
+ */
+import { randomUUID } from "crypto"
+import { createReadStream, createWriteStream } from "fs"
+import fs from "fs/promises"
+import path from "path"
+import { Readable, Transform } from "stream"
+import { pipeline } from "stream/promises"
+import { getCollection, getDataDir } from "../db/json-collection"
+import { validateSize } from "../media/validate"
+import { VISIBILITIES, defaultVisibility } from "../videos/access"
+
+const DEFAULT_CHUNK_SIZE = 4 * 1024 * 1024 // Stays under the 4.5MB request body limit on Vercel
+
+const sessions = () => getCollection("uploads")
+
+/**
+ * HTTP status for each upload error code
+ */
+export const UPLOAD_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  INVALID_REQUEST: 400,
+  INVALID_CHUNK: 400,
+  INCOMPLETE: 409,
+}
+
+/**
+ * Creates an error carrying a code the routes map to an HTTP status
+ *
+ * @param {string} code - "NOT_FOUND", "INVALID_REQUEST", "INVALID_CHUNK" or "INCOMPLETE"
+ * @param {string} message - Human-readable description
+ * @returns {Error} The error
+ */
+function uploadError(code, message) {
+  return Object.assign(new Error(message), { code })
+}
+
+/**
+ * Returns the directory a session's chunks are written to
+ *
+ * @param {string} id - The session ID
+ * @returns {string} The absolute directory path
+ */
+function chunkDir(id) {
+  return path.join(getDataDir(), "uploads", id)
+}
+
+/**
+ * Returns the configured chunk size in bytes
+ *
+ * @returns {number} The chunk size
+ */
+function getChunkSize() {
+  return Number(process.env.UPLOAD_CHUNK_SIZE) || DEFAULT_CHUNK_SIZE
+}
+
+/**
+ * Lists the chunk indexes that have been fully written for a session
+ *
+ * @param {string} id - The session ID
+ * @returns {Promise<number[]>} Received chunk indexes in ascending order
+ */
+async function receivedChunks(id) {
+  let files
+  try {
+    files = await fs.readdir(chunkDir(id))
+  } catch (error) {
+    if (error.code === "ENOENT") return []
+    throw error
+  }
+  return files
+    .map((file) => /^(\d+)\.part$/.exec(file))
+    .filter(Boolean)
+    .map((match) => Number(match[1]))
+    .sort((a, b) => a - b)
+}
+
+/**
+ * Removes sessions that haven't been touched within the TTL
+ */
+async function removeExpiredSessions() {
+  const ttl = (Number(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000
+  const expired = (await sessions().all()).filter((session) => Date.now() - Date.parse(session.updatedAt) > ttl)
+  for (const session of expired) {
+    await deleteUploadSession(session.id)
+  }
+}
+
+/**
+ * Starts a chunked upload
+ *
+ * @param {Object} file
+ * @param {string} file.name - Original filename
+ * @param {string} [file.type] - MIME type reported by the client
+ * @param {number} file.size - Total size in bytes
+ * @param {string} file.ownerId - ID of the uploading user; only they can send chunks or complete the upload
+ * @param {string} [file.visibility] - Visibility of the video once uploaded (see `videos/access`)
+ * @returns {Promise<Object>} The session, including `chunkSize` and `totalChunks`
+ * @throws {Error} A validation error (see `media/validate`) when the file is too large
+ */
+export async function createUploadSession({ name, type, size, ownerId, visibility = defaultVisibility() }) {
+  if (typeof name !== "string" || !name.trim() || name.includes("/") || name.includes("\\")) {
+    throw uploadError("INVALID_REQUEST", "name must be a plain filename")
+  }
+  if (!Number.isInteger(size) || size <= 0) {
+    throw uploadError("INVALID_REQUEST", "size must be a positive integer")
+  }
+  if (!VISIBILITIES.includes(visibility)) {
+    throw uploadError("INVALID_REQUEST", `visibility must be one of: ${VISIBILITIES.join(", ")}`)
+  }
+
+  // Refuse oversized files before any chunk is sent
+  validateSize(size)
+
+  await removeExpiredSessions()
+
+  const chunkSize = getChunkSize()
+  const now = new Date().toISOString()
+  const session = await sessions().insert({
+    id: randomUUID(),
+    name: name.trim(),
+    type: typeof type === "string" ? type : "",
+    size,
+    ownerId,
+    visibility,
+    chunkSize,
+    totalChunks: Math.ceil(size / chunkSize),
+    createdAt: now,
+    updatedAt: now,
+  })
+  await fs.mkdir(chunkDir(session.id), { recursive: true })
+
+  return { ...session, receivedChunks: [] }
+}
+
+/**
+ * Fetches a session along with the chunks received so far
+ *
+ * @param {string} id - The session ID
+ * @param {string} [ownerId] - When given, sessions belonging to anyone else are treated as missing
+ * @returns {Promise<Object>} The session with a `receivedChunks` array
+ * @throws {Error} With code "NOT_FOUND" when the session doesn't exist (or has expired)
+ */
+export async function getUploadSession(id, ownerId) {
+  const session = await sessions().get(id)
+  if (!session || (ownerId && session.ownerId !== ownerId)) {
+    throw uploadError("NOT_FOUND", "Upload not found")
+  }
+  return { ...session, receivedChunks: await receivedChunks(id) }
+}
+
+/**
+ * Returns the exact size a chunk must have
+ *
+ * @param {Object} session - The upload session
+ * @param {number} index - The chunk index
+ * @returns {number} Expected chunk size in bytes
+ */
+function expectedChunkSize(session, index) {
+  return index === session.totalChunks - 1 ? session.size - index * session.chunkSize : session.chunkSize
+}
+
+/**
+ * Stores one chunk of an upload
+ * The chunk is written to a temporary file and renamed into place only once complete,
+ * so a dropped connection never leaves a truncated chunk behind.
+ *
+ * @param {string} id - The session ID
+ * @param {number} index - Zero-based chunk index
+ * @param {ReadableStream} body - The request body carrying the chunk bytes
+ * @param {string} ownerId - ID of the user sending the chunk
+ * @returns {Promise<Object>} The session with its updated `receivedChunks`
+ */
+export async function writeChunk(id, index, body, ownerId) {
+  const session = await getUploadSession(id, ownerId)
+  if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+    throw uploadError("INVALID_CHUNK", `Chunk index must be between 0 and ${session.totalChunks - 1}`)
+  }
+  if (!body) {
+    throw uploadError("INVALID_CHUNK", "Chunk body is empty")
+  }
+
+  const expected = expectedChunkSize(session, index)
+  const partPath = path.join(chunkDir(id), `${index}.part`)
+  const tempPath = `${partPath}.${randomUUID()}.tmp`
+
+  // Count bytes while streaming, refusing anything larger than the chunk
+  let written = 0
+  const limit = new Transform({
+    transform(data, encoding, callback) {
+      written += data.length
+      if (written > expected) {
+        callback(uploadError("INVALID_CHUNK", `Chunk ${index} exceeds ${expected} bytes`))
+      } else {
+        callback(null, data)
+      }
+    },
+  })
+
+  try {
+    await pipeline(Readable.fromWeb(body), limit, createWriteStream(tempPath))
+    if (written !== expected) {
+      throw uploadError("INVALID_CHUNK", `Chunk ${index} must be ${expected} bytes, received ${written}`)
+    }
+    await fs.rename(tempPath, partPath)
+  } finally {
+    await fs.rm(tempPath, { force: true })
+  }
+
+  await sessions().update(id, { updatedAt: new Date().toISOString() })
+  return getUploadSession(id)
+}
+
+/**
+ * Concatenates all chunks of a finished upload into one file
+ *
+ * @param {string} id - The session ID
+ * @param {string} filePath - Path of the file to write
+ * @returns {Promise<Object>} The session
+ * @throws {Error} With code "INCOMPLETE" when chunks are missing
+ */
+export async function assembleUpload(id, filePath) {
+  const session = await getUploadSession(id)
+  const missing = session.totalChunks - session.receivedChunks.length
+  if (missing > 0) {
+    throw uploadError("INCOMPLETE", `${missing} chunk(s) have not been uploaded yet`)
+  }
+
+  const output = createWriteStream(filePath)
+  for (let index = 0; index < session.totalChunks; index++) {
+    await pipeline(createReadStream(path.join(chunkDir(id), `${index}.part`)), output, { end: false })
+  }
+  output.end()
+  await new Promise((resolve, reject) => output.on("finish", resolve).on("error", reject))
+
+  return session
+}
+
+/**
+ * Deletes a session and its chunks
+ *
+ * @param {string} id - The session ID
+ * @returns {Promise<void>} Resolves once everything is removed
+ */
+export async function deleteUploadSession(id) {
+  await fs.rm(chunkDir(id), { recursive: true, force: true })
+  await sessions().remove(id)
+}
@@ -0,0 +1,68 @@
+/**
+ * Video Visibility
+ *
+ * Every video has a `visibility` that decides who can find and play it:
+ *
+ * - "public"    listed in everyone's gallery
+ * - "unlisted"  playable by anyone who has its link, but only listed for its owner
+ * - "private"   only its owner and admins can see or play it; its files are only
+ *               served through signed, expiring URLs (see `playback.js`)
+ *
+ * Videos from before visibility existed are public. New uploads default to
+ * `DEFAULT_VIDEO_VISIBILITY` (default "public").
+ */
+import { canManageVideo } from "../auth"
+
+export const VISIBILITIES = ["public", "unlisted", "private"]
+
+/**
+ * Returns the visibility new uploads get when none is chosen
+ *
+ * @returns {string} One of {@link VISIBILITIES}
+ */
+export function defaultVisibility() {
+  const visibility = process.env.DEFAULT_VIDEO_VISIBILITY
+  return VISIBILITIES.includes(visibility) ? visibility : "public"
+}
+
+/**
+ * Returns a video's visibility
+ *
+ * @param {Object} video - The video record
+ * @returns {string} One of {@link VISIBILITIES}
+ */
+export function visibilityOf(video) {
+  return video.visibility || "public"
+}
+
+/**
+ * Whether a video's files may only be served through signed URLs
+ *
+ * @param {Object} video - The video record
+ * @returns {boolean} True for private videos
+ */
+export function isPrivateVideo(video) {
+  return visibilityOf(video) === "private"
+}
+
+/**
+ * Whether a user may open and play a video
+ *
+ * @param {Object|null} user - The signed-in user, or null when signed out
+ * @param {Object} video - The video record
+ * @returns {boolean} True for public and unlisted videos, and for private ones the user manages
+ */
+export function canWatchVideo(user, video) {
+  return !isPrivateVideo(video) || Boolean(user && canManageVideo(user, video))
+}
+
+/**
+ * Whether a video shows up in a user's gallery listings
+ *
+ * @param {Object|null} user - The signed-in user, or null for signed-out visitors (e.g. embeds)
+ * @param {Object} video - The video record
+ * @returns {boolean} True for public videos, and for any video the user manages
+ */
+export function isListedFor(user, video) {
+  return visibilityOf(video) === "public" || Boolean(user && canManageVideo(user, video))
+}
@@ -0,0 +1,272 @@
+/**
+ * Video Captions
+ *
+ * Caption and subtitle tracks uploaded for a video, one per language and kind. Files
+ * may be WebVTT or SubRip (SRT); SRT is converted so every track is stored as WebVTT,
+ * the only format browsers play in a `<track>` element. The format is recognized from
+ * the file's contents, never from its name. Text that isn't valid UTF-8 is read as
+ * Windows-1252, which is what most older SRT files use.
+ *
+ * Tracks are stored at `videos/<id>/captions/<trackId>.vtt`, outside the revision
+ * folders, so they survive the video's file being replaced. Each upload gets a new
+ * track ID, so a track's URL always serves the same text. They are listed in the
+ * video record's `captions` as `{ id, language, label, kind, pathname, url, createdAt }`.
+ *
+ * Failures throw an error whose `code` is a key of {@link CAPTION_ERROR_STATUS}.
+ */
+import { randomUUID } from "crypto"
+import { getStorage } from "../storage"
+import { contentTypeFor } from "../storage/mime"
+import { updateVideo } from "./repository"
+
+export const CAPTION_KINDS = ["captions", "subtitles"]
+export const MAX_CAPTION_BYTES = 2 * 1024 * 1024
+export const MAX_CAPTION_TRACKS = 20
+const MAX_LABEL_LENGTH = 60
+
+/**
+ * HTTP status for each caption error code
+ */
+export const CAPTION_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  INVALID_REQUEST: 400,
+  CAPTIONS_TOO_LARGE: 413,
+  UNSUPPORTED_CAPTION_FORMAT: 415,
+  INVALID_CAPTIONS: 422,
+  TOO_MANY_TRACKS: 409,
+}
+
+// A cue timing line: "00:01:02.500 --> 00:01:04.000" (SRT uses commas, and may leave out the hours)
+const TIMING_PATTERN = /^\s*((?:\d+:)?\d{1,2}:\d{2}[,.]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[,.]\d{1,3})(.*)$/
+
+/**
+ * Creates a caption error
+ *
+ * @param {string} code - A key of {@link CAPTION_ERROR_STATUS}
+ * @param {string} message - Human-readable description
+ * @returns {Error} The error
+ */
+function captionError(code, message) {
+  return Object.assign(new Error(message), { code })
+}
+
+/**
+ * Decodes a caption file's text
+ *
+ * @param {Buffer} buffer - The file contents
+ * @returns {string} The text, without a byte order mark and with "\n" line endings
+ */
+function decodeText(buffer) {
+  let text
+  try {
+    text = new TextDecoder("utf-8", { fatal: true }).decode(buffer)
+  } catch {
+    text = new TextDecoder("windows-1252").decode(buffer)
+  }
+  return text.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n")
+}
+
+/**
+ * Formats an SRT timestamp the way WebVTT writes it ("hh:mm:ss.ttt")
+ *
+ * @param {string} timestamp - The SRT timestamp
+ * @returns {string} The WebVTT timestamp
+ */
+function vttTimestamp(timestamp) {
+  const [clock, fraction] = timestamp.split(/[,.]/)
+  const parts = clock.split(":").map((part) => part.padStart(2, "0"))
+  if (parts.length === 2) parts.unshift("00")
+  return `${parts.join(":")}.${fraction.padEnd(3, "0")}`
+}
+
+/**
+ * Converts SubRip text to WebVTT
+ * Cue numbers are dropped, styling WebVTT doesn't support (`<font>` and `{\an8}`-style
+ * tags) is removed, and a literal "-->" in the text is escaped.
+ *
+ * @param {string} text - The SRT text
+ * @returns {string} The WebVTT text
+ * @throws {Error} With code "INVALID_CAPTIONS" when there are no cues
+ */
+export function srtToVtt(text) {
+  const cues = []
+  for (const block of text.split(/\n\s*\n/)) {
+    const lines = block.split("\n").filter((line) => line.trim() !== "")
+    const timingIndex = lines.findIndex((line) => TIMING_PATTERN.test(line))
+    if (timingIndex === -1) continue
+
+    const [, start, end] = TIMING_PATTERN.exec(lines[timingIndex])
+    const body = lines.slice(timingIndex + 1).map((line) =>
+      line
+        .replace(/<\/?font[^>]*>/gi, "")
+        .replace(/\{\\[^}]*\}/g, "")
+        .replace(/-->/g, "--&gt;"),
+    )
+    cues.push(`${vttTimestamp(start)} --> ${vttTimestamp(end)}\n${body.join("\n")}`)
+  }
+
+  if (cues.length === 0) {
+    throw captionError("INVALID_CAPTIONS", "The subtitle file has no cues")
+  }
+  return `WEBVTT\n\n${cues.join("\n\n")}\n`
+}
+
+/**
+ * Checks the size of an uploaded caption file
+ * Called before an upload is read, so oversized files are never buffered.
+ *
+ * @param {number} size - The file size in bytes
+ * @throws {Error} With code "CAPTIONS_TOO_LARGE" when the file is over {@link MAX_CAPTION_BYTES}
+ */
+export function checkCaptionSize(size) {
+  if (size > MAX_CAPTION_BYTES) {
+    throw captionError("CAPTIONS_TOO_LARGE", `Caption files can be at most ${MAX_CAPTION_BYTES / (1024 * 1024)}MB`)
+  }
+}
+
+/**
+ * Reads an uploaded caption file as WebVTT
+ *
+ * @param {Buffer} buffer - The file contents
+ * @returns {string} The WebVTT text
+ * @throws {Error} With code "CAPTIONS_TOO_LARGE", "UNSUPPORTED_CAPTION_FORMAT" or "INVALID_CAPTIONS"
+ */
+export function readCaptionFile(buffer) {
+  checkCaptionSize(buffer.length)
+
+  const text = decodeText(buffer)
+  if (/^WEBVTT(?:[ \t\n]|$)/.test(text)) {
+    if (!text.split("\n").some((line) => TIMING_PATTERN.test(line))) {
+      throw captionError("INVALID_CAPTIONS", "The WebVTT file has no cues")
+    }
+    return text
+  }
+  if (text.split("\n").some((line) => TIMING_PATTERN.test(line))) {
+    return srtToVtt(text)
+  }
+  throw captionError("UNSUPPORTED_CAPTION_FORMAT", "Caption files must be WebVTT (.vtt) or SubRip (.srt)")
+}
+
+/**
+ * Describes a language in English, e.g. "pt-BR" as "Portuguese (Brazil)"
+ *
+ * @param {string} language - A BCP 47 language tag
+ * @returns {string} The language's name, or the tag itself when it isn't known
+ */
+function languageName(language) {
+  try {
+    return new Intl.DisplayNames(["en"], { type: "language" }).of(language) || language
+  } catch {
+    return language
+  }
+}
+
+/**
+ * Validates and normalizes the description of a new track
+ *
+ * @param {Object} track - `{ language, label, kind }` as sent by the client
+ * @returns {Object} `{ language, label, kind }`, with a label derived from the language when none was given
+ * @throws {Error} With code "INVALID_REQUEST" when a field is invalid
+ */
+export function validateCaptionTrack({ language, label, kind }) {
+  let canonical
+  try {
+    canonical = typeof language === "string" && Intl.getCanonicalLocales(language.trim())[0]
+  } catch {
+    canonical = null
+  }
+  if (!canonical) {
+    throw captionError("INVALID_REQUEST", 'language must be a language tag such as "en" or "pt-BR"')
+  }
+
+  kind ||= "captions"
+  if (!CAPTION_KINDS.includes(kind)) {
+    throw captionError("INVALID_REQUEST", `kind must be one of: ${CAPTION_KINDS.join(", ")}`)
+  }
+
+  const trimmed = typeof label === "string" ? label.trim() : ""
+  if (trimmed.length > MAX_LABEL_LENGTH) {
+    throw captionError("INVALID_REQUEST", `label must be at most ${MAX_LABEL_LENGTH} characters`)
+  }
+  return { language: canonical, label: trimmed || languageName(canonical), kind }
+}
+
+/**
+ * Adds a caption track to a video, replacing its track of the same language and kind
+ *
+ * @param {Object} video - The video record
+ * @param {Object} track - `{ language, label, kind }` (see {@link validateCaptionTrack})
+ * @param {Buffer} buffer - The uploaded WebVTT or SRT file
+ * @returns {Promise<Object>} The updated video record
+ * @throws {Error} With a {@link CAPTION_ERROR_STATUS} code when the track or file is rejected
+ */
+export async function addCaptionTrack(video, track, buffer) {
+  const fields = validateCaptionTrack(track)
+  const vtt = readCaptionFile(buffer)
+
+  const id = randomUUID()
+  const pathname = `videos/${video.id}/captions/${id}.vtt`
+  const blob = await getStorage().put(pathname, Buffer.from(vtt, "utf8"), { contentType: contentTypeFor(pathname) })
+  const added = { id, ...fields, pathname, url: blob.url, createdAt: new Date().toISOString() }
+
+  // Checked against the stored record, so concurrent uploads can't exceed the limit
+  let replaced = null
+  let updated
+  try {
+    updated = await updateVideo(video.id, (current) => {
+      const captions = current.captions ?? []
+      replaced = captions.find((other) => other.language === added.language && other.kind === added.kind) ?? null
+      if (!replaced && captions.length >= MAX_CAPTION_TRACKS) {
+        throw captionError("TOO_MANY_TRACKS", `A video can have at most ${MAX_CAPTION_TRACKS} caption tracks`)
+      }
+      return { captions: [...captions.filter((other) => other !== replaced), added] }
+    })
+    if (!updated) {
+      throw captionError("NOT_FOUND", "Video not found")
+    }
+  } catch (error) {
+    await getStorage().delete(pathname)
+    throw error
+  }
+
+  if (replaced) {
+    await getStorage().delete(replaced.pathname)
+  }
+  return updated
+}
+
+/**
+ * Removes one of a video's caption tracks
+ *
+ * @param {Object} video - The video record
+ * @param {string} trackId - The track ID
+ * @returns {Promise<Object>} The updated video record
+ * @throws {Error} With code "NOT_FOUND" when the video has no such track
+ */
+export async function removeCaptionTrack(video, trackId) {
+  let removed = null
+  const updated = await updateVideo(video.id, (current) => {
+    const captions = current.captions ?? []
+    removed = captions.find((track) => track.id === trackId) ?? null
+    if (!removed) {
+      throw captionError("NOT_FOUND", "Caption track not found")
+    }
+    return { captions: captions.filter((track) => track !== removed) }
+  })
+  if (!updated) {
+    throw captionError("NOT_FOUND", "Video not found")
+  }
+
+  await getStorage().delete(removed.pathname)
+  return updated
+}
+
+/**
+ * Deletes the stored files of all of a video's caption tracks
+ *
+ * @param {Object} video - The video record
+ * @returns {Promise<void>} Resolves once the files are deleted
+ */
+export async function deleteCaptionFiles(video) {
+  await Promise.all((video.captions ?? []).map((track) => getStorage().delete(track.pathname)))
+}
@@ -0,0 +1,95 @@
+/**
+ * Video Details
+ *
+ * Validation for the descriptive fields users edit on a video: its title, description
+ * and tags. The same rules apply when a video is uploaded and when it is edited later.
+ *
+ * Tags are normalized so they can be matched and counted reliably: lowercase, without
+ * a leading "#", with runs of whitespace collapsed to one space and duplicates removed.
+ * Commas separate tags, so they can't appear inside one.
+ *
+ * Failures throw an error whose `code` is a key of {@link DETAILS_ERROR_STATUS}.
+ */
+
+export const MAX_TITLE_LENGTH = 200
+export const MAX_DESCRIPTION_LENGTH = 5000
+export const MAX_TAGS = 20
+export const MAX_TAG_LENGTH = 40
+
+/**
+ * HTTP status for each details error code
+ */
+export const DETAILS_ERROR_STATUS = {
+  INVALID_DETAILS: 400,
+}
+
+/**
+ * Creates a details error
+ *
+ * @param {string} message - Human-readable description
+ * @returns {Error} The error
+ */
+function detailsError(message) {
+  return Object.assign(new Error(message), { code: "INVALID_DETAILS" })
+}
+
+/**
+ * Normalizes a single tag
+ *
+ * @param {string} tag - The tag as entered
+ * @returns {string} The normalized tag (empty when nothing is left)
+ */
+export function normalizeTag(tag) {
+  return tag.trim().replace(/^#+/, "").replace(/\s+/g, " ").trim().toLowerCase()
+}
+
+/**
+ * Parses a list of tags
+ *
+ * @param {string|string[]} value - An array of tags, or a comma-separated string
+ * @returns {string[]} The normalized, distinct tags in their original order
+ * @throws {Error} With code "INVALID_DETAILS" when the value isn't a list of strings, or breaks the limits
+ */
+export function parseTags(value) {
+  const raw = typeof value === "string" ? value.split(",") : value
+  if (!Array.isArray(raw) || !raw.every((tag) => typeof tag === "string")) {
+    throw detailsError("tags must be a list of strings")
+  }
+
+  const tags = [...new Set(raw.map(normalizeTag).filter(Boolean))]
+  if (tags.length > MAX_TAGS) {
+    throw detailsError(`A video can have at most ${MAX_TAGS} tags`)
+  }
+  const tooLong = tags.find((tag) => tag.length > MAX_TAG_LENGTH)
+  if (tooLong) {
+    throw detailsError(`Tags must be at most ${MAX_TAG_LENGTH} characters: "${tooLong}"`)
+  }
+  return tags
+}
+
+/**
+ * Validates and normalizes a video's details
+ *
+ * @param {Object} details - `{ title, description, tags }`; any may be undefined to leave it unchanged
+ * @returns {Object} The normalized fields that were given
+ * @throws {Error} With code "INVALID_DETAILS" when a field is invalid
+ */
+export function validateVideoDetails({ title, description, tags }) {
+  const fields = {}
+  if (title !== undefined) {
+    fields.title = typeof title === "string" ? title.trim() : ""
+    if (!fields.title || fields.title.length > MAX_TITLE_LENGTH) {
+      throw detailsError(`title must be 1-${MAX_TITLE_LENGTH} characters`)
+    }
+  }
+  if (description !== undefined && description !== null) {
+    if (typeof description !== "string" || description.trim().length > MAX_DESCRIPTION_LENGTH) {
+      throw detailsError(`description must be at most ${MAX_DESCRIPTION_LENGTH} characters`)
+    }
+    fields.description = description.trim()
+  }
+  if (tags !== undefined && tags !== null) {
+    fields.tags = parseTags(tags)
+  }
+  return fields
+}
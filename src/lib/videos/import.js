@@ -0,0 +1,374 @@
+/**
+ * Video Import
+ *
+ * Downloads a video from a direct media URL into a job's working directory, so it can
+ * be ingested like an upload. The response is streamed to disk and cut off as soon as
+ * it grows past the upload limit (or `IMPORT_MAX_BYTES` when uploads are unlimited,
+ * default 2GB), or when it takes longer than 30 minutes; only responses served as
+ * video (or as generic binary data) are kept.
+ *
+ * To keep the server from being used to reach internal services, only http(s) URLs on
+ * the standard ports are fetched, and hosts are refused when they resolve to a
+ * private, loopback, link-local or otherwise non-public address. The check is made
+ * on the addresses actually connected to, so a DNS answer that changes between the
+ * check and the request is caught too, and it applies to every redirect.
+ *
+ * Failures throw an error whose `code` is a key of {@link IMPORT_ERROR_STATUS}, or
+ * "FILE_TOO_LARGE" (see `media/validate`) when the file is over the limit.
+ */
+import dns from "dns"
+import { createWriteStream } from "fs"
+import http from "http"
+import https from "https"
+import { BlockList, isIP } from "net"
+import path from "path"
+import { Transform } from "stream"
+import { pipeline } from "stream/promises"
+import { getUploadLimits } from "../media/validate"
+import { uploadFilePath } from "./ingest"
+
+const MAX_URL_LENGTH = 2000
+const MAX_REDIRECTS = 5
+const IDLE_TIMEOUT = 30_000 // Milliseconds without data before the download is abandoned
+const DOWNLOAD_TIMEOUT = 30 * 60_000 // Milliseconds the whole download may take, so a trickling server can't hold a job
+const DEFAULT_MAX_BYTES = 2 * 1024 * 1024 * 1024 // Cap on downloads when uploads are unlimited
+const MAX_NAME_LENGTH = 200
+const ALLOWED_PORTS = ["", "80", "443"] // "" is the protocol's default
+
+/**
+ * HTTP status for each import error code
+ */
+export const IMPORT_ERROR_STATUS = {
+  INVALID_URL: 400,
+  BLOCKED_URL: 400,
+  UNREACHABLE_URL: 502,
+  UNSUPPORTED_TYPE: 415,
+}
+
+/**
+ * Content types accepted for downloads; servers often send video as generic binary data
+ */
+const ACCEPTED_TYPES = /^(video\/[\w.+-]+|application\/octet-stream|binary\/octet-stream)$/
+
+/**
+ * File extension for the video content types, for URLs whose path has none
+ */
+const EXTENSIONS = {
+  "video/mp4": ".mp4",
+  "video/quicktime": ".mov",
+  "video/webm": ".webm",
+  "video/x-matroska": ".mkv",
+  "video/x-msvideo": ".avi",
+}
+
+/**
+ * Addresses that are never fetched: private networks, loopback, link-local (including
+ * cloud metadata services), carrier-grade NAT, multicast, documentation and reserved
+ * ranges, and IPv6 forms that embed IPv4 addresses
+ */
+const BLOCKED_ADDRESSES = new BlockList()
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.88.99.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4")
+}
+for (const [network, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["::ffff:0:0", 96],
+  ["64:ff9b::", 96],
+  ["100::", 64],
+  ["2001::", 23],
+  ["2001:db8::", 32],
+  ["2002::", 16],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6")
+}
+
+/**
+ * Creates an import error
+ *
+ * @param {string} code - A key of {@link IMPORT_ERROR_STATUS}
+ * @param {string} message - Human-readable description
+ * @returns {Error} The error
+ */
+function importError(code, message) {
+  return Object.assign(new Error(message), { code })
+}
+
+/**
+ * Creates the error for a file over the import limit, with the code uploads get
+ *
+ * @param {number} maxBytes - The limit in bytes
+ * @returns {Error} The error
+ */
+function tooLargeError(maxBytes) {
+  return Object.assign(new Error(`The file is larger than the ${Math.round(maxBytes / (1024 * 1024))}MB limit`), {
+    code: "FILE_TOO_LARGE",
+  })
+}
+
+/**
+ * Whether an IP address may not be fetched
+ *
+ * @param {string} address - An IPv4 or IPv6 address
+ * @returns {boolean} True for non-public addresses
+ */
+function isBlockedAddress(address) {
+  const family = isIP(address)
+  if (family === 0) return true
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? "ipv4" : "ipv6")
+}
+
+/**
+ * Resolves a host name like `dns.lookup`, failing when any of its addresses is blocked
+ * Passed to the HTTP client as its `lookup`, so the addresses checked are the ones
+ * connected to.
+ *
+ * @param {string} hostname - The host name
+ * @param {Object} options - `dns.lookup` options
+ * @param {Function} callback - Called as `dns.lookup` would call it
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error)
+      return
+    }
+    if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+      callback(importError("BLOCKED_URL", `${hostname} is not a public host`))
+      return
+    }
+    if (options.all) {
+      callback(null, addresses)
+    } else {
+      callback(null, addresses[0].address, addresses[0].family)
+    }
+  })
+}
+
+/**
+ * Validates a URL to import from
+ *
+ * @param {*} value - The URL as sent by the client
+ * @returns {URL} The parsed URL
+ * @throws {Error} With code "INVALID_URL" when it isn't an http(s) URL, or "BLOCKED_URL" when it names a
+ *   non-public address or port
+ */
+function parseImportUrl(value) {
+  let url
+  try {
+    url = typeof value === "string" && value.length <= MAX_URL_LENGTH ? new URL(value.trim()) : null
+  } catch {
+    url = null
+  }
+  if (!url || (url.protocol !== "https:" && url.protocol !== "http:")) {
+    throw importError("INVALID_URL", "url must be an http(s) URL")
+  }
+  if (url.username || url.password) {
+    throw importError("INVALID_URL", "url must not contain credentials")
+  }
+  if (!ALLOWED_PORTS.includes(url.port)) {
+    throw importError("BLOCKED_URL", `Port ${url.port} is not allowed`)
+  }
+
+  // Addresses written in the URL are never looked up, so they are checked here
+  const host = url.hostname.replace(/^\[(.*)\]$/, "$1")
+  if (isIP(host) && isBlockedAddress(host)) {
+    throw importError("BLOCKED_URL", `${host} is not a public address`)
+  }
+  return url
+}
+
+/**
+ * Checks that a URL can be imported from, resolving its host
+ * Lets the import route reject private hosts straight away; the download checks again.
+ *
+ * @param {*} value - The URL as sent by the client
+ * @returns {Promise<URL>} The parsed URL
+ * @throws {Error} With an {@link IMPORT_ERROR_STATUS} code when the URL is invalid, private or doesn't resolve
+ */
+export async function checkImportUrl(value) {
+  const url = parseImportUrl(value)
+  const host = url.hostname.replace(/^\[(.*)\]$/, "$1")
+  if (isIP(host)) return url
+
+  await new Promise((resolve, reject) =>
+    publicLookup(host, { all: true }, (error) => {
+      if (!error) {
+        resolve()
+      } else if (error.code === "BLOCKED_URL") {
+        reject(error)
+      } else {
+        reject(importError("INVALID_URL", `${host} could not be resolved`))
+      }
+    }),
+  )
+  return url
+}
+
+/**
+ * Creates the error for a download that ran past {@link DOWNLOAD_TIMEOUT}
+ *
+ * @returns {Error} The error
+ */
+function timeoutError() {
+  return importError("UNREACHABLE_URL", `The download took longer than ${DOWNLOAD_TIMEOUT / 60_000} minutes`)
+}
+
+/**
+ * Sends a GET request, resolving once the response headers arrive
+ *
+ * @param {URL} url - The URL
+ * @param {AbortSignal} signal - Signal that aborts the request once the download's time is up
+ * @returns {Promise<http.IncomingMessage>} The response
+ */
+function request(url, signal) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === "https:" ? https : http
+    const req = client.get(url, {
+      lookup: publicLookup,
+      headers: { Accept: "video/*, application/octet-stream;q=0.9", "User-Agent": "VideoGallery-Import/1.0" },
+      signal,
+    })
+    req.setTimeout(IDLE_TIMEOUT, () => req.destroy(importError("UNREACHABLE_URL", "The server stopped responding")))
+    req.on("response", resolve)
+    req.on("error", (error) => {
+      if (signal.aborted) {
+        reject(timeoutError())
+      } else if (IMPORT_ERROR_STATUS[error.code]) {
+        reject(error)
+      } else {
+        reject(importError("UNREACHABLE_URL", `Could not reach ${url.hostname}: ${error.message}`))
+      }
+    })
+  })
+}
+
+/**
+ * Follows redirects to the response carrying the video, checking every URL on the way
+ *
+ * @param {URL} url - The URL to import
+ * @param {AbortSignal} signal - Signal that aborts the requests once the download's time is up
+ * @returns {Promise<{res: http.IncomingMessage, url: URL}>} The final response and its URL
+ */
+async function fetchMedia(url, signal) {
+  for (let redirects = 0; ; redirects++) {
+    const res = await request(url, signal)
+    const location = res.headers.location
+    if (res.statusCode >= 300 && res.statusCode < 400 && location) {
+      res.resume()
+      if (redirects >= MAX_REDIRECTS) {
+        throw importError("UNREACHABLE_URL", "Too many redirects")
+      }
+      url = parseImportUrl(new URL(location, url).href)
+      continue
+    }
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      res.resume()
+      throw importError("UNREACHABLE_URL", `The server responded with ${res.statusCode}`)
+    }
+    return { res, url }
+  }
+}
+
+/**
+ * Picks the filename of a downloaded video
+ * Taken from the Content-Disposition header or the URL's path, with an extension
+ * matching the content type when it has none.
+ *
+ * @param {http.IncomingMessage} res - The response
+ * @param {URL} url - The URL it came from
+ * @param {string} type - The response's content type
+ * @returns {string} The filename
+ */
+function filenameOf(res, url, type) {
+  const disposition = /filename\*?=(?:UTF-8'')?"?([^";]+)"?/i.exec(res.headers["content-disposition"] ?? "")
+  let name = disposition?.[1] ?? path.posix.basename(url.pathname)
+  try {
+    name = decodeURIComponent(name)
+  } catch {
+    // Malformed escapes keep the raw name
+  }
+  // Only the name is kept, without anything that could be read as a path
+  name =
+    name
+      .replace(/[/\\\0]/g, "_")
+      .trim()
+      .slice(0, MAX_NAME_LENGTH) || "video"
+  if (!path.extname(name) && EXTENSIONS[type]) {
+    name += EXTENSIONS[type]
+  }
+  return name
+}
+
+/**
+ * Downloads a video into a working directory
+ *
+ * @param {string} value - The URL to import
+ * @param {string} dir - Directory to write the file to
+ * @param {Function} [onProgress] - Called with the fraction (0-1) downloaded, when the size is known
+ * @returns {Promise<{name: string, filePath: string, size: number}>} The filename, its path
+ *   (see `uploadFilePath`) and size
+ * @throws {Error} With an {@link IMPORT_ERROR_STATUS} code, or "FILE_TOO_LARGE"
+ */
+export async function downloadVideo(value, dir, onProgress) {
+  const signal = AbortSignal.timeout(DOWNLOAD_TIMEOUT)
+  const { res, url } = await fetchMedia(parseImportUrl(value), signal)
+
+  const type = (res.headers["content-type"] ?? "").split(";")[0].trim().toLowerCase()
+  if (!ACCEPTED_TYPES.test(type)) {
+    res.resume()
+    throw importError("UNSUPPORTED_TYPE", `The URL doesn't point to a video file (it serves ${type || "no type"})`)
+  }
+
+  // A declared size over the limit is refused before anything is written
+  const maxBytes = getUploadLimits().maxBytes ?? Number(process.env.IMPORT_MAX_BYTES || DEFAULT_MAX_BYTES)
+  const declared = Number(res.headers["content-length"]) || null
+  if (declared > maxBytes) {
+    res.resume()
+    throw tooLargeError(maxBytes)
+  }
+
+  const name = filenameOf(res, url, type)
+  const filePath = uploadFilePath(dir, name)
+  let received = 0
+  // Servers can send more than they declare, or declare nothing
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length
+      if (received > maxBytes) {
+        callback(tooLargeError(maxBytes))
+        return
+      }
+      if (declared) onProgress?.(Math.min(received / declared, 1))
+      callback(null, chunk)
+    },
+  })
+
+  try {
+    await pipeline(res, limiter, createWriteStream(filePath), { signal })
+  } catch (error) {
+    if (signal.aborted) throw timeoutError()
+    if (error.code === "FILE_TOO_LARGE" || IMPORT_ERROR_STATUS[error.code]) throw error
+    throw importError("UNREACHABLE_URL", `The download was interrupted: ${error.message}`)
+  }
+  return { name, filePath, size: received }
+}
@@ -0,0 +1,297 @@
+/**
+ * Video Ingestion
+ *
+ * Validates an uploaded video file, stores it and generates its thumbnails. Shared by
+ * the upload routes and the replace-file route so all of them produce identical records.
+ * Videos are read from disk and streamed to storage, so they never sit in memory whole.
+ *
+ * Files are stored under collision-free keys derived from the video ID and a random
+ * revision (`videos/<id>/<revision>/video.<format>`); the client's filename is only kept
+ * as metadata. Each file's SHA-256 is recorded so identical uploads are stored once.
+ */
+import { createHash, randomBytes } from "crypto"
+import { createReadStream, createWriteStream } from "fs"
+import path from "path"
+import { Readable } from "stream"
+import { pipeline } from "stream/promises"
+import { validateVideo } from "../media/validate"
+import { deletePrefix, getStorage } from "../storage"
+import { contentTypeFor } from "../storage/mime"
+import { generateThumbnails } from "../thumbnails"
+import { defaultVisibility } from "./access"
+import { createVideo, findVideoByHash, newVideoId } from "./repository"
+
+/**
+ * Returns where an upload is kept in a working directory before it is ingested
+ *
+ * @param {string} dir - The working directory
+ * @param {string} name - Original filename (only its extension is used)
+ * @returns {string} Path of the upload
+ */
+export function uploadFilePath(dir, name) {
+  return path.join(dir, `upload${path.extname(name)}`)
+}
+
+/**
+ * Writes an uploaded `File` (from FormData) to disk without buffering it
+ *
+ * @param {File} file - The uploaded file
+ * @param {string} dir - Directory to write it to
+ * @returns {Promise<string>} Path of the written file (see {@link uploadFilePath})
+ */
+export async function saveUploadedFile(file, dir) {
+  const filePath = uploadFilePath(dir, file.name)
+  await pipeline(Readable.fromWeb(file.stream()), createWriteStream(filePath))
+  return filePath
+}
+
+/**
+ * Computes the SHA-256 digest of a file
+ *
+ * @param {string} filePath - Path of the file
+ * @returns {Promise<string>} The hex digest
+ */
+export async function hashFile(filePath) {
+  const hash = createHash("sha256")
+  await pipeline(createReadStream(filePath), hash)
+  return hash.digest("hex")
+}
+
+/**
+ * Validates a video file and stores it along with its candidate poster frames and
+ * animated preview. The first candidate is the poster until the owner picks another.
+ * The content type is derived from the sniffed container, not from the client.
+ *
+ * @param {Object} file
+ * @param {string} file.id - ID of the video the file belongs to
+ * @param {string} file.name - Original filename
+ * @param {string} file.filePath - Path of the video on disk
+ * @param {string} file.hash - SHA-256 of the file (see {@link hashFile})
+ * @param {Function} [file.onStage] - Called with "validating", "thumbnail" and "storing" as each step starts
+ * @returns {Promise<Object>} Video record fields describing the stored files (see the repository docs)
+ * @throws {Error} A validation error (see `media/validate`) when the file is rejected
+ */
+export async function ingestVideo({ id, name, filePath, hash, onStage }) {
+  const storage = getStorage()
+
+  // Validate the video, then generate the thumbnails from the file on disk
+  await onStage?.("validating")
+  const { format, mediaInfo } = await validateVideo(filePath)
+  await onStage?.("thumbnail")
+  const thumbnails = await generateThumbnails(filePath, mediaInfo.duration)
+  console.log("Thumbnails generated:", thumbnails.frames.length, "frames", thumbnails.preview ? "and a preview" : "")
+
+  // Each stored revision gets its own folder, so replacing a file never overwrites a cached URL
+  const storagePrefix = `videos/${id}/${randomBytes(6).toString("hex")}/`
+
+  // Store the video file
+  await onStage?.("storing")
+  const videoBlob = await storage.put(`${storagePrefix}video.${format}`, createReadStream(filePath), {
+    contentType: contentTypeFor(`.${format}`),
+  })
+  console.log(`Video stored (${storage.name}):`, videoBlob.url)
+
+  // Store the frames and preview next to the video
+  const frames = await Promise.all(
+    thumbnails.frames.map(async ({ offset, buffer }, index) => {
+      const blob = await storage.put(`${storagePrefix}frames/${index}.jpg`, buffer, { contentType: "image/jpeg" })
+      return { pathname: blob.pathname, url: blob.url, offset }
+    }),
+  )
+  const previewBlob = thumbnails.preview
+    ? await storage.put(`${storagePrefix}preview.${thumbnails.preview.format}`, thumbnails.preview.buffer, {
+        contentType: contentTypeFor(`.${thumbnails.preview.format}`),
+      })
+    : null
+  console.log(`Thumbnails stored (${storage.name}):`, frames[0].url)
+
+  return {
+    name,
+    hash,
+    storagePrefix,
+    videoPathname: videoBlob.pathname,
+    videoUrl: videoBlob.url,
+    thumbnailPathname: frames[0].pathname,
+    thumbnailUrl: frames[0].url,
+    frames,
+    posterIndex: 0,
+    previewPathname: previewBlob?.pathname ?? null,
+    previewUrl: previewBlob?.url ?? null,
+    contentType: videoBlob.contentType,
+    format,
+    size: videoBlob.size,
+    duration: mediaInfo.duration,
+    width: mediaInfo.width,
+    height: mediaInfo.height,
+  }
+}
+
+/**
+ * Stores a newly uploaded video and creates its record, unless the same user uploaded
+ * an identical file before
+ *
+ * @param {Object} file
+ * @param {string} file.name - Original filename
+ * @param {string} file.filePath - Path of the video on disk
+ * @param {string} file.ownerId - ID of the uploading user
+ * @param {string} [file.visibility] - Visibility of the new video (see `access.js`); defaults to the configured one
+ * @param {Object} [file.details] - The new video's validated `{ title, description, tags }` (see `details.js`);
+ *   the title defaults to the filename
+ * @param {Function} [file.onStage] - Called with "hashing", then as in {@link ingestVideo}
+ * @returns {Promise<{video: Object, duplicate: boolean}>} The new record, or the existing one with `duplicate` set
+ * @throws {Error} A validation error (see `media/validate`) when the file is rejected
+ */
+export async function ingestNewVideo({ name, filePath, ownerId, visibility, details, onStage }) {
+  await onStage?.("hashing")
+  const hash = await hashFile(filePath)
+
+  const existing = await findVideoByHash(hash, ownerId)
+  if (existing) {
+    console.log("Duplicate upload of video", existing.id)
+    return { video: existing, duplicate: true }
+  }
+
+  const id = newVideoId()
+  const fields = await ingestVideo({ id, name, filePath, hash, onStage })
+  const isSameFile = (video) => video.hash === hash && (video.ownerId ?? null) === ownerId
+  const video = await createVideo(
+    { id, ownerId, visibility: visibility || defaultVisibility(), ...details, ...fields },
+    { unique: isSameFile },
+  )
+  if (!video) {
+    // An identical upload was stored while this one was processed; keep that one
+    await deleteVideoFiles(fields)
+    const original = await findVideoByHash(hash, ownerId)
+    console.log("Duplicate upload of video", original.id)
+    return { video: original, duplicate: true }
+  }
+  return { video, duplicate: false }
+}
+
+/**
+ * Copies a stored blob to another pathname without buffering it
+ *
+ * @param {string} pathname - The storage pathname to copy
+ * @param {string} target - The pathname of the copy
+ * @returns {Promise<Object>} The stored copy
+ */
+async function copyBlob(pathname, target) {
+  const storage = getStorage()
+  const file = await storage.get(pathname)
+  if (!file) {
+    throw new Error(`Blob not found: ${pathname}`)
+  }
+  return storage.put(target, file.stream, { contentType: file.contentType })
+}
+
+/**
+ * Copies every blob whose pathname starts with a prefix to another prefix
+ *
+ * @param {string} prefix - The pathname prefix to copy, ending in a slash
+ * @param {string} target - The prefix of the copies, ending in a slash
+ * @param {Map<string, Object>} copies - Filled with the stored copies, by the pathname they were copied from
+ * @returns {Promise<void>} Resolves once every blob is copied
+ */
+async function copyPrefix(prefix, target, copies) {
+  const storage = getStorage()
+  let cursor
+  do {
+    const page = await storage.list({ prefix, cursor })
+    for (const blob of page.blobs) {
+      copies.set(blob.pathname, await copyBlob(blob.pathname, target + blob.pathname.slice(prefix.length)))
+    }
+    cursor = page.hasMore ? page.cursor : undefined
+  } while (cursor)
+}
+
+/**
+ * Copies a video's files to a new revision folder
+ * Used when a video becomes private: its storage URLs may have been shared (and cached)
+ * while it was public, and only stop working once the old files are deleted (see
+ * {@link deleteVideoFiles}). Captions stay where they are, since they are only ever
+ * served through the captions route, which checks access. HLS output that isn't ready
+ * yet is dropped, as its pending job would transcode the old file; transcode again.
+ *
+ * @param {Object} video - The video record
+ * @returns {Promise<Object>} Video record fields describing the copied files
+ */
+export async function copyVideoFiles(video) {
+  const storagePrefix = `videos/${video.id}/${randomBytes(6).toString("hex")}/`
+  const copies = new Map()
+
+  // Videos stored before per-video folders have their files (and renditions) scattered; gather them in one
+  if (video.storagePrefix) {
+    await copyPrefix(video.storagePrefix, storagePrefix, copies)
+  } else if (video.hls?.status === "ready") {
+    await copyPrefix(video.hls.prefix, `${storagePrefix}hls/`, copies)
+  }
+  const files = [
+    video.videoPathname,
+    video.thumbnailPathname,
+    video.previewPathname,
+    ...(video.frames ?? []).map((frame) => frame.pathname),
+  ]
+  for (const pathname of files) {
+    if (pathname && !copies.has(pathname)) {
+      copies.set(pathname, await copyBlob(pathname, storagePrefix + path.posix.basename(pathname)))
+    }
+  }
+
+  const copyOf = (pathname, url) => {
+    const blob = copies.get(pathname)
+    return blob ? { pathname: blob.pathname, url: blob.url } : { pathname, url }
+  }
+  const videoBlob = copyOf(video.videoPathname, video.videoUrl)
+  const thumbnail = copyOf(video.thumbnailPathname, video.thumbnailUrl)
+  const preview = copyOf(video.previewPathname, video.previewUrl)
+
+  let hls = video.hls ?? null
+  if (hls?.status === "ready") {
+    const prefix = video.storagePrefix
+      ? storagePrefix + hls.prefix.slice(video.storagePrefix.length)
+      : `${storagePrefix}hls/`
+    hls = { ...hls, prefix, playlistUrl: copies.get(`${video.hls.prefix}master.m3u8`).url }
+  } else if (hls?.status !== "failed") {
+    hls = null
+  }
+
+  return {
+    storagePrefix,
+    videoPathname: videoBlob.pathname,
+    videoUrl: videoBlob.url,
+    thumbnailPathname: thumbnail.pathname ?? null,
+    thumbnailUrl: thumbnail.url ?? null,
+    previewPathname: preview.pathname ?? null,
+    previewUrl: preview.url ?? null,
+    ...(video.frames && { frames: video.frames.map((frame) => ({ ...frame, ...copyOf(frame.pathname, frame.url) })) }),
+    hls,
+  }
+}
+
+/**
+ * Deletes the stored files of a video record, including its HLS renditions
+ * Pathnames still referenced by `keep` (e.g. the record's replacement) are left alone.
+ *
+ * @param {Object} video - The video record whose files should be removed
+ * @param {Object} [keep] - Video record fields whose files must be kept
+ * @returns {Promise<void>} Resolves once the files are deleted
+ */
+export async function deleteVideoFiles(video, keep = {}) {
+  const storage = getStorage()
+  const keepPathnames = [keep.videoPathname, keep.thumbnailPathname]
+
+  await Promise.all(
+    [video.videoPathname, video.thumbnailPathname]
+      .filter((pathname) => pathname && !keepPathnames.includes(pathname))
+      .map((pathname) => storage.delete(pathname)),
+  )
+
+  if (video.hls?.prefix) {
+    await deletePrefix(video.hls.prefix)
+  }
+
+  // Everything else derived from this revision lives in its folder
+  if (video.storagePrefix && video.storagePrefix !== keep.storagePrefix) {
+    await deletePrefix(video.storagePrefix)
+  }
+}
@@ -0,0 +1,187 @@
+/**
+ * Video Processing Jobs
+ *
+ * Handlers for the background jobs behind uploads (see `lib/jobs`). Upload and
+ * replace jobs find the uploaded file in their working directory, at
+ * {@link uploadFilePath} for the original filename in `payload.name`; import jobs
+ * download it there first.
+ *
+ * Rejected files fail their job with the validation error's code and message, so
+ * the uploader can show them just like a rejected request.
+ */
+import { VALIDATION_ERROR_STATUS } from "../media/validate"
+import { IMPORT_ERROR_STATUS, downloadVideo } from "./import"
+import { deleteVideoFiles, hashFile, ingestNewVideo, ingestVideo, uploadFilePath } from "./ingest"
+import { findVideoByHash, getVideo, updateVideo } from "./repository"
+import { scheduleTranscode, transcodeVideo } from "./transcode"
+
+/**
+ * Progress reported when each ingestion step starts
+ */
+const INGEST_PROGRESS = {
+  hashing: 5,
+  validating: 15,
+  thumbnail: 35,
+  storing: 60,
+}
+
+const DOWNLOAD_SHARE = 40 // Share of an import job's progress spent downloading; ingestion fills the rest
+
+/**
+ * Marks errors the client should see as-is
+ *
+ * @param {Error} error - The error thrown while processing
+ * @returns {Error} The same error
+ */
+function exposeRejection(error) {
+  if (VALIDATION_ERROR_STATUS[error.code] || IMPORT_ERROR_STATUS[error.code]) {
+    error.expose = true
+  }
+  return error
+}
+
+/**
+ * Creates an error that fails the job with a code the client can act on
+ *
+ * @param {string} code - The error code
+ * @param {string} message - Human-readable description
+ * @returns {Error} The error
+ */
+function jobError(code, message) {
+  return Object.assign(new Error(message), { code, expose: true })
+}
+
+/**
+ * Ingests a newly uploaded video and queues its transcode
+ *
+ * @param {Object} job - The job; `payload` holds the original filename as `name`, the uploader's `ownerId`, and
+ *   the new video's `visibility` and `details` (validated `{ title, description, tags }`)
+ * @param {Object} context - `{ workDir, setProgress }`
+ * @returns {Promise<Object>} `{ videoId, duplicate }`, where `duplicate` means the uploader already had an
+ *   identical video
+ */
+export async function runIngestJob(job, { workDir, setProgress }) {
+  const { name, ownerId, visibility, details } = job.payload
+
+  const { video, duplicate } = await ingestNewVideo({
+    name,
+    filePath: uploadFilePath(workDir, name),
+    ownerId,
+    visibility,
+    details,
+    onStage: (stage) => setProgress(stage, INGEST_PROGRESS[stage]),
+  }).catch((error) => {
+    throw exposeRejection(error)
+  })
+
+  // Transcode to HLS in its own job; the original file plays until it's done
+  if (!duplicate) {
+    await scheduleTranscode(video)
+  }
+  return { videoId: video.id, duplicate }
+}
+
+/**
+ * Downloads a video from a URL, then ingests it like an upload and queues its transcode
+ *
+ * @param {Object} job - The job; `payload` holds the `url` to import, the importer's `ownerId`, and the new
+ *   video's `visibility` and `details` (validated `{ title, description, tags }`)
+ * @param {Object} context - `{ workDir, setProgress }`
+ * @returns {Promise<Object>} `{ videoId, duplicate }`, as for uploads
+ */
+export async function runImportJob(job, { workDir, setProgress }) {
+  const { url, ownerId, visibility, details } = job.payload
+
+  await setProgress("downloading", 0)
+  const { name, filePath, size } = await downloadVideo(url, workDir, (fraction) => {
+    setProgress("downloading", fraction * DOWNLOAD_SHARE).catch((error) =>
+      console.error("Error reporting progress:", error),
+    )
+  }).catch((error) => {
+    throw exposeRejection(error)
+  })
+  console.log("Video imported:", url, size, "bytes")
+
+  const { video, duplicate } = await ingestNewVideo({
+    name,
+    filePath,
+    ownerId,
+    visibility,
+    details,
+    onStage: (stage) =>
+      setProgress(stage, DOWNLOAD_SHARE + Math.round((INGEST_PROGRESS[stage] * (100 - DOWNLOAD_SHARE)) / 100)),
+  }).catch((error) => {
+    throw exposeRejection(error)
+  })
+
+  if (!duplicate) {
+    await scheduleTranscode(video)
+  }
+  return { videoId: video.id, duplicate }
+}
+
+/**
+ * Swaps the file behind an existing video
+ * The new files are stored before the old ones are removed, so a failure leaves the
+ * video intact. A file identical to another of the owner's videos is refused, and
+ * re-sending the video's current file changes nothing.
+ *
+ * @param {Object} job - The job; `payload` holds `videoId` and the original filename as `name`
+ * @param {Object} context - `{ workDir, setProgress }`
+ * @returns {Promise<Object>} `{ videoId, unchanged }`
+ */
+export async function runReplaceFileJob(job, { workDir, setProgress }) {
+  const { videoId, name } = job.payload
+  const filePath = uploadFilePath(workDir, name)
+
+  const target = await getVideo(videoId)
+  if (!target) {
+    throw jobError("NOT_FOUND", "Video not found")
+  }
+
+  await setProgress("hashing", INGEST_PROGRESS.hashing)
+  const hash = await hashFile(filePath)
+
+  const existing = await findVideoByHash(hash, target.ownerId ?? null)
+  if (existing?.id === videoId) {
+    return { videoId, unchanged: true }
+  }
+  if (existing) {
+    throw jobError("DUPLICATE_VIDEO", "An identical video has already been uploaded")
+  }
+
+  const fields = await ingestVideo({
+    id: videoId,
+    name,
+    filePath,
+    hash,
+    onStage: (stage) => setProgress(stage, INGEST_PROGRESS[stage]),
+  }).catch((error) => {
+    throw exposeRejection(error)
+  })
+
+  // The video may have been deleted while its new file was being processed
+  const video = await getVideo(videoId)
+  if (!video) {
+    await deleteVideoFiles(fields)
+    throw jobError("NOT_FOUND", "Video not found")
+  }
+
+  const updated = await updateVideo(videoId, { ...fields, hls: null })
+  await deleteVideoFiles(video, fields)
+  await scheduleTranscode(updated)
+  return { videoId, unchanged: false }
+}
+
+/**
+ * Transcodes a video to HLS
+ *
+ * @param {Object} job - The job; `payload` holds `videoId` and the `videoPathname` to transcode
+ * @param {Object} context - `{ setProgress }`
+ * @returns {Promise<Object>} `{ videoId, transcoded }`, false when the file was replaced or deleted first
+ */
+export async function runTranscodeJob(job, { setProgress }) {
+  const { videoId, videoPathname } = job.payload
+  const transcoded = await transcodeVideo(videoId, { videoPathname, onProgress: setProgress })
+  return { videoId, transcoded }
+}
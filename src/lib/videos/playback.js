@@ -0,0 +1,63 @@
+/**
+ * Video Playback URLs
+ *
+ * Public and unlisted videos play straight from their storage URLs. Private videos
+ * never hand out storage URLs: their thumbnail, file and HLS playlists are served
+ * through signed URLs (see `storage/signed-urls.js`) scoped to the video's storage
+ * folder, so one signature also covers every HLS rendition and segment.
+ */
+import { mediaUrlTtl, signMediaUrl } from "../storage/signed-urls"
+import { isPrivateVideo } from "./access"
+
+/**
+ * Returns the signed URL for one of a private video's files
+ * Videos stored before revision folders existed are signed file by file.
+ *
+ * @param {Object} video - The video record
+ * @param {string} pathname - The storage pathname of the file
+ * @param {number} expires - Expiry as a Unix timestamp in seconds
+ * @param {string} [scope] - Pathname prefix to sign instead of the video's folder
+ * @returns {string} The signed URL
+ */
+function signedUrl(video, pathname, expires, scope) {
+  return signMediaUrl(pathname, { scope: scope ?? video.storagePrefix ?? pathname, expires })
+}
+
+/**
+ * Returns the URL a client may use for one of a video's images (thumbnail, frames, preview)
+ *
+ * @param {Object} video - The video record
+ * @param {string|null} pathname - The storage pathname of the file
+ * @param {string|null} url - The storage URL of the file
+ * @returns {string|null} The storage URL, a signed URL for private videos, or null when there is no file
+ */
+export function imageUrlFor(video, pathname, url) {
+  if (!pathname || !isPrivateVideo(video)) return url ?? null
+  return signedUrl(video, pathname, Math.floor(Date.now() / 1000) + mediaUrlTtl())
+}
+
+/**
+ * Returns the URLs a player needs to play a video
+ *
+ * @param {Object} video - The video record
+ * @returns {Object} `{ videoUrl, thumbnailUrl, hls: { status, playlistUrl } | null, expiresAt }`, where
+ *   `expiresAt` (ISO date) is when signed URLs stop working, or null when the URLs don't expire
+ */
+export function playbackUrlsFor(video) {
+  const hls = video.hls ? { status: video.hls.status, playlistUrl: video.hls.playlistUrl ?? null } : null
+
+  if (!isPrivateVideo(video)) {
+    return { videoUrl: video.videoUrl, thumbnailUrl: video.thumbnailUrl ?? null, hls, expiresAt: null }
+  }
+
+  const expires = Math.floor(Date.now() / 1000) + mediaUrlTtl()
+  return {
+    videoUrl: signedUrl(video, video.videoPathname, expires),
+    thumbnailUrl: video.thumbnailPathname ? signedUrl(video, video.thumbnailPathname, expires) : null,
+    hls:
+      hls?.status === "ready"
+        ? { ...hls, playlistUrl: signedUrl(video, `${video.hls.prefix}master.m3u8`, expires, video.hls.prefix) }
+        : hls && { ...hls, playlistUrl: null },
+    expiresAt: new Date(expires * 1000).toISOString(),
+  }
+}
@@ -0,0 +1,206 @@
+/**
+ * Video Products
+ *
+ * Products tagged in a video for shoppable playback: each links to a product page,
+ * with a title, price and image to show in the player. A product may be limited to a
+ * time range of the video (`start` and `end` in seconds), outside which it isn't
+ * shown, and pinned to a spot of the frame (`x` and `y`, as percentages of the
+ * width and height from the top left), where the player shows a clickable hotspot.
+ * Timed products without a spot pop up as cards while their range plays, and every
+ * product is listed in the player's product drawer.
+ *
+ * Products are kept in the video record's `products` as `{ id, title, price, currency,
+ * imageUrl, url, start, end, x, y, createdAt, updatedAt }`, with null for the optional
+ * fields that aren't set. Links and images must be http(s) URLs.
+ *
+ * Failures throw an error whose `code` is a key of {@link PRODUCT_ERROR_STATUS}.
+ */
+import { randomUUID } from "crypto"
+import { updateVideo } from "./repository"
+
+export const MAX_PRODUCTS = 50
+export const MAX_PRODUCT_TITLE_LENGTH = 100
+const MAX_URL_LENGTH = 2000
+const MAX_PRICE = 1_000_000_000
+
+/**
+ * HTTP status for each product error code
+ */
+export const PRODUCT_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  INVALID_PRODUCT: 400,
+  TOO_MANY_PRODUCTS: 409,
+}
+
+/**
+ * Creates a product error
+ *
+ * @param {string} code - A key of {@link PRODUCT_ERROR_STATUS}
+ * @param {string} message - Human-readable description
+ * @returns {Error} The error
+ */
+function productError(code, message) {
+  return Object.assign(new Error(message), { code })
+}
+
+/**
+ * Validates an http(s) URL
+ *
+ * @param {*} value - The URL as sent by the client
+ * @param {string} field - The field name, for the error message
+ * @returns {string} The normalized URL
+ * @throws {Error} With code "INVALID_PRODUCT" when it isn't an http(s) URL
+ */
+function validateUrl(value, field) {
+  let url
+  try {
+    url = typeof value === "string" && value.length <= MAX_URL_LENGTH ? new URL(value.trim()) : null
+  } catch {
+    url = null
+  }
+  if (!url || (url.protocol !== "https:" && url.protocol !== "http:")) {
+    throw productError("INVALID_PRODUCT", `${field} must be an http(s) URL`)
+  }
+  return url.href
+}
+
+/**
+ * Reads an optional number field
+ *
+ * @param {*} value - The value as sent by the client; null, undefined or "" mean not set
+ * @param {string} field - The field name, for the error message
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {number|null} The number, or null when not set
+ * @throws {Error} With code "INVALID_PRODUCT" when it isn't a number in range
+ */
+function optionalNumber(value, field, min, max) {
+  if (value === null || value === undefined || value === "") return null
+  const number = Number(value)
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw productError("INVALID_PRODUCT", `${field} must be a number between ${min} and ${max}`)
+  }
+  return number
+}
+
+/**
+ * Validates and normalizes a product's fields
+ *
+ * @param {Object} fields - `{ title, price, currency, imageUrl, url, start, end, x, y }` as sent by the client
+ * @returns {Object} The normalized fields, with null for optional fields that aren't set
+ * @throws {Error} With code "INVALID_PRODUCT" when a field is missing or invalid
+ */
+export function validateProduct({ title, price, currency, imageUrl, url, start, end, x, y }) {
+  const trimmed = typeof title === "string" ? title.trim() : ""
+  if (!trimmed || trimmed.length > MAX_PRODUCT_TITLE_LENGTH) {
+    throw productError("INVALID_PRODUCT", `title must be 1-${MAX_PRODUCT_TITLE_LENGTH} characters`)
+  }
+
+  const amount = optionalNumber(price, "price", 0, MAX_PRICE)
+  if (amount === null) {
+    throw productError("INVALID_PRODUCT", "price is required")
+  }
+
+  const code = typeof currency === "string" && currency.trim() ? currency.trim().toUpperCase() : "USD"
+  if (!/^[A-Z]{3}$/.test(code)) {
+    throw productError("INVALID_PRODUCT", 'currency must be a three-letter currency code such as "USD"')
+  }
+
+  const product = {
+    title: trimmed,
+    price: Math.round(amount * 100) / 100,
+    currency: code,
+    imageUrl: imageUrl ? validateUrl(imageUrl, "imageUrl") : null,
+    url: validateUrl(url, "url"),
+    start: optionalNumber(start, "start", 0, Number.MAX_SAFE_INTEGER),
+    end: optionalNumber(end, "end", 0, Number.MAX_SAFE_INTEGER),
+    x: optionalNumber(x, "x", 0, 100),
+    y: optionalNumber(y, "y", 0, 100),
+  }
+
+  if (product.end !== null && product.end <= (product.start ?? 0)) {
+    throw productError("INVALID_PRODUCT", "end must be after start")
+  }
+  if ((product.x === null) !== (product.y === null)) {
+    throw productError("INVALID_PRODUCT", "x and y must be given together")
+  }
+  return product
+}
+
+/**
+ * Adds a product to a video
+ *
+ * @param {string} videoId - The video ID
+ * @param {Object} fields - The product's fields (see {@link validateProduct})
+ * @returns {Promise<Object>} The updated video record
+ * @throws {Error} With a {@link PRODUCT_ERROR_STATUS} code when the product is rejected
+ */
+export async function addProduct(videoId, fields) {
+  const now = new Date().toISOString()
+  const product = { id: randomUUID(), ...validateProduct(fields), createdAt: now, updatedAt: now }
+
+  // Checked against the stored record, so concurrent requests can't exceed the limit
+  const updated = await updateVideo(videoId, (video) => {
+    const products = video.products ?? []
+    if (products.length >= MAX_PRODUCTS) {
+      throw productError("TOO_MANY_PRODUCTS", `A video can have at most ${MAX_PRODUCTS} products`)
+    }
+    return { products: [...products, product] }
+  })
+  if (!updated) {
+    throw productError("NOT_FOUND", "Video not found")
+  }
+  return updated
+}
+
+/**
+ * Changes one of a video's products
+ *
+ * @param {string} videoId - The video ID
+ * @param {string} productId - The product ID
+ * @param {Object} changes - Fields to change; the others keep their values
+ * @returns {Promise<Object>} The updated video record
+ * @throws {Error} With a {@link PRODUCT_ERROR_STATUS} code when the product doesn't exist or the changes are rejected
+ */
+export async function updateProduct(videoId, productId, changes) {
+  const updated = await updateVideo(videoId, (video) => {
+    const products = video.products ?? []
+    const existing = products.find((product) => product.id === productId)
+    if (!existing) {
+      throw productError("NOT_FOUND", "Product not found")
+    }
+
+    const product = {
+      ...existing,
+      ...validateProduct({ ...existing, ...changes }),
+      updatedAt: new Date().toISOString(),
+    }
+    return { products: products.map((other) => (other === existing ? product : other)) }
+  })
+  if (!updated) {
+    throw productError("NOT_FOUND", "Video not found")
+  }
+  return updated
+}
+
+/**
+ * Removes one of a video's products
+ *
+ * @param {string} videoId - The video ID
+ * @param {string} productId - The product ID
+ * @returns {Promise<Object>} The updated video record
+ * @throws {Error} With code "NOT_FOUND" when the video has no such product
+ */
+export async function removeProduct(videoId, productId) {
+  const updated = await updateVideo(videoId, (video) => {
+    const products = video.products ?? []
+    if (!products.some((product) => product.id === productId)) {
+      throw productError("NOT_FOUND", "Product not found")
+    }
+    return { products: products.filter((product) => product.id !== productId) }
+  })
+  if (!updated) {
+    throw productError("NOT_FOUND", "Video not found")
+  }
+  return updated
+}
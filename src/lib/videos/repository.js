@@ -0,0 +1,396 @@
+/**
+ * Video Metadata Repository
+ *
+ * Persistent records for uploaded videos, written at upload time and served by
+ * `/api/videos`. Records live in the "videos" JSON collection under `DATA_DIR`.
+ *
+ * A video record has the shape:
+ *
+ * - `id`                 stable video ID
+ * - `title`              display title (defaults to the filename without its extension)
+ * - `description`        longer text about the video (empty string when none; absent on older videos)
+ * - `tags`               normalized tags (see `details.js`; absent on older videos)
+ * - `name`               original filename (kept as metadata only; storage keys never use it)
+ * - `ownerId`            ID of the user who uploaded it (absent on videos from before accounts existed)
+ * - `visibility`         "public", "unlisted" or "private" (see `access.js`; absent means public)
+ * - `hash`               SHA-256 of the video file, used to detect duplicate uploads
+ * - `storagePrefix`      storage folder holding this revision's files (`videos/<id>/<revision>/`)
+ * - `videoPathname`      storage pathname of the video file
+ * - `videoUrl`           URL the video is served from
+ * - `thumbnailPathname`  storage pathname of the thumbnail (the chosen poster frame; null when none was generated)
+ * - `thumbnailUrl`       URL the thumbnail is served from
+ * - `frames`             candidate poster frames as `{ pathname, url, offset }` (absent on older videos)
+ * - `posterIndex`        index into `frames` of the frame used as the thumbnail
+ * - `previewPathname`    storage pathname of the animated hover preview (null when none was generated)
+ * - `previewUrl`         URL the preview is served from
+ * - `captions`           caption and subtitle tracks (see `captions.js`; absent on older videos)
+ * - `products`           products tagged in the video (see `products.js`; absent on older videos)
+ * - `contentType`        MIME type of the video file
+ * - `format`             lowercase file extension (e.g. "mp4")
+ * - `size`               size in bytes
+ * - `duration`           duration in seconds
+ * - `width`, `height`    video dimensions in pixels
+ * - `createdAt`          ISO upload date
+ * - `updatedAt`          ISO date of the last change
+ */
+import { randomUUID } from "crypto"
+import { getCollection } from "../db/json-collection"
+import { getStorage } from "../storage"
+import { isListedFor } from "./access"
+import { searchVideos } from "./search"
+
+const VIDEO_EXTENSIONS = [".mp4", ".mov", ".webm", ".avi", ".mkv", ".m4v"]
+const MAX_TAG_FACETS = 30 // Most frequent tags reported alongside a page of results
+
+const videos = () => getCollection("videos")
+
+let seeding = null
+
+/**
+ * Returns the lowercase extension of a filename without the dot
+ *
+ * @param {string} filename - The filename
+ * @returns {string} The extension (e.g. "mp4"), or an empty string when there is none
+ */
+export function formatOf(filename) {
+  const match = /\.([^./]+)$/.exec(filename)
+  return match ? match[1].toLowerCase() : ""
+}
+
+/**
+ * Derives a default title from a filename
+ *
+ * @param {string} filename - The filename
+ * @returns {string} The filename without its extension
+ */
+export function titleFromFilename(filename) {
+  return filename.replace(/\.[^./]+$/, "") || filename
+}
+
+/**
+ * Generates an ID for a new video
+ * IDs are assigned before the files are stored, since storage keys are derived from them.
+ *
+ * @returns {string} The new video ID
+ */
+export function newVideoId() {
+  return randomUUID()
+}
+
+/**
+ * Creates a video record
+ *
+ * @param {Object} fields - Record fields (see module docs); `id` (unless given) and dates are filled in
+ * @param {Object} [options]
+ * @param {Function} [options.unique] - Predicate matching existing records the new one must not duplicate,
+ *   checked in the same step as the insert
+ * @returns {Promise<Object|null>} The stored record, or null when `unique` matched an existing record
+ */
+export async function createVideo(fields, { unique } = {}) {
+  await seedFromStorage()
+
+  const now = new Date().toISOString()
+  return videos().insert(
+    {
+      id: randomUUID(),
+      title: titleFromFilename(fields.name),
+      description: "",
+      tags: [],
+      format: formatOf(fields.name),
+      createdAt: now,
+      ...fields,
+      updatedAt: now,
+    },
+    { unique },
+  )
+}
+
+/**
+ * Fetches a video record by ID
+ *
+ * @param {string} id - The video ID
+ * @returns {Promise<Object|null>} The record, or null when it doesn't exist
+ */
+export async function getVideo(id) {
+  await seedFromStorage()
+  return videos().get(id)
+}
+
+/**
+ * Finds an owner's video whose file has the given content hash
+ * Each owner's uploads are deduplicated separately, so nobody is handed another user's video.
+ *
+ * @param {string} hash - SHA-256 hex digest of the file
+ * @param {string|null} ownerId - The owner's user ID (null for videos without an owner)
+ * @returns {Promise<Object|null>} The matching record, or null when there is none
+ */
+export async function findVideoByHash(hash, ownerId) {
+  await seedFromStorage()
+  return videos().find((video) => video.hash === hash && (video.ownerId ?? null) === ownerId)
+}
+
+/**
+ * Finds the video a stored file belongs to
+ *
+ * @param {string} pathname - The storage pathname of any of the video's files, including HLS output
+ * @returns {Promise<Object|null>} The record, or null when the file belongs to no video
+ */
+export async function findVideoByPathname(pathname) {
+  await seedFromStorage()
+  return videos().find(
+    (video) =>
+      (video.storagePrefix && pathname.startsWith(video.storagePrefix)) ||
+      (video.hls?.prefix && pathname.startsWith(video.hls.prefix)) ||
+      pathname === video.videoPathname ||
+      pathname === video.thumbnailPathname ||
+      video.captions?.some((track) => track.pathname === pathname),
+  )
+}
+
+/**
+ * Lists all video records, newest first
+ *
+ * @returns {Promise<Object[]>} The records
+ */
+export async function listVideos() {
+  await seedFromStorage()
+  const records = await videos().all()
+  return records.sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+}
+
+/**
+ * Sort keys supported by {@link queryVideos}, mapped to the record value they sort on
+ * "relevance" sorts on the search score instead, so it needs a search query.
+ */
+const SORT_KEYS = {
+  date: (video) => video.createdAt,
+  name: (video) => (video.title || video.name).toLowerCase(),
+  size: (video) => video.size ?? 0,
+}
+
+export const SORT_OPTIONS = [...Object.keys(SORT_KEYS), "relevance"]
+
+/**
+ * Encodes a pagination cursor pointing just past a video
+ *
+ * @param {*} value - The sort value of the last video of the current page
+ * @param {string} id - The ID of that video
+ * @param {string} sort - The sort key
+ * @param {string} order - "asc" or "desc"
+ * @returns {string} The opaque cursor
+ */
+function encodeCursor(value, id, sort, order) {
+  return Buffer.from(JSON.stringify({ sort, order, value, id })).toString("base64url")
+}
+
+/**
+ * Decodes a pagination cursor
+ *
+ * @param {string} cursor - The opaque cursor
+ * @returns {Object|null} The decoded `{ sort, order, value, id }`, or null when malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"))
+    return decoded && typeof decoded.id === "string" && SORT_OPTIONS.includes(decoded.sort) ? decoded : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Compares two sort values, breaking ties on the video ID so the order is total
+ *
+ * @returns {number} Negative, zero or positive like any comparator
+ */
+function compareKeys(valueA, idA, valueB, idB) {
+  if (valueA < valueB) return -1
+  if (valueA > valueB) return 1
+  return idA.localeCompare(idB)
+}
+
+/**
+ * Counts how many videos carry each tag
+ *
+ * @param {Object[]} videos - The videos
+ * @returns {Array<{tag: string, count: number}>} The most frequent tags, most frequent first
+ */
+function countTags(videos) {
+  const counts = new Map()
+  for (const video of videos) {
+    for (const tag of video.tags ?? []) {
+      counts.set(tag, (counts.get(tag) ?? 0) + 1)
+    }
+  }
+  return [...counts]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+    .slice(0, MAX_TAG_FACETS)
+}
+
+/**
+ * Fetches one page of videos with sorting, filtering and full-text search
+ * Pages are keyset-based, so inserts and deletes between requests never skip or repeat videos.
+ * Along with the page come the tags of every matching video, for narrowing the results down.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.limit=12] - Maximum number of videos to return
+ * @param {string} [options.cursor] - Cursor returned with the previous page
+ * @param {string} [options.sort="date"] - "date", "name", "size" or, with a query, "relevance"
+ * @param {string} [options.order] - "asc" or "desc"; defaults to "asc" for name and "desc" otherwise
+ * @param {string} [options.q] - Only include videos matching this search query (see `search.js`)
+ * @param {string[]} [options.tags] - Only include videos carrying all of these tags
+ * @param {string[]} [options.formats] - Only include these formats (e.g. ["mp4", "webm"])
+ * @param {Date} [options.from] - Only include videos uploaded at or after this date
+ * @param {Date} [options.to] - Only include videos uploaded at or before this date
+ * @param {string} [options.ownerId] - Only include videos uploaded by this user
+ * @param {Object|null} [options.viewer] - Only include videos listed for this user, or only public ones for null
+ *   (see `access.js`)
+ * @returns {Promise<{items: Object[], nextCursor: string|null, tagCounts: Object[]}>} The page, the cursor
+ *   for the next one and the matching videos' tags as `{ tag, count }`
+ * @throws {Error} With `code` "INVALID_CURSOR" when the cursor is malformed or was issued for another sort
+ */
+export async function queryVideos({
+  limit = 12,
+  cursor,
+  sort = "date",
+  order,
+  q,
+  tags,
+  formats,
+  from,
+  to,
+  ownerId,
+  viewer,
+} = {}) {
+  order ??= sort === "name" ? "asc" : "desc"
+  const direction = order === "asc" ? 1 : -1
+
+  let after = null
+  if (cursor) {
+    after = decodeCursor(cursor)
+    if (!after || after.sort !== sort || after.order !== order) {
+      throw Object.assign(new Error("Invalid cursor"), { code: "INVALID_CURSOR" })
+    }
+  }
+
+  await seedFromStorage()
+  const records = await videos().all()
+  const scores = q ? searchVideos(records, q) : null
+  const sortKey = sort === "relevance" ? (video) => scores?.get(video.id) ?? 0 : SORT_KEYS[sort]
+
+  const matching = records
+    .filter((video) => {
+      if (scores && !scores.has(video.id)) return false
+      if (tags && !tags.every((tag) => video.tags?.includes(tag))) return false
+      if (ownerId && video.ownerId !== ownerId) return false
+      if (viewer !== undefined && !isListedFor(viewer, video)) return false
+      if (formats && formats.length > 0 && !formats.includes(video.format)) return false
+      const createdAt = new Date(video.createdAt)
+      if (from && createdAt < from) return false
+      if (to && createdAt > to) return false
+      return true
+    })
+    .sort((a, b) => direction * compareKeys(sortKey(a), a.id, sortKey(b), b.id))
+
+  // Skip everything up to and including the cursor position
+  const start = after
+    ? matching.findIndex((video) => direction * compareKeys(sortKey(video), video.id, after.value, after.id) > 0)
+    : 0
+  const items = start === -1 ? [] : matching.slice(start, start + limit)
+  const hasMore = start !== -1 && start + limit < matching.length
+
+  const last = items[items.length - 1]
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(sortKey(last), last.id, sort, order) : null,
+    tagCounts: countTags(matching),
+  }
+}
+
+/**
+ * Updates a video record
+ * A `changes` function runs against the stored record at the moment of the write, and
+ * may throw to abort the update; that keeps read-check-write sequences atomic.
+ *
+ * @param {string} id - The video ID
+ * @param {Object|Function} changes - Fields to change, or a function receiving the record and returning them
+ * @returns {Promise<Object|null>} The updated record, or null when it doesn't exist
+ */
+export async function updateVideo(id, changes) {
+  return videos().update(id, (video) => ({
+    ...(typeof changes === "function" ? changes(video) : changes),
+    updatedAt: new Date().toISOString(),
+  }))
+}
+
+/**
+ * Deletes a video record
+ *
+ * @param {string} id - The video ID
+ * @returns {Promise<Object|null>} The removed record, or null when it didn't exist
+ */
+export async function deleteVideo(id) {
+  return videos().remove(id)
+}
+
+/**
+ * Creates records for videos uploaded before the metadata store existed
+ * Runs once, the first time the store is used: videos are found in storage by
+ * extension and paired with their `<pathname>.thumbnail.jpg` blob.
+ *
+ * @returns {Promise<void>} Resolves once the store has been seeded
+ */
+function seedFromStorage() {
+  seeding ??= seed().catch((error) => {
+    // Allow a later call to retry
+    seeding = null
+    throw error
+  })
+  return seeding
+}
+
+/**
+ * Performs the seeding for {@link seedFromStorage}
+ */
+async function seed() {
+  if (await videos().exists()) return
+
+  const blobs = []
+  let cursor
+  do {
+    const page = await getStorage().list({ cursor })
+    blobs.push(...page.blobs)
+    cursor = page.hasMore ? page.cursor : undefined
+  } while (cursor)
+
+  const records = blobs
+    .filter((blob) => VIDEO_EXTENSIONS.some((extension) => blob.pathname.toLowerCase().endsWith(extension)))
+    .map((blob) => {
+      const thumbnail = blobs.find((thumb) => thumb.pathname === `${blob.pathname}.thumbnail.jpg`)
+      const createdAt = new Date(blob.uploadedAt).toISOString()
+      return {
+        id: randomUUID(),
+        title: titleFromFilename(blob.pathname),
+        description: "",
+        tags: [],
+        name: blob.pathname,
+        videoPathname: blob.pathname,
+        videoUrl: blob.url,
+        thumbnailPathname: thumbnail ? thumbnail.pathname : null,
+        thumbnailUrl: thumbnail ? thumbnail.url : null,
+        contentType: blob.contentType,
+        format: formatOf(blob.pathname),
+        size: blob.size,
+        duration: null,
+        width: null,
+        height: null,
+        createdAt,
+        updatedAt: createdAt,
+      }
+    })
+
+  // Written even when empty so seeding only ever runs once
+  await videos().insertMany(records)
+}
@@ -0,0 +1,179 @@
+/**
+ * Video Search Index
+ *
+ * A local full-text index over the videos' titles, descriptions, tags and filenames,
+ * used by `/api/videos?q=`. The index lives in memory and is derived from the video
+ * records: before each search it re-indexes the records whose `updatedAt` changed and
+ * drops the ones that were deleted, so it never needs to be told about writes.
+ *
+ * Text is split into lowercase words with accents removed. Every word of the query
+ * must match a word of the video, either exactly or as a prefix (so results show up
+ * while typing); prefix matches count for less. Matches are ranked with BM25, with
+ * words in the title and tags weighing more than those in the description.
+ */
+
+/**
+ * How much a word counts towards a video's score, by the field it appears in
+ */
+const FIELD_WEIGHTS = {
+  title: 3,
+  tags: 2,
+  description: 1,
+  name: 1,
+}
+
+const PREFIX_MATCH_WEIGHT = 0.5 // Share of the score a prefix match gets compared to an exact one
+const MIN_PREFIX_LENGTH = 2 // Shorter query words only match whole words
+const BM25_K1 = 1.2
+const BM25_B = 0.75
+
+// Indexed videos by ID: `{ updatedAt, terms: Map<word, weighted frequency>, length }`
+const documents = new Map()
+// Number of indexed videos containing each word
+const documentFrequency = new Map()
+
+/**
+ * Splits text into lowercase words without accents
+ *
+ * @param {string} text - The text
+ * @returns {string[]} The words, in order
+ */
+export function tokenize(text) {
+  return (
+    String(text ?? "")
+      .normalize("NFKD")
+      .replace(/\p{M}/gu, "")
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu) ?? []
+  )
+}
+
+/**
+ * Builds the index entry for a video
+ *
+ * @param {Object} video - The video record
+ * @returns {Object} `{ updatedAt, terms, length }`
+ */
+function indexEntry(video) {
+  const terms = new Map()
+  let length = 0
+  const fields = {
+    title: video.title,
+    tags: (video.tags ?? []).join(" "),
+    description: video.description,
+    name: video.name,
+  }
+  for (const [field, text] of Object.entries(fields)) {
+    for (const word of tokenize(text)) {
+      terms.set(word, (terms.get(word) ?? 0) + FIELD_WEIGHTS[field])
+      length += FIELD_WEIGHTS[field]
+    }
+  }
+  return { updatedAt: video.updatedAt, terms, length }
+}
+
+/**
+ * Adds or removes an entry's words from the document frequencies
+ *
+ * @param {Object} entry - The index entry
+ * @param {number} delta - 1 when adding it, -1 when removing it
+ */
+function countTerms(entry, delta) {
+  for (const word of entry.terms.keys()) {
+    const count = (documentFrequency.get(word) ?? 0) + delta
+    if (count > 0) {
+      documentFrequency.set(word, count)
+    } else {
+      documentFrequency.delete(word)
+    }
+  }
+}
+
+/**
+ * Brings the index up to date with the video records
+ *
+ * @param {Object[]} videos - Every video record
+ */
+function syncIndex(videos) {
+  const ids = new Set()
+  for (const video of videos) {
+    ids.add(video.id)
+    const existing = documents.get(video.id)
+    if (existing?.updatedAt === video.updatedAt) continue
+
+    if (existing) countTerms(existing, -1)
+    const entry = indexEntry(video)
+    countTerms(entry, 1)
+    documents.set(video.id, entry)
+  }
+
+  for (const [id, entry] of documents) {
+    if (!ids.has(id)) {
+      countTerms(entry, -1)
+      documents.delete(id)
+    }
+  }
+}
+
+/**
+ * Finds the indexed words a query word matches, with the weight of each match
+ *
+ * @param {string} queryWord - A word of the query
+ * @returns {Array<[string, number]>} `[word, matchWeight]` pairs
+ */
+function expandQueryWord(queryWord) {
+  const matches = documentFrequency.has(queryWord) ? [[queryWord, 1]] : []
+  if (queryWord.length >= MIN_PREFIX_LENGTH) {
+    for (const word of documentFrequency.keys()) {
+      if (word !== queryWord && word.startsWith(queryWord)) {
+        matches.push([word, PREFIX_MATCH_WEIGHT])
+      }
+    }
+  }
+  return matches
+}
+
+/**
+ * Scores videos against a search query
+ *
+ * @param {Object[]} videos - Every video record (the index is synced against them)
+ * @param {string} query - The search query
+ * @returns {Map<string, number>} Relevance scores by video ID, for the videos matching every word of the query
+ */
+export function searchVideos(videos, query) {
+  syncIndex(videos)
+
+  const queryWords = [...new Set(tokenize(query))]
+  const scores = new Map()
+  if (queryWords.length === 0 || documents.size === 0) return scores
+
+  const totalLength = [...documents.values()].reduce((total, entry) => total + entry.length, 0)
+  const averageLength = totalLength / documents.size || 1
+
+  queryWords.forEach((queryWord, position) => {
+    const wordScores = new Map()
+    for (const [word, matchWeight] of expandQueryWord(queryWord)) {
+      const frequency = documentFrequency.get(word)
+      const idf = Math.log(1 + (documents.size - frequency + 0.5) / (frequency + 0.5))
+      for (const [id, entry] of documents) {
+        const termFrequency = entry.terms.get(word)
+        if (!termFrequency) continue
+        const normalized = BM25_K1 * (1 - BM25_B + (BM25_B * entry.length) / averageLength)
+        const score = (matchWeight * idf * termFrequency * (BM25_K1 + 1)) / (termFrequency + normalized)
+        // A query word counts once per video, through its best-matching word
+        wordScores.set(id, Math.max(wordScores.get(id) ?? 0, score))
+      }
+    }
+
+    // Only videos matching every query word so far stay in the results
+    for (const id of position === 0 ? wordScores.keys() : [...scores.keys()]) {
+      if (wordScores.has(id)) {
+        scores.set(id, (scores.get(id) ?? 0) + wordScores.get(id))
+      } else {
+        scores.delete(id)
+      }
+    }
+  })
+
+  return scores
+}
@@ -0,0 +1,54 @@
+/**
+ * Video Serialization
+ *
+ * Converts stored video records into the shape returned by the API. Storage
+ * pathnames, prefixes and content hashes are internal and never leave the server.
+ * Private videos carry signed image URLs and no playback URLs; players fetch
+ * those from `/api/videos/:id/playback` (see `playback.js`). Caption tracks are
+ * always served by `/api/videos/:id/captions/:trackId`, which checks access itself.
+ */
+import { isPrivateVideo, visibilityOf } from "./access"
+import { imageUrlFor } from "./playback"
+
+/**
+ * Converts a video record into its API representation
+ *
+ * @param {Object} video - The stored video record
+ * @returns {Object} The video as returned to clients
+ */
+export function serializeVideo(video) {
+  const { videoPathname, thumbnailPathname, previewPathname, storagePrefix, hash, hls, frames, captions, ...fields } =
+    video
+  const isPrivate = isPrivateVideo(video)
+  return {
+    ...fields,
+    description: video.description ?? "",
+    tags: video.tags ?? [],
+    visibility: visibilityOf(video),
+    videoUrl: isPrivate ? null : video.videoUrl,
+    thumbnailUrl: imageUrlFor(video, thumbnailPathname, video.thumbnailUrl),
+    previewUrl: imageUrlFor(video, previewPathname, video.previewUrl),
+    frames: (frames ?? []).map((frame, index) => ({
+      index,
+      offset: frame.offset,
+      url: imageUrlFor(video, frame.pathname, frame.url),
+    })),
+    posterIndex: video.posterIndex ?? null,
+    captions: (captions ?? []).map(({ id, language, label, kind }) => ({
+      id,
+      language,
+      label,
+      kind,
+      url: `/api/videos/${video.id}/captions/${id}`,
+    })),
+    products: (video.products ?? []).map(({ createdAt, updatedAt, ...product }) => product),
+    hls: hls
+      ? {
+          status: hls.status,
+          jobId: hls.jobId ?? null,
+          playlistUrl: isPrivate ? null : (hls.playlistUrl ?? null),
+          renditions: hls.renditions ?? [],
+        }
+      : null,
+  }
+}
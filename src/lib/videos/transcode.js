@@ -0,0 +1,132 @@
+/**
+ * Adaptive Streaming Transcodes
+ *
+ * After upload, each video is transcoded into HLS renditions that are stored in an
+ * `hls/` folder next to the video file. Transcodes run as "transcode" jobs (see
+ * `lib/jobs`), and the record's `hls` field tracks them:
+ *
+ * - `{ status: "pending", jobId }`  queued, the original file is played meanwhile
+ * - `{ status: "processing" }`  ffmpeg is running
+ * - `{ status: "ready", prefix, playlistUrl, renditions }`  the master playlist can be streamed
+ * - `{ status: "failed" }`      transcoding failed, the original file keeps being played
+ *
+ * Transcoding is skipped entirely (and `hls` left null) when `HLS_ENABLED` is "false".
+ */
+import fs from "fs/promises"
+import path from "path"
+import { createJob } from "../jobs"
+import { transcodeToHls } from "../media/hls"
+import { withTempDir } from "../media/temp"
+import { deletePrefix, downloadToFile, getStorage } from "../storage"
+import { contentTypeFor } from "../storage/mime"
+import { getVideo, updateVideo } from "./repository"
+
+/**
+ * Whether uploads are transcoded to HLS
+ *
+ * @returns {boolean} False only when `HLS_ENABLED` is "false"
+ */
+export function isHlsEnabled() {
+  return process.env.HLS_ENABLED !== "false"
+}
+
+/**
+ * Queues a transcoding job for a video and marks it as pending
+ *
+ * @param {Object} video - The freshly stored video record
+ * @returns {Promise<Object>} The record with its updated `hls` state
+ */
+export async function scheduleTranscode(video) {
+  if (!isHlsEnabled()) return video
+
+  const job = await createJob("transcode", {
+    videoId: video.id,
+    videoPathname: video.videoPathname,
+    ownerId: video.ownerId ?? null,
+  })
+  return updateVideo(video.id, { hls: { status: "pending", jobId: job.id } })
+}
+
+/**
+ * Uploads every file below a directory to storage under a prefix
+ *
+ * @param {string} dir - The local directory
+ * @param {string} prefix - Storage pathname prefix, ending in a slash
+ * @returns {Promise<Object[]>} The stored blobs
+ */
+async function uploadDirectory(dir, prefix) {
+  const storage = getStorage()
+  const entries = await fs.readdir(dir, { recursive: true, withFileTypes: true })
+  const blobs = []
+
+  for (const entry of entries.filter((entry) => entry.isFile())) {
+    const filePath = path.join(entry.parentPath, entry.name)
+    const pathname = prefix + path.relative(dir, filePath).split(path.sep).join("/")
+    blobs.push(await storage.put(pathname, await fs.readFile(filePath), { contentType: contentTypeFor(pathname) }))
+  }
+  return blobs
+}
+
+/**
+ * Transcodes a stored video to HLS and records the result
+ *
+ * @param {string} id - The video ID
+ * @param {Object} [options]
+ * @param {string} [options.videoPathname] - The file to transcode; skipped when the video no longer has it
+ * @param {Function} [options.onProgress] - Called with a stage name and the percentage done
+ * @returns {Promise<boolean>} True when renditions were produced, false when the video was gone or replaced
+ * @throws {Error} When transcoding fails (the video is marked as failed first)
+ */
+export async function transcodeVideo(id, { videoPathname, onProgress } = {}) {
+  const video = await getVideo(id)
+  if (!video || (videoPathname && video.videoPathname !== videoPathname)) return false
+
+  // Videos stored before per-video folders keep their renditions beside the file
+  const prefix = video.storagePrefix ? `${video.storagePrefix}hls/` : `${video.videoPathname}.hls/`
+
+  /**
+   * Whether the video still has the file this job transcoded
+   * It may have been replaced or deleted while ffmpeg was running.
+   */
+  const isCurrent = async () => {
+    const current = await getVideo(id)
+    return Boolean(current && current.videoPathname === video.videoPathname)
+  }
+
+  try {
+    await updateVideo(id, { hls: { ...video.hls, status: "processing" } })
+
+    const { renditions, blobs } = await withTempDir(async (dir) => {
+      const inputPath = path.join(dir, `source${path.extname(video.videoPathname)}`)
+      const outputDir = path.join(dir, "hls")
+      await onProgress?.("downloading", 0)
+      await downloadToFile(video.videoPathname, inputPath)
+      await fs.mkdir(outputDir)
+
+      // Transcoding is by far the slowest step, so it gets most of the progress bar
+      const renditions = await transcodeToHls(inputPath, outputDir, video, (percent) =>
+        onProgress?.("transcoding", 5 + percent * 0.85),
+      )
+      await onProgress?.("storing", 90)
+      return { renditions, blobs: await uploadDirectory(outputDir, prefix) }
+    })
+
+    if (!(await isCurrent())) {
+      await deletePrefix(prefix)
+      return false
+    }
+
+    const master = blobs.find((blob) => blob.pathname === `${prefix}master.m3u8`)
+    await updateVideo(id, { hls: { status: "ready", prefix, playlistUrl: master.url, renditions } })
+    console.log("HLS transcode complete:", master.url)
+    return true
+  } catch (error) {
+    await deletePrefix(prefix).catch((cleanupError) =>
+      console.error("Failed to remove partial HLS output:", cleanupError),
+    )
+    if (await isCurrent()) {
+      await updateVideo(id, { hls: { status: "failed" } })
+    }
+    throw error
+  }
+}